@@ -0,0 +1,895 @@
+/**
+ * 音声分析コア
+ * @file analysis-core.js
+ * @description BPMとキー検出の計算部分をまとめた純粋な関数群です。
+ * window・requestAnimationFrame・AnalyserNodeに依存せず、Float32ArrayのPCMとサンプルレートだけを受け取るため、
+ * ポップアップ（scriptタグ）からもNode.js（require）からも読み込めます。
+ * キーの表記はKeyNotation（key-notation.js）に依存するため、ブラウザでは先に読み込んでください
+ */
+
+// Node.jsではキー表記モジュールを読み込む（ブラウザではscriptタグで先に読み込まれている）
+if (typeof module !== 'undefined' && module.exports && typeof KeyNotation === 'undefined') {
+  globalThis.KeyNotation = require('./key-notation.js');
+}
+
+class AnalysisCore {
+  /**
+   * キープロファイル（主音からの半音ごとの重み）
+   * @static
+   * @type {Object.<string, {label: string, major: number[], minor: number[]}>}
+   * @description krumhanslは聴取実験によるKrumhansl-Kesslerのプロファイル、temperleyは楽曲の統計によるTemperleyのプロファイル、
+   * edmはFaraldoらがエレクトロニック・ダンス・ミュージック向けに調整したプロファイル（edma）です。
+   * ピアソン相関で比較するため、スケールは揃えていません
+   */
+  static KEY_PROFILES = {
+    krumhansl: {
+      label: 'Krumhansl-Kessler',
+      major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+      minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+    },
+    temperley: {
+      label: 'Temperley',
+      major: [5.0, 2.0, 3.5, 2.0, 4.5, 4.0, 2.0, 4.5, 2.0, 3.5, 1.5, 4.0],
+      minor: [5.0, 2.0, 3.5, 4.5, 2.0, 4.0, 2.0, 4.5, 3.5, 2.0, 1.5, 4.0]
+    },
+    edm: {
+      label: 'EDM (edma)',
+      major: [1.0, 0.2875, 0.5020, 0.4048, 0.6050, 0.5614, 0.3205, 0.7966, 0.3159, 0.4506, 0.4202, 0.3889],
+      minor: [1.0, 0.2621, 0.4917, 0.7356, 0.2720, 0.4938, 0.2779, 0.6892, 0.4410, 0.3152, 0.6004, 0.4035]
+    }
+  };
+
+  /**
+   * クロマグラムに含める基音の最低音（MIDIノート番号）
+   * @static
+   * @type {number}
+   * @description C2（約65Hz）
+   */
+  static CHROMA_MIN_NOTE = 36;
+
+  /**
+   * クロマグラムに含める基音の最高音（MIDIノート番号）
+   * @static
+   * @type {number}
+   * @description B6（約1976Hz）。倍音はさらに2オクターブ上まで参照します
+   */
+  static CHROMA_MAX_NOTE = 95;
+
+  /**
+   * 分析パラメーターの既定値
+   * @static
+   * @type {{minBPM: number, maxBPM: number, keyProfile: string, chromaMinNote: number, chromaMaxNote: number}}
+   * @description analyzeBPM・analyzeKey等のoptionsで省略した値に使います
+   */
+  static DEFAULT_OPTIONS = {
+    minBPM: 50,
+    maxBPM: 220,
+    keyProfile: 'krumhansl',
+    chromaMinNote: AnalysisCore.CHROMA_MIN_NOTE,
+    chromaMaxNote: AnalysisCore.CHROMA_MAX_NOTE
+  };
+
+  /**
+   * FFTの回転因子のキャッシュ
+   * @static
+   * @type {Map<number, {cos: Float64Array, sin: Float64Array}>}
+   */
+  static twiddleTables = new Map();
+
+  /**
+   * 信号レベルの閾値（dBFS）
+   * @static
+   * @type {{silencePeakDb: number, lowLevelRmsDb: number}}
+   * @description ピークがsilencePeakDb未満なら無音、RMSがlowLevelRmsDb未満ならレベル不足とみなします。
+   * 無音やノイズだけの録音でもオンセットやクロマは計算できてしまい、無意味なテンポとキーが返るため、分析の前に判定します
+   */
+  static SIGNAL_THRESHOLDS = {
+    silencePeakDb: -60,
+    lowLevelRmsDb: -50
+  };
+
+  /**
+   * PCMの信号レベルを計測する
+   * @static
+   * @param {Float32Array} pcm - モノラルのPCMデータ
+   * @returns {{peakDb: number, rmsDb: number}} ピークとRMSのレベル（dBFS。無音は-Infinity）
+   */
+  static measureSignal(pcm) {
+    let peak = 0;
+    let sumSquares = 0;
+    for (let i = 0; i < pcm.length; i++) {
+      const value = Math.abs(pcm[i]);
+      if (value > peak) peak = value;
+      sumSquares += value * value;
+    }
+    const rms = pcm.length > 0 ? Math.sqrt(sumSquares / pcm.length) : 0;
+    return {
+      peakDb: 20 * Math.log10(peak),
+      rmsDb: 20 * Math.log10(rms)
+    };
+  }
+
+  /**
+   * PCMが分析できる信号レベルかどうかを判定する
+   * @static
+   * @param {Float32Array} pcm - モノラルのPCMデータ
+   * @returns {string|null} 分析できない理由（'noAudio': 無音 | 'lowLevel': レベル不足）。分析できる場合はnull
+   * @description 理由はAnalysisErrorのエラーコードと同じ名前です
+   */
+  static checkSignal(pcm) {
+    const { peakDb, rmsDb } = AnalysisCore.measureSignal(pcm);
+    if (peakDb < AnalysisCore.SIGNAL_THRESHOLDS.silencePeakDb) {
+      return 'noAudio';
+    }
+    if (rmsDb < AnalysisCore.SIGNAL_THRESHOLDS.lowLevelRmsDb) {
+      return 'lowLevel';
+    }
+    return null;
+  }
+
+  /**
+   * PCMからBPMを分析する
+   * @static
+   * @param {Float32Array} pcm - モノラルのPCMデータ
+   * @param {number} sampleRate - サンプルレート（Hz）
+   * @param {{minBPM?: number, maxBPM?: number}} [options={}] - 探索するテンポの範囲（省略時はDEFAULT_OPTIONS）
+   * @returns {{bpm: number, confidence: number, candidates: {bpm: number, score: number}[], beatOffset: number}|null}
+   * テンポ情報。beatOffsetはPCMの先頭から最初のビートまでの秒数。周期性が見つからない場合はnull
+   * @description スペクトルフラックスによるオンセット強度エンベロープを計算し、
+   * 自己相関とコムフィルターでテンポを、推定したテンポの間隔で並ぶパルス列との相関でビートの位置を推定します
+   */
+  static analyzeBPM(pcm, sampleRate, options = {}) {
+    return AnalysisCore.analyzeTempo(AnalysisCore.computeOnsetEnvelope(pcm, sampleRate), options);
+  }
+
+  /**
+   * オンセット強度エンベロープからBPMを分析する
+   * @static
+   * @param {{envelope: Float32Array, frameRate: number, timeOffset: number}} onset - computeOnsetEnvelopeの戻り値
+   * @param {{minBPM?: number, maxBPM?: number}} [options={}] - 探索するテンポの範囲（省略時はDEFAULT_OPTIONS）
+   * @returns {Object|null} analyzeBPMと同じテンポ情報
+   * @description 拍子と楽節の検出（BeatStructure）で同じエンベロープを使えるよう、エンベロープの計算と分けています
+   */
+  static analyzeTempo(onset, options = {}) {
+    const { minBPM, maxBPM } = { ...AnalysisCore.DEFAULT_OPTIONS, ...options };
+    const { envelope, frameRate, timeOffset } = onset;
+    const tempo = AnalysisCore.estimateTempo(envelope, frameRate, minBPM, maxBPM);
+    if (tempo) {
+      const phase = AnalysisCore.estimateBeatPhase(envelope, frameRate, tempo.bpm);
+      tempo.beatOffset = Math.round((phase + timeOffset) * 1000) / 1000;
+    }
+    return tempo;
+  }
+
+  /**
+   * PCMから音楽キーを分析する
+   * @static
+   * @param {Float32Array} pcm - モノラルのPCMデータ
+   * @param {number} sampleRate - サンプルレート（Hz）
+   * @param {{keyProfile?: string, chromaMinNote?: number, chromaMaxNote?: number, fftSize?: number, hopSeconds?: number}} [options={}]
+   * キープロファイル、クロマグラムの音域、FFTサイズとフレーム間隔（computeChromaFramesを参照）
+   * @returns {Object} キー情報（detectKeyFromChromagramの戻り値にチューニングのずれtuningCentsを加えたもの）
+   * @description 分析区間全体のチューニングのずれを推定してから、フレームごとのクロマグラムを
+   * 正規化して蓄積し、その平均からキーを検出します。1つの和音やドラムのヒットに結果が左右されません
+   */
+  static analyzeKey(pcm, sampleRate, options = {}) {
+    return AnalysisCore.detectKeyFromChromaFrames(
+      AnalysisCore.computeChromaFrames(pcm, sampleRate, options),
+      options
+    );
+  }
+
+  /**
+   * フレームごとのクロマグラムを計算する
+   * @static
+   * @param {Float32Array} pcm - モノラルのPCMデータ
+   * @param {number} sampleRate - サンプルレート（Hz）
+   * @param {{fftSize?: number, hopSeconds?: number, chromaMinNote?: number, chromaMaxNote?: number}} [options={}]
+   * FFTサイズ（2の累乗、既定値16384。低音域の半音を分離できるよう大きめにしています）、フレーム間隔（秒、既定値0.25）、
+   * クロマグラムに含める基音の音域（MIDIノート番号、省略時はDEFAULT_OPTIONS）
+   * @returns {{frames: number[][], hopSeconds: number, tuning: number, timeOffset: number}} フレームごとの正規化済みクロマグラム、
+   * 実際のフレーム間隔（秒）、チューニングのずれ（半音単位）、フレームの開始位置から窓の中心までの秒数
+   * @description 分析区間全体で推定したチューニングのずれを補正して計算します。
+   * キー検出とコード認識で同じ結果を使い回せるよう、FFTは1回だけ行います
+   */
+  static computeChromaFrames(pcm, sampleRate, options = {}) {
+    const { fftSize = 16384, hopSeconds = 0.25, chromaMinNote, chromaMaxNote } = { ...AnalysisCore.DEFAULT_OPTIONS, ...options };
+    const noteRange = [chromaMinNote, chromaMaxNote];
+    const hopSize = Math.max(1, Math.round(sampleRate * hopSeconds));
+    const tuning = AnalysisCore.estimateTuning(pcm, sampleRate, fftSize, hopSize * 4);
+    const frames = [];
+    const lastStart = Math.max(0, pcm.length - fftSize);
+
+    for (let start = 0; start <= lastStart; start += hopSize) {
+      const spectrum = AnalysisCore.computeSpectrum(pcm, start, fftSize);
+      frames.push(AnalysisCore.calculateChromagram(spectrum, sampleRate, fftSize, tuning, noteRange));
+    }
+
+    return { frames, hopSeconds: hopSize / sampleRate, tuning, timeOffset: fftSize / 2 / sampleRate };
+  }
+
+  /**
+   * フレームごとのクロマグラムから音楽キーを検出する
+   * @static
+   * @param {{frames: number[][], tuning: number}} chroma - computeChromaFramesの戻り値
+   * @param {{keyProfile?: string}} [options={}] - キープロファイル（KEY_PROFILESのキー、省略時はDEFAULT_OPTIONS）
+   * @returns {Object} キー情報（detectKeyFromChromagramの戻り値にチューニングのずれtuningCentsを加えたもの）
+   */
+  static detectKeyFromChromaFrames(chroma, options = {}) {
+    const { keyProfile } = { ...AnalysisCore.DEFAULT_OPTIONS, ...options };
+    const chromaSum = new Array(12).fill(0);
+    for (const chromagram of chroma.frames) {
+      for (let i = 0; i < 12; i++) {
+        chromaSum[i] += chromagram[i];
+      }
+    }
+
+    // 正規化
+    const max = Math.max(...chromaSum);
+    return {
+      ...AnalysisCore.detectKeyFromChromagram(chromaSum.map(val => max > 0 ? val / max : 0), 3, keyProfile),
+      tuningCents: Math.round(chroma.tuning * 100) || 0
+    };
+  }
+
+  /**
+   * チューニングのずれを推定する
+   * @static
+   * @param {Float32Array} pcm - モノラルのPCMデータ
+   * @param {number} sampleRate - サンプルレート（Hz）
+   * @param {number} fftSize - FFTサイズ（2の累乗）
+   * @param {number} hopSize - フレーム間隔（サンプル数）
+   * @returns {number} A4=440Hzの平均律からのずれ（半音単位、-0.5〜0.5）
+   * @description スペクトルピークの周波数を平均律の最も近い音と比較し、ずれを振幅で重み付けした円周平均で求めます。
+   * 432Hzチューニングの曲では約-0.32（-32セント）になります
+   */
+  static estimateTuning(pcm, sampleRate, fftSize, hopSize) {
+    let sinSum = 0;
+    let cosSum = 0;
+    const lastStart = Math.max(0, pcm.length - fftSize);
+
+    for (let start = 0; start <= lastStart; start += hopSize) {
+      const spectrum = AnalysisCore.computeSpectrum(pcm, start, fftSize);
+      for (const peak of AnalysisCore.findSpectralPeaks(spectrum, sampleRate, fftSize)) {
+        const midiNote = 12 * Math.log2(peak.frequency / 440) + 69;
+        const angle = 2 * Math.PI * (midiNote - Math.round(midiNote));
+        sinSum += peak.magnitude * Math.sin(angle);
+        cosSum += peak.magnitude * Math.cos(angle);
+      }
+    }
+
+    if (sinSum === 0 && cosSum === 0) {
+      return 0;
+    }
+
+    return Math.atan2(sinSum, cosSum) / (2 * Math.PI);
+  }
+
+  /**
+   * スペクトルのピークを検出する
+   * @static
+   * @param {Float32Array} frequencyData - FFT周波数データ（dB）
+   * @param {number} sampleRate - サンプルレート（Hz）
+   * @param {number} fftSize - 周波数データの計算に使用したFFTサイズ
+   * @returns {{frequency: number, magnitude: number}[]} ピークの周波数（放物線補間済み）と振幅
+   * @description 80〜2000Hzの範囲で、フレーム内の最大値から40dB以内の極大値を返します
+   */
+  static findSpectralPeaks(frequencyData, sampleRate, fftSize) {
+    const binSize = sampleRate / fftSize;
+    const firstBin = Math.max(1, Math.ceil(80 / binSize));
+    const lastBin = Math.min(frequencyData.length - 2, Math.floor(2000 / binSize));
+    let maxDb = -Infinity;
+
+    for (let i = firstBin; i <= lastBin; i++) {
+      maxDb = Math.max(maxDb, frequencyData[i]);
+    }
+
+    const peaks = [];
+    if (!isFinite(maxDb)) {
+      return peaks;
+    }
+
+    for (let i = firstBin; i <= lastBin; i++) {
+      const middle = frequencyData[i];
+      if (middle < maxDb - 40 || middle <= frequencyData[i - 1] || middle < frequencyData[i + 1]) continue;
+
+      // 放物線補間
+      const left = frequencyData[i - 1];
+      const right = frequencyData[i + 1];
+      const denominator = left - 2 * middle + right;
+      const offset = denominator !== 0 ? 0.5 * (left - right) / denominator : 0;
+
+      peaks.push({
+        frequency: (i + offset) * binSize,
+        magnitude: Math.pow(10, middle / 20)
+      });
+    }
+
+    return peaks;
+  }
+
+  /**
+   * オンセット強度エンベロープを計算する
+   * @static
+   * @param {Float32Array} pcm - モノラルのPCMデータ
+   * @param {number} sampleRate - サンプルレート（Hz）
+   * @param {number} [frameSize=1024] - STFTのフレームサイズ（2の累乗）
+   * @param {number} [hopSize=256] - フレーム間隔（サンプル数）
+   * @returns {{envelope: Float32Array, frameRate: number, timeOffset: number}} エンベロープ、1秒あたりのフレーム数、
+   * エンベロープの先頭フレームの中心のPCM上の時刻（秒）
+   * @description 対数圧縮した振幅スペクトルの増加分（半波整流したスペクトルフラックス）をフレームごとに合計し、
+   * 約0.5秒の移動平均を差し引いて音の立ち上がりだけを残します
+   */
+  static computeOnsetEnvelope(pcm, sampleRate, frameSize = 1024, hopSize = 256) {
+    const frameCount = Math.max(0, Math.floor((pcm.length - frameSize) / hopSize) + 1);
+    const flux = new Float32Array(frameCount);
+    const real = new Float32Array(frameSize);
+    const imag = new Float32Array(frameSize);
+    const binCount = frameSize / 2;
+    let previous = new Float32Array(binCount);
+    let current = new Float32Array(binCount);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      const start = frame * hopSize;
+      for (let i = 0; i < frameSize; i++) {
+        // Hann窓
+        real[i] = pcm[start + i] * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / frameSize));
+        imag[i] = 0;
+      }
+      AnalysisCore.fft(real, imag);
+
+      let sum = 0;
+      for (let k = 0; k < binCount; k++) {
+        const magnitude = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]) / frameSize;
+        current[k] = Math.log(1 + 1000 * magnitude);
+        if (frame > 0 && current[k] > previous[k]) {
+          sum += current[k] - previous[k];
+        }
+      }
+      flux[frame] = sum;
+      [previous, current] = [current, previous];
+    }
+
+    // 移動平均を差し引いて半波整流
+    const frameRate = sampleRate / hopSize;
+    const radius = Math.max(1, Math.round(frameRate * 0.25));
+    const envelope = new Float32Array(frameCount);
+    let windowSum = 0;
+    let windowStart = 0;
+    let windowEnd = 0;
+
+    for (let i = 0; i < frameCount; i++) {
+      while (windowEnd < Math.min(frameCount, i + radius + 1)) {
+        windowSum += flux[windowEnd++];
+      }
+      while (windowStart < i - radius) {
+        windowSum -= flux[windowStart++];
+      }
+      envelope[i] = Math.max(0, flux[i] - windowSum / (windowEnd - windowStart));
+    }
+
+    return { envelope, frameRate, timeOffset: frameSize / 2 / sampleRate };
+  }
+
+  /**
+   * オンセット強度エンベロープからテンポを推定する
+   * @static
+   * @param {Float32Array} envelope - オンセット強度エンベロープ
+   * @param {number} frameRate - エンベロープの1秒あたりのフレーム数
+   * @param {number} [minBPM=50] - 探索するテンポの下限
+   * @param {number} [maxBPM=220] - 探索するテンポの上限
+   * @param {number} [candidateCount=3] - 返す候補の数
+   * @returns {{bpm: number, confidence: number, candidates: {bpm: number, score: number}[]}|null}
+   * テンポ情報（BPMは小数第1位まで）。周期性が見つからない場合はnull
+   * @description エンベロープの自己相関に対して、周期の1〜4倍の位置を合計するコムフィルターを適用し、
+   * 120BPM付近をやや優先する対数正規の重みを掛けたスコアの極大を候補とします。
+   * 半分や倍のテンポへの折り返しは行わず、それらは別の候補として返します。
+   * 各候補のscoreは候補間でのスコアの割合、信頼度は1位の割合に周期性の強さ（ラグ0との比）を掛けた値です
+   */
+  static estimateTempo(envelope, frameRate, minBPM = 50, maxBPM = 220, candidateCount = 3) {
+    const minLag = Math.max(1, Math.floor(frameRate * 60 / maxBPM));
+    const maxLag = Math.ceil(frameRate * 60 / minBPM);
+    const autocorrelation = AnalysisCore.calculateAutocorrelation(envelope, maxLag * 4 + 4);
+
+    const scores = [];
+    for (let lag = minLag; lag <= maxLag && lag + 2 < autocorrelation.length; lag++) {
+      scores.push({
+        lag,
+        periodicity: AnalysisCore.calculateCombScore(autocorrelation, lag),
+        score: AnalysisCore.calculateCombScore(autocorrelation, lag) *
+          AnalysisCore.calculateTempoPrior(lag / frameRate)
+      });
+    }
+
+    // スコアの極大を候補とする
+    const peaks = scores.filter((entry, i) =>
+      entry.score > 0 &&
+      (i === 0 || entry.score >= scores[i - 1].score) &&
+      (i === scores.length - 1 || entry.score > scores[i + 1].score)
+    );
+
+    if (peaks.length === 0) {
+      return null;
+    }
+
+    peaks.sort((a, b) => b.score - a.score);
+
+    const candidates = [];
+    for (const peak of peaks) {
+      const period = AnalysisCore.refinePeriod(autocorrelation, peak.lag);
+      const bpm = Math.round(600 * frameRate / period) / 10;
+      // 補正後にほぼ同じテンポになった候補は除外
+      if (candidates.some(candidate => Math.abs(candidate.bpm - bpm) / bpm < 0.03)) continue;
+
+      candidates.push({ bpm, score: peak.score, periodicity: peak.periodicity });
+      if (candidates.length === candidateCount) break;
+    }
+
+    const total = candidates.reduce((sum, candidate) => sum + candidate.score, 0);
+    const periodicity = Math.max(0, Math.min(1, candidates[0].periodicity / autocorrelation[0]));
+
+    return {
+      bpm: candidates[0].bpm,
+      confidence: AnalysisCore.roundScore(candidates[0].score / total * periodicity),
+      candidates: candidates.map(candidate => ({
+        bpm: candidate.bpm,
+        score: AnalysisCore.roundScore(candidate.score / total)
+      }))
+    };
+  }
+
+  /**
+   * ビートの位置（位相）を推定する
+   * @static
+   * @param {Float32Array} envelope - オンセット強度エンベロープ
+   * @param {number} frameRate - エンベロープの1秒あたりのフレーム数
+   * @param {number} bpm - 推定したテンポ
+   * @returns {number} エンベロープの先頭から最初のビートまでの秒数（0〜1拍未満）
+   * @description 1拍の中でずらした位置ごとに、テンポの間隔で並ぶパルス列とエンベロープの相関を計算し、
+   * 最も強い位置をビートとします。位置は1/4フレーム単位で探索し、エンベロープを線形補間して相関を計算します
+   */
+  static estimateBeatPhase(envelope, frameRate, bpm) {
+    const period = frameRate * 60 / bpm;
+    const resolution = 4; // 1フレームを4分割して探索する
+    const steps = Math.max(1, Math.floor(period * resolution));
+    let bestPhase = 0;
+    let bestScore = -Infinity;
+
+    for (let step = 0; step < steps; step++) {
+      const phase = step / resolution;
+      let score = 0;
+      for (let position = phase; position < envelope.length - 1; position += period) {
+        // 線形補間
+        const index = Math.floor(position);
+        const fraction = position - index;
+        score += envelope[index] * (1 - fraction) + envelope[index + 1] * fraction;
+      }
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestPhase = phase;
+      }
+    }
+
+    return bestPhase / frameRate;
+  }
+
+  /**
+   * 自己相関を計算する
+   * @static
+   * @param {Float32Array} signal - 入力信号
+   * @param {number} maxLag - 計算する最大ラグ
+   * @returns {Float32Array} ラグ0からの自己相関（平均を差し引いた信号で計算）
+   */
+  static calculateAutocorrelation(signal, maxLag) {
+    const n = signal.length;
+    const length = Math.max(0, Math.min(maxLag + 1, n));
+    const mean = signal.reduce((a, b) => a + b, 0) / Math.max(1, n);
+    const centered = signal.map(value => value - mean);
+    const result = new Float32Array(length);
+
+    for (let lag = 0; lag < length; lag++) {
+      let sum = 0;
+      for (let i = 0; i + lag < n; i++) {
+        sum += centered[i] * centered[i + lag];
+      }
+      result[lag] = sum;
+    }
+
+    return result;
+  }
+
+  /**
+   * コムフィルターのスコアを計算する
+   * @static
+   * @param {Float32Array} autocorrelation - 自己相関
+   * @param {number} lag - 候補の周期（フレーム数）
+   * @returns {number} 周期の1〜4倍の位置における自己相関の平均
+   * @description 整数ラグによる誤差がk倍で広がるため、k倍目では±ceil(k/2)フレームの範囲の最大値を使います
+   */
+  static calculateCombScore(autocorrelation, lag) {
+    let sum = 0;
+    let count = 0;
+
+    for (let k = 1; k <= 4; k++) {
+      const tolerance = Math.ceil(k / 2);
+      const center = k * lag;
+      if (center + tolerance >= autocorrelation.length) break;
+
+      let peak = -Infinity;
+      for (let i = center - tolerance; i <= center + tolerance; i++) {
+        peak = Math.max(peak, autocorrelation[i]);
+      }
+      sum += peak;
+      count++;
+    }
+
+    return count > 0 ? sum / count : 0;
+  }
+
+  /**
+   * テンポの事前重みを計算する
+   * @static
+   * @param {number} period - ビート周期（秒）
+   * @returns {number} 0.5秒（120BPM）を中心とした対数正規の重み
+   */
+  static calculateTempoPrior(period) {
+    const octaves = Math.log2(period / 0.5);
+    return Math.exp(-0.5 * Math.pow(octaves / 0.9, 2));
+  }
+
+  /**
+   * 周期をサブフレーム精度に補正する
+   * @static
+   * @param {Float32Array} autocorrelation - 自己相関
+   * @param {number} lag - 整数の周期（フレーム数）
+   * @returns {number} 補正後の周期（フレーム数）
+   * @description k倍目の自己相関ピークを放物線補間で求め、最小二乗法で周期を当てはめます
+   */
+  static refinePeriod(autocorrelation, lag) {
+    let weightedSum = 0;
+    let weightSum = 0;
+
+    for (let k = 1; k <= 4; k++) {
+      const center = k * lag;
+      if (center + k + 1 >= autocorrelation.length) break;
+
+      let peakIndex = center;
+      for (let i = center - k; i <= center + k; i++) {
+        if (autocorrelation[i] > autocorrelation[peakIndex]) {
+          peakIndex = i;
+        }
+      }
+
+      // 放物線補間
+      const left = autocorrelation[peakIndex - 1];
+      const middle = autocorrelation[peakIndex];
+      const right = autocorrelation[peakIndex + 1];
+      const denominator = left - 2 * middle + right;
+      const offset = denominator !== 0 ? 0.5 * (left - right) / denominator : 0;
+
+      weightedSum += k * (peakIndex + Math.max(-0.5, Math.min(0.5, offset)));
+      weightSum += k * k;
+    }
+
+    return weightSum > 0 ? weightedSum / weightSum : lag;
+  }
+
+  /**
+   * PCMの1フレームから周波数スペクトルを計算する
+   * @static
+   * @param {Float32Array} pcm - モノラルのPCMデータ
+   * @param {number} start - フレームの開始サンプル位置
+   * @param {number} fftSize - FFTサイズ（2の累乗）
+   * @returns {Float32Array} fftSize/2個のビンのスペクトル（dB）
+   * @description AnalyserNode.getFloatFrequencyDataと同じくBlackman窓をかけてdB値を返します。
+   * PCMの終端を超える部分はゼロで埋めます
+   */
+  static computeSpectrum(pcm, start, fftSize) {
+    const real = new Float32Array(fftSize);
+    const imag = new Float32Array(fftSize);
+
+    for (let i = 0; i < fftSize && start + i < pcm.length; i++) {
+      // Blackman窓
+      const phase = 2 * Math.PI * i / fftSize;
+      const window = 0.42 - 0.5 * Math.cos(phase) + 0.08 * Math.cos(2 * phase);
+      real[i] = pcm[start + i] * window;
+    }
+
+    AnalysisCore.fft(real, imag);
+
+    const spectrum = new Float32Array(fftSize / 2);
+    for (let i = 0; i < spectrum.length; i++) {
+      const magnitude = Math.sqrt(real[i] * real[i] + imag[i] * imag[i]) / fftSize;
+      spectrum[i] = 20 * Math.log10(magnitude);
+    }
+
+    return spectrum;
+  }
+
+  /**
+   * 高速フーリエ変換（インプレース）
+   * @static
+   * @param {Float32Array} real - 実部（変換結果で上書きされます）
+   * @param {Float32Array} imag - 虚部（変換結果で上書きされます）
+   * @description 基数2の反復型Cooley-Tukey FFT。配列長は2の累乗である必要があります
+   */
+  static fft(real, imag) {
+    const n = real.length;
+
+    // ビット反転による並べ替え
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) {
+        j ^= bit;
+      }
+      j ^= bit;
+      if (i < j) {
+        [real[i], real[j]] = [real[j], real[i]];
+        [imag[i], imag[j]] = [imag[j], imag[i]];
+      }
+    }
+
+    // バタフライ演算（回転因子は配列長ごとにキャッシュした表を参照）
+    const { cos, sin } = AnalysisCore.getTwiddleTable(n);
+    for (let size = 2; size <= n; size <<= 1) {
+      const halfSize = size >> 1;
+      const step = n / size;
+      for (let start = 0; start < n; start += size) {
+        for (let k = 0; k < halfSize; k++) {
+          const twiddleCos = cos[k * step];
+          const twiddleSin = sin[k * step];
+          const evenIndex = start + k;
+          const oddIndex = evenIndex + halfSize;
+          const tReal = real[oddIndex] * twiddleCos - imag[oddIndex] * twiddleSin;
+          const tImag = real[oddIndex] * twiddleSin + imag[oddIndex] * twiddleCos;
+          real[oddIndex] = real[evenIndex] - tReal;
+          imag[oddIndex] = imag[evenIndex] - tImag;
+          real[evenIndex] += tReal;
+          imag[evenIndex] += tImag;
+        }
+      }
+    }
+  }
+
+  /**
+   * FFTの回転因子の表を取得する
+   * @static
+   * @param {number} n - FFTの配列長
+   * @returns {{cos: Float64Array, sin: Float64Array}} k = 0〜n/2-1 に対するcos(-2πk/n)とsin(-2πk/n)
+   */
+  static getTwiddleTable(n) {
+    if (!AnalysisCore.twiddleTables.has(n)) {
+      const cos = new Float64Array(n / 2);
+      const sin = new Float64Array(n / 2);
+      for (let k = 0; k < n / 2; k++) {
+        cos[k] = Math.cos(-2 * Math.PI * k / n);
+        sin[k] = Math.sin(-2 * Math.PI * k / n);
+      }
+      AnalysisCore.twiddleTables.set(n, { cos, sin });
+    }
+    return AnalysisCore.twiddleTables.get(n);
+  }
+
+  /**
+   * クロマグラムを計算する
+   * @static
+   * @param {Float32Array} frequencyData - FFT周波数データ（dB）
+   * @param {number} sampleRate - サンプルレート（Hz）
+   * @param {number} fftSize - 周波数データの計算に使用したFFTサイズ
+   * @param {number} [tuning=0] - チューニングのずれ（半音単位、estimateTuningの戻り値）
+   * @param {number[]} [noteRange] - 基音の音域[最低音, 最高音]（MIDIノート番号、省略時はCHROMA_MIN_NOTE〜CHROMA_MAX_NOTE）
+   * @returns {number[]} 12ビンのクロマグラム配列（0-11: C-B）
+   * @description 周波数データから12音のピッチクラスプロファイルを生成します。
+   * FFTビンを直接ピッチクラスに割り当てると高音域ほどビン数が多く、低音域では1ビンが複数の半音にまたがるため、
+   * まずチューニングを補正した半音ごとの帯域で振幅を求め（帯域がビンより狭い場合は補間）、
+   * 第2〜4倍音の振幅を基音に加える倍音重み付けをしてからピッチクラスに畳み込みます。
+   * 音量の小さいフレームは全て0になります
+   */
+  static calculateChromagram(frequencyData, sampleRate, fftSize, tuning = 0,
+    noteRange = [AnalysisCore.CHROMA_MIN_NOTE, AnalysisCore.CHROMA_MAX_NOTE]) {
+    const [minNote, maxNote] = noteRange;
+    const chromagram = new Array(12).fill(0);
+    const semitones = AnalysisCore.calculateSemitoneSpectrum(frequencyData, sampleRate, fftSize, tuning, noteRange);
+
+    // 倍音（1, 2, 3, 4倍）の半音オフセットと重み
+    const harmonics = [[0, 1], [12, 0.6], [19, 0.36], [24, 0.22]];
+
+    for (let note = minNote; note <= maxNote; note++) {
+      let salience = 0;
+      for (const [offset, weight] of harmonics) {
+        salience += weight * (semitones[note + offset] || 0);
+      }
+      chromagram[note % 12] += salience;
+    }
+
+    // 正規化
+    const max = Math.max(...chromagram);
+    return chromagram.map(val => max > 0 ? val / max : 0);
+  }
+
+  /**
+   * 半音ごとの振幅スペクトルを計算する
+   * @static
+   * @param {Float32Array} frequencyData - FFT周波数データ（dB）
+   * @param {number} sampleRate - サンプルレート（Hz）
+   * @param {number} fftSize - 周波数データの計算に使用したFFTサイズ
+   * @param {number} [tuning=0] - チューニングのずれ（半音単位）
+   * @param {number[]} [noteRange] - 基音の音域[最低音, 最高音]（MIDIノート番号）。倍音のため最高音の2オクターブ上まで計算します
+   * @returns {Object.<number, number>} MIDIノート番号から振幅へのマッピング
+   * @description 各半音の中心周波数±50セントの帯域に含まれるビンの最大振幅を求めます。
+   * 振幅が-80dBに満たないフレームは無音として扱います
+   */
+  static calculateSemitoneSpectrum(frequencyData, sampleRate, fftSize, tuning = 0,
+    noteRange = [AnalysisCore.CHROMA_MIN_NOTE, AnalysisCore.CHROMA_MAX_NOTE]) {
+    const [minNote, maxNote] = noteRange;
+    const binSize = sampleRate / fftSize;
+    const semitones = {};
+    const silence = Math.pow(10, -80 / 20);
+    const magnitudeAt = (bin) => Math.pow(10, frequencyData[bin] / 20);
+    const lastNote = maxNote + 24;
+    let loudest = 0;
+
+    for (let note = minNote; note <= lastNote; note++) {
+      const center = 440 * Math.pow(2, (note - 69 + tuning) / 12);
+      const lowBin = Math.ceil(center * Math.pow(2, -0.5 / 12) / binSize);
+      const highBin = Math.floor(center * Math.pow(2, 0.5 / 12) / binSize);
+      if (highBin >= frequencyData.length - 1) break;
+
+      let magnitude = 0;
+      if (lowBin > highBin) {
+        // 帯域がビン間隔より狭い場合は中心周波数で線形補間
+        const position = center / binSize;
+        const bin = Math.floor(position);
+        const fraction = position - bin;
+        magnitude = magnitudeAt(bin) * (1 - fraction) + magnitudeAt(bin + 1) * fraction;
+      } else {
+        let maxDb = -Infinity;
+        for (let bin = lowBin; bin <= highBin; bin++) {
+          maxDb = Math.max(maxDb, frequencyData[bin]);
+        }
+        magnitude = Math.pow(10, maxDb / 20);
+      }
+
+      semitones[note] = magnitude;
+      loudest = Math.max(loudest, magnitude);
+    }
+
+    return loudest >= silence ? semitones : {};
+  }
+
+  /**
+   * 周波数をピッチクラスに変換する
+   * @static
+   * @param {number} frequency - 周波数（Hz）
+   * @param {number} [tuning=0] - チューニングのずれ（半音単位）
+   * @returns {number} ピッチクラス（0-11: C-B）
+   * @description 周波数をMIDIノート番号に変換し、12で割った余りでピッチクラスを取得します
+   */
+  static frequencyToPitchClass(frequency, tuning = 0) {
+    // 周波数をMIDIノート番号に変換
+    const midiNote = 12 * Math.log2(frequency / 440) + 69 - tuning;
+    // ピッチクラス(0-11)を取得
+    return Math.round(midiNote) % 12;
+  }
+
+  /**
+   * クロマグラムから音楽キーを検出する
+   * @static
+   * @param {number[]} chromagram - 12ビンのクロマグラム配列
+   * @param {number} [candidateCount=3] - 返す候補の数
+   * @param {string} [profile='krumhansl'] - キープロファイル（KEY_PROFILESのキー）。不明な値の場合はkrumhansl
+   * @returns {{key: string, mode: string, camelot: string, fullName: string, confidence: number,
+   *   candidates: {key: string, mode: string, camelot: string, fullName: string, score: number}[]}} キー情報
+   * @description Krumhansl-Schmucklerキー検出アルゴリズムを使用
+   * 選択したキープロファイルと24個の可能なキー（12メジャー + 12マイナー）との相関を相関の高い順に並べ、
+   * ソフトマックスで確率に変換した値を各候補のscore、1位のscoreを信頼度とします
+   */
+  static detectKeyFromChromagram(chromagram, candidateCount = 3, profile = 'krumhansl') {
+    const { major, minor } = AnalysisCore.KEY_PROFILES[profile] || AnalysisCore.KEY_PROFILES.krumhansl;
+    const results = [];
+
+    // 24個のキー（12メジャー + 12マイナー）を試す
+    for (let tonic = 0; tonic < 12; tonic++) {
+      results.push({
+        tonic,
+        mode: 'major',
+        correlation: AnalysisCore.calculateCorrelation(chromagram, major, tonic)
+      });
+      results.push({
+        tonic,
+        mode: 'minor',
+        correlation: AnalysisCore.calculateCorrelation(chromagram, minor, tonic)
+      });
+    }
+
+    results.sort((a, b) => b.correlation - a.correlation);
+
+    // 相関の差を確率に変換（温度0.05: 相関が0.1違うと約7倍の差）
+    const temperature = 0.05;
+    const weights = results.map(result => Math.exp((result.correlation - results[0].correlation) / temperature));
+    const total = weights.reduce((a, b) => a + b, 0);
+
+    const candidates = results.slice(0, candidateCount).map((result, index) => ({
+      ...AnalysisCore.createKeyInfo(result.tonic, result.mode),
+      score: AnalysisCore.roundScore(weights[index] / total)
+    }));
+
+    const { score, ...best } = candidates[0];
+    return {
+      ...best,
+      confidence: score,
+      candidates
+    };
+  }
+
+  /**
+   * 主音とモードからキー情報を作成する
+   * @static
+   * @param {number} tonic - 主音のピッチクラス（0-11: C-B）
+   * @param {string} mode - モード（major または minor）
+   * @returns {{key: string, mode: string, pitchClass: number, camelot: string, openKey: string, fullName: string}} キー情報
+   * @description 音名の綴りと各記法はKeyNotationの表から取得します
+   */
+  static createKeyInfo(tonic, mode) {
+    const notation = KeyNotation.lookup(tonic, mode);
+
+    return {
+      key: notation.name,
+      mode: mode,
+      pitchClass: notation.pitchClass,
+      camelot: notation.camelot,
+      openKey: notation.openKey,
+      fullName: `${notation.name} ${mode}`
+    };
+  }
+
+  /**
+   * クロマグラムとキープロファイルの相関を計算する
+   * @static
+   * @param {number[]} chromagram - 12ビンのクロマグラム配列
+   * @param {number[]} profile - メジャーまたはマイナーのキープロファイル
+   * @param {number} rotation - 転回位置（0-11）
+   * @returns {number} 相関値（-1〜1）
+   * @description 転回したクロマグラムとキープロファイルのピアソン相関係数を求めます
+   */
+  static calculateCorrelation(chromagram, profile, rotation) {
+    let chromaMean = 0;
+    let profileMean = 0;
+    for (let i = 0; i < 12; i++) {
+      chromaMean += chromagram[i] / 12;
+      profileMean += profile[i] / 12;
+    }
+
+    let covariance = 0;
+    let chromaVariance = 0;
+    let profileVariance = 0;
+    for (let i = 0; i < 12; i++) {
+      const chromaDelta = chromagram[(i + rotation) % 12] - chromaMean;
+      const profileDelta = profile[i] - profileMean;
+      covariance += chromaDelta * profileDelta;
+      chromaVariance += chromaDelta * chromaDelta;
+      profileVariance += profileDelta * profileDelta;
+    }
+
+    const denominator = Math.sqrt(chromaVariance * profileVariance);
+    return denominator > 0 ? covariance / denominator : 0;
+  }
+
+  /**
+   * スコアを小数第2位に丸める
+   * @static
+   * @param {number} value - 0〜1のスコア
+   * @returns {number} 丸めたスコア
+   */
+  static roundScore(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// ブラウザではグローバルに、Node.jsではモジュールとして公開する
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnalysisCore;
+} else {
+  globalThis.AnalysisCore = AnalysisCore;
+}
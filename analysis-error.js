@@ -0,0 +1,108 @@
+/**
+ * 分析エラー
+ * @file analysis-error.js
+ * @description 分析を開始・完了できなかった理由をエラーコードで区別し、理由ごとの対処方法を提供します。
+ * ジョブはメッセージで受け渡されるため、コードはjob.errorCodeとして保存し、表示する側がコードから対処方法を取得します。
+ * DOMに依存しないため、Node.jsからも読み込めます
+ */
+
+// Node.jsから読み込まれた場合は表示言語のモジュールを読み込む
+if (typeof module !== 'undefined' && module.exports && typeof I18n === 'undefined') {
+  globalThis.I18n = require('./i18n.js');
+}
+
+class AnalysisError extends Error {
+  /**
+   * エラーコードとメッセージ名
+   * @static
+   * @type {Object.<string, string>}
+   * @description 対処方法はメッセージ名に「Hint」を付けたメッセージです
+   */
+  static CODES = {
+    noAudio: 'errorNoAudio',
+    lowLevel: 'errorLowLevel',
+    protectedContent: 'errorProtectedContent',
+    restrictedPage: 'errorRestrictedPage',
+    captureActive: 'errorCaptureActive',
+    permissionDenied: 'errorPermissionDenied',
+    crossOriginMedia: 'errorTapSilent',
+    mediaTooLarge: 'errorMediaTooLarge',
+    captureFailed: 'errorCapture'
+  };
+
+  /**
+   * 拡張機能がキャプチャできないページのURL
+   * @static
+   * @type {RegExp[]}
+   * @description ブラウザの内部ページ・ほかの拡張機能・Chromeウェブストアはキャプチャもコンテンツスクリプトも許可されません
+   */
+  static RESTRICTED_URL_PATTERNS = [
+    /^(chrome|chrome-extension|chrome-untrusted|chrome-search|devtools|edge|view-source|about):/,
+    /^https:\/\/chrome\.google\.com\/webstore/,
+    /^https:\/\/chromewebstore\.google\.com\//
+  ];
+
+  /**
+   * AnalysisErrorのコンストラクタ
+   * @constructor
+   * @param {string} code - エラーコード（CODESのキー）
+   * @param {{cause?: Error}} [options] - 元になったエラー
+   */
+  constructor(code, options) {
+    super(I18n.getMessage(AnalysisError.CODES[code] || AnalysisError.CODES.captureFailed), options);
+    this.name = 'AnalysisError';
+    /** @type {string} エラーコード */
+    this.code = AnalysisError.CODES[code] ? code : 'captureFailed';
+  }
+
+  /**
+   * エラーコードの対処方法を取得する
+   * @static
+   * @param {string|null|undefined} code - エラーコード
+   * @returns {string} 対処方法。コードが無い場合は空文字列
+   */
+  static getHint(code) {
+    const name = AnalysisError.CODES[code];
+    return name ? I18n.getMessage(`${name}Hint`) : '';
+  }
+
+  /**
+   * キャプチャできないページかどうかを判定する
+   * @static
+   * @param {string} url - ページのURL
+   * @returns {boolean} ブラウザの内部ページ・拡張機能のページ・Chromeウェブストアの場合はtrue
+   */
+  static isRestrictedUrl(url) {
+    return AnalysisError.RESTRICTED_URL_PATTERNS.some(pattern => pattern.test(url || ''));
+  }
+
+  /**
+   * タブ音声のキャプチャの失敗をエラーコードに分類する
+   * @static
+   * @param {Error} error - chrome.tabCapture.getMediaStreamIdまたはgetUserMediaのエラー
+   * @param {string} [url=''] - キャプチャしようとしたページのURL
+   * @returns {AnalysisError} 分類したエラー。分類できない場合はcaptureFailed
+   * @description Chromeのエラーにはコードが無いため、エラー名とメッセージの文言で分類します。
+   * 拡張機能を操作していないタブのエラーにも「Chrome pages cannot be captured」が含まれるため、内部ページかどうかはURLで判定します
+   */
+  static fromCaptureError(error, url = '') {
+    const message = error && error.message ? error.message : '';
+    let code = 'captureFailed';
+
+    if (AnalysisError.isRestrictedUrl(url)) {
+      code = 'restrictedPage';
+    } else if (/active stream/i.test(message)) {
+      code = 'captureActive';
+    } else if ((error && ['NotAllowedError', 'SecurityError'].includes(error.name)) || /not been invoked|activeTab|permission/i.test(message)) {
+      code = 'permissionDenied';
+    }
+    return new AnalysisError(code, { cause: error });
+  }
+}
+
+// ブラウザではグローバルに、Node.jsではモジュールとして公開する
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnalysisError;
+} else {
+  globalThis.AnalysisError = AnalysisError;
+}
@@ -0,0 +1,240 @@
+/**
+ * 分析キュー
+ * @file analysis-queue.js
+ * @description 複数のタブを順番に分析するためのキューをchrome.storage.sessionに保存します。
+ * 分析ジョブは同時に1つしか実行できないため、サービスワーカーがジョブの終了ごとに次の待機中のタブを分析し、
+ * ポップアップは各タブの結果を並べて表示します
+ */
+class AnalysisQueue {
+  /**
+   * chrome.storage.sessionの保存キー
+   * @static
+   * @type {string}
+   */
+  static STORAGE_KEY = 'analysisQueue';
+
+  /**
+   * キューに保持するタブの最大数
+   * @static
+   * @type {number}
+   * @description 超えた場合は終了したタブから古い順に破棄します
+   */
+  static MAX_ITEMS = 50;
+
+  /**
+   * 待機中・分析中とみなす状態
+   * @static
+   * @type {string[]}
+   */
+  static WAITING_STATUSES = ['pending', 'running'];
+
+  /**
+   * 実行中の書き込み
+   * @static
+   * @type {Promise<void>}
+   * @description キューを読み込んでから保存するまでの間に別の書き込みが割り込むと、その変更が失われるため、書き込みを順番に実行します
+   */
+  static pending = Promise.resolve();
+
+  /**
+   * タブからキューの項目を作成する
+   * @static
+   * @param {chrome.tabs.Tab} tab - 分析するタブ
+   * @param {{trigger: string, signature?: string}} options - 追加した理由（'auto': 再生の開始 | 'manual': ポップアップから）と、
+   * 分析する曲の識別子（同じ曲を自動で分析し直さないために使います）
+   * @returns {Object} 状態が'pending'の項目
+   */
+  static createItem(tab, { trigger, signature = '' }) {
+    return {
+      tabId: tab.id,
+      title: tab.title || '',
+      url: tab.url || '',
+      favIconUrl: tab.favIconUrl || '',
+      trigger: trigger,
+      signature: signature,
+      status: 'pending',
+      jobId: null,
+      bpm: null,
+      keyData: null,
+      error: null,
+      errorCode: null,
+      addedAt: Date.now()
+    };
+  }
+
+  /**
+   * キューのすべての項目を取得する
+   * @static
+   * @async
+   * @returns {Promise<Object[]>} 追加した順の項目
+   */
+  static async getAll() {
+    const items = await chrome.storage.session.get({ [AnalysisQueue.STORAGE_KEY]: [] });
+    return items[AnalysisQueue.STORAGE_KEY];
+  }
+
+  /**
+   * キューを保存する
+   * @static
+   * @async
+   * @param {Object[]} items - 保存する項目
+   * @returns {Promise<Object[]>} 保存した項目
+   */
+  static async saveAll(items) {
+    let kept = items;
+    while (kept.length > AnalysisQueue.MAX_ITEMS) {
+      const index = kept.findIndex(item => !AnalysisQueue.WAITING_STATUSES.includes(item.status));
+      if (index < 0) break;
+      kept = kept.filter((item, i) => i !== index);
+    }
+
+    await chrome.storage.session.set({ [AnalysisQueue.STORAGE_KEY]: kept });
+    return kept;
+  }
+
+  /**
+   * キューの書き込みを順番に実行する
+   * @static
+   * @async
+   * @param {Function} task - キューを読み込んで保存する非同期関数
+   * @returns {Promise<*>} taskの戻り値
+   * @description 前の書き込みが終わってからtaskを実行します。失敗した書き込みがあっても後続の書き込みは続けます
+   */
+  static mutate(task) {
+    const result = AnalysisQueue.pending.then(task);
+    AnalysisQueue.pending = result.then(() => {}, () => {});
+    return result;
+  }
+
+  /**
+   * 項目を追加する
+   * @static
+   * @async
+   * @param {Object[]} added - createItemで作成した項目
+   * @returns {Promise<Object[]>} 追加後のすべての項目
+   * @description 同じタブの終了した項目は置き換え、待機中または分析中の項目があるタブは追加しません。
+   * 再生の開始で追加する項目（trigger: 'auto'）は、一時停止と再生を繰り返しても同じ曲を分析し直さないよう、
+   * 同じ曲（signature）を分析済みのタブには追加しません（前回が失敗した場合は追加します）
+   */
+  static add(added) {
+    return AnalysisQueue.mutate(async () => {
+      let items = await AnalysisQueue.getAll();
+
+      added.forEach(item => {
+        const existing = items.find(other => other.tabId === item.tabId);
+        if (existing && (AnalysisQueue.WAITING_STATUSES.includes(existing.status) ||
+            (item.trigger === 'auto' && existing.signature === item.signature && existing.status !== 'error'))) {
+          return;
+        }
+        items = items.filter(other => other.tabId !== item.tabId).concat(item);
+      });
+      return AnalysisQueue.saveAll(items);
+    });
+  }
+
+  /**
+   * タブの項目を更新する
+   * @static
+   * @async
+   * @param {number} tabId - 更新する項目のタブID
+   * @param {Object} changes - 上書きするフィールド
+   * @param {string[]} [statuses] - 更新する項目の状態（省略した場合は状態を問わない）
+   * @returns {Promise<Object[]|null>} 更新後のすべての項目。該当する項目が無い場合はnull
+   */
+  static update(tabId, changes, statuses) {
+    return AnalysisQueue.mutate(async () => {
+      const items = await AnalysisQueue.getAll();
+      const item = items.find(existing => existing.tabId === tabId && (!statuses || statuses.includes(existing.status)));
+      if (!item) {
+        return null;
+      }
+
+      Object.assign(item, changes);
+      return AnalysisQueue.saveAll(items);
+    });
+  }
+
+  /**
+   * 終了したジョブの結果を分析中の項目に記録する
+   * @static
+   * @async
+   * @param {Object} job - 終了したジョブ
+   * @returns {Promise<Object[]|null>} 更新後のすべての項目。ジョブのタブに分析中の項目が無い場合はnull
+   */
+  static settle(job) {
+    const result = job.result;
+    const keyData = result ? result.keyData : null;
+
+    return AnalysisQueue.update(job.tabId, {
+      status: job.status,
+      jobId: job.id,
+      title: job.source.title,
+      bpm: result && result.tempo ? result.tempo.bpm : null,
+      // 一覧の表示に使う表記だけを残す
+      keyData: keyData && {
+        key: keyData.key,
+        mode: keyData.mode,
+        camelot: keyData.camelot,
+        openKey: keyData.openKey,
+        fullName: keyData.fullName
+      },
+      error: job.error,
+      errorCode: job.errorCode || null
+    }, ['running']);
+  }
+
+  /**
+   * 待機中の項目を取り消す
+   * @static
+   * @async
+   * @returns {Promise<Object[]>} 取り消した後のすべての項目
+   */
+  static cancelPending() {
+    return AnalysisQueue.mutate(async () => {
+      const items = await AnalysisQueue.getAll();
+      items.filter(item => item.status === 'pending').forEach(item => {
+        item.status = 'stopped';
+      });
+      return AnalysisQueue.saveAll(items);
+    });
+  }
+
+  /**
+   * 閉じたタブの項目を取り除く
+   * @static
+   * @async
+   * @param {number} tabId - 閉じたタブのID
+   * @returns {Promise<Object[]|null>} 取り除いた後のすべての項目。取り除く項目が無い場合はnull
+   * @description 分析中の項目は、ジョブの終了を記録するまで残します
+   */
+  static remove(tabId) {
+    return AnalysisQueue.mutate(async () => {
+      const items = await AnalysisQueue.getAll();
+      const kept = items.filter(item => item.tabId !== tabId || item.status === 'running');
+      if (kept.length === items.length) {
+        return null;
+      }
+      return AnalysisQueue.saveAll(kept);
+    });
+  }
+
+  /**
+   * 終了した項目を取り除く
+   * @static
+   * @async
+   * @returns {Promise<Object[]>} 待機中と分析中の項目
+   */
+  static clearFinished() {
+    return AnalysisQueue.mutate(async () => {
+      const items = await AnalysisQueue.getAll();
+      return AnalysisQueue.saveAll(items.filter(item => AnalysisQueue.WAITING_STATUSES.includes(item.status)));
+    });
+  }
+}
+
+// ブラウザではグローバルに、Node.jsではモジュールとして公開する
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnalysisQueue;
+} else {
+  globalThis.AnalysisQueue = AnalysisQueue;
+}
@@ -2,352 +2,580 @@
  * BPMとキー検出のためのオーディオアナライザークラス
  * @class AudioAnalyzer
  * @description タブの音声をキャプチャして、BPM（テンポ）と音楽キーを分析します
+ * 計算部分はAnalysisCore（analysis-core.js）に委譲し、このクラスはWeb Audio APIとの接続を担当します
  */
 class AudioAnalyzer {
   /**
    * AudioAnalyzerのコンストラクタ
    * @constructor
+   * @param {Object} [settings={}] - 分析パラメーター（Settings.getAnalysisSettingsの戻り値）。省略した値はDEFAULT_SETTINGS
    */
-  constructor() {
+  constructor(settings = {}) {
+    /** @type {Object} 分析パラメーター */
+    this.settings = { ...AudioAnalyzer.DEFAULT_SETTINGS, ...settings };
     /** @type {AudioContext|null} Web Audio APIのオーディオコンテキスト */
     this.audioContext = null;
     /** @type {AnalyserNode|null} 音声分析用のアナライザーノード */
     this.analyser = null;
     /** @type {MediaStreamAudioSourceNode|null} メディアストリームのソースノード */
     this.source = null;
+    /** @type {MediaStream|null} キャプチャしたストリーム */
+    this.stream = null;
+    /** @type {boolean} AudioContextをこのインスタンスが作成したかどうか（falseの場合はcleanupで閉じない） */
+    this.ownsContext = true;
+    /** @type {AudioWorkletNode|null} PCM録音用のワークレットノード */
+    this.recorder = null;
+    /** @type {{startFrame: number, samples: Float32Array, channels: Float32Array[]}[]} 録音済みのPCMチャンク（モノラルとステレオ） */
+    this.recordedChunks = [];
+    /** @type {number|null} ライブ分析のタイマーID */
+    this.liveTimer = null;
+    /** @type {Float32Array|null} 直前のanalyzeBPMで録音したPCM */
+    this.lastRecording = null;
+    /** @type {{frames: number[][], hopSeconds: number, tuning: number}|null} 直前のanalyzeKeyで計算したフレームごとのクロマグラム */
+    this.lastChroma = null;
+    /** @type {{envelope: Float32Array, frameRate: number, timeOffset: number}|null} 直前のanalyzeBPMで計算したオンセット強度エンベロープ */
+    this.lastOnset = null;
   }
 
   /**
-   * Camelotホイールのマッピング
+   * ファイル分析時にレンダリングするサンプルレート
    * @static
-   * @type {Object.<string, string>}
-   * @description 音楽キー（C major等）からCamelot記法（8B等）へのマッピング
+   * @type {number}
+   * @description キー検出に使う4kHzまでの帯域を保ちつつ、トラック全体の計算量を抑えます
    */
-  static CAMELOT_WHEEL = {
-    'C major': '8B', 'A minor': '8A',
-    'G major': '9B', 'E minor': '9A',
-    'D major': '10B', 'B minor': '10A',
-    'A major': '11B', 'F# minor': '11A',
-    'E major': '12B', 'C# minor': '12A',
-    'B major': '1B', 'G# minor': '1A',
-    'F# major': '2B', 'D# minor': '2A',
-    'Db major': '3B', 'Bb minor': '3A',
-    'Ab major': '4B', 'F minor': '4A',
-    'Eb major': '5B', 'C minor': '5A',
-    'Bb major': '6B', 'G minor': '6A',
-    'F major': '7B', 'D minor': '7A'
-  };
+  static OFFLINE_SAMPLE_RATE = 22050;
 
   /**
-   * 音名の配列
+   * 分析パラメーターの既定値
    * @static
-   * @type {string[]}
-   * @description C（ド）からB（シ）までの12音の配列
+   * @type {Object}
+   * @description analysisSecondsは録音時間（秒）、liveWindowSeconds・liveIntervalSecondsはライブ分析で使う直近の音声の長さと再推定間隔（秒）、
+   * fftSize・smoothingTimeConstantはビジュアライザー用のアナライザーノードの設定です。
+   * テンポとキーの分析パラメーターはAnalysisCore.DEFAULT_OPTIONSに従います
    */
-  static NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+  static DEFAULT_SETTINGS = {
+    ...AnalysisCore.DEFAULT_OPTIONS,
+    analysisSeconds: 8,
+    liveWindowSeconds: 12,
+    liveIntervalSeconds: 4,
+    fftSize: 8192,
+    smoothingTimeConstant: 0.8
+  };
 
   /**
    * タブの音声をキャプチャする
    * @async
-   * @returns {Promise<boolean>} キャプチャ成功時はtrue
-   * @throws {Error} 音声キャプチャに失敗した場合
-   * @description Chrome Tab Capture APIを使用してタブの音声をキャプチャし、AudioContextに接続します
+   * @param {string} streamId - サービスワーカーがchrome.tabCapture.getMediaStreamIdで取得したストリームID
+   * @returns {Promise<MediaStream>} キャプチャしたストリーム
+   * @throws {AnalysisError} 音声キャプチャに失敗した場合
+   * @description ストリームIDからタブの音声を取得し、AudioContextに接続します
    */
-  async captureTabAudio() {
+  async captureTabAudio(streamId) {
+    let stream;
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({
+      stream = await navigator.mediaDevices.getUserMedia({
         audio: {
           mandatory: {
             chromeMediaSource: 'tab',
-            chromeMediaSourceId: await this.getTabStreamId()
+            chromeMediaSourceId: streamId
           }
         }
       });
-
-      this.audioContext = new AudioContext();
-      this.analyser = this.audioContext.createAnalyser();
-      this.analyser.fftSize = 8192;
-      this.source = this.audioContext.createMediaStreamSource(stream);
-      this.source.connect(this.analyser);
-
-      return true;
     } catch (error) {
       console.error('オーディオキャプチャエラー:', error);
-      throw new Error('タブの音声をキャプチャできませんでした。音声が再生されていることを確認してください。');
+      throw AnalysisError.fromCaptureError(error);
     }
+
+    this.connectStream(stream);
+    return stream;
   }
 
   /**
-   * タブストリームIDを取得する
-   * @async
-   * @returns {Promise<string>} ストリームID
-   * @throws {Error} タブキャプチャに失敗した場合
-   * @description Chrome Tab Capture APIからストリームIDを取得します
+   * 音声ストリームをAudioContextに接続する
+   * @param {MediaStream} stream - キャプチャした音声ストリーム
+   * @description アナライザーノードに接続するとともに、キャプチャ中もタブの音声が聞こえるよう出力先にも接続します
    */
-  async getTabStreamId() {
-    return new Promise((resolve, reject) => {
-      chrome.tabCapture.capture({ audio: true }, (stream) => {
-        if (stream) {
-          resolve(stream.id);
-        } else {
-          reject(new Error('タブのキャプチャに失敗しました'));
-        }
-      });
-    });
+  connectStream(stream) {
+    this.stream = stream;
+    this.audioContext = new AudioContext();
+    this.analyser = this.audioContext.createAnalyser();
+    this.analyser.fftSize = this.settings.fftSize;
+    this.analyser.smoothingTimeConstant = this.settings.smoothingTimeConstant;
+    this.source = this.audioContext.createMediaStreamSource(stream);
+    this.source.connect(this.analyser);
+    // タブキャプチャ中は元のタブがミュートされるため、キャプチャした音声を再生する
+    this.source.connect(this.audioContext.destination);
+  }
+
+  /**
+   * 既存のAudioContextのソースノードに接続する
+   * @param {AudioContext} audioContext - ソースノードが属するオーディオコンテキスト
+   * @param {AudioNode} source - 分析するソースノード（MediaElementAudioSourceNode等）
+   * @description ページのメディア要素をタップする場合に使用します。
+   * createMediaElementSourceは要素ごとに1回しか呼べず、コンテキストを閉じると要素が無音になるため、
+   * コンテキストとソースノードは呼び出し側が保持し、cleanupではアナライザー側の接続だけを外します
+   */
+  attachSource(audioContext, source) {
+    this.ownsContext = false;
+    this.audioContext = audioContext;
+    this.analyser = audioContext.createAnalyser();
+    this.analyser.fftSize = this.settings.fftSize;
+    this.analyser.smoothingTimeConstant = this.settings.smoothingTimeConstant;
+    this.source = source;
+    this.source.connect(this.analyser);
   }
 
   /**
    * BPM（テンポ）を分析する
    * @async
-   * @param {number} [duration=10000] - 分析時間（ミリ秒）デフォルトは10秒
-   * @returns {Promise<number>} 検出されたBPM値（整数）
+   * @param {number} [duration] - 分析時間（ミリ秒）。省略時は設定のanalysisSeconds
+   * @returns {Promise<{bpm: number, confidence: number, candidates: {bpm: number, score: number}[], beatOffset: number, beatAnchor: number}|null>}
+   * テンポ情報（BPMは小数第1位まで）。beatAnchorはビートが聞こえた時刻（エポックミリ秒）。周期性が見つからない場合はnull
    * @throws {Error} アナライザーが初期化されていない場合
-   * @description RMSエネルギーのピーク検出アルゴリズムを使用してBPMを計算します
+   * @throws {AnalysisError} 録音が無音またはレベル不足の場合（コードは'noAudio'|'lowLevel'）
+   * @description 指定時間だけPCMを録音し、オンセット強度エンベロープの自己相関からBPMと候補を計算します
    */
-  async analyzeBPM(duration = 10000) {
+  async analyzeBPM(duration = this.settings.analysisSeconds * 1000) {
     if (!this.analyser) {
-      throw new Error('オーディオアナライザーが初期化されていません');
+      throw new Error(I18n.getMessage('errorAnalyzerNotReady'));
     }
 
-    const bufferLength = this.analyser.frequencyBinCount;
-    const dataArray = new Uint8Array(bufferLength);
-    const sampleRate = this.audioContext.sampleRate;
-    const samples = [];
-    const startTime = Date.now();
-
-    return new Promise((resolve) => {
-      const collectSamples = () => {
-        if (Date.now() - startTime < duration) {
-          this.analyser.getByteTimeDomainData(dataArray);
-
-          // RMSエネルギーを計算
-          let sum = 0;
-          for (let i = 0; i < bufferLength; i++) {
-            const normalized = (dataArray[i] - 128) / 128;
-            sum += normalized * normalized;
-          }
-          const rms = Math.sqrt(sum / bufferLength);
-          samples.push(rms);
+    const pcm = await this.record(duration);
+    this.lastRecording = pcm;
+    this.lastChroma = null;
+    this.lastOnset = null;
+
+    const signalIssue = AnalysisCore.checkSignal(pcm);
+    if (signalIssue) {
+      throw new AnalysisError(signalIssue);
+    }
+
+    this.lastOnset = AnalysisCore.computeOnsetEnvelope(pcm, this.audioContext.sampleRate);
+    return this.addBeatAnchor(AnalysisCore.analyzeTempo(this.lastOnset, this.getAnalysisOptions()));
+  }
+
+  /**
+   * AnalysisCoreに渡す分析パラメーターを取得する
+   * @returns {{minBPM: number, maxBPM: number, keyProfile: string, chromaMinNote: number, chromaMaxNote: number}}
+   * テンポの探索範囲、キープロファイル、クロマグラムの音域
+   * @description アナライザーノードのfftSizeはクロマグラムのFFTサイズとは別のため渡しません
+   */
+  getAnalysisOptions() {
+    const { minBPM, maxBPM, keyProfile, chromaMinNote, chromaMaxNote } = this.settings;
+    return { minBPM, maxBPM, keyProfile, chromaMinNote, chromaMaxNote };
+  }
+
+  /**
+   * 推定したビートの位置を時刻に変換する
+   * @param {Object|null} tempo - AnalysisCore.analyzeBPMの戻り値
+   * @returns {Object|null} beatAnchor（エポックミリ秒）を加えたテンポ情報
+   * @description 録音の先頭のサンプル位置からビートのコンテキスト時刻を求め、getOutputTimestampで
+   * そのサンプルがスピーカーから出力される時刻に変換します。ポップアップやページなど別の文書でも
+   * Date.now()と比較してビートに合わせられます
+   */
+  addBeatAnchor(tempo) {
+    if (!tempo || this.recordedChunks.length === 0) {
+      return tempo;
+    }
+
+    const beatTime = this.recordedChunks[0].startFrame / this.audioContext.sampleRate + tempo.beatOffset;
+    const timestamp = this.audioContext.getOutputTimestamp();
+    tempo.beatAnchor = performance.timeOrigin + timestamp.performanceTime + (beatTime - timestamp.contextTime) * 1000;
+    return tempo;
+  }
+
+  /**
+   * 指定時間だけPCMを録音する
+   * @async
+   * @param {number} duration - 録音時間（ミリ秒）
+   * @returns {Promise<Float32Array>} 録音したモノラルPCM
+   */
+  async record(duration) {
+    await this.startRecording();
+    await new Promise(resolve => setTimeout(resolve, duration));
+    return this.stopRecording();
+  }
 
-          requestAnimationFrame(collectSamples);
+  /**
+   * PCMの録音を開始する
+   * @async
+   * @description AudioWorkletでソースノードをタップし、サンプル位置付きのPCMチャンクを蓄積します
+   */
+  async startRecording() {
+    // コンテンツスクリプトからも読み込めるよう拡張機能のURLで指定する
+    await this.audioContext.audioWorklet.addModule(chrome.runtime.getURL('recorder-worklet.js'));
+
+    this.recordedChunks = [];
+    this.recorder = new AudioWorkletNode(this.audioContext, 'pcm-recorder');
+    this.recorder.port.onmessage = (event) => {
+      this.recordedChunks.push(event.data);
+    };
+
+    // ワークレットが処理され続けるよう、無音のゲインノード経由で出力先に接続する
+    const mute = this.audioContext.createGain();
+    mute.gain.value = 0;
+    this.source.connect(this.recorder);
+    this.recorder.connect(mute);
+    mute.connect(this.audioContext.destination);
+  }
+
+  /**
+   * PCMの録音を停止する
+   * @returns {Float32Array} 録音したモノラルPCM
+   */
+  stopRecording() {
+    if (this.recorder) {
+      this.source.disconnect(this.recorder);
+      this.recorder.disconnect();
+      this.recorder.port.onmessage = null;
+      this.recorder = null;
+    }
+
+    return this.getRecordedPCM();
+  }
+
+  /**
+   * ライブ分析を開始する
+   * @async
+   * @param {Function} onUpdate - 推定のたびに{time, tempo, structure, keyData, chords, loudness, descriptors}を受け取る関数
+   * @description キャプチャを開いたまま録音を続け、一定間隔でスライディングウィンドウ内のテンポとキーを再推定します。
+   * timeは録音開始からの経過秒数です。ウィンドウの長さと間隔は設定のliveWindowSeconds・liveIntervalSecondsに従います。
+   * ウィンドウが無音またはレベル不足の場合は推定せず、{time, signalIssue}（'noAudio'|'lowLevel'）を渡します。
+   * 推定中にエラーが発生した場合は、同じエラーを繰り返さないようライブ分析を停止して{time, error}を渡します
+   */
+  async startLiveAnalysis(onUpdate) {
+    const { liveWindowSeconds: windowSeconds, liveIntervalSeconds: intervalSeconds } = this.settings;
+    await this.startRecording();
+
+    const sampleRate = this.audioContext.sampleRate;
+    const startTime = this.audioContext.currentTime;
+
+    this.liveTimer = setInterval(() => {
+      let update;
+      try {
+        this.trimRecording(windowSeconds);
+        const pcm = this.getRecordedPCM();
+        if (pcm.length < sampleRate * intervalSeconds) return; // 音声がまだ十分に溜まっていない
+
+        const time = this.audioContext.currentTime - startTime;
+        const signalIssue = AnalysisCore.checkSignal(pcm);
+        if (signalIssue) {
+          update = { time, signalIssue };
         } else {
-          const bpm = this.calculateBPMFromSamples(samples, sampleRate);
-          resolve(Math.round(bpm));
+          const onset = AnalysisCore.computeOnsetEnvelope(pcm, sampleRate);
+          const chroma = AnalysisCore.computeChromaFrames(pcm, sampleRate, this.getAnalysisOptions());
+          const { tempo, structure } = this.analyzeRhythm(onset, chroma);
+          const loudness = LoudnessMeter.analyze(this.getRecordedChannels(), sampleRate);
+          update = {
+            time: time,
+            tempo: this.addBeatAnchor(tempo),
+            structure: structure,
+            ...this.analyzeHarmony(chroma),
+            loudness: loudness,
+            descriptors: TrackDescriptors.analyze(pcm, sampleRate, onset, tempo, loudness)
+          };
         }
-      };
+      } catch (error) {
+        console.error('ライブ分析エラー:', error);
+        this.stopLiveAnalysis();
+        update = { time: this.audioContext.currentTime - startTime, error };
+      }
+      onUpdate(update);
+    }, intervalSeconds * 1000);
+  }
 
-      collectSamples();
-    });
+  /**
+   * ライブ分析を停止する
+   * @description タイマーを止めて録音を終了します
+   */
+  stopLiveAnalysis() {
+    if (this.liveTimer !== null) {
+      clearInterval(this.liveTimer);
+      this.liveTimer = null;
+    }
+    this.stopRecording();
   }
 
   /**
-   * サンプルデータからBPMを計算する
-   * @param {number[]} samples - RMSエネルギーのサンプル配列
-   * @param {number} sampleRate - オーディオのサンプルレート
-   * @returns {number} 計算されたBPM値
-   * @description ピーク検出アルゴリズムを使用してサンプルからBPMを算出します
-   * ピーク間の中央値間隔からBPMを計算し、60-180の範囲に正規化します
+   * 古い録音チャンクを破棄する
+   * @param {number} seconds - 残す直近の音声の長さ（秒）
+   * @description 先頭のチャンクを除いても指定した長さが残る間、古いチャンクから破棄します
    */
-  calculateBPMFromSamples(samples, sampleRate) {
-    // ピーク検出アルゴリズム
-    const peaks = [];
-    const threshold = this.calculateThreshold(samples);
-
-    for (let i = 1; i < samples.length - 1; i++) {
-      if (samples[i] > threshold &&
-          samples[i] > samples[i - 1] &&
-          samples[i] > samples[i + 1]) {
-        peaks.push(i);
-      }
+  trimRecording(seconds) {
+    const keepFrames = seconds * this.audioContext.sampleRate;
+    const lastChunk = this.recordedChunks[this.recordedChunks.length - 1];
+
+    while (this.recordedChunks.length > 1 &&
+           lastChunk.startFrame + lastChunk.samples.length - this.recordedChunks[1].startFrame >= keepFrames) {
+      this.recordedChunks.shift();
     }
+  }
 
-    if (peaks.length < 2) {
-      return 120; // 検出失敗時のデフォルトBPM
+  /**
+   * 録音済みのチャンクを1つのPCM配列にまとめる
+   * @param {Function} [getSamples] - チャンクからまとめるサンプルを取り出す関数。省略時はモノラル
+   * @returns {Float32Array} 録音したPCM
+   * @description 各チャンクをサンプル位置（startFrame）に従って配置します。欠落した区間は無音になります
+   */
+  getRecordedPCM(getSamples = chunk => chunk.samples) {
+    if (this.recordedChunks.length === 0) {
+      return new Float32Array(0);
     }
 
-    // ピーク間の間隔を計算
-    const intervals = [];
-    for (let i = 1; i < peaks.length; i++) {
-      intervals.push(peaks[i] - peaks[i - 1]);
+    const firstFrame = this.recordedChunks[0].startFrame;
+    const lastChunk = this.recordedChunks[this.recordedChunks.length - 1];
+    const pcm = new Float32Array(lastChunk.startFrame + lastChunk.samples.length - firstFrame);
+
+    for (const chunk of this.recordedChunks) {
+      pcm.set(getSamples(chunk), chunk.startFrame - firstFrame);
     }
 
-    // 中央値の間隔を取得
-    intervals.sort((a, b) => a - b);
-    const medianInterval = intervals[Math.floor(intervals.length / 2)];
+    return pcm;
+  }
 
-    // BPMに変換（サンプルは約60fpsで収集される）
-    const framesPerSecond = 60;
-    const secondsPerBeat = medianInterval / framesPerSecond;
-    const bpm = 60 / secondsPerBeat;
+  /**
+   * 録音済みのチャンクを左右のチャンネルごとのPCM配列にまとめる
+   * @returns {Float32Array[]} 録音した左右のチャンネルのPCM
+   */
+  getRecordedChannels() {
+    return [0, 1].map(channel => this.getRecordedPCM(chunk => chunk.channels[channel]));
+  }
 
-    // BPMを妥当な範囲(60-180)に収める
-    if (bpm < 60) return bpm * 2;
-    if (bpm > 180) return bpm / 2;
+  /**
+   * 音声ファイルをデコードする
+   * @async
+   * @param {Blob} file - ドロップまたは選択された音声ファイル、または取得したメディア（MP3/WAV/FLAC等）
+   * @returns {Promise<AudioBuffer>} デコード済みのオーディオバッファ
+   * @throws {Error} デコードに失敗した場合
+   * @description decodeAudioDataを使用してファイルをPCMデータに変換します
+   */
+  async decodeAudioFile(file) {
+    const arrayBuffer = await file.arrayBuffer();
+    // デコード専用のコンテキスト（長さは使用しないため最小値）
+    const decodeContext = new OfflineAudioContext(1, 1, 44100);
 
-    return bpm;
+    try {
+      return await decodeContext.decodeAudioData(arrayBuffer);
+    } catch (error) {
+      console.error('デコードエラー:', error);
+      throw new Error(I18n.getMessage('errorDecode'));
+    }
   }
 
   /**
-   * ピーク検出のための閾値を計算する
-   * @param {number[]} samples - サンプルデータの配列
-   * @returns {number} 閾値
-   * @description 平均値と標準偏差を使用して、ピーク検出のための閾値を計算します
+   * デコード済みのオーディオバッファからBPMとキーを分析する
+   * @async
+   * @param {AudioBuffer} audioBuffer - 分析するオーディオバッファ
+   * @returns {Promise<{tempo: Object|null, structure: Object|null, keyData: Object, chords: Object[], loudness: Object, descriptors: Object}>}
+   * 分析結果（analyzeBPM、analyzeStructure、analyzeKey、analyzeChords、analyzeLoudness、analyzeDescriptorsの戻り値）
+   * @description OfflineAudioContextでトラック全体を実時間より高速にモノラル・22.05kHzへレンダリングし、
+   * AnalysisCoreでBPMとキー、BeatStructureで拍子と楽節、ChordRecognitionでコード進行、TrackDescriptorsでエネルギー等を求めます。
+   * ラウドネスはレンダリング前の元のチャンネルとサンプルレートで計測します
+   * @throws {AnalysisError} トラックが無音またはレベル不足の場合（コードは'noAudio'|'lowLevel'）
    */
-  calculateThreshold(samples) {
-    const sum = samples.reduce((a, b) => a + b, 0);
-    const mean = sum / samples.length;
-    const variance = samples.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / samples.length;
-    const stdDev = Math.sqrt(variance);
-    return mean + stdDev * 1.5;
+  async analyzeAudioBuffer(audioBuffer) {
+    const sampleRate = AudioAnalyzer.OFFLINE_SAMPLE_RATE;
+    // モノラルの出力先にすることでステレオ音源をダウンミックスし、同時にリサンプリングする
+    const length = Math.ceil(audioBuffer.duration * sampleRate);
+    const offlineContext = new OfflineAudioContext(1, length, sampleRate);
+
+    const source = offlineContext.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(offlineContext.destination);
+    source.start(0);
+
+    const renderedBuffer = await offlineContext.startRendering();
+    const pcm = renderedBuffer.getChannelData(0);
+    const signalIssue = AnalysisCore.checkSignal(pcm);
+    if (signalIssue) {
+      throw new AnalysisError(signalIssue);
+    }
+
+    const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, channel) => audioBuffer.getChannelData(channel));
+
+    const onset = AnalysisCore.computeOnsetEnvelope(pcm, sampleRate);
+    const chroma = AnalysisCore.computeChromaFrames(pcm, sampleRate, this.getAnalysisOptions());
+    const { tempo, structure } = this.analyzeRhythm(onset, chroma);
+    const loudness = LoudnessMeter.analyze(channels, audioBuffer.sampleRate);
+
+    return {
+      tempo: tempo,
+      structure: structure,
+      ...this.analyzeHarmony(chroma),
+      loudness: loudness,
+      descriptors: TrackDescriptors.analyze(pcm, sampleRate, onset, tempo, loudness)
+    };
+  }
+
+  /**
+   * オンセット強度エンベロープからテンポと拍子・楽節を分析する
+   * @param {{envelope: Float32Array, frameRate: number, timeOffset: number}} onset - オンセット強度エンベロープ（AnalysisCore.computeOnsetEnvelopeの戻り値）
+   * @param {{frames: number[][], hopSeconds: number}} chroma - 同じPCMのフレームごとのクロマグラム
+   * @returns {{tempo: Object|null, structure: Object|null}} テンポ情報と拍子・楽節（BeatStructure.analyzeの戻り値）
+   * @description テンポ・拍子・楽節・エネルギー等の指標で同じオンセット強度エンベロープを使います
+   */
+  analyzeRhythm(onset, chroma) {
+    const tempo = AnalysisCore.analyzeTempo(onset, this.getAnalysisOptions());
+    return {
+      tempo: tempo,
+      structure: BeatStructure.analyze(onset, tempo, chroma)
+    };
+  }
+
+  /**
+   * クロマグラムからキーとコード進行を分析する
+   * @param {{frames: number[][], hopSeconds: number, tuning: number}} chroma - フレームごとのクロマグラム（AnalysisCore.computeChromaFramesの戻り値）
+   * @returns {{keyData: Object, chords: Object[]}} キー情報とコードの区間（ChordRecognition.recognizeの戻り値）
+   * @description キー・コード・拍子で同じフレームごとのクロマグラムを使い、FFTを1回で済ませます
+   */
+  analyzeHarmony(chroma) {
+    return {
+      keyData: AnalysisCore.detectKeyFromChromaFrames(chroma, this.getAnalysisOptions()),
+      chords: ChordRecognition.recognize(chroma.frames, chroma.hopSeconds)
+    };
   }
 
   /**
    * 音楽キーを分析する
    * @async
-   * @returns {Promise<{key: string, mode: string, camelot: string, fullName: string}>} キー情報オブジェクト
+   * @param {number} [duration] - 直前のanalyzeBPMの録音がない場合に録音する時間（ミリ秒）。省略時は設定のanalysisSeconds
+   * @returns {Promise<{key: string, mode: string, camelot: string, fullName: string, confidence: number, candidates: Object[], tuningCents: number}>} キー情報オブジェクト
    * @returns {string} key - 音名（C, D, E等）
    * @returns {string} mode - モード（major または minor）
    * @returns {string} camelot - Camelot記法（8B, 5A等）
    * @returns {string} fullName - フルネーム（C major, A minor等）
+   * @returns {number} confidence - 信頼度（0〜1）
+   * @returns {Object[]} candidates - 信頼度の高い順のキー候補
+   * @returns {number} tuningCents - A4=440Hzからのチューニングのずれ（セント）
    * @throws {Error} アナライザーが初期化されていない場合
-   * @description Krumhansl-Schmucklerアルゴリズムを使用して音楽キーを検出します
+   * @description Krumhansl-Schmucklerアルゴリズムを使用して、設定のキープロファイルで音楽キーを検出します。
+   * 1フレームのスペクトルではなく、分析区間全体で蓄積したクロマグラムを使用します。
+   * analyzeBPMの直後に呼ぶと、同じ録音を再利用します
    */
-  async analyzeKey() {
+  async analyzeKey(duration = this.settings.analysisSeconds * 1000) {
     if (!this.analyser) {
-      throw new Error('オーディオアナライザーが初期化されていません');
+      throw new Error(I18n.getMessage('errorAnalyzerNotReady'));
     }
 
-    const bufferLength = this.analyser.frequencyBinCount;
-    const dataArray = new Float32Array(bufferLength);
-
-    // 周波数データを収集
-    this.analyser.getFloatFrequencyData(dataArray);
-
-    // クロマグラムを計算（12ビンのピッチクラスプロファイル）
-    const chromagram = this.calculateChromagram(dataArray);
-
-    // ピッチクラスプロファイルを使用してキーを検出
-    const keyResult = this.detectKeyFromChromagram(chromagram);
-
-    return keyResult;
+    const pcm = this.lastRecording || await this.record(duration);
+    this.lastChroma = AnalysisCore.computeChromaFrames(pcm, this.audioContext.sampleRate, this.getAnalysisOptions());
+    return AnalysisCore.detectKeyFromChromaFrames(this.lastChroma, this.getAnalysisOptions());
   }
 
   /**
-   * クロマグラムを計算する
-   * @param {Float32Array} frequencyData - FFT周波数データ
-   * @returns {number[]} 12ビンのクロマグラム配列（0-11: C-B）
-   * @description 周波数データから12音のピッチクラスプロファイルを生成します
-   * 各周波数ビンを対応するピッチクラスにマッピングし、正規化します
+   * コード進行を分析する
+   * @async
+   * @param {number} [duration] - 直前の録音がない場合に録音する時間（ミリ秒）。省略時は設定のanalysisSeconds
+   * @returns {Promise<{start: number, end: number, root: number|null, quality: string}[]>} コードの区間（録音開始からの秒数）
+   * @throws {Error} アナライザーが初期化されていない場合
+   * @description analyzeKeyの直後に呼ぶと、同じクロマグラムを再利用します
    */
-  calculateChromagram(frequencyData) {
-    const chromagram = new Array(12).fill(0);
-    const sampleRate = this.audioContext.sampleRate;
-    const binSize = sampleRate / (this.analyser.fftSize * 2);
-
-    // 周波数ビンをピッチクラスにマッピング
-    for (let i = 0; i < frequencyData.length; i++) {
-      const frequency = i * binSize;
-      if (frequency < 60 || frequency > 4000) continue; // 音楽的な範囲に焦点を当てる
-
-      const magnitude = Math.pow(10, frequencyData[i] / 20); // dBから変換
-      const pitchClass = this.frequencyToPitchClass(frequency);
-      chromagram[pitchClass] += magnitude;
+  async analyzeChords(duration = this.settings.analysisSeconds * 1000) {
+    if (!this.analyser) {
+      throw new Error(I18n.getMessage('errorAnalyzerNotReady'));
     }
 
-    // 正規化
-    const max = Math.max(...chromagram);
-    return chromagram.map(val => max > 0 ? val / max : 0);
+    if (!this.lastChroma) {
+      const pcm = this.lastRecording || await this.record(duration);
+      this.lastChroma = AnalysisCore.computeChromaFrames(pcm, this.audioContext.sampleRate, this.getAnalysisOptions());
+    }
+    return ChordRecognition.recognize(this.lastChroma.frames, this.lastChroma.hopSeconds);
   }
 
   /**
-   * 周波数をピッチクラスに変換する
-   * @param {number} frequency - 周波数（Hz）
-   * @returns {number} ピッチクラス（0-11: C-B）
-   * @description 周波数をMIDIノート番号に変換し、12で割った余りでピッチクラスを取得します
+   * 拍子・ダウンビート・楽節の区切りを分析する
+   * @async
+   * @param {Object|null} tempo - analyzeBPMの戻り値（候補を選び直した場合はそのテンポ）
+   * @param {number} [duration] - 直前の録音がない場合に録音する時間（ミリ秒）。省略時は設定のanalysisSeconds
+   * @returns {Promise<Object|null>} BeatStructure.analyzeの戻り値（時刻は録音開始からの秒数）
+   * @throws {Error} アナライザーが初期化されていない場合
+   * @description analyzeBPMとanalyzeKeyの直後に呼ぶと、同じオンセット強度エンベロープとクロマグラムを再利用します。
+   * 既定の録音時間では楽節を区切れるほどの小節が無いため、楽節は主にトラック全体の分析で求まります
    */
-  frequencyToPitchClass(frequency) {
-    // 周波数をMIDIノート番号に変換
-    const midiNote = 12 * Math.log2(frequency / 440) + 69;
-    // ピッチクラス(0-11)を取得
-    return Math.round(midiNote) % 12;
+  async analyzeStructure(tempo, duration = this.settings.analysisSeconds * 1000) {
+    if (!this.analyser) {
+      throw new Error(I18n.getMessage('errorAnalyzerNotReady'));
+    }
+
+    const pcm = this.lastRecording || await this.record(duration);
+    const sampleRate = this.audioContext.sampleRate;
+    if (!this.lastOnset) {
+      this.lastOnset = AnalysisCore.computeOnsetEnvelope(pcm, sampleRate);
+    }
+    if (!this.lastChroma) {
+      this.lastChroma = AnalysisCore.computeChromaFrames(pcm, sampleRate, this.getAnalysisOptions());
+    }
+    return BeatStructure.analyze(this.lastOnset, tempo, this.lastChroma);
   }
 
   /**
-   * クロマグラムから音楽キーを検出する
-   * @param {number[]} chromagram - 12ビンのクロマグラム配列
-   * @returns {{key: string, mode: string, camelot: string, fullName: string}} キー情報
-   * @description Krumhansl-Schmucklerキー検出アルゴリズムを使用
-   * 24個の可能なキー（12メジャー + 12マイナー）を試して、最も相関の高いキーを選択します
+   * ラウドネスとピークを計測する
+   * @async
+   * @param {number} [duration] - 録音済みの音声がない場合に録音する時間（ミリ秒）。省略時は設定のanalysisSeconds
+   * @returns {Promise<Object>} LoudnessMeter.analyzeの戻り値（インテグレーテッド・ショートターム・モーメンタリーラウドネス、
+   * ラウドネスレンジ、サンプルピーク、トゥルーピーク、RMS、クレストファクター）
+   * @throws {Error} アナライザーが初期化されていない場合
+   * @description analyzeBPMの直後に呼ぶと、同じ録音のステレオのPCMを使います
    */
-  detectKeyFromChromagram(chromagram) {
-    // Krumhansl-Schmucklerキー検出アルゴリズム
-    // メジャーとマイナーのキープロファイル
-    const majorProfile = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
-    const minorProfile = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
-
-    let bestCorrelation = -Infinity;
-    let bestKey = 0;
-    let bestMode = 'major';
-
-    // 24個のキー（12メジャー + 12マイナー）を試す
-    for (let tonic = 0; tonic < 12; tonic++) {
-      // メジャーキー
-      const majorCorr = this.calculateCorrelation(chromagram, majorProfile, tonic);
-      if (majorCorr > bestCorrelation) {
-        bestCorrelation = majorCorr;
-        bestKey = tonic;
-        bestMode = 'major';
-      }
-
-      // マイナーキー
-      const minorCorr = this.calculateCorrelation(chromagram, minorProfile, tonic);
-      if (minorCorr > bestCorrelation) {
-        bestCorrelation = minorCorr;
-        bestKey = tonic;
-        bestMode = 'minor';
-      }
+  async analyzeLoudness(duration = this.settings.analysisSeconds * 1000) {
+    if (!this.analyser) {
+      throw new Error(I18n.getMessage('errorAnalyzerNotReady'));
     }
 
-    const noteName = AudioAnalyzer.NOTE_NAMES[bestKey];
-    const keyName = `${noteName} ${bestMode}`;
-    const camelot = AudioAnalyzer.CAMELOT_WHEEL[keyName] || '--';
-
-    return {
-      key: noteName,
-      mode: bestMode,
-      camelot: camelot,
-      fullName: keyName
-    };
+    if (this.recordedChunks.length === 0) {
+      await this.record(duration);
+    }
+    return LoudnessMeter.analyze(this.getRecordedChannels(), this.audioContext.sampleRate);
   }
 
   /**
-   * クロマグラムとキープロファイルの相関を計算する
-   * @param {number[]} chromagram - 12ビンのクロマグラム配列
-   * @param {number[]} profile - メジャーまたはマイナーのキープロファイル
-   * @param {number} rotation - 転回位置（0-11）
-   * @returns {number} 相関値
-   * @description 2つのベクトルの内積を計算して相関を求めます
+   * エネルギーと曲調の指標を計算する
+   * @async
+   * @param {Object|null} tempo - analyzeBPMの戻り値（候補を選び直した場合はそのテンポ）
+   * @param {Object|null} loudness - analyzeLoudnessの戻り値
+   * @param {number} [duration] - 直前の録音がない場合に録音する時間（ミリ秒）。省略時は設定のanalysisSeconds
+   * @returns {Promise<Object>} TrackDescriptors.analyzeの戻り値（エネルギー、ダンサビリティ、明るさ、打楽器らしさ）
+   * @throws {Error} アナライザーが初期化されていない場合
+   * @description analyzeBPMの直後に呼ぶと、同じ録音とオンセット強度エンベロープを再利用します
    */
-  calculateCorrelation(chromagram, profile, rotation) {
-    let sum = 0;
-    for (let i = 0; i < 12; i++) {
-      const chromaIndex = (i + rotation) % 12;
-      sum += chromagram[chromaIndex] * profile[i];
+  async analyzeDescriptors(tempo, loudness, duration = this.settings.analysisSeconds * 1000) {
+    if (!this.analyser) {
+      throw new Error(I18n.getMessage('errorAnalyzerNotReady'));
+    }
+
+    const pcm = this.lastRecording || await this.record(duration);
+    const sampleRate = this.audioContext.sampleRate;
+    if (!this.lastOnset) {
+      this.lastOnset = AnalysisCore.computeOnsetEnvelope(pcm, sampleRate);
     }
-    return sum;
+    return TrackDescriptors.analyze(pcm, sampleRate, this.lastOnset, tempo, loudness);
   }
 
   /**
    * リソースをクリーンアップする
-   * @description AudioContextとソースノードを切断・クローズしてリソースを解放します
+   * @description AudioContextとソースノードを切断・クローズし、キャプチャしたストリームを停止してリソースを解放します
    */
   cleanup() {
+    if (this.liveTimer !== null) {
+      this.stopLiveAnalysis();
+    }
+    if (this.recorder) {
+      this.stopRecording();
+    }
     if (this.source) {
-      this.source.disconnect();
+      if (this.ownsContext) {
+        this.source.disconnect();
+      } else {
+        this.source.disconnect(this.analyser);
+      }
     }
-    if (this.audioContext) {
+    if (this.audioContext && this.ownsContext) {
       this.audioContext.close();
     }
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
   }
 }
 
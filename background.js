@@ -1,51 +1,999 @@
 /**
  * バックグラウンドサービスワーカー
  * @file background.js
- * @description Chrome拡張機能のバックグラウンドプロセスを管理します
+ * @description Chrome拡張機能のバックグラウンドプロセスを管理します。
+ * タブ音声の分析ジョブを調整し、キャプチャと分析はオフスクリーンドキュメント（メディア要素のタップはコンテンツスクリプト）で実行します。
+ * 分析中のタブで曲が切り替わった場合は、新しい曲の分析ジョブに置き換えます。
+ * 最新の結果はツールバーのバッジと、分析中のタブのオーバーレイに表示します。
+ * キーボードショートカットでポップアップを開かずに分析を操作でき、分析が終わるとデスクトップ通知で結果を知らせます。
+ * 複数のタブは分析キューで1つずつ順に分析し、許可したサイトのタブは再生が始まると自動でキューに追加します
  */
 
+importScripts('key-notation.js', 'history-store.js', 'analysis-queue.js', 'settings.js', 'i18n.js', 'analysis-error.js');
+
+/** @type {string} オフスクリーンドキュメントのパス */
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+/** @type {string} ジョブを保存するchrome.storage.sessionのキー */
+const JOB_STORAGE_KEY = 'analysisJob';
+/** @type {string[]} 実行中とみなすジョブの状態 */
+const ACTIVE_JOB_STATUSES = ['capturing', 'analyzing', 'live'];
+/** @type {string[]} タップ分析のためにタブへ注入するスクリプト */
+const ANALYSIS_SCRIPTS = ['key-notation.js', 'analysis-core.js', 'chord-recognition.js', 'beat-structure.js', 'loudness-meter.js', 'track-descriptors.js', 'analysis-error.js', 'audio-analyzer.js'];
+/** @type {string[]} バッジとオーバーレイの表示に影響する設定 */
+const INDICATOR_SETTING_KEYS = ['language', 'keyNotation', 'badgeContent', 'showOverlay'];
+/** @type {string} バッジの既定の背景色 */
+const DEFAULT_BADGE_COLOR = '#667eea';
+/** @type {string} 通知のアイコン */
+const NOTIFICATION_ICON_PATH = 'icons/icon128.png';
+/** @type {Object.<string, string>} オフスクリーンドキュメントを作成する理由ごとの説明 */
+const OFFSCREEN_JUSTIFICATIONS = {
+  USER_MEDIA: 'ポップアップを閉じてもタブ音声のキャプチャと分析を続けるため',
+  CLIPBOARD: 'ショートカットで最後の結果をクリップボードにコピーするため'
+};
+
+/** @type {boolean} 分析キューの次のタブを開始している間はtrue */
+let processingQueue = false;
+/** @type {boolean} 開始の途中で分析キューの確認を求められた場合はtrue */
+let queueChanged = false;
+
 // 拡張機能インストール時の処理
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Music BPM & Key Analyzer拡張機能がインストールされました');
 });
 
-// コンテンツスクリプトまたはポップアップからのメッセージを処理
+// ポップアップとオフスクリーンドキュメントからのメッセージを処理
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'captureTab') {
-    handleTabCapture(sender.tab.id, sendResponse);
-    return true; // 非同期レスポンスのためにメッセージチャネルを開いたままにする
+  if (request.target === 'offscreen') return;
+
+  switch (request.action) {
+    case 'startAnalysis':
+      handleStartAnalysis(request, sendResponse);
+      return true; // 非同期レスポンスのためにメッセージチャネルを開いたままにする
+    case 'stopAnalysis':
+      stopAnalysis().then(() => sendResponse({ success: true }));
+      return true;
+    case 'getJob':
+      getJob().then(job => sendResponse({ job }));
+      return true;
+    case 'getQueue':
+      AnalysisQueue.getAll().then(items => sendResponse({ items }));
+      return true;
+    case 'enqueueAudibleTabs':
+      enqueueAudibleTabs().then(items => sendResponse({ items }));
+      return true;
+    case 'clearQueue':
+      AnalysisQueue.clearFinished().then(publishQueue).then(items => sendResponse({ items }));
+      return true;
+    case 'setFollow':
+      handleSetFollow(request.follow).then(() => sendResponse({ success: true }));
+      return true;
+    case 'jobUpdate':
+      handleJobUpdate(request.job).catch(error => console.error('ジョブの更新に失敗しました:', error));
+      break;
+    case 'trackChanged':
+      if (sender.tab) {
+        handleTrackChanged(sender.tab.id, request.track).catch(error => console.error('曲の切り替えの処理に失敗しました:', error));
+      }
+      break;
+    case 'getOverlayState':
+      if (sender.tab) {
+        getOverlayState(sender.tab.id).then(state => sendResponse({ state }));
+        return true;
+      }
+      break;
+  }
+});
+
+// キーボードショートカットを処理（タブはショートカットを押したときのアクティブなタブ）
+chrome.commands.onCommand.addListener((command, tab) => {
+  handleCommand(command, tab);
+});
+
+// 分析の完了通知をクリックしたら、分析したタブを前面に表示する
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  chrome.notifications.clear(notificationId);
+  const job = await getJob();
+  if (!job || job.id !== notificationId) {
+    return;
+  }
+
+  try {
+    const tab = await chrome.tabs.update(job.tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  } catch (error) {
+    // タブが閉じられている場合は何もしない
+  }
+});
+
+// 表示設定が変わったらバッジとオーバーレイを描き直す
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'sync' || !INDICATOR_SETTING_KEYS.some(name => name in changes)) {
+    return;
+  }
+
+  const job = await getJob();
+  if (job) {
+    await updateIndicators(job);
   }
 });
 
 /**
- * タブの音声キャプチャを処理する
+ * ポップアップからの分析の開始を処理する
  * @async
- * @function handleTabCapture
- * @param {number} tabId - キャプチャするタブのID
+ * @function handleStartAnalysis
+ * @param {Object} request - startAnalysisに渡す内容
  * @param {Function} sendResponse - レスポンスを送信する関数
- * @description 指定されたタブの音声をキャプチャします
  */
-async function handleTabCapture(tabId, sendResponse) {
+async function handleStartAnalysis(request, sendResponse) {
+  try {
+    const job = await startAnalysis(request);
+    sendResponse({ success: true, job: job });
+  } catch (error) {
+    console.error('分析開始エラー:', error);
+    sendResponse({ success: false, error: error.message, errorCode: error.code || null });
+  }
+}
+
+/**
+ * 分析ジョブを開始する
+ * @async
+ * @function startAnalysis
+ * @param {{tabId: number, live: boolean, follow: boolean, media?: {id: number, method: string, src: string, label: string, duration: number|null}}} request
+ * 分析するタブのID、ライブモニタリングの有無、曲の切り替えで再分析するかどうか、ページのメディア要素を分析する場合はその要素と方法
+ * @param {boolean} [replace=false] - 実行中の分析を止めて置き換える場合はtrue（falseの場合は実行中ならエラー）
+ * @returns {Promise<Object>} 開始したジョブ
+ * @throws {Error} 分析の実行中にreplaceせずに開始した場合
+ * @throws {AnalysisError} キャプチャできないページの場合、またはキャプチャを開始できない場合
+ * @description タブ音声の分析とメディアのデコード（method: 'decode'）はオフスクリーンドキュメントに、
+ * メディア要素のタップ（method: 'tap'）はタブのコンテンツスクリプトに依頼します
+ */
+async function startAnalysis(request, replace = false) {
+  // エラーとジョブの状態のメッセージを設定の表示言語にするため、先に設定を読み込む
+  const [current, settings] = await Promise.all([getJob(), loadSettings()]);
+  const running = current && ACTIVE_JOB_STATUSES.includes(current.status);
+  if (running && !replace) {
+    throw new Error(I18n.getMessage('errorAnalysisRunning'));
+  }
+
+  const tab = await chrome.tabs.get(request.tabId);
+  if (AnalysisError.isRestrictedUrl(tab.url)) {
+    throw new AnalysisError('restrictedPage');
+  }
+
+  const media = request.media || null;
+  const [track, protectedMedia] = media ? [null, false] : await Promise.all([requestTrack(tab.id), hasProtectedMedia(tab.id)]);
+  const job = createJob(tab, {
+    live: Boolean(request.live) && !media,
+    follow: Boolean(request.follow) && !media,
+    media,
+    track,
+    protectedMedia,
+    settings
+  });
+
+  if (running) {
+    // 先に新しいジョブを保存し、停止したジョブの最終状態で新しいジョブが上書きされないようにする
+    await saveJob(job);
+    await requestStop(current);
+  }
+  await launchJob(job);
+  if (current && current.tabId !== job.tabId) {
+    // 前に分析したタブのオーバーレイを取り除く
+    chrome.tabs.sendMessage(current.tabId, { action: 'overlayUpdate', state: null }).catch(() => {});
+  }
+  return job;
+}
+
+/**
+ * 分析ジョブを作成する
+ * @function createJob
+ * @param {chrome.tabs.Tab} tab - 分析するタブ
+ * @param {{live: boolean, follow: boolean, media: Object|null, track: Object|null, protectedMedia?: boolean, settings: Object}} options - ライブモニタリングの有無、
+ * 曲の切り替えで再分析するかどうか、分析するメディア要素、再生中の曲の情報、DRMで保護されたメディアを再生中かどうか、保存されている設定
+ * @returns {Object} 状態が'capturing'のジョブ
+ * @description 曲の情報がある場合は、タブのタイトルの代わりに曲名とアーティストを結果のラベルにします。
+ * follow: trueのジョブは、曲が切り替わると新しいジョブに置き換えられます。
+ * オフスクリーンドキュメントはchrome.storageを使えないため、分析パラメーターはジョブに含めて渡します
+ */
+function createJob(tab, { live, follow, media, track, protectedMedia = false, settings }) {
+  let title = tab.title;
+  if (media) {
+    title = `${tab.title} - ${media.label}`;
+  } else if (track && track.title) {
+    title = track.title;
+  }
+
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    tabId: tab.id,
+    live: live,
+    media: media,
+    track: track,
+    follow: follow,
+    protectedMedia: protectedMedia,
+    settings: Settings.getAnalysisSettings(settings),
+    status: 'capturing',
+    message: media ? I18n.getMessage('statusPreparingMedia', media.label) : I18n.getMessage('statusCapturing'),
+    source: {
+      title: title,
+      artist: track ? track.artist : '',
+      album: track ? track.album : '',
+      url: tab.url,
+      favIconUrl: tab.favIconUrl
+    },
+    result: null,
+    timeline: [],
+    historyId: null,
+    error: null,
+    errorCode: null,
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * 作成したジョブを保存して分析を始める
+ * @async
+ * @function launchJob
+ * @param {Object} job - createJobで作成したジョブ
+ * @description タブ音声の分析とメディアのデコード（method: 'decode'）はオフスクリーンドキュメントに、
+ * メディア要素のタップ（method: 'tap'）はタブのコンテンツスクリプトに依頼します。
+ * どちらも拡張機能のファイルから言語を切り替えられないため、読み込み済みのメッセージを一緒に渡します
+ * @throws {AnalysisError} タブ音声のキャプチャを開始できない場合
+ */
+async function launchJob(job) {
+  if (job.media && job.media.method === 'tap') {
+    await injectAnalysisScripts(job.tabId);
+    await saveJob(job);
+    await chrome.tabs.sendMessage(job.tabId, { action: 'tapMedia', mediaId: job.media.id, job: job, messages: I18n.messages, language: I18n.language });
+  } else {
+    let streamId = null;
+    if (!job.media) {
+      try {
+        streamId = await chrome.tabCapture.getMediaStreamId({ targetTabId: job.tabId });
+      } catch (error) {
+        throw AnalysisError.fromCaptureError(error, job.source.url);
+      }
+    }
+    await ensureOffscreenDocument();
+    await saveJob(job);
+    await chrome.runtime.sendMessage({ target: 'offscreen', action: 'start', streamId: streamId, job: job, messages: I18n.messages, language: I18n.language });
+  }
+}
+
+/**
+ * タブでDRMで保護されたメディアを再生中かどうかを調べる
+ * @async
+ * @function hasProtectedMedia
+ * @param {number} tabId - タブのID
+ * @returns {Promise<boolean>} 保護されたメディア要素が再生中の場合はtrue（調べられない場合はfalse）
+ * @description 保護されたメディアはキャプチャした音声が無音になる場合があるため、無音で失敗したときの理由の判別に使います
+ */
+async function hasProtectedMedia(tabId) {
   try {
-    const stream = await chrome.tabCapture.capture({
-      audio: true,
-      video: false
+    const response = await chrome.tabs.sendMessage(tabId, { action: 'listMedia' });
+    return response.elements.some(element => element.tapBlocker === 'encrypted' && !element.paused);
+  } catch (error) {
+    // コンテンツスクリプトが動作しないページ
+    return false;
+  }
+}
+
+/**
+ * タブで再生中の曲の情報を取得する
+ * @async
+ * @function requestTrack
+ * @param {number} tabId - タブのID
+ * @returns {Promise<Object|null>} コンテンツスクリプトのgetCurrentTrackの戻り値。取得できない場合はnull
+ */
+async function requestTrack(tabId) {
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { action: 'getTrack' });
+    return response.track;
+  } catch (error) {
+    // コンテンツスクリプトが動作しないページ（chrome://等）
+    return null;
+  }
+}
+
+/**
+ * 分析中のタブで曲が切り替わったときの処理
+ * @async
+ * @function handleTrackChanged
+ * @param {number} tabId - 曲が切り替わったタブのID
+ * @param {Object} track - 新しい曲の情報
+ * @description 実行中または完了したタブ音声の分析を、新しい曲の分析ジョブに置き換えます。
+ * ユーザーが停止したジョブと失敗したジョブは追跡しません。
+ * 分析の開始時に曲の情報が無かった場合は、ラベルだけを更新して分析を続けます
+ */
+async function handleTrackChanged(tabId, track) {
+  const current = await getJob();
+  if (!isFollowingTrack(current) || current.tabId !== tabId) {
+    return;
+  }
+  // ページの再読み込みでコンテンツスクリプトが作り直された場合に備えて、監視を再開させる
+  sendTrackWatch(tabId, true);
+  if (current.track && current.track.signature === track.signature) {
+    return;
+  }
+
+  const active = ACTIVE_JOB_STATUSES.includes(current.status);
+  if (!current.track && active) {
+    await handleJobUpdate({
+      ...current,
+      track: track,
+      source: { ...current.source, title: track.title || current.source.title, artist: track.artist, album: track.album }
     });
+    return;
+  }
 
-    if (stream) {
-      sendResponse({ success: true, stream: stream });
-    } else {
-      sendResponse({ success: false, error: 'タブの音声をキャプチャできませんでした' });
+  const tab = await chrome.tabs.get(tabId);
+  const [protectedMedia, settings] = await Promise.all([hasProtectedMedia(tabId), loadSettings()]);
+  const job = createJob(tab, { live: current.live, follow: true, media: null, track, protectedMedia, settings });
+
+  // 先に新しいジョブを保存し、停止したジョブの最終状態でオフスクリーンドキュメントが閉じられないようにする
+  await saveJob(job);
+  await publishJob(job);
+  if (active) {
+    // 同じタブを2重にキャプチャできないため、前の曲のキャプチャを止めてから新しいストリームIDを取得する
+    await requestStop(current);
+  }
+
+  try {
+    await launchJob(job);
+  } catch (error) {
+    console.error('再分析の開始エラー:', error);
+    await handleJobUpdate({ ...job, status: 'error', message: I18n.getMessage('statusFailed'), error: error.message, errorCode: error.code || null });
+  }
+}
+
+/**
+ * 曲の切り替えで再分析するかどうかを変更する
+ * @async
+ * @function handleSetFollow
+ * @param {boolean} follow - 再分析する場合はtrue
+ * @description 保存されたジョブにも反映し、完了した分析の後の追跡もポップアップから止められるようにします
+ */
+async function handleSetFollow(follow) {
+  const current = await getJob();
+  if (current && !current.media) {
+    await saveJob({ ...current, follow: follow });
+  }
+}
+
+/**
+ * 実行中の分析ジョブを停止する
+ * @async
+ * @function stopAnalysis
+ * @description 分析を実行している側が既に無い場合（タブが閉じられた等）は、保存されたジョブを停止状態にします
+ */
+async function stopAnalysis() {
+  const [current] = await Promise.all([getJob(), loadSettings()]);
+  if (current && ACTIVE_JOB_STATUSES.includes(current.status) && !await requestStop(current)) {
+    await handleJobUpdate({ ...current, status: 'stopped', message: I18n.getMessage('statusStopped') });
+  }
+}
+
+/**
+ * ジョブを実行している側に停止を依頼する
+ * @async
+ * @function requestStop
+ * @param {Object} job - 停止するジョブ
+ * @returns {Promise<boolean>} 依頼できた場合はtrue。実行している側が無い場合はfalse
+ * @description 停止したジョブの最終状態は、実行している側からjobUpdateで届きます
+ */
+async function requestStop(job) {
+  if (job.media && job.media.method === 'tap') {
+    try {
+      await chrome.tabs.sendMessage(job.tabId, { action: 'stopMedia' });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+  if (await hasOffscreenDocument()) {
+    await chrome.runtime.sendMessage({ target: 'offscreen', action: 'stop' });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * キーボードショートカットを処理する
+ * @async
+ * @function handleCommand
+ * @param {string} command - manifest.jsonのcommandsのキー（'toggle-analysis'|'toggle-live'|'copy-result'）
+ * @param {chrome.tabs.Tab} [tab] - ショートカットを押したときのアクティブなタブ
+ * @description ショートカットでの操作はポップアップに結果が表示されないため、エラーは通知で知らせます。
+ * ライブモニタリングの切り替えでは、実行中の単発の分析をライブモニタリングに置き換えます
+ */
+async function handleCommand(command, tab) {
+  try {
+    const [current, settings] = await Promise.all([getJob(), loadSettings()]);
+    const running = current && ACTIVE_JOB_STATUSES.includes(current.status);
+
+    switch (command) {
+      case 'toggle-analysis':
+        if (running) {
+          await stopAnalysis();
+        } else if (tab) {
+          await startAnalysis({ tabId: tab.id, live: false, follow: settings.followTracks });
+        }
+        break;
+      case 'toggle-live':
+        if (running && current.live) {
+          await stopAnalysis();
+        } else if (tab) {
+          await startAnalysis({ tabId: tab.id, live: true, follow: settings.followTracks }, true);
+        }
+        break;
+      case 'copy-result':
+        await copyResult(current);
+        break;
     }
   } catch (error) {
-    sendResponse({ success: false, error: error.message });
+    console.error('ショートカットの実行エラー:', error);
+    await showNotification('command', I18n.getMessage('extName'), error.message, AnalysisError.getHint(error.code));
   }
 }
 
-// 音声再生を検出するためにタブの更新をリッスン
+/**
+ * 最後の結果をクリップボードにコピーする
+ * @async
+ * @function copyResult
+ * @param {Object|null} job - 最後のジョブ
+ * @throws {Error} コピーできなかった場合
+ * @description サービスワーカーはクリップボードを使えないため、オフスクリーンドキュメントでコピーします。
+ * コピーのために作成したドキュメントは、その間に分析が始まっていなければ閉じます
+ */
+async function copyResult(job) {
+  if (!job || !job.result) {
+    await showNotification('command', I18n.getMessage('extName'), I18n.getMessage('notificationNoResult'));
+    return;
+  }
+
+  const text = `${job.source.title} - ${formatResult(job.result)}`;
+  const created = !await hasOffscreenDocument();
+  await ensureOffscreenDocument('CLIPBOARD');
+  const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'copy', text: text });
+
+  const latest = await getJob();
+  if (created && !(latest && ACTIVE_JOB_STATUSES.includes(latest.status))) {
+    await chrome.offscreen.closeDocument();
+  }
+  if (!response || !response.success) {
+    throw new Error(I18n.getMessage('errorCopy'));
+  }
+  await showNotification('command', I18n.getMessage('notificationCopied'), text);
+}
+
+/**
+ * オフスクリーンドキュメントまたはコンテンツスクリプトからのジョブの更新を処理する
+ * @async
+ * @function handleJobUpdate
+ * @param {Object} job - 更新されたジョブ
+ * @description 結果が確定したら履歴に保存し、ジョブを保存してポップアップに通知します。
+ * ジョブが終了した場合はオフスクリーンドキュメントを閉じます。
+ * 曲の切り替えで置き換えられたジョブは、履歴への保存だけを行います
+ */
+async function handleJobUpdate(job) {
+  const finished = !ACTIVE_JOB_STATUSES.includes(job.status);
+  const current = await getJob();
+  const superseded = current && current.id !== job.id;
+
+  // 単発の分析は完了時、ライブモニタリングは停止時点の推定を履歴に残す
+  if (finished && job.result && !job.historyId && (job.status === 'complete' || job.live)) {
+    try {
+      const entry = await HistoryStore.add(HistoryStore.createEntry(job.result, {
+        source: job.live ? 'live' : 'tab',
+        ...job.source
+      }));
+      job.historyId = entry.id;
+    } catch (error) {
+      console.error('履歴の保存に失敗しました:', error);
+    }
+  }
+
+  if (finished) {
+    await settleQueueItem(job, superseded);
+  }
+  if (superseded) {
+    return;
+  }
+
+  await saveJob(job);
+  await publishJob(job);
+
+  if (finished && await hasOffscreenDocument()) {
+    await chrome.offscreen.closeDocument();
+  }
+  if (finished && current && ACTIVE_JOB_STATUSES.includes(current.status)) {
+    await notifyJobFinished(job);
+  }
+  if (finished) {
+    await processQueue();
+  }
+}
+
+/**
+ * 終了したジョブの結果を分析キューに記録する
+ * @async
+ * @function settleQueueItem
+ * @param {Object} job - 終了したジョブ
+ * @param {boolean} superseded - 別のジョブに置き換えられたジョブの場合はtrue
+ * @description ユーザーがキューのタブの分析を停止した場合は、待機中のタブも取り消します
+ */
+async function settleQueueItem(job, superseded) {
+  let items = await AnalysisQueue.settle(job);
+  if (items && job.status === 'stopped' && !superseded) {
+    items = await AnalysisQueue.cancelPending();
+  }
+  publishQueue(items);
+}
+
+/**
+ * 分析キューの次のタブを分析する
+ * @async
+ * @function processQueue
+ * @description 実行中の分析がある場合は、そのジョブが終了したときに呼び直されます。
+ * 開始の途中で呼ばれた場合（再生の開始とジョブの終了が重なった等）は、2重に開始しないよう開始後に確認し直します
+ */
+async function processQueue() {
+  if (processingQueue) {
+    queueChanged = true;
+    return;
+  }
+
+  processingQueue = true;
+  try {
+    do {
+      queueChanged = false;
+      await startNextQueueItem();
+    } while (queueChanged);
+  } finally {
+    processingQueue = false;
+  }
+}
+
+/**
+ * 分析キューの待機中のタブを1つ分析し始める
+ * @async
+ * @function startNextQueueItem
+ * @description 分析を開始できなかったタブはエラーにして、次の待機中のタブに進みます
+ */
+async function startNextQueueItem() {
+  const current = await getJob();
+  if (current && ACTIVE_JOB_STATUSES.includes(current.status)) {
+    return;
+  }
+
+  let item;
+  while ((item = (await AnalysisQueue.getAll()).find(existing => existing.status === 'pending'))) {
+    // ジョブの終了をタブIDで記録できるよう、開始する前に分析中にする
+    publishQueue(await AnalysisQueue.update(item.tabId, { status: 'running' }, ['pending']));
+    try {
+      const media = await findPlayingMedia(item.tabId);
+      await startAnalysis({ tabId: item.tabId, live: false, follow: false, media });
+      return;
+    } catch (error) {
+      console.error('キューの分析開始エラー:', error);
+      publishQueue(await AnalysisQueue.update(item.tabId, { status: 'error', error: error.message, errorCode: error.code || null }, ['running']));
+    }
+  }
+}
+
+/**
+ * 音声を再生中のすべてのタブを分析キューに追加する
+ * @async
+ * @function enqueueAudibleTabs
+ * @returns {Promise<Object[]>} 追加後のキューの項目
+ */
+async function enqueueAudibleTabs() {
+  await loadSettings();
+  const tabs = await chrome.tabs.query({ audible: true });
+  publishQueue(await AnalysisQueue.add(tabs.map(tab => AnalysisQueue.createItem(tab, { trigger: 'manual' }))));
+  await processQueue();
+  return AnalysisQueue.getAll();
+}
+
+/**
+ * 再生が始まったタブを自動分析する
+ * @async
+ * @function handleTabAudible
+ * @param {chrome.tabs.Tab} tab - 音声の再生が始まったタブ
+ * @description 自動分析が有効で、許可したサイトのタブだけをキューに追加します。
+ * 曲の識別子（無い場合はURL）が前回と同じタブは、AnalysisQueue.addが追加しません。
+ * 続けて呼ばれても2重に追加しないよう、前回の項目との比較はキューの書き込みの中で行います
+ */
+async function handleTabAudible(tab) {
+  const settings = await loadSettings();
+  if (!Settings.isAutoAnalyzeSite(settings, tab.url)) {
+    return;
+  }
+
+  const track = await requestTrack(tab.id);
+  const signature = track ? track.signature : tab.url;
+  const current = await getJob();
+  if (current && current.tabId === tab.id && ACTIVE_JOB_STATUSES.includes(current.status)) {
+    return;
+  }
+
+  publishQueue(await AnalysisQueue.add([AnalysisQueue.createItem(tab, { trigger: 'auto', signature })]));
+  await processQueue();
+}
+
+/**
+ * タブで再生中のメディア要素を探す
+ * @async
+ * @function findPlayingMedia
+ * @param {number} tabId - タブのID
+ * @returns {Promise<{id: number, method: string, src: string, label: string, duration: number|null}>} 分析する要素と方法
+ * @throws {Error} 再生中のメディア要素が無い場合
+ * @throws {AnalysisError} DRMで保護された要素しか再生していない場合（protectedContent）
+ * @description タブ音声のキャプチャはユーザーが拡張機能を操作したタブでしか許可されないため、キューではページのメディア要素を分析します。
+ * HTTP(S)で取得できるメディアはトラック全体をデコードし、MediaSourceのblob: URL等の同じオリジンの要素はタップします。
+ * DRMで保護された要素は、タップすると無音になり再生音も消えてしまうため選びません
+ */
+async function findPlayingMedia(tabId) {
+  let elements = [];
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { action: 'listMedia' });
+    elements = response.elements;
+  } catch (error) {
+    // コンテンツスクリプトが動作しないページ（chrome://等、拡張機能の読み込み前から開いているタブ）
+  }
+
+  const playing = elements.filter(element => !element.paused);
+  // クロスオリジンの要素はHTTP(S)のメディアなのでデコードできる。DRMで保護された要素はデコードしても復号できない
+  const analyzable = playing.filter(element => element.tapBlocker !== 'encrypted');
+  const media = analyzable.find(element => !element.muted) || analyzable[0];
+  if (playing.length > 0 && !media) {
+    throw new AnalysisError('protectedContent');
+  }
+  if (!media) {
+    throw new Error(I18n.getMessage('errorNoPlayingMedia'));
+  }
+
+  return {
+    id: media.id,
+    method: /^https?:/.test(media.src) ? 'decode' : 'tap',
+    src: media.src,
+    label: media.label,
+    duration: media.duration
+  };
+}
+
+/**
+ * タブが閉じられたときの処理
+ * @async
+ * @function handleTabRemoved
+ * @param {number} tabId - 閉じられたタブのID
+ * @description タブ内で実行していたタップ分析は終了を知らせられないため、ジョブを失敗にして分析キューを先に進めます
+ */
+async function handleTabRemoved(tabId) {
+  const [current] = await Promise.all([getJob(), loadSettings()]);
+  if (current && current.tabId === tabId && current.media && current.media.method === 'tap' &&
+      ACTIVE_JOB_STATUSES.includes(current.status)) {
+    await handleJobUpdate({ ...current, status: 'error', message: I18n.getMessage('statusFailed'), error: I18n.getMessage('errorMediaNotFound') });
+  }
+  publishQueue(await AnalysisQueue.remove(tabId));
+}
+
+/**
+ * 分析キューの状態をポップアップに知らせる
+ * @function publishQueue
+ * @param {Object[]|null} items - キューのすべての項目（nullの場合は何もしない）
+ * @returns {Object[]|null} 受け取った項目
+ */
+function publishQueue(items) {
+  if (items) {
+    // ポップアップが閉じている場合は受信側が無いため、送信エラーは無視する
+    chrome.runtime.sendMessage({ action: 'queueState', items: items }).catch(() => {});
+  }
+  return items;
+}
+
+/**
+ * 分析の完了または失敗を通知する
+ * @async
+ * @function notifyJobFinished
+ * @param {Object} job - 終了したジョブ
+ * @description ユーザーが停止したジョブは通知しません。通知のIDはジョブのIDで、クリックすると分析したタブを表示します
+ */
+async function notifyJobFinished(job) {
+  const settings = await loadSettings();
+  if (!settings.notifyOnComplete) {
+    return;
+  }
+
+  if (job.status === 'error') {
+    const hint = AnalysisError.getHint(job.errorCode);
+    await showNotification(job.id, I18n.getMessage('statusFailed'), [job.error, hint].filter(Boolean).join('\n'), job.source.title);
+  } else if (job.status === 'complete' && job.result) {
+    await showNotification(job.id, job.source.title || I18n.getMessage('extName'), formatResult(job.result), job.message);
+  }
+}
+
+/**
+ * デスクトップ通知を表示する
+ * @async
+ * @function showNotification
+ * @param {string} id - 通知のID（同じIDの通知は置き換える）
+ * @param {string} title - タイトル
+ * @param {string} message - 本文
+ * @param {string} [contextMessage=''] - 本文の下に小さく表示する補足
+ */
+async function showNotification(id, title, message, contextMessage = '') {
+  try {
+    await chrome.notifications.create(id, {
+      type: 'basic',
+      iconUrl: NOTIFICATION_ICON_PATH,
+      title: title,
+      message: message,
+      contextMessage: contextMessage
+    });
+  } catch (error) {
+    console.error('通知の表示エラー:', error);
+  }
+}
+
+/**
+ * ジョブの状態をポップアップ・バッジ・オーバーレイに反映する
+ * @async
+ * @function publishJob
+ * @param {Object} job - 反映するジョブ
+ */
+async function publishJob(job) {
+  // ポップアップが閉じている場合は受信側が無いため、送信エラーは無視する
+  chrome.runtime.sendMessage({ action: 'jobState', job: job }).catch(() => {});
+  await updateIndicators(job);
+}
+
+/**
+ * ツールバーのバッジとページのオーバーレイを更新する
+ * @async
+ * @function updateIndicators
+ * @param {Object} job - 表示するジョブ
+ * @description バッジにはBPMまたはキーを、Camelot番号に対応する色で表示します。
+ * 停止後も最後の結果を残し、次の分析を始めるまで表示し続けます
+ */
+async function updateIndicators(job) {
+  const settings = await loadSettings();
+  const active = ACTIVE_JOB_STATUSES.includes(job.status);
+  let text = '';
+  let color = DEFAULT_BADGE_COLOR;
+  let title = I18n.getMessage('extName');
+
+  if (job.status === 'error') {
+    text = '!';
+    color = '#e53e3e';
+    title = `${title}\n${job.error}`;
+  } else if (job.result) {
+    const { tempo, keyData } = job.result;
+    text = settings.badgeContent === 'bpm'
+      ? (tempo ? String(Math.round(tempo.bpm)) : '--')
+      : formatBadgeKey(keyData, settings.keyNotation);
+    color = KeyNotation.getCamelotRGB(keyData.camelot);
+    title = `${job.source.title}\n${formatResult(job.result)}`;
+  } else if (active) {
+    text = '…';
+  }
+
+  await chrome.action.setBadgeText({ text });
+  await chrome.action.setBadgeBackgroundColor({ color });
+  await chrome.action.setBadgeTextColor({ color: '#ffffff' });
+  await chrome.action.setTitle({ title });
+
+  // コンテンツスクリプトが動作しないタブ、または閉じられたタブへの送信エラーは無視する
+  const state = settings.showOverlay ? createOverlayState(job, settings.keyNotation) : null;
+  chrome.tabs.sendMessage(job.tabId, { action: 'overlayUpdate', state: state }).catch(() => {});
+}
+
+/**
+ * 結果を1行の文字列に整形する
+ * @function formatResult
+ * @param {{tempo: Object|null, keyData: Object}} result - ジョブの結果
+ * @returns {string} 「128.0 BPM · A minor (8A)」の形式の文字列（バッジのツールチップ・通知・コピーに使います）
+ */
+function formatResult(result) {
+  const { tempo, keyData } = result;
+  return `${tempo ? `${tempo.bpm.toFixed(1)} BPM` : 'BPM --'} · ${keyData.fullName} (${keyData.camelot})`;
+}
+
+/**
+ * バッジに収まる長さでキーを整形する
+ * @function formatBadgeKey
+ * @param {{key: string, mode: string, camelot: string, openKey: string, fullName: string}} keyData - キー情報
+ * @param {string} notation - 表記法（'camelot'|'openKey'|'standard'）
+ * @returns {string} 最大4文字程度のキー（標準表記はAm、F#等）
+ */
+function formatBadgeKey(keyData, notation) {
+  if (notation === 'standard') {
+    return `${keyData.key}${keyData.mode === 'minor' ? 'm' : ''}`;
+  }
+  return KeyNotation.format(keyData, notation);
+}
+
+/**
+ * オーバーレイに表示する内容を作成する
+ * @function createOverlayState
+ * @param {Object} job - 表示するジョブ
+ * @param {string} notation - キーの表記法
+ * @returns {{active: boolean, title: string, message: string, bpm: number|null, beatAnchor: number|null, key: string|null, keyName: string, color: string|null, closeLabel: string}}
+ * コンテンツスクリプトがそのまま描画できる表示内容（文言は設定の表示言語）
+ */
+function createOverlayState(job, notation) {
+  const result = job.result;
+
+  return {
+    active: ACTIVE_JOB_STATUSES.includes(job.status),
+    title: job.source.title,
+    message: job.status === 'error' ? job.error : job.message,
+    bpm: result && result.tempo ? result.tempo.bpm : null,
+    beatAnchor: result && result.tempo && result.tempo.beatAnchor ? result.tempo.beatAnchor : null,
+    key: result ? KeyNotation.format(result.keyData, notation) : null,
+    keyName: result ? result.keyData.fullName : '',
+    color: result ? KeyNotation.getCamelotColor(result.keyData.camelot) : null,
+    closeLabel: I18n.getMessage('overlayClose')
+  };
+}
+
+/**
+ * タブに表示するオーバーレイの内容を取得する
+ * @async
+ * @function getOverlayState
+ * @param {number} tabId - 問い合わせたタブのID
+ * @returns {Promise<Object|null>} 最後のジョブがこのタブのものでオーバーレイが有効な場合はその表示内容、それ以外はnull
+ * @description ページの再読み込み後に、次の更新を待たずにオーバーレイを表示し直すために使います
+ */
+async function getOverlayState(tabId) {
+  const [job, settings] = await Promise.all([getJob(), loadSettings()]);
+  if (!job || job.tabId !== tabId || !settings.showOverlay) {
+    return null;
+  }
+  return createOverlayState(job, settings.keyNotation);
+}
+
+/**
+ * 保存された設定を読み込み、表示言語のメッセージを準備する
+ * @async
+ * @function loadSettings
+ * @returns {Promise<Object>} Settings.loadの戻り値
+ * @description サービスワーカーは停止と再開を繰り返すため、文言を作る前に毎回呼び出します（読み込み済みの言語は再取得しません）
+ */
+async function loadSettings() {
+  const settings = await Settings.load();
+  await I18n.load(settings.language);
+  return settings;
+}
+
+/**
+ * タブに分析用のスクリプトを注入する
+ * @async
+ * @function injectAnalysisScripts
+ * @param {number} tabId - 注入するタブのID
+ * @description コンテンツスクリプトと同じ実行環境に注入します。クラス宣言の重複を避けるため、注入済みの場合は何もしません
+ */
+async function injectAnalysisScripts(tabId) {
+  const [{ result: injected }] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => typeof AudioAnalyzer !== 'undefined'
+  });
+
+  if (!injected) {
+    await chrome.scripting.executeScript({ target: { tabId }, files: ANALYSIS_SCRIPTS });
+  }
+}
+
+/**
+ * 保存されたジョブを取得する
+ * @async
+ * @function getJob
+ * @returns {Promise<Object|null>} 最後に開始したジョブ。無い場合はnull
+ */
+async function getJob() {
+  const items = await chrome.storage.session.get({ [JOB_STORAGE_KEY]: null });
+  return items[JOB_STORAGE_KEY];
+}
+
+/**
+ * ジョブを保存する
+ * @async
+ * @function saveJob
+ * @param {Object} job - 保存するジョブ
+ * @description サービスワーカーが停止してもポップアップが再接続できるよう、chrome.storage.sessionに保存します
+ */
+async function saveJob(job) {
+  const previous = await getJob();
+  await chrome.storage.session.set({ [JOB_STORAGE_KEY]: job });
+  syncTrackWatch(previous, job);
+}
+
+/**
+ * ジョブが曲の切り替えを追跡しているか判定する
+ * @function isFollowingTrack
+ * @param {Object|null} job - ジョブ
+ * @returns {boolean} 曲の切り替えで再分析するジョブの場合はtrue（ユーザーが停止したジョブと失敗したジョブは追跡しない）
+ */
+function isFollowingTrack(job) {
+  return Boolean(job && job.follow && !['stopped', 'error'].includes(job.status));
+}
+
+/**
+ * 曲の切り替えを監視するタブを更新する
+ * @function syncTrackWatch
+ * @param {Object|null} previous - 前に保存されていたジョブ
+ * @param {Object} job - 新しく保存したジョブ
+ * @description Media Sessionのメタデータの定期的な確認は、曲の切り替えを追跡しているタブでだけ動かし、
+ * ほかのタブがサービスワーカーを起こさないようにします
+ */
+function syncTrackWatch(previous, job) {
+  const watchedTab = (item) => isFollowingTrack(item) ? item.tabId : null;
+  const before = watchedTab(previous);
+  const after = watchedTab(job);
+  if (before === after) {
+    return;
+  }
+
+  if (before !== null) {
+    sendTrackWatch(before, false);
+  }
+  if (after !== null) {
+    sendTrackWatch(after, true);
+  }
+}
+
+/**
+ * タブに曲の切り替えの監視の開始・停止を指示する
+ * @function sendTrackWatch
+ * @param {number} tabId - タブのID
+ * @param {boolean} watch - 監視する場合はtrue
+ */
+function sendTrackWatch(tabId, watch) {
+  // タブが閉じられている場合やコンテンツスクリプトが動作しないページでは受信側が無いため、送信エラーは無視する
+  chrome.tabs.sendMessage(tabId, { action: 'watchTrack', watch: watch }).catch(() => {});
+}
+
+/**
+ * オフスクリーンドキュメントが存在するか確認する
+ * @async
+ * @function hasOffscreenDocument
+ * @returns {Promise<boolean>} 存在する場合はtrue
+ */
+async function hasOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)]
+  });
+  return contexts.length > 0;
+}
+
+/**
+ * オフスクリーンドキュメントを作成する
+ * @async
+ * @function ensureOffscreenDocument
+ * @param {string} [reason='USER_MEDIA'] - 作成する理由（OFFSCREEN_JUSTIFICATIONSのキー）
+ * @description 既に存在する場合は何もしません
+ */
+async function ensureOffscreenDocument(reason = 'USER_MEDIA') {
+  if (await hasOffscreenDocument()) {
+    return;
+  }
+
+  await chrome.offscreen.createDocument({
+    url: OFFSCREEN_DOCUMENT_PATH,
+    reasons: [reason],
+    justification: OFFSCREEN_JUSTIFICATIONS[reason]
+  });
+}
+
+// 閉じたタブを分析キューから取り除く
+chrome.tabs.onRemoved.addListener((tabId) => {
+  handleTabRemoved(tabId).catch(error => console.error('閉じたタブの処理に失敗しました:', error));
+});
+
+// タブで音声の再生が始まったら、許可したサイトであれば自動で分析する
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  if (changeInfo.audible !== undefined) {
-    // タブの音声状態が変更された
-    console.log(`Tab ${tabId} 音声: ${changeInfo.audible ? '再生中' : '停止'}`);
+  if (changeInfo.audible) {
+    handleTabAudible(tab).catch(error => console.error('自動分析の開始に失敗しました:', error));
   }
 });
@@ -0,0 +1,375 @@
+/**
+ * 拍子と楽節の検出
+ * @file beat-structure.js
+ * @description 推定したテンポのビート位置ごとにオンセットの強さとハーモニーの変化を求め、
+ * 拍子（4/4・3/4・6/8）と小節の頭（ダウンビート）を推定します。さらに小節ごとの変化から8・16・32小節の楽節の区切りを求め、
+ * ミックスを始める・終える位置の目安にします。DOMに依存しないため、Node.jsからも読み込めます
+ */
+class BeatStructure {
+  /**
+   * 判定する拍子
+   * @static
+   * @type {{id: string, beatsPerBar: number, accents: number[], prior: number}[]}
+   * @description accentsは小節内の拍ごとの強勢のパターン、priorは相関に掛ける重みです。
+   * 6/8はテンポが8分音符の単位で検出された場合の、1拍目と4拍目に強勢のある6拍の小節とします。
+   * 3/4と6/8は強勢のパターンが似ているため、ダンスミュージックに多い4/4を優先し、次に3/4を優先します。
+   * compoundの拍子（6/8）は、2小節ごとにコードが変わる3/4と区別するため、オンセットの強さに1拍目より弱い4拍目の強勢がある場合だけ選びます
+   */
+  static METERS = [
+    { id: '4/4', beatsPerBar: 4, accents: [1, 0, 0.5, 0], prior: 1 },
+    { id: '3/4', beatsPerBar: 3, accents: [1, 0, 0], prior: 0.9 },
+    { id: '6/8', beatsPerBar: 6, accents: [1, 0, 0, 0.5, 0, 0], prior: 0.85, compound: true }
+  ];
+
+  /**
+   * 6/8の4拍目の強勢とみなすオンセットの強さの差（標準化した値）
+   * @static
+   * @type {number}
+   * @description 4拍目は2・3・5・6拍目よりこの値以上強く、1拍目よりこの値以上弱い必要があります
+   */
+  static COMPOUND_ACCENT_MARGIN = 0.3;
+
+  /**
+   * 楽節の長さ（小節数）
+   * @static
+   * @type {number[]}
+   * @description 短い順に並べ、長い楽節の区切りは短い楽節の区切りから選びます
+   */
+  static PHRASE_LENGTHS = [8, 16, 32];
+
+  /**
+   * 拍子を判定するのに必要な小節数
+   * @static
+   * @type {number}
+   */
+  static MIN_BARS = 2;
+
+  /**
+   * ビートの位置からオンセットを探す範囲（ビートの間隔に対する割合）
+   * @static
+   * @type {number}
+   */
+  static BEAT_TOLERANCE = 0.1;
+
+  /**
+   * 拍子・ダウンビート・楽節の区切りを検出する
+   * @static
+   * @param {{envelope: Float32Array, frameRate: number, timeOffset: number}} onset - AnalysisCore.computeOnsetEnvelopeの戻り値
+   * @param {{bpm: number, beatOffset: number}|null} tempo - AnalysisCore.analyzeBPMの戻り値
+   * @param {{frames: number[][], hopSeconds: number}} chroma - AnalysisCore.computeChromaFramesの戻り値
+   * @returns {{timeSignature: string, beatsPerBar: number, confidence: number, duration: number, downbeats: number[],
+   * phrases: {time: number, bar: number, length: number}[]}|null}
+   * 拍子、1小節の拍数、拍子の信頼度（0〜1）、分析した音声の長さ（秒）、ダウンビートの時刻（音声の先頭からの秒数）、
+   * 楽節の区切り（時刻、先頭の完全な小節を1とした小節番号、そこから始まる最も長い楽節の小節数）。
+   * テンポが無い場合、または拍子を判定できるだけの小節が無い場合はnull
+   * @description 小節の頭ではコードが変わりやすく、アクセントが付きやすいため、ビートごとのオンセットの強さとクロマグラムの変化を
+   * 拍子ごとの強勢のパターンと相関させ、最も相関の高い拍子と位相を選びます
+   */
+  static analyze(onset, tempo, chroma) {
+    if (!tempo) {
+      return null;
+    }
+
+    const duration = (onset.envelope.length - 1) / onset.frameRate + 2 * onset.timeOffset;
+    const beats = BeatStructure.getBeatTimes(tempo, duration);
+    const strengths = BeatStructure.calculateBeatStrengths(beats, tempo.bpm, onset);
+    const accents = BeatStructure.calculateBeatAccents(beats, tempo.bpm, strengths, chroma);
+    const meter = BeatStructure.detectMeter(accents, strengths);
+    if (!meter) {
+      return null;
+    }
+
+    const downbeats = beats.filter((time, index) => index >= meter.phase && (index - meter.phase) % meter.beatsPerBar === 0);
+    const round = value => Math.round(value * 1000) / 1000;
+
+    return {
+      timeSignature: meter.id,
+      beatsPerBar: meter.beatsPerBar,
+      confidence: Math.round(Math.max(0, Math.min(1, meter.score)) * 100) / 100,
+      duration: round(duration),
+      downbeats: downbeats.map(round),
+      phrases: BeatStructure.detectPhrases(downbeats, duration, onset, chroma).map(phrase => ({ ...phrase, time: round(phrase.time) }))
+    };
+  }
+
+  /**
+   * ビートの時刻を列挙する
+   * @static
+   * @param {{bpm: number, beatOffset: number}} tempo - テンポ情報
+   * @param {number} duration - 音声の長さ（秒）
+   * @returns {number[]} 音声の先頭からの秒数
+   */
+  static getBeatTimes(tempo, duration) {
+    const period = 60 / tempo.bpm;
+    const beats = [];
+    for (let time = tempo.beatOffset; time < duration; time += period) {
+      beats.push(time);
+    }
+    return beats;
+  }
+
+  /**
+   * ビートごとのオンセットの強さを計算する
+   * @static
+   * @param {number[]} beats - ビートの時刻（秒）
+   * @param {number} bpm - テンポ
+   * @param {{envelope: Float32Array, frameRate: number, timeOffset: number}} onset - オンセット強度エンベロープ
+   * @returns {number[]} ビートの位置付近のオンセットの最大値を標準化した値
+   */
+  static calculateBeatStrengths(beats, bpm, onset) {
+    const period = 60 / bpm;
+    const radius = Math.max(1, Math.round(period * BeatStructure.BEAT_TOLERANCE * onset.frameRate));
+
+    return BeatStructure.standardize(beats.map(time => {
+      const center = Math.round((time - onset.timeOffset) * onset.frameRate);
+      let strength = 0;
+      for (let i = Math.max(0, center - radius); i <= Math.min(onset.envelope.length - 1, center + radius); i++) {
+        strength = Math.max(strength, onset.envelope[i]);
+      }
+      return strength;
+    }));
+  }
+
+  /**
+   * ビートごとの強勢を計算する
+   * @static
+   * @param {number[]} beats - ビートの時刻（秒）
+   * @param {number} bpm - テンポ
+   * @param {number[]} strengths - calculateBeatStrengthsで求めたビートごとのオンセットの強さ
+   * @param {{frames: number[][], hopSeconds: number}} chroma - フレームごとのクロマグラム
+   * @returns {number[]} ビートごとの強勢（オンセットの強さとハーモニーの変化をそれぞれ標準化して足したもの）
+   */
+  static calculateBeatAccents(beats, bpm, strengths, chroma) {
+    const period = 60 / bpm;
+
+    // 直前のビートの区間からのクロマグラムの変化（コードの変わり目）
+    const segments = beats.map(time => BeatStructure.averageChroma(chroma, time, time + period));
+    const changes = segments.map((segment, index) => index === 0 ? 0 : BeatStructure.calculateChange(segments[index - 1], segment));
+
+    const normalizedChanges = BeatStructure.standardize(changes);
+    return strengths.map((strength, index) => strength + normalizedChanges[index]);
+  }
+
+  /**
+   * 強勢の並びから拍子と小節の頭の位置を推定する
+   * @static
+   * @param {number[]} accents - ビートごとの強勢
+   * @param {number[]} strengths - ビートごとのオンセットの強さ（6/8の4拍目の強勢の確認に使う）
+   * @returns {{id: string, beatsPerBar: number, phase: number, score: number}|null}
+   * 拍子、1小節の拍数、最初の小節の頭のビートの番号、重みを掛けた相関。判定できる拍子が無い場合はnull
+   */
+  static detectMeter(accents, strengths) {
+    let best = null;
+
+    BeatStructure.METERS.forEach(meter => {
+      if (accents.length < meter.beatsPerBar * BeatStructure.MIN_BARS) return;
+
+      for (let phase = 0; phase < meter.beatsPerBar; phase++) {
+        // ハーモニーの変化だけでは3/4の2小節を6/8の1小節と取り違えるため、オンセットの強勢で確かめる
+        if (meter.compound && !BeatStructure.hasCompoundAccent(strengths, phase, meter.beatsPerBar)) continue;
+
+        const pattern = accents.map((_, index) => meter.accents[(index - phase + meter.beatsPerBar) % meter.beatsPerBar]);
+        const score = BeatStructure.calculateCorrelation(accents, pattern) * meter.prior;
+        if (!best || score > best.score) {
+          best = { id: meter.id, beatsPerBar: meter.beatsPerBar, phase, score };
+        }
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * オンセットの強さに複合拍子（6/8）の強勢があるかを判定する
+   * @static
+   * @param {number[]} strengths - ビートごとのオンセットの強さ（標準化した値）
+   * @param {number} phase - 小節の頭のビートの番号
+   * @param {number} beatsPerBar - 1小節の拍数
+   * @returns {boolean} 小節の中央の拍がほかの弱拍より強く、1拍目より弱い場合はtrue
+   */
+  static hasCompoundAccent(strengths, phase, beatsPerBar) {
+    const middle = beatsPerBar / 2;
+    const sums = new Array(beatsPerBar).fill(0);
+    const counts = new Array(beatsPerBar).fill(0);
+    strengths.forEach((strength, index) => {
+      const position = (index - phase + beatsPerBar) % beatsPerBar;
+      sums[position] += strength;
+      counts[position]++;
+    });
+    const means = sums.map((sum, position) => counts[position] > 0 ? sum / counts[position] : 0);
+    const weak = means.filter((_, position) => position !== 0 && position !== middle);
+    const margin = BeatStructure.COMPOUND_ACCENT_MARGIN;
+
+    return means[middle] - Math.max(...weak) >= margin && means[0] - means[middle] >= margin;
+  }
+
+  /**
+   * 楽節の区切りを検出する
+   * @static
+   * @param {number[]} downbeats - ダウンビートの時刻（秒）
+   * @param {number} duration - 音声の長さ（秒）
+   * @param {{envelope: Float32Array, frameRate: number, timeOffset: number}} onset - オンセット強度エンベロープ
+   * @param {{frames: number[][], hopSeconds: number}} chroma - フレームごとのクロマグラム
+   * @returns {{time: number, bar: number, length: number}[]} 楽節の区切り。最も短い楽節2つ分より小節が少ない場合は空
+   * @description 小節ごとのハーモニーとオンセットの量の変化を求め、変化の平均が最も大きくなる位置で8小節ごとに区切ります。
+   * 最初の小節は直前の小節と比べられないため、区切りの位置の評価には含めません。
+   * 16・32小節の区切りは、1つ短い楽節の区切りを1つおきに選ぶ2通りのうち変化の大きい方とします
+   */
+  static detectPhrases(downbeats, duration, onset, chroma) {
+    const bars = downbeats.map((start, index) => ({
+      start,
+      end: index + 1 < downbeats.length ? downbeats[index + 1] : duration
+    }));
+    const [shortest] = BeatStructure.PHRASE_LENGTHS;
+    if (bars.length < shortest * 2) {
+      return [];
+    }
+
+    const novelty = BeatStructure.calculateBarNovelty(bars, onset, chroma);
+    const meanNovelty = indices => {
+      const compared = indices.filter(index => index > 0);
+      return compared.length > 0 ? compared.reduce((sum, index) => sum + novelty[index], 0) / compared.length : -Infinity;
+    };
+
+    // 最も短い楽節の区切りの位置を選ぶ
+    let boundaries = null;
+    for (let offset = 0; offset < shortest; offset++) {
+      const indices = [];
+      for (let index = offset; index < bars.length; index += shortest) {
+        indices.push(index);
+      }
+      if (!boundaries || meanNovelty(indices) > meanNovelty(boundaries)) {
+        boundaries = indices;
+      }
+    }
+
+    const lengths = new Map(boundaries.map(index => [index, shortest]));
+    let candidates = boundaries;
+    BeatStructure.PHRASE_LENGTHS.slice(1).forEach(length => {
+      if (candidates.length < 2 || bars.length < length) return;
+
+      const [even, odd] = [0, 1].map(parity => candidates.filter((_, index) => index % 2 === parity));
+      candidates = odd.length > 0 && meanNovelty(odd) > meanNovelty(even) ? odd : even;
+      candidates.forEach(index => lengths.set(index, length));
+    });
+
+    return boundaries.map(index => ({
+      time: bars[index].start,
+      bar: index + 1,
+      length: lengths.get(index)
+    }));
+  }
+
+  /**
+   * 小節ごとの変化の大きさを計算する
+   * @static
+   * @param {{start: number, end: number}[]} bars - 小節の区間（秒）
+   * @param {{envelope: Float32Array, frameRate: number, timeOffset: number}} onset - オンセット強度エンベロープ
+   * @param {{frames: number[][], hopSeconds: number}} chroma - フレームごとのクロマグラム
+   * @returns {number[]} 直前の小節からのハーモニーとオンセットの量の変化（それぞれ標準化して足したもの）。最初の小節は0
+   */
+  static calculateBarNovelty(bars, onset, chroma) {
+    const harmony = bars.map(bar => BeatStructure.averageChroma(chroma, bar.start, bar.end));
+    const energy = bars.map(bar => {
+      const first = Math.max(0, Math.round((bar.start - onset.timeOffset) * onset.frameRate));
+      const last = Math.min(onset.envelope.length, Math.round((bar.end - onset.timeOffset) * onset.frameRate));
+      let sum = 0;
+      for (let i = first; i < last; i++) {
+        sum += onset.envelope[i];
+      }
+      return last > first ? sum / (last - first) : 0;
+    });
+
+    const meanEnergy = energy.reduce((sum, value) => sum + value, 0) / energy.length || 1;
+    const harmonyChanges = harmony.map((vector, index) => index === 0 ? 0 : BeatStructure.calculateChange(harmony[index - 1], vector));
+    const energyChanges = energy.map((value, index) => index === 0 ? 0 : Math.abs(value - energy[index - 1]) / meanEnergy);
+
+    const normalizedHarmony = BeatStructure.standardize(harmonyChanges);
+    const normalizedEnergy = BeatStructure.standardize(energyChanges);
+    return bars.map((_, index) => index === 0 ? 0 : normalizedHarmony[index] + normalizedEnergy[index]);
+  }
+
+  /**
+   * 区間のクロマグラムを平均する
+   * @static
+   * @param {{frames: number[][], hopSeconds: number, timeOffset?: number}} chroma - フレームごとのクロマグラム
+   * @param {number} start - 区間の開始（秒）
+   * @param {number} end - 区間の終了（秒）
+   * @returns {number[]} 窓の中心が区間に入るフレームの12ビンの平均。区間にフレームが無い場合は最も近いフレーム
+   * @description クロマグラムの窓（約0.7秒）はビートの間隔より長いため、フレームの開始位置ではなく窓の中心で区間に割り当てます
+   */
+  static averageChroma(chroma, start, end) {
+    const sum = new Array(12).fill(0);
+    if (chroma.frames.length === 0) {
+      return sum;
+    }
+
+    const offset = chroma.timeOffset || 0;
+    const first = Math.max(0, Math.floor((start - offset) / chroma.hopSeconds));
+    const last = Math.min(chroma.frames.length, Math.max(first + 1, Math.ceil((end - offset) / chroma.hopSeconds)));
+    if (first >= chroma.frames.length) {
+      return chroma.frames[chroma.frames.length - 1].slice();
+    }
+
+    for (let frame = first; frame < last; frame++) {
+      chroma.frames[frame].forEach((value, bin) => {
+        sum[bin] += value / (last - first);
+      });
+    }
+    return sum;
+  }
+
+  /**
+   * 2つのクロマグラムの違いを計算する
+   * @static
+   * @param {number[]} a - クロマグラム
+   * @param {number[]} b - クロマグラム
+   * @returns {number} 1からコサイン類似度を引いた値（0〜1）。どちらかが無音の場合は0
+   */
+  static calculateChange(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) {
+      return 0;
+    }
+    return 1 - dot / Math.sqrt(normA * normB);
+  }
+
+  /**
+   * 値を平均0・標準偏差1に標準化する
+   * @static
+   * @param {number[]} values - 値
+   * @returns {number[]} 標準化した値。ばらつきが無い場合はすべて0
+   */
+  static standardize(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const deviation = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+    return values.map(value => deviation > 0 ? (value - mean) / deviation : 0);
+  }
+
+  /**
+   * 2つの系列のピアソン相関係数を計算する
+   * @static
+   * @param {number[]} a - 系列
+   * @param {number[]} b - aと同じ長さの系列
+   * @returns {number} 相関係数（-1〜1）。どちらかにばらつきが無い場合は0
+   */
+  static calculateCorrelation(a, b) {
+    const normalizedA = BeatStructure.standardize(a);
+    const normalizedB = BeatStructure.standardize(b);
+    return normalizedA.reduce((sum, value, index) => sum + value * normalizedB[index], 0) / a.length;
+  }
+}
+
+// ブラウザではグローバルに、Node.jsではモジュールとして公開する
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BeatStructure;
+} else {
+  globalThis.BeatStructure = BeatStructure;
+}
@@ -0,0 +1,296 @@
+/**
+ * コード認識
+ * @file chord-recognition.js
+ * @description フレームごとのクロマグラム（AnalysisCore.computeChromaFrames）をコードのテンプレートと照合し、
+ * HMM（ビタビアルゴリズム）で平滑化してコード進行を求めます。
+ * コード名とディグリー（ローマ数字）は検出したキーに合わせて表示用に整形します。DOMに依存しないため、Node.jsからも読み込めます
+ */
+// Node.jsではキー表記モジュールを読み込む（ブラウザではscriptタグで先に読み込まれている）
+if (typeof module !== 'undefined' && module.exports && typeof KeyNotation === 'undefined') {
+  globalThis.KeyNotation = require('./key-notation.js');
+}
+
+class ChordRecognition {
+  /**
+   * 認識するコードの種類
+   * @static
+   * @type {{id: string, intervals: number[], suffix: string, minor: boolean, weight: number}[]}
+   * @description intervalsは根音からの半音数、minorは短3度を含む（ディグリーを小文字で表記する）かどうか。
+   * weightは類似度に掛ける重みで、構成音の多いコードや三和音以外が過剰に選ばれないよう少し下げています
+   */
+  static QUALITIES = [
+    { id: 'maj', intervals: [0, 4, 7], suffix: '', minor: false, weight: 1 },
+    { id: 'min', intervals: [0, 3, 7], suffix: 'm', minor: true, weight: 1 },
+    { id: '7', intervals: [0, 4, 7, 10], suffix: '7', minor: false, weight: 0.96 },
+    { id: 'maj7', intervals: [0, 4, 7, 11], suffix: 'maj7', minor: false, weight: 0.96 },
+    { id: 'm7', intervals: [0, 3, 7, 10], suffix: 'm7', minor: true, weight: 0.96 },
+    { id: 'sus2', intervals: [0, 2, 7], suffix: 'sus2', minor: false, weight: 0.94 },
+    { id: 'sus4', intervals: [0, 5, 7], suffix: 'sus4', minor: false, weight: 0.94 },
+    { id: 'dim', intervals: [0, 3, 6], suffix: 'dim', minor: true, weight: 0.94 }
+  ];
+
+  /**
+   * どのコードの類似度もこの値に満たないフレームはノーコード（N.C.）とする
+   * @static
+   * @type {number}
+   * @description 12音が均等に鳴っているクロマグラムと三和音のコサイン類似度は約0.5です
+   */
+  static NO_CHORD_SIMILARITY = 0.6;
+
+  /**
+   * 類似度を対数尤度に変換する係数
+   * @static
+   * @type {number}
+   */
+  static EMISSION_SHARPNESS = 20;
+
+  /**
+   * コードが切り替わるときの対数尤度のペナルティ
+   * @static
+   * @type {number}
+   * @description 大きいほど短いコードが無視され、進行が滑らかになります
+   */
+  static CHANGE_PENALTY = 4;
+
+  /**
+   * ♯で綴る音名
+   * @static
+   * @type {string[]}
+   */
+  static SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+  /**
+   * ♭で綴る音名
+   * @static
+   * @type {string[]}
+   */
+  static FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+  /**
+   * 主音からの半音数ごとのディグリー
+   * @static
+   * @type {string[]}
+   * @description マイナーキーでも同主長調の音階を基準にします（例: AマイナーキーでのCは♭III）
+   */
+  static ROMAN_DEGREES = ['I', '♭II', 'II', '♭III', 'III', 'IV', '♭V', 'V', '♭VI', 'VI', '♭VII', 'VII'];
+
+  /**
+   * 調号が♭になるCamelotの番号の範囲
+   * @static
+   * @type {number[]}
+   * @description 五度圏でCメジャー/Aマイナー（8）から反時計回りに♭が1つずつ増えます（7: F/Dm 〜 3: D♭/B♭m）。
+   * 6つの調号を持つ2（F#/E♭m）は、KeyNotationのキーの綴りに合わせます
+   */
+  static FLAT_CAMELOT_RANGE = [3, 7];
+
+  /**
+   * コードのテンプレートのキャッシュ
+   * @static
+   * @type {{root: number, quality: Object, vector: number[]}[]|null}
+   */
+  static templates = null;
+
+  /**
+   * コードのテンプレートを取得する
+   * @static
+   * @returns {{root: number, quality: Object, vector: number[]}[]} 12の根音 × QUALITIESの、長さ1に正規化した12次元ベクトル
+   */
+  static getTemplates() {
+    if (!ChordRecognition.templates) {
+      ChordRecognition.templates = [];
+      ChordRecognition.QUALITIES.forEach(quality => {
+        const norm = Math.sqrt(quality.intervals.length);
+        for (let root = 0; root < 12; root++) {
+          const vector = new Array(12).fill(0);
+          quality.intervals.forEach(interval => {
+            vector[(root + interval) % 12] = 1 / norm;
+          });
+          ChordRecognition.templates.push({ root, quality, vector });
+        }
+      });
+    }
+    return ChordRecognition.templates;
+  }
+
+  /**
+   * フレームごとのクロマグラムからコード進行を認識する
+   * @static
+   * @param {number[][]} frames - フレームごとのクロマグラム
+   * @param {number} hopSeconds - フレーム間隔（秒）
+   * @returns {{start: number, end: number, root: number|null, quality: string}[]} コードの区間（秒）。
+   * ノーコードの区間はrootがnull、qualityが'N'
+   * @description 各フレームとテンプレートのコサイン類似度を出力確率、コードの継続と切り替えを遷移確率として、
+   * ビタビアルゴリズムで最も尤もらしいコードの並びを求め、同じコードが続くフレームを1つの区間にまとめます
+   */
+  static recognize(frames, hopSeconds) {
+    if (frames.length === 0) {
+      return [];
+    }
+
+    const templates = ChordRecognition.getTemplates();
+    const stateCount = templates.length + 1; // 最後の状態はノーコード
+    const noChord = templates.length;
+    const emissions = frames.map(chromagram => ChordRecognition.calculateEmissions(chromagram, templates));
+
+    // ビタビアルゴリズム。切り替えのペナルティはどのコードへも同じため、
+    // 直前のフレームの最良の状態から切り替える場合と同じ状態を続ける場合だけを比べればよい
+    let scores = emissions[0].slice();
+    const backpointers = [];
+    for (let t = 1; t < frames.length; t++) {
+      let best = 0;
+      for (let state = 1; state < stateCount; state++) {
+        if (scores[state] > scores[best]) best = state;
+      }
+
+      const pointers = new Int16Array(stateCount);
+      const next = new Array(stateCount);
+      for (let state = 0; state < stateCount; state++) {
+        const switched = scores[best] - ChordRecognition.CHANGE_PENALTY;
+        if (scores[state] >= switched) {
+          next[state] = scores[state] + emissions[t][state];
+          pointers[state] = state;
+        } else {
+          next[state] = switched + emissions[t][state];
+          pointers[state] = best;
+        }
+      }
+      backpointers.push(pointers);
+      scores = next;
+    }
+
+    // 最後のフレームから逆にたどる
+    const path = new Array(frames.length);
+    path[frames.length - 1] = scores.indexOf(Math.max(...scores));
+    for (let t = frames.length - 1; t > 0; t--) {
+      path[t - 1] = backpointers[t - 1][path[t]];
+    }
+
+    const segments = [];
+    path.forEach((state, t) => {
+      const last = segments[segments.length - 1];
+      if (last && last.state === state) {
+        last.end = (t + 1) * hopSeconds;
+        return;
+      }
+      segments.push({ state, start: t * hopSeconds, end: (t + 1) * hopSeconds });
+    });
+
+    return segments.map(({ state, start, end }) => ({
+      start: Math.round(start * 100) / 100,
+      end: Math.round(end * 100) / 100,
+      root: state === noChord ? null : templates[state].root,
+      quality: state === noChord ? 'N' : templates[state].quality.id
+    }));
+  }
+
+  /**
+   * 1フレームの各状態の対数尤度を計算する
+   * @static
+   * @param {number[]} chromagram - 12ビンのクロマグラム
+   * @param {{vector: number[], quality: Object}[]} templates - コードのテンプレート
+   * @returns {number[]} テンプレートごとの対数尤度と、最後にノーコードの対数尤度
+   */
+  static calculateEmissions(chromagram, templates) {
+    const norm = Math.sqrt(chromagram.reduce((sum, value) => sum + value * value, 0));
+    const emissions = templates.map(template => {
+      if (norm === 0) {
+        return -ChordRecognition.EMISSION_SHARPNESS; // 無音
+      }
+      let dot = 0;
+      for (let i = 0; i < 12; i++) {
+        dot += chromagram[i] * template.vector[i];
+      }
+      return ChordRecognition.EMISSION_SHARPNESS * template.quality.weight * dot / norm;
+    });
+
+    emissions.push(ChordRecognition.EMISSION_SHARPNESS * ChordRecognition.NO_CHORD_SIMILARITY);
+    return emissions;
+  }
+
+  /**
+   * コード名を取得する
+   * @static
+   * @param {{root: number|null, quality: string}} chord - recognizeで求めたコード
+   * @param {{pitchClass: number, mode: string}|null} [keyData=null] - 検出したキー。根音を調号に合わせて♯/♭で綴ります
+   * @returns {string} コード名（例: Am7、B♭のキーではBb）。ノーコードは'N.C.'
+   */
+  static formatChord(chord, keyData = null) {
+    if (chord.root === null) {
+      return 'N.C.';
+    }
+
+    const names = keyData && ChordRecognition.usesFlats(keyData) ? ChordRecognition.FLAT_NAMES : ChordRecognition.SHARP_NAMES;
+    const quality = ChordRecognition.QUALITIES.find(item => item.id === chord.quality);
+    return `${names[chord.root]}${quality.suffix}`;
+  }
+
+  /**
+   * キーに対するディグリー（ローマ数字）を取得する
+   * @static
+   * @param {{root: number|null, quality: string}} chord - recognizeで求めたコード
+   * @param {{pitchClass: number, mode: string}} keyData - 検出したキー
+   * @returns {string} ディグリー（例: CメジャーキーでのDm7は'ii7'、G7は'V7'）。短3度を含むコードは小文字。ノーコードは'N.C.'
+   */
+  static toRomanNumeral(chord, keyData) {
+    if (chord.root === null) {
+      return 'N.C.';
+    }
+
+    const quality = ChordRecognition.QUALITIES.find(item => item.id === chord.quality);
+    const degree = ChordRecognition.ROMAN_DEGREES[(chord.root - keyData.pitchClass + 12) % 12];
+    const numeral = quality.minor ? degree.toLowerCase() : degree;
+
+    switch (quality.id) {
+      case 'maj':
+      case 'min':
+        return numeral;
+      case 'm7':
+        return `${numeral}7`;
+      case 'dim':
+        return `${numeral}°`;
+      default:
+        return `${numeral}${quality.suffix}`;
+    }
+  }
+
+  /**
+   * キーの調号が♭かどうかを判定する
+   * @static
+   * @param {{pitchClass: number, mode: string}} keyData - キー
+   * @returns {boolean} ♭系の調号の場合はtrue
+   * @description キーの表示（KeyNotation）と食い違わないよう、主音の綴りに♯/♭があればそれに従い、
+   * 幹音のキー（F、Dm等）はCamelotの番号で判定します
+   */
+  static usesFlats(keyData) {
+    const notation = KeyNotation.lookup(keyData.pitchClass, keyData.mode);
+    if (notation.name.includes('b')) return true;
+    if (notation.name.includes('#')) return false;
+
+    const [min, max] = ChordRecognition.FLAT_CAMELOT_RANGE;
+    const number = parseInt(notation.camelot, 10);
+    return number >= min && number <= max;
+  }
+
+  /**
+   * コードに対応するキーを取得する
+   * @static
+   * @param {{root: number|null, quality: string}} chord - recognizeで求めたコード
+   * @returns {{pitchClass: number, mode: string}|null} 短3度を含むコードはマイナー、それ以外はメジャーのキー。
+   * タイムラインをCamelotの色で塗り分けるために使います
+   */
+  static getChordKey(chord) {
+    if (chord.root === null) {
+      return null;
+    }
+
+    const quality = ChordRecognition.QUALITIES.find(item => item.id === chord.quality);
+    return { pitchClass: chord.root, mode: quality.minor ? 'minor' : 'major' };
+  }
+}
+
+// ブラウザではグローバルに、Node.jsではモジュールとして公開する
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChordRecognition;
+} else {
+  globalThis.ChordRecognition = ChordRecognition;
+}
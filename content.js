@@ -1,12 +1,66 @@
 /**
  * コンテンツスクリプト
  * @file content.js
- * @description すべてのウェブページで実行され、メディア要素を検出します
+ * @description すべてのウェブページで実行され、メディア要素の一覧を提供し、選択された要素の音声を直接分析します。
+ * Media Sessionのメタデータとメディア要素の読み込みを監視し、曲が切り替わったらサービスワーカーに通知します。
+ * 分析中のタブには、最新のBPMとキーをShadow DOMのオーバーレイで表示します。
+ * 分析に使うAudioAnalyzer・AnalysisCore・KeyNotationは、タップ分析の開始時にサービスワーカーが注入します
  */
 
 // コンテンツスクリプト - 全ページで実行
 console.log('Music Analyzerコンテンツスクリプトが読み込まれました');
 
+/** @type {WeakMap<HTMLMediaElement, number>} メディア要素からIDへのマッピング */
+const mediaIds = new WeakMap();
+/** @type {number} 次に割り当てるメディア要素のID */
+let nextMediaId = 1;
+/** @type {WeakMap<HTMLMediaElement, {audioContext: AudioContext, source: MediaElementAudioSourceNode}>} タップ済みのメディア要素 */
+const mediaTaps = new WeakMap();
+/** @type {AudioAnalyzer|null} 実行中のタップ分析のアナライザー */
+let tapAnalyzer = null;
+/** @type {Object|null} 実行中のタップ分析のジョブ */
+let tapJob = null;
+/** @type {string} 最後に通知した曲の識別子 */
+let lastTrackSignature = '';
+/** @type {number|null} Media Sessionのメタデータを確認するタイマーID（曲の切り替えを追跡している間だけ動かす） */
+let trackPollTimer = null;
+
+/** @type {{host: HTMLElement, root: ShadowRoot}|null} 表示中のオーバーレイ */
+let overlay = null;
+/** @type {string} オーバーレイの位置を保存するchrome.storage.localのキー */
+const OVERLAY_POSITION_KEY = 'overlayPosition';
+/** @type {string} オーバーレイのスタイル（Shadow DOM内に閉じ込めるため、ページのCSSの影響を受けない） */
+const OVERLAY_STYLE = `
+  :host { all: initial; }
+  .panel {
+    position: fixed;
+    z-index: 2147483647;
+    min-width: 150px;
+    padding: 8px 10px 10px;
+    background: rgba(26, 32, 44, 0.92);
+    color: white;
+    border-radius: 10px;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+    font: 12px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    user-select: none;
+  }
+  .header { display: flex; align-items: center; gap: 6px; cursor: move; margin-bottom: 6px; }
+  .title { flex: 1; max-width: 180px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; color: #cbd5e0; }
+  .close { background: none; border: none; color: #a0aec0; font-size: 14px; line-height: 1; cursor: pointer; padding: 0 2px; }
+  .close:hover { color: white; }
+  .values { display: flex; align-items: center; gap: 10px; }
+  .pulse { width: 12px; height: 12px; border-radius: 50%; background: #667eea; opacity: 0.3; }
+  .pulse.beating { animation: beat 0.5s ease-out infinite; }
+  @keyframes beat { 0% { opacity: 1; transform: scale(1.3); } 40%, 100% { opacity: 0.3; transform: scale(1); } }
+  .bpm { font-size: 22px; font-weight: 700; }
+  .bpm-unit { font-size: 10px; color: #a0aec0; margin-left: 2px; }
+  .key { font-size: 14px; font-weight: 700; padding: 2px 8px; border-radius: 10px; background: #a0aec0; }
+  .message { margin-top: 6px; font-size: 11px; color: #a0aec0; }
+`;
+
+/** @type {number} Media Sessionのメタデータを確認する間隔（ミリ秒）。メタデータの変更にはイベントが無いため定期的に確認する */
+const TRACK_POLL_INTERVAL_MS = 1000;
+
 /**
  * ページ上の音声/動画要素を検出する
  * @function detectMediaElements
@@ -18,32 +72,435 @@ function detectMediaElements() {
   return audioElements.length > 0;
 }
 
-// メディアが検出されたときにバックグラウンドスクリプトにメッセージを送信
-if (detectMediaElements()) {
-  chrome.runtime.sendMessage({
-    action: 'mediaDetected',
-    hasMedia: true
+/**
+ * メディア要素のIDを取得する
+ * @function getMediaId
+ * @param {HTMLMediaElement} element - メディア要素
+ * @returns {number} ページを開いている間変わらないID
+ */
+function getMediaId(element) {
+  if (!mediaIds.has(element)) {
+    mediaIds.set(element, nextMediaId++);
+  }
+  return mediaIds.get(element);
+}
+
+/**
+ * ページ上のメディア要素を一覧にする
+ * @function listMediaElements
+ * @returns {{id: number, tagName: string, label: string, src: string, duration: number|null, currentTime: number, paused: boolean, muted: boolean, tapBlocker: string|null}[]}
+ * メディア要素の情報。durationは不明またはライブ配信の場合null。tapBlockerはタップできない理由（getTapBlockerの戻り値）
+ */
+function listMediaElements() {
+  return Array.from(document.querySelectorAll('audio, video')).map((element, index) => {
+    const src = element.currentSrc || element.src || '';
+    const fileName = src.startsWith('http') ? getFileName(src) : '';
+
+    return {
+      id: getMediaId(element),
+      tagName: element.tagName.toLowerCase(),
+      label: element.title || element.getAttribute('aria-label') || fileName || `${element.tagName.toLowerCase()} ${index + 1}`,
+      src: src,
+      duration: Number.isFinite(element.duration) ? element.duration : null,
+      currentTime: element.currentTime,
+      paused: element.paused,
+      muted: element.muted,
+      tapBlocker: getTapBlocker(element)
+    };
   });
 }
 
-// 動的に追加されるメディア要素を監視
-const observer = new MutationObserver((mutations) => {
-  if (detectMediaElements()) {
-    chrome.runtime.sendMessage({
-      action: 'mediaDetected',
-      hasMedia: true
-    });
+/**
+ * メディアのURLからファイル名を取り出す
+ * @function getFileName
+ * @param {string} src - メディアのURL
+ * @returns {string} パスの最後の部分。パーセントエンコーディングが不正な場合はデコードせずに返す
+ */
+function getFileName(src) {
+  const name = new URL(src).pathname.split('/').pop();
+  try {
+    return decodeURIComponent(name);
+  } catch (error) {
+    return name;
   }
-});
+}
+
+/**
+ * メディア要素をタップできない理由を取得する
+ * @function getTapBlocker
+ * @param {HTMLMediaElement} element - メディア要素
+ * @returns {'encrypted'|'crossOrigin'|null} DRMで保護されている場合は'encrypted'、
+ * CORSなしのクロスオリジンのメディアの場合は'crossOrigin'、タップできる場合はnull
+ * @description これらの要素ではcreateMediaElementSourceが無音しか出力せず、しかも要素の音声がコンテキスト経由に切り替わるため、
+ * ページを再読み込みするまで再生音も消えてしまいます。そのため接続する前に判定します
+ */
+function getTapBlocker(element) {
+  if (element.mediaKeys) {
+    return 'encrypted';
+  }
+
+  const src = element.currentSrc || element.src || '';
+  if (/^https?:/.test(src) && new URL(src).origin !== location.origin && element.crossOrigin === null) {
+    return 'crossOrigin';
+  }
+  return null;
+}
+
+/**
+ * IDからメディア要素を探す
+ * @function findMediaElement
+ * @param {number} mediaId - メディア要素のID
+ * @returns {HTMLMediaElement|null} メディア要素。ページから取り除かれた場合はnull
+ */
+function findMediaElement(mediaId) {
+  return Array.from(document.querySelectorAll('audio, video')).find(element => mediaIds.get(element) === mediaId) || null;
+}
+
+/**
+ * メディア要素をWeb Audio APIに接続する
+ * @function getMediaTap
+ * @param {HTMLMediaElement} element - メディア要素
+ * @returns {{audioContext: AudioContext, source: MediaElementAudioSourceNode}} 要素のオーディオコンテキストとソースノード
+ * @description createMediaElementSourceは要素ごとに1回しか呼べず、呼んだ後は音声がコンテキスト経由で再生されるため、
+ * 一度作成した接続は出力先につないだままページを開いている間保持します
+ */
+function getMediaTap(element) {
+  if (!mediaTaps.has(element)) {
+    const audioContext = new AudioContext();
+    const source = audioContext.createMediaElementSource(element);
+    source.connect(audioContext.destination);
+    mediaTaps.set(element, { audioContext, source });
+  }
+  return mediaTaps.get(element);
+}
+
+/**
+ * メディア要素をタップして分析する
+ * @async
+ * @function tapMedia
+ * @param {number} mediaId - 分析するメディア要素のID
+ * @param {Object} job - サービスワーカーが作成したジョブ
+ * @description 再生中の要素の音声だけを録音してBPMとキーを推定します。
+ * DRMで保護された要素とCORSなしのクロスオリジンのメディアは、接続するとページの音声が消えるため接続せずにエラーにします。
+ * それ以外でも無音として録音された場合（CORSを許可しないサーバー等）は、音声を取り出せなかったエラーにします
+ */
+async function tapMedia(mediaId, job) {
+  tapJob = job;
+
+  try {
+    const element = findMediaElement(mediaId);
+    if (!element) {
+      throw new Error(I18n.getMessage('errorMediaNotFound'));
+    }
+    if (element.paused) {
+      throw new Error(I18n.getMessage('errorMediaPaused'));
+    }
+
+    const blocker = getTapBlocker(element);
+    if (blocker) {
+      throw new AnalysisError(blocker === 'encrypted' ? 'protectedContent' : 'crossOriginMedia');
+    }
+
+    const tap = getMediaTap(element);
+    await tap.audioContext.resume();
+    tapAnalyzer = new AudioAnalyzer(job.settings);
+    tapAnalyzer.attachSource(tap.audioContext, tap.source);
+
+    updateJob(job, { status: 'analyzing', message: I18n.getMessage('statusAnalyzingBpm') });
+    let tempo;
+    try {
+      tempo = await tapAnalyzer.analyzeBPM();
+    } catch (error) {
+      // 再生中の要素が無音になるのは、音声を取り出せない場合
+      if (error.code === 'noAudio' && !element.muted) {
+        throw new AnalysisError('crossOriginMedia', { cause: error });
+      }
+      throw error;
+    }
+    if (tapJob !== job) return; // 分析中に停止された
+
+    updateJob(job, { message: I18n.getMessage('statusAnalyzingKey') });
+    const keyData = await tapAnalyzer.analyzeKey();
+    const chords = await tapAnalyzer.analyzeChords();
+    const structure = await tapAnalyzer.analyzeStructure(tempo);
+    const loudness = await tapAnalyzer.analyzeLoudness();
+    const descriptors = await tapAnalyzer.analyzeDescriptors(tempo, loudness);
+    if (tapJob !== job) return;
+
+    finishTap(job, { status: 'complete', message: I18n.getMessage('statusComplete'), result: { tempo, structure, keyData, chords, loudness, descriptors } });
+  } catch (error) {
+    console.error('メディア分析エラー:', error);
+    if (tapJob === job) {
+      finishTap(job, { status: 'error', message: I18n.getMessage('statusFailed'), error: error.message, errorCode: error.code || null });
+    }
+  }
+}
+
+/**
+ * タップ分析を終了する
+ * @function finishTap
+ * @param {Object} job - 終了するジョブ
+ * @param {Object} changes - 最終状態
+ */
+function finishTap(job, changes) {
+  tapJob = null;
+  if (tapAnalyzer) {
+    tapAnalyzer.cleanup();
+    tapAnalyzer = null;
+  }
+  updateJob(job, changes);
+}
+
+/**
+ * ジョブの状態を更新してサービスワーカーに送る
+ * @function updateJob
+ * @param {Object} job - 更新するジョブ
+ * @param {Object} changes - 上書きするフィールド
+ */
+function updateJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: Date.now() });
+  chrome.runtime.sendMessage({ target: 'background', action: 'jobUpdate', job: job });
+}
+
+/**
+ * 再生中の曲の情報を取得する
+ * @function getCurrentTrack
+ * @returns {{title: string, artist: string, album: string, artwork: string, src: string, signature: string}|null}
+ * 曲の情報。Media Sessionのメタデータが無い場合は再生中のメディア要素のURLで曲を区別し、再生中の要素も無い場合はnull
+ * @description YouTube・SoundCloud・Spotify Web等はnavigator.mediaSession.metadataに曲名とアーティストを設定します
+ */
+function getCurrentTrack() {
+  const element = Array.from(document.querySelectorAll('audio, video')).find(media => !media.paused) || null;
+  const src = element ? element.currentSrc || element.src : '';
+  const metadata = navigator.mediaSession ? navigator.mediaSession.metadata : null;
+
+  if (metadata && metadata.title) {
+    // アートワークは最後（通常は最も大きいサイズ）を使う
+    const artwork = metadata.artwork.length > 0 ? metadata.artwork[metadata.artwork.length - 1].src : '';
+    return {
+      title: metadata.title,
+      artist: metadata.artist,
+      album: metadata.album,
+      artwork: artwork,
+      src: src,
+      signature: `${metadata.artist}\n${metadata.title}\n${metadata.album}`
+    };
+  }
+
+  if (!src) {
+    return null;
+  }
+  return { title: '', artist: '', album: '', artwork: '', src: src, signature: src };
+}
+
+/**
+ * 曲が切り替わったか確認する
+ * @function checkTrackChange
+ * @description 切り替わった場合はサービスワーカーに通知します。分析中のタブかどうかはサービスワーカーが判断します
+ */
+function checkTrackChange() {
+  const track = getCurrentTrack();
+  if (!track || track.signature === lastTrackSignature) {
+    return;
+  }
+
+  lastTrackSignature = track.signature;
+  chrome.runtime.sendMessage({ target: 'background', action: 'trackChanged', track: track }).catch(() => {});
+}
+
+/**
+ * Media Sessionのメタデータの定期的な確認を開始・停止する
+ * @function watchTrack
+ * @param {boolean} watch - 確認する場合はtrue
+ * @description 曲の切り替えを追跡する分析の間だけ、サービスワーカーの指示で動かします。
+ * メディア要素の読み込みと再生のイベントは常に監視します
+ */
+function watchTrack(watch) {
+  if (watch && trackPollTimer === null) {
+    trackPollTimer = setInterval(checkTrackChange, TRACK_POLL_INTERVAL_MS);
+  } else if (!watch && trackPollTimer !== null) {
+    clearInterval(trackPollTimer);
+    trackPollTimer = null;
+  }
+}
+
+// メディアのイベントはバブリングしないため、キャプチャフェーズで監視する
+document.addEventListener('loadedmetadata', checkTrackChange, true);
+document.addEventListener('play', checkTrackChange, true);
+
+/**
+ * オーバーレイを描画する
+ * @function renderOverlay
+ * @param {{active: boolean, title: string, message: string, bpm: number|null, beatAnchor: number|null, key: string|null, keyName: string, color: string|null, closeLabel: string}|null} state
+ * サービスワーカーが作成した表示内容（文言は設定の表示言語）。nullの場合はオーバーレイを取り除く
+ * @description ビートの点滅は検出したBPMの間隔で繰り返し、ビートの位置（beatAnchor）が分かる場合はその位置に合わせます
+ */
+function renderOverlay(state) {
+  if (!state) {
+    removeOverlay();
+    return;
+  }
+  if (!overlay) {
+    overlay = createOverlay();
+  }
+
+  const root = overlay.root;
+  root.querySelector('.title').textContent = state.title;
+  root.querySelector('.bpm-value').textContent = state.bpm ? state.bpm.toFixed(1) : '--';
+  root.querySelector('.message').textContent = state.message;
+  root.querySelector('.close').title = state.closeLabel;
+
+  const key = root.querySelector('.key');
+  key.textContent = state.key || '--';
+  key.title = state.keyName;
+  key.style.background = state.color || '#a0aec0';
+
+  const pulse = root.querySelector('.pulse');
+  pulse.classList.toggle('beating', Boolean(state.bpm));
+  if (state.bpm) {
+    const period = 60000 / state.bpm;
+    pulse.style.animationDuration = `${Math.round(period)}ms`;
+    if (state.beatAnchor) {
+      // アニメーションの再生位置を直前のビートからの経過時間にして、点滅をビートの時刻に合わせる
+      const elapsed = ((Date.now() - state.beatAnchor) % period + period) % period;
+      pulse.getAnimations().forEach(animation => {
+        animation.currentTime = elapsed;
+      });
+    }
+  }
+}
+
+/**
+ * オーバーレイを作成してページに追加する
+ * @function createOverlay
+ * @returns {{host: HTMLElement, root: ShadowRoot}} オーバーレイのホスト要素とShadow Root
+ * @description ヘッダーをドラッグして移動でき、位置はサイトをまたいで保存します
+ */
+function createOverlay() {
+  // サイトのdivやspanへのセレクタに一致しないよう、独自の要素名をホストにする
+  const host = document.createElement('music-analyzer-overlay');
+  const root = host.attachShadow({ mode: 'closed' });
+  root.innerHTML = `
+    <style>${OVERLAY_STYLE}</style>
+    <div class="panel" style="right: 20px; bottom: 20px;">
+      <div class="header">
+        <span class="title"></span>
+        <button class="close">×</button>
+      </div>
+      <div class="values">
+        <span class="pulse"></span>
+        <span class="bpm"><span class="bpm-value">--</span><span class="bpm-unit">BPM</span></span>
+        <span class="key">--</span>
+      </div>
+      <div class="message"></div>
+    </div>
+  `;
+  document.documentElement.appendChild(host);
+
+  const panel = root.querySelector('.panel');
+  chrome.storage.local.get({ [OVERLAY_POSITION_KEY]: null }, (items) => {
+    const position = items[OVERLAY_POSITION_KEY];
+    if (position) {
+      movePanel(panel, position.left, position.top);
+    }
+  });
+
+  // 閉じたら設定をオフにし、サービスワーカーがすべての表示を取り除く
+  root.querySelector('.close').addEventListener('click', () => {
+    chrome.storage.sync.set({ showOverlay: false });
+    removeOverlay();
+  });
+
+  const header = root.querySelector('.header');
+  header.addEventListener('pointerdown', (event) => {
+    if (event.target.closest('.close')) return;
+
+    const rect = panel.getBoundingClientRect();
+    const offsetX = event.clientX - rect.left;
+    const offsetY = event.clientY - rect.top;
+    header.setPointerCapture(event.pointerId);
+
+    const onMove = (moveEvent) => movePanel(panel, moveEvent.clientX - offsetX, moveEvent.clientY - offsetY);
+    const onUp = () => {
+      header.removeEventListener('pointermove', onMove);
+      header.removeEventListener('pointerup', onUp);
+      const moved = panel.getBoundingClientRect();
+      chrome.storage.local.set({ [OVERLAY_POSITION_KEY]: { left: moved.left, top: moved.top } });
+    };
+    header.addEventListener('pointermove', onMove);
+    header.addEventListener('pointerup', onUp);
+  });
+
+  return { host, root };
+}
+
+/**
+ * オーバーレイのパネルを移動する
+ * @function movePanel
+ * @param {HTMLElement} panel - パネル要素
+ * @param {number} left - 左端の位置（px）
+ * @param {number} top - 上端の位置（px）
+ * @description ウィンドウの外に出ないように位置を制限します
+ */
+function movePanel(panel, left, top) {
+  const maxLeft = Math.max(0, window.innerWidth - panel.offsetWidth);
+  const maxTop = Math.max(0, window.innerHeight - panel.offsetHeight);
+  panel.style.left = `${Math.min(Math.max(0, left), maxLeft)}px`;
+  panel.style.top = `${Math.min(Math.max(0, top), maxTop)}px`;
+  panel.style.right = 'auto';
+  panel.style.bottom = 'auto';
+}
+
+/**
+ * オーバーレイを取り除く
+ * @function removeOverlay
+ */
+function removeOverlay() {
+  if (overlay) {
+    overlay.host.remove();
+    overlay = null;
+  }
+}
+
+// ページの読み込み後、このタブで分析中であればオーバーレイを表示し直す
+chrome.storage.sync.get({ showOverlay: false }, (items) => {
+  if (!items.showOverlay) return;
 
-observer.observe(document.body, {
-  childList: true,
-  subtree: true
+  chrome.runtime.sendMessage({ target: 'background', action: 'getOverlayState' })
+    .then(response => renderOverlay(response.state))
+    .catch(() => {});
 });
 
-// ポップアップからのメッセージをリッスン
+// ポップアップとサービスワーカーからのメッセージをリッスン
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'checkMedia') {
-    sendResponse({ hasMedia: detectMediaElements() });
+  switch (request.action) {
+    case 'checkMedia':
+      sendResponse({ hasMedia: detectMediaElements() });
+      break;
+    case 'listMedia':
+      sendResponse({ elements: listMediaElements() });
+      break;
+    case 'getTrack':
+      sendResponse({ track: getCurrentTrack() });
+      break;
+    case 'watchTrack':
+      watchTrack(request.watch);
+      sendResponse({ watching: request.watch });
+      break;
+    case 'overlayUpdate':
+      renderOverlay(request.state);
+      break;
+    case 'tapMedia':
+      // コンテンツスクリプトは言語ごとのmessages.jsonを取得できないため、サービスワーカーが読み込んだメッセージを使う
+      I18n.use(request.messages, request.language);
+      tapMedia(request.mediaId, request.job);
+      sendResponse({ accepted: true });
+      break;
+    case 'stopMedia':
+      if (tapJob) {
+        finishTap(tapJob, { status: 'stopped', message: I18n.getMessage('statusStopped') });
+      }
+      sendResponse({ stopped: true });
+      break;
   }
 });
@@ -0,0 +1,189 @@
+/**
+ * ハーモニックミキシング
+ * @file harmonic-mixing.js
+ * @description Camelotホイール上で相性の良いキー、テンポを合わせるための変化率とピッチシフト量を計算し、
+ * 分析履歴のトラックを現在のトラックとの相性順に並べます。DOMに依存しないため、Node.jsからも読み込めます
+ */
+
+// Node.jsから読み込まれた場合はキー表記モジュールを読み込む
+if (typeof module !== 'undefined' && module.exports && typeof KeyNotation === 'undefined') {
+  globalThis.KeyNotation = require('./key-notation.js');
+}
+
+class HarmonicMixing {
+  /**
+   * 相性の良いキーへの移動
+   * @static
+   * @type {{id: string, offset: number, switchMode: boolean, score: number}[]}
+   * @description offsetはCamelotホイール上の番号の移動量、switchModeはA/B（マイナー/メジャー）の切り替え。
+   * 表示名はidに対応するメッセージ（mixMove_<id>）です。
+   * scoreは履歴トラックの並べ替えに使う相性の強さ（1が最も自然につながる）
+   */
+  static MOVES = [
+    { id: 'same', offset: 0, switchMode: false, score: 1 },
+    { id: 'relative', offset: 0, switchMode: true, score: 0.9 },
+    { id: 'down', offset: -1, switchMode: false, score: 0.85 },
+    { id: 'up', offset: 1, switchMode: false, score: 0.85 },
+    { id: 'boost2', offset: 2, switchMode: false, score: 0.6 },
+    { id: 'boost7', offset: 7, switchMode: false, score: 0.6 }
+  ];
+
+  /**
+   * ピッチフェーダーで無理なく合わせられるテンポ変化の目安（%）
+   * @static
+   * @type {number}
+   */
+  static TEMPO_TOLERANCE = 8;
+
+  /**
+   * Camelotホイール上でキーを移動する
+   * @static
+   * @param {string} camelot - 移動元のCamelot記法（8A等）
+   * @param {number} offset - 番号の移動量（12で一周）
+   * @param {boolean} [switchMode=false] - A/Bを切り替える場合はtrue
+   * @returns {string|null} 移動先のCamelot記法。解釈できない場合はnull
+   */
+  static shiftCamelot(camelot, offset, switchMode = false) {
+    const match = String(camelot || '').match(/^(\d{1,2})([AB])$/);
+    if (!match) {
+      return null;
+    }
+
+    const number = ((parseInt(match[1], 10) - 1 + offset) % 12 + 12) % 12 + 1;
+    const letter = switchMode ? (match[2] === 'A' ? 'B' : 'A') : match[2];
+    return `${number}${letter}`;
+  }
+
+  /**
+   * 相性の良いキーを取得する
+   * @static
+   * @param {string} camelot - 現在のキーのCamelot記法
+   * @returns {{id: string, score: number, key: Object, semitones: number}[]} 移動ごとのキー。
+   * semitonesは現在のトラックをそのキーへピッチシフトする場合の半音数
+   */
+  static getCompatibleKeys(camelot) {
+    const current = KeyNotation.parse(camelot);
+    if (!current) {
+      return [];
+    }
+
+    return HarmonicMixing.MOVES.map(move => {
+      const key = KeyNotation.parse(HarmonicMixing.shiftCamelot(camelot, move.offset, move.switchMode));
+      return {
+        id: move.id,
+        score: move.score,
+        key: key,
+        semitones: HarmonicMixing.getSemitoneShift(current, key)
+      };
+    });
+  }
+
+  /**
+   * 2つのキーの関係を取得する
+   * @static
+   * @param {string} fromCamelot - 基準のキーのCamelot記法
+   * @param {string} toCamelot - 比較するキーのCamelot記法
+   * @returns {{id: string, score: number}|null} 相性の良い移動に当たる場合はその移動、それ以外はnull
+   */
+  static getRelation(fromCamelot, toCamelot) {
+    return HarmonicMixing.MOVES.find(move =>
+      HarmonicMixing.shiftCamelot(fromCamelot, move.offset, move.switchMode) === toCamelot
+    ) || null;
+  }
+
+  /**
+   * キー間のピッチシフト量を計算する
+   * @static
+   * @param {{pitchClass: number, mode: string}} fromKey - 元のキー
+   * @param {{pitchClass: number, mode: string}} toKey - 移動先のキー
+   * @returns {number} 半音数（-5〜+6の最短の向き）。平行調どうしは同じ音階のため0
+   * @description マイナーキーは平行長調（主音+3半音）に置き換えて調号の差を比較します
+   */
+  static getSemitoneShift(fromKey, toKey) {
+    const toMajor = key => key.pitchClass + (key.mode === 'minor' ? 3 : 0);
+    const difference = ((toMajor(toKey) - toMajor(fromKey)) % 12 + 12) % 12;
+    return difference > 6 ? difference - 12 : difference;
+  }
+
+  /**
+   * テンポを合わせるための変化量を計算する
+   * @static
+   * @param {number} fromBPM - 元のBPM
+   * @param {number} toBPM - 合わせる先のBPM
+   * @returns {{ratio: number, percent: number, semitones: number}} 再生速度の比、変化率（%）、
+   * キーロックなしで再生速度を変えた場合のピッチの変化（半音）
+   */
+  static calculateTempoChange(fromBPM, toBPM) {
+    const ratio = toBPM / fromBPM;
+    return {
+      ratio: ratio,
+      percent: (ratio - 1) * 100,
+      semitones: 12 * Math.log2(ratio)
+    };
+  }
+
+  /**
+   * 倍/半分のテンポも考慮してテンポを合わせる
+   * @static
+   * @param {number} fromBPM - 元のBPM
+   * @param {number} toBPM - 合わせる先のBPM
+   * @returns {{ratio: number, percent: number, semitones: number, multiplier: number}} 変化率が最も小さくなる組み合わせ。
+   * multiplierは合わせる先のBPMに掛けた倍率（0.5、1、2）
+   */
+  static matchTempo(fromBPM, toBPM) {
+    return [1, 0.5, 2]
+      .map(multiplier => ({
+        ...HarmonicMixing.calculateTempoChange(fromBPM, toBPM * multiplier),
+        multiplier: multiplier
+      }))
+      .reduce((best, option) => Math.abs(option.percent) < Math.abs(best.percent) ? option : best);
+  }
+
+  /**
+   * 再生速度の変化でずれたキーを取得する
+   * @static
+   * @param {{pitchClass: number, mode: string}} key - 元のキー
+   * @param {number} semitones - ピッチの変化（半音）
+   * @returns {Object} 最も近い半音に丸めたキーの表記
+   */
+  static transposeKey(key, semitones) {
+    return KeyNotation.lookup(key.pitchClass + Math.round(semitones), key.mode);
+  }
+
+  /**
+   * 履歴のトラックを現在のトラックとの相性順に並べる
+   * @static
+   * @param {{camelot: string, bpm: number|null}} current - 現在のトラック
+   * @param {Object[]} entries - 履歴エントリー
+   * @param {number} [limit=5] - 返す件数
+   * @returns {{entry: Object, relation: Object, tempo: Object|null, score: number}[]} 相性の良い順のトラック
+   * @description キーの相性のスコアに、テンポ変化率がTEMPO_TOLERANCEを超えるほど小さくなる重みを掛けます。
+   * BPMが不明な場合は重みを0.5とし、キーの相性が無いトラックは含めません
+   */
+  static rankTracks(current, entries, limit = 5) {
+    const ranked = [];
+
+    entries.forEach(entry => {
+      const relation = HarmonicMixing.getRelation(current.camelot, entry.camelot);
+      if (!relation) {
+        return;
+      }
+
+      const tempo = current.bpm && entry.bpm ? HarmonicMixing.matchTempo(entry.bpm, current.bpm) : null;
+      const tempoWeight = tempo
+        ? Math.exp(-0.5 * Math.pow(tempo.percent / HarmonicMixing.TEMPO_TOLERANCE, 2))
+        : 0.5;
+
+      ranked.push({ entry, relation, tempo, score: relation.score * tempoWeight });
+    });
+
+    return ranked.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+// ブラウザではグローバルに、Node.jsではモジュールとして公開する
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HarmonicMixing;
+} else {
+  globalThis.HarmonicMixing = HarmonicMixing;
+}
@@ -0,0 +1,335 @@
+/**
+ * 分析履歴のエクスポート・インポート
+ * @file history-export.js
+ * @description 分析履歴をCSV・JSON・M3U8・Rekordbox XMLの各形式に変換し、エクスポートしたJSONを読み込みます。
+ * DOMに依存しないため、Node.jsからも読み込めます
+ */
+
+// Node.jsから読み込まれた場合はキー表記と表示言語のモジュールを読み込む
+if (typeof module !== 'undefined' && module.exports) {
+  if (typeof KeyNotation === 'undefined') {
+    globalThis.KeyNotation = require('./key-notation.js');
+  }
+  if (typeof I18n === 'undefined') {
+    globalThis.I18n = require('./i18n.js');
+  }
+}
+
+class HistoryExport {
+  /**
+   * JSONエクスポートの形式バージョン
+   * @static
+   * @type {number}
+   */
+  static JSON_VERSION = 1;
+
+  /**
+   * エクスポート形式
+   * @static
+   * @type {Object.<string, {extension: string, mimeType: string}>}
+   * @description 形式のIDから拡張子とMIMEタイプへのマッピング
+   */
+  static FORMATS = {
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    m3u8: { extension: 'm3u8', mimeType: 'audio/x-mpegurl' },
+    rekordbox: { extension: 'xml', mimeType: 'application/xml' }
+  };
+
+  /**
+   * CSVの列
+   * @static
+   * @type {{header: string, value: Function}[]}
+   */
+  static CSV_COLUMNS = [
+    { header: 'Date', value: entry => new Date(entry.timestamp).toISOString() },
+    { header: 'Title', value: entry => entry.title },
+    { header: 'Artist', value: entry => entry.artist || '' },
+    { header: 'Album', value: entry => entry.album || '' },
+    { header: 'URL', value: entry => entry.url },
+    { header: 'Source', value: entry => entry.source },
+    { header: 'BPM', value: entry => entry.bpm !== null ? entry.bpm.toFixed(1) : '' },
+    { header: 'BPM Confidence', value: entry => HistoryExport.formatConfidence(entry.bpmConfidence) },
+    { header: 'Time Signature', value: entry => entry.timeSignature || '' },
+    { header: 'Key', value: entry => entry.fullName },
+    { header: 'Camelot', value: entry => entry.camelot },
+    { header: 'Open Key', value: entry => entry.openKey },
+    { header: 'Key Confidence', value: entry => HistoryExport.formatConfidence(entry.keyConfidence) },
+    { header: 'Tuning (cents)', value: entry => entry.tuningCents ?? '' },
+    { header: 'Loudness (LUFS)', value: entry => entry.loudness ?? '' },
+    { header: 'True Peak (dBTP)', value: entry => entry.truePeak ?? '' },
+    { header: 'Loudness Range (LU)', value: entry => entry.loudnessRange ?? '' },
+    { header: 'Energy', value: entry => entry.energy ?? '' },
+    { header: 'Danceability', value: entry => entry.danceability ?? '' },
+    { header: 'Brightness', value: entry => entry.brightness ?? '' },
+    { header: 'Percussiveness', value: entry => entry.percussiveness ?? '' },
+    { header: 'Edited', value: entry => entry.edited ? 'yes' : 'no' }
+  ];
+
+  /**
+   * 履歴を指定した形式の文字列に変換する
+   * @static
+   * @param {Object[]} entries - 履歴エントリー
+   * @param {string} format - 形式（FORMATSのキー）
+   * @returns {string} エクスポートする内容
+   */
+  static serialize(entries, format) {
+    switch (format) {
+      case 'csv':
+        return HistoryExport.toCSV(entries);
+      case 'm3u8':
+        return HistoryExport.toM3U(entries);
+      case 'rekordbox':
+        return HistoryExport.toRekordboxXML(entries);
+      default:
+        return HistoryExport.toJSON(entries);
+    }
+  }
+
+  /**
+   * CSVに変換する
+   * @static
+   * @param {Object[]} entries - 履歴エントリー
+   * @returns {string} CSV（表計算ソフトが日本語のタイトルをUTF-8として開けるようBOM付き）
+   */
+  static toCSV(entries) {
+    const rows = [HistoryExport.CSV_COLUMNS.map(column => column.header)];
+    entries.forEach(entry => {
+      rows.push(HistoryExport.CSV_COLUMNS.map(column => column.value(entry)));
+    });
+
+    return '\uFEFF' + rows.map(row => row.map(HistoryExport.escapeCSV).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * JSONに変換する
+   * @static
+   * @param {Object[]} entries - 履歴エントリー
+   * @returns {string} バージョン情報付きのJSON（parseJSONで読み込めます）
+   */
+  static toJSON(entries) {
+    return JSON.stringify({
+      format: 'music-analyzer-history',
+      version: HistoryExport.JSON_VERSION,
+      exportedAt: new Date().toISOString(),
+      entries: entries
+    }, null, 2);
+  }
+
+  /**
+   * 拡張M3U（M3U8）プレイリストに変換する
+   * @static
+   * @param {Object[]} entries - 履歴エントリー
+   * @returns {string} M3U8プレイリスト
+   * @description 長さは保存していないため#EXTINFの秒数は-1（不明）とし、
+   * 「アーティスト - タイトル」の後ろにBPMとCamelotを付けてDJソフトの一覧で見分けられるようにします
+   */
+  static toM3U(entries) {
+    const lines = ['#EXTM3U'];
+    entries.forEach(entry => {
+      const details = [entry.bpm !== null ? `${entry.bpm.toFixed(1)} BPM` : '', entry.camelot]
+        .filter(Boolean)
+        .join(' ');
+      const title = HistoryExport.sanitizeLine([entry.artist, entry.title].filter(Boolean).join(' - ') || entry.url);
+      lines.push(`#EXTINF:-1,${title}${details ? ` [${details}]` : ''}`);
+      lines.push(HistoryExport.sanitizeLine(entry.url || entry.title));
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Rekordbox XMLに変換する
+   * @static
+   * @param {Object[]} entries - 履歴エントリー
+   * @returns {string} COLLECTIONと同じ並びのプレイリストを含むRekordbox XML
+   * @description TonalityはRekordboxの標準表記（Am、F#等）、AverageBpmは小数第2位まで出力し、
+   * Camelot・エネルギー・URLはCommentsに残します
+   */
+  static toRekordboxXML(entries) {
+    const attribute = (name, value) => `${name}="${HistoryExport.escapeXML(value)}"`;
+    const tracks = entries.map((entry, index) => {
+      const attributes = [
+        attribute('TrackID', index + 1),
+        attribute('Name', entry.title || entry.url),
+        attribute('Artist', entry.artist || ''),
+        attribute('Album', entry.album || ''),
+        attribute('Kind', entry.source === 'file' ? 'Audio File' : 'Web'),
+        attribute('Location', HistoryExport.toLocation(entry)),
+        attribute('DateAdded', new Date(entry.timestamp).toISOString().slice(0, 10)),
+        attribute('Comments', [entry.camelot, Number.isFinite(entry.energy) ? `Energy ${entry.energy}` : '', entry.url].filter(Boolean).join(' '))
+      ];
+      if (entry.bpm !== null) {
+        attributes.push(attribute('AverageBpm', entry.bpm.toFixed(2)));
+      }
+      if (entry.camelot) {
+        attributes.push(attribute('Tonality', `${entry.key}${entry.mode === 'minor' ? 'm' : ''}`));
+      }
+      return `    <TRACK ${attributes.join(' ')}/>`;
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<DJ_PLAYLISTS Version="1.0.0">',
+      '  <PRODUCT Name="Music Analyzer" Version="1.0.0" Company=""/>',
+      `  <COLLECTION Entries="${entries.length}">`,
+      ...tracks,
+      '  </COLLECTION>',
+      '  <PLAYLISTS>',
+      '    <NODE Type="0" Name="ROOT" Count="1">',
+      `      <NODE Name="Music Analyzer" Type="1" KeyType="0" Entries="${entries.length}">`,
+      ...entries.map((entry, index) => `        <TRACK Key="${index + 1}"/>`),
+      '      </NODE>',
+      '    </NODE>',
+      '  </PLAYLISTS>',
+      '</DJ_PLAYLISTS>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * エクスポートしたJSONを履歴エントリーに変換する
+   * @static
+   * @param {string} text - JSONの内容（toJSONの形式、またはエントリーの配列）
+   * @returns {{entries: Object[], skipped: number}} 読み込めたエントリーと、不正なため読み飛ばした件数
+   * @throws {Error} JSONとして解釈できない場合、または履歴が含まれていない場合
+   * @description キーの各表記はCamelot記法（無い場合は標準表記）から表記表を引き直して整合させます
+   */
+  static parseJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(I18n.getMessage('errorImportJson'));
+    }
+
+    const items = Array.isArray(data) ? data : data && data.entries;
+    if (!Array.isArray(items)) {
+      throw new Error(I18n.getMessage('errorImportFormat'));
+    }
+
+    const entries = [];
+    items.forEach(item => {
+      const entry = HistoryExport.normalizeEntry(item);
+      if (entry) {
+        entries.push(entry);
+      }
+    });
+
+    return { entries, skipped: items.length - entries.length };
+  }
+
+  /**
+   * 読み込んだ1件を履歴エントリーの形に整える
+   * @static
+   * @param {Object} item - 読み込んだ値
+   * @returns {Object|null} 履歴エントリー。必須項目が欠けている場合はnull
+   */
+  static normalizeEntry(item) {
+    if (!item || typeof item !== 'object' || !item.id || !Number.isFinite(item.timestamp)) {
+      return null;
+    }
+
+    const key = KeyNotation.parse(item.camelot) || KeyNotation.parse(item.fullName);
+    if (!key) {
+      return null;
+    }
+
+    const toNumber = value => Number.isFinite(value) ? value : null;
+
+    return {
+      id: String(item.id),
+      timestamp: item.timestamp,
+      source: ['tab', 'file', 'live'].includes(item.source) ? item.source : 'tab',
+      title: String(item.title || ''),
+      artist: String(item.artist || ''),
+      album: String(item.album || ''),
+      url: String(item.url || ''),
+      favIconUrl: String(item.favIconUrl || ''),
+      bpm: toNumber(item.bpm),
+      bpmConfidence: toNumber(item.bpmConfidence),
+      timeSignature: /^\d+\/\d+$/.test(item.timeSignature) ? item.timeSignature : null,
+      key: key.name,
+      mode: key.mode,
+      fullName: `${key.name} ${key.mode}`,
+      camelot: key.camelot,
+      openKey: key.openKey,
+      keyConfidence: toNumber(item.keyConfidence),
+      tuningCents: toNumber(item.tuningCents),
+      loudness: toNumber(item.loudness),
+      truePeak: toNumber(item.truePeak),
+      loudnessRange: toNumber(item.loudnessRange),
+      energy: toNumber(item.energy),
+      danceability: toNumber(item.danceability),
+      brightness: toNumber(item.brightness),
+      percussiveness: toNumber(item.percussiveness),
+      edited: Boolean(item.edited)
+    };
+  }
+
+  /**
+   * Rekordbox XMLのLocationを作成する
+   * @static
+   * @param {Object} entry - 履歴エントリー
+   * @returns {string} タブの場合はURL、ファイルの場合はファイル名のfile URI（パスは保存していないため名前のみ）
+   */
+  static toLocation(entry) {
+    if (entry.url) {
+      return entry.url;
+    }
+    return `file://localhost/${encodeURIComponent(entry.title)}`;
+  }
+
+  /**
+   * 信頼度をパーセントの文字列にする
+   * @static
+   * @param {number|null} confidence - 信頼度（0〜1）
+   * @returns {string} パーセント（未検出の場合は空文字列）
+   */
+  static formatConfidence(confidence) {
+    return Number.isFinite(confidence) ? String(Math.round(confidence * 100)) : '';
+  }
+
+  /**
+   * CSVのフィールドをエスケープする
+   * @static
+   * @param {*} value - フィールドの値
+   * @returns {string} 必要に応じてダブルクォートで囲んだ値
+   */
+  static escapeCSV(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * XMLの属性値をエスケープする
+   * @static
+   * @param {*} value - 属性値
+   * @returns {string} エスケープした値
+   */
+  static escapeXML(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/[\r\n\t]/g, ' ');
+  }
+
+  /**
+   * プレイリストの1行に収まるよう改行を取り除く
+   * @static
+   * @param {string} text - 文字列
+   * @returns {string} 改行を空白に置き換えた文字列
+   */
+  static sanitizeLine(text) {
+    return String(text || '').replace(/[\r\n]+/g, ' ');
+  }
+}
+
+// ブラウザではグローバルに、Node.jsではモジュールとして公開する
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HistoryExport;
+} else {
+  globalThis.HistoryExport = HistoryExport;
+}
@@ -0,0 +1,266 @@
+/**
+ * 分析履歴ストア
+ * @file history-store.js
+ * @description 分析結果を曲名・アーティスト（無い場合はタブのタイトル）・URL・ファビコンと一緒にchrome.storage.localへ保存し、
+ * 検索・並べ替え・修正・削除を提供します
+ */
+class HistoryStore {
+  /**
+   * chrome.storage.localの保存キー
+   * @static
+   * @type {string}
+   */
+  static STORAGE_KEY = 'analysisHistory';
+
+  /**
+   * 保存する履歴の最大件数
+   * @static
+   * @type {number}
+   * @description 超えた場合は古い順に破棄します
+   */
+  static MAX_ENTRIES = 2000;
+
+  /**
+   * 並べ替えの種類
+   * @static
+   * @type {Object.<string, Function>}
+   * @description 並べ替えのIDから比較関数へのマッピング。BPMやエネルギーが未検出の履歴は常に末尾になります
+   */
+  static SORTERS = {
+    newest: (a, b) => b.timestamp - a.timestamp,
+    oldest: (a, b) => a.timestamp - b.timestamp,
+    bpmAsc: (a, b) => HistoryStore.compareNullable(a.bpm, b.bpm),
+    bpmDesc: (a, b) => HistoryStore.compareNullable(b.bpm, a.bpm, true),
+    // エネルギーを計算する前に保存された履歴にはフィールドが無い
+    energyAsc: (a, b) => HistoryStore.compareNullable(a.energy ?? null, b.energy ?? null),
+    energyDesc: (a, b) => HistoryStore.compareNullable(b.energy ?? null, a.energy ?? null, true),
+    key: (a, b) => HistoryStore.camelotOrder(a.camelot) - HistoryStore.camelotOrder(b.camelot)
+  };
+
+  /**
+   * 実行中の書き込み
+   * @static
+   * @type {Promise<void>}
+   * @description 読み込み→変更→保存の間に別の書き込みが割り込んで変更が失われないよう、書き込みをこのPromiseに順に連結します
+   */
+  static pending = Promise.resolve();
+
+  /**
+   * 分析結果から履歴エントリーを作成する
+   * @static
+   * @param {{tempo: Object|null, keyData: Object, structure?: Object|null, loudness?: Object, descriptors?: Object|null}} result - 分析結果
+   * @param {{source: string, title: string, artist?: string, album?: string, url?: string, favIconUrl?: string}} metadata - 分析対象の情報
+   * @returns {Object} 履歴エントリー
+   */
+  static createEntry(result, metadata) {
+    const { tempo, keyData, structure, loudness, descriptors } = result;
+
+    return {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      timestamp: Date.now(),
+      source: metadata.source,
+      title: metadata.title || '',
+      artist: metadata.artist || '',
+      album: metadata.album || '',
+      url: metadata.url || '',
+      favIconUrl: metadata.favIconUrl || '',
+      bpm: tempo ? tempo.bpm : null,
+      bpmConfidence: tempo ? tempo.confidence : null,
+      timeSignature: structure ? structure.timeSignature : null,
+      key: keyData.key,
+      mode: keyData.mode,
+      fullName: keyData.fullName,
+      camelot: keyData.camelot,
+      openKey: keyData.openKey,
+      keyConfidence: keyData.confidence,
+      tuningCents: keyData.tuningCents,
+      loudness: loudness ? loudness.integrated : null,
+      truePeak: loudness ? loudness.truePeak : null,
+      loudnessRange: loudness ? loudness.loudnessRange : null,
+      energy: descriptors ? descriptors.energy : null,
+      danceability: descriptors ? descriptors.danceability : null,
+      brightness: descriptors ? descriptors.brightness : null,
+      percussiveness: descriptors ? descriptors.percussiveness : null,
+      edited: false
+    };
+  }
+
+  /**
+   * すべての履歴を取得する
+   * @static
+   * @async
+   * @returns {Promise<Object[]>} 保存された履歴エントリー（保存順）
+   */
+  static async getAll() {
+    const items = await chrome.storage.local.get({ [HistoryStore.STORAGE_KEY]: [] });
+    return items[HistoryStore.STORAGE_KEY];
+  }
+
+  /**
+   * 履歴を保存する
+   * @static
+   * @async
+   * @param {Object[]} entries - 保存する履歴エントリー
+   */
+  static async saveAll(entries) {
+    await chrome.storage.local.set({
+      [HistoryStore.STORAGE_KEY]: entries.slice(-HistoryStore.MAX_ENTRIES)
+    });
+  }
+
+  /**
+   * 履歴の書き込みを順番に実行する
+   * @static
+   * @async
+   * @param {Function} task - 履歴を読み込んで保存する非同期関数
+   * @returns {Promise<*>} taskの戻り値
+   * @description 前の書き込みが終わってからtaskを実行します。失敗した書き込みがあっても後続の書き込みは続けます
+   */
+  static mutate(task) {
+    const result = HistoryStore.pending.then(task);
+    HistoryStore.pending = result.then(() => {}, () => {});
+    return result;
+  }
+
+  /**
+   * 履歴を追加する
+   * @static
+   * @async
+   * @param {Object} entry - createEntryで作成した履歴エントリー
+   * @returns {Promise<Object>} 追加したエントリー
+   */
+  static add(entry) {
+    return HistoryStore.mutate(async () => {
+      const entries = await HistoryStore.getAll();
+      entries.push(entry);
+      await HistoryStore.saveAll(entries);
+      return entry;
+    });
+  }
+
+  /**
+   * 履歴を修正する
+   * @static
+   * @async
+   * @param {string} id - 修正するエントリーのID
+   * @param {Object} changes - 上書きするフィールド
+   * @returns {Promise<Object|null>} 修正後のエントリー。見つからない場合はnull
+   * @description 修正したエントリーにはeditedフラグを立て、自動推定の値と区別できるようにします
+   */
+  static update(id, changes) {
+    return HistoryStore.mutate(async () => {
+      const entries = await HistoryStore.getAll();
+      const entry = entries.find(item => item.id === id);
+      if (!entry) {
+        return null;
+      }
+
+      Object.assign(entry, changes, { edited: true });
+      await HistoryStore.saveAll(entries);
+      return entry;
+    });
+  }
+
+  /**
+   * 履歴を削除する
+   * @static
+   * @async
+   * @param {string} id - 削除するエントリーのID
+   */
+  static remove(id) {
+    return HistoryStore.mutate(async () => {
+      const entries = await HistoryStore.getAll();
+      await HistoryStore.saveAll(entries.filter(item => item.id !== id));
+    });
+  }
+
+  /**
+   * 読み込んだ履歴を統合する
+   * @static
+   * @async
+   * @param {Object[]} imported - 読み込んだ履歴エントリー
+   * @returns {Promise<{added: number, updated: number}>} 追加した件数と上書きした件数
+   * @description 同じIDのエントリーは読み込んだ内容で上書きし、それ以外は追加して日時順に並べ直します
+   */
+  static merge(imported) {
+    return HistoryStore.mutate(async () => {
+      const entries = await HistoryStore.getAll();
+      const indexById = new Map(entries.map((entry, index) => [entry.id, index]));
+      let added = 0;
+      let updated = 0;
+
+      imported.forEach(entry => {
+        if (indexById.has(entry.id)) {
+          entries[indexById.get(entry.id)] = entry;
+          updated++;
+        } else {
+          indexById.set(entry.id, entries.length);
+          entries.push(entry);
+          added++;
+        }
+      });
+
+      await HistoryStore.saveAll(entries.sort(HistoryStore.SORTERS.oldest));
+      return { added, updated };
+    });
+  }
+
+  /**
+   * 履歴を検索して並べ替える
+   * @static
+   * @param {Object[]} entries - 履歴エントリー
+   * @param {string} query - 検索語（タイトル・アーティスト・アルバム・URL・キーの各表記・BPMに部分一致、空白区切りでAND検索）
+   * @param {string} [sortKey='newest'] - 並べ替えの種類（SORTERSのキー）
+   * @returns {Object[]} 条件に一致したエントリー
+   */
+  static query(entries, query, sortKey = 'newest') {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const sorter = HistoryStore.SORTERS[sortKey] || HistoryStore.SORTERS.newest;
+
+    return entries
+      .filter(entry => {
+        const haystack = [
+          entry.title, entry.artist, entry.album, entry.url, entry.fullName, entry.camelot, entry.openKey,
+          entry.bpm !== null ? entry.bpm.toFixed(1) : ''
+        ].join(' ').toLowerCase();
+        return terms.every(term => haystack.includes(term));
+      })
+      .sort(sorter);
+  }
+
+  /**
+   * null（未検出）を末尾にして数値を比較する
+   * @static
+   * @param {number|null} a - 比較する値
+   * @param {number|null} b - 比較する値
+   * @param {boolean} [swapped=false] - 降順のために引数を入れ替えて呼んだ場合はtrue
+   * @returns {number} 比較結果
+   */
+  static compareNullable(a, b, swapped = false) {
+    if (a === null && b === null) return 0;
+    if (a === null) return swapped ? -1 : 1;
+    if (b === null) return swapped ? 1 : -1;
+    return a - b;
+  }
+
+  /**
+   * Camelot記法の並び順を取得する
+   * @static
+   * @param {string} camelot - Camelot記法（8B等）
+   * @returns {number} 1A, 1B, 2A, ... 12Bの順に並ぶ数値（不明なキーは末尾）
+   */
+  static camelotOrder(camelot) {
+    const number = parseInt(camelot, 10);
+    if (!number) {
+      return 99;
+    }
+    return number * 2 + (camelot.endsWith('B') ? 1 : 0);
+  }
+}
+
+// ブラウザではグローバルに、Node.jsではモジュールとして公開する
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HistoryStore;
+} else {
+  globalThis.HistoryStore = HistoryStore;
+}
@@ -0,0 +1,353 @@
+/**
+ * 分析履歴ビュー
+ * @file history-view.js
+ * @description ポップアップの履歴タブに保存済みの分析結果を一覧表示し、検索・並べ替え・修正・削除と
+ * エクスポート・インポートを行います
+ */
+class HistoryView {
+  /**
+   * HistoryViewのコンストラクタ
+   * @constructor
+   * @param {HTMLElement} container - 履歴ビューの要素（#historyView）
+   */
+  constructor(container) {
+    /** @type {HTMLInputElement} 検索欄 */
+    this.searchInput = container.querySelector('#historySearch');
+    /** @type {HTMLSelectElement} 並べ替えの選択欄 */
+    this.sortSelect = container.querySelector('#historySort');
+    /** @type {HTMLElement} 件数の表示欄 */
+    this.countLabel = container.querySelector('#historyCount');
+    /** @type {HTMLElement} 履歴の一覧 */
+    this.list = container.querySelector('#historyList');
+    /** @type {HTMLSelectElement} エクスポート形式の選択欄 */
+    this.exportSelect = container.querySelector('#exportFormat');
+    /** @type {HTMLInputElement} インポートするファイルの選択欄 */
+    this.importInput = container.querySelector('#importInput');
+    /** @type {Object[]} 読み込んだ履歴エントリー */
+    this.entries = [];
+    /** @type {string} キーの表記法（'camelot'|'openKey'|'standard'） */
+    this.notation = 'camelot';
+    /** @type {string|null} 編集中のエントリーのID */
+    this.editingId = null;
+
+    this.searchInput.addEventListener('input', () => this.render());
+    this.sortSelect.addEventListener('change', () => this.render());
+    this.list.addEventListener('click', (event) => this.handleClick(event));
+    container.querySelector('#exportBtn').addEventListener('click', () => this.exportEntries());
+    container.querySelector('#importBtn').addEventListener('click', () => this.importInput.click());
+    this.importInput.addEventListener('change', async () => {
+      if (this.importInput.files.length > 0) {
+        await this.importEntries(this.importInput.files[0]);
+        this.importInput.value = '';
+      }
+    });
+  }
+
+  /**
+   * 保存された履歴を読み込み直して表示する
+   * @async
+   */
+  async refresh() {
+    this.entries = await HistoryStore.getAll();
+    this.render();
+  }
+
+  /**
+   * キーの表記法を切り替える
+   * @param {string} notation - 表記法（'camelot'|'openKey'|'standard'）
+   */
+  setNotation(notation) {
+    this.notation = notation;
+    this.render();
+  }
+
+  /**
+   * 検索語と並べ替えを反映して一覧を描画する
+   */
+  render() {
+    const entries = this.getVisibleEntries();
+
+    this.list.innerHTML = '';
+    entries.forEach(entry => {
+      this.list.appendChild(entry.id === this.editingId ? this.createEditor(entry) : this.createItem(entry));
+    });
+
+    this.countLabel.textContent = this.entries.length === 0
+      ? I18n.getMessage('historyEmpty')
+      : I18n.getMessage('historyCount', [entries.length, this.entries.length]);
+  }
+
+  /**
+   * 検索語と並べ替えを反映した履歴を取得する
+   * @returns {Object[]} 一覧に表示する順の履歴エントリー
+   */
+  getVisibleEntries() {
+    return HistoryStore.query(this.entries, this.searchInput.value, this.sortSelect.value);
+  }
+
+  /**
+   * 表示中の履歴をファイルとしてダウンロードする
+   * @description 検索で絞り込んだ結果を表示中の並び順のまま書き出すため、そのままセットリストとして使えます
+   */
+  exportEntries() {
+    const entries = this.getVisibleEntries();
+    if (entries.length === 0) {
+      this.countLabel.textContent = I18n.getMessage('historyNothingToExport');
+      return;
+    }
+
+    const format = this.exportSelect.value;
+    const { extension, mimeType } = HistoryExport.FORMATS[format];
+    const content = HistoryExport.serialize(entries, format);
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `music-analyzer-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    link.click();
+    // ダウンロードの開始を待ってから解放する
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * エクスポートしたJSONファイルを履歴に統合する
+   * @async
+   * @param {File} file - 読み込むJSONファイル
+   */
+  async importEntries(file) {
+    try {
+      const { entries, skipped } = HistoryExport.parseJSON(await file.text());
+      const { added, updated } = await HistoryStore.merge(entries);
+      await this.refresh();
+      this.countLabel.textContent = skipped > 0
+        ? I18n.getMessage('historyImportedSkipped', [added, updated, skipped])
+        : I18n.getMessage('historyImported', [added, updated]);
+    } catch (error) {
+      console.error('インポートエラー:', error);
+      this.countLabel.textContent = error.message;
+    }
+  }
+
+  /**
+   * 履歴エントリーの表示行を作成する
+   * @param {Object} entry - 履歴エントリー
+   * @returns {HTMLLIElement} 表示行
+   */
+  createItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+    item.dataset.id = entry.id;
+
+    const icon = document.createElement('img');
+    icon.className = 'history-icon';
+    icon.alt = '';
+    if (entry.favIconUrl) {
+      icon.src = entry.favIconUrl;
+    } else {
+      icon.classList.add('placeholder');
+    }
+
+    const info = document.createElement('div');
+    info.className = 'history-info';
+
+    const title = document.createElement(entry.url ? 'a' : 'span');
+    title.className = 'history-title';
+    title.textContent = entry.title || entry.url || I18n.getMessage('historyUntitled');
+    title.title = entry.url || entry.title;
+    if (entry.url) {
+      title.href = entry.url;
+      title.dataset.action = 'open';
+    }
+
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    const source = I18n.getMessage(entry.source === 'file' ? 'historySourceFile' : entry.source === 'live' ? 'historySourceLive' : 'historySourceTab');
+    meta.textContent = [
+      entry.artist,
+      Number.isFinite(entry.energy) ? I18n.getMessage('historyEnergy', entry.energy) : '',
+      Number.isFinite(entry.loudness) ? `${entry.loudness.toFixed(1)} LUFS` : '',
+      new Date(entry.timestamp).toLocaleString(I18n.getLanguage()),
+      source,
+      entry.edited ? I18n.getMessage('historyEdited') : ''
+    ].filter(Boolean).join(' · ');
+
+    info.append(title, meta);
+
+    const values = document.createElement('div');
+    values.className = 'history-values';
+
+    const bpm = document.createElement('span');
+    bpm.className = 'history-bpm';
+    bpm.textContent = entry.bpm !== null ? entry.bpm.toFixed(1) : '--';
+    bpm.title = HistoryView.formatConfidence(entry.bpmConfidence);
+
+    const key = document.createElement('span');
+    key.className = 'history-key';
+    key.textContent = KeyNotation.format(entry, this.notation);
+    key.title = `${entry.fullName} · ${HistoryView.formatConfidence(entry.keyConfidence)}`;
+    key.style.backgroundColor = KeyNotation.getCamelotColor(entry.camelot);
+
+    values.append(bpm, key);
+
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+    actions.append(
+      HistoryView.createButton('✎', 'edit', I18n.getMessage('historyEdit')),
+      HistoryView.createButton('✕', 'delete', I18n.getMessage('historyDelete'))
+    );
+
+    item.append(icon, info, values, actions);
+    return item;
+  }
+
+  /**
+   * 履歴エントリーの編集行を作成する
+   * @param {Object} entry - 履歴エントリー
+   * @returns {HTMLLIElement} 編集行
+   */
+  createEditor(entry) {
+    const item = document.createElement('li');
+    item.className = 'history-item editing';
+    item.dataset.id = entry.id;
+
+    const titleInput = document.createElement('input');
+    titleInput.className = 'history-input history-title-input';
+    titleInput.name = 'title';
+    titleInput.value = entry.title;
+    titleInput.placeholder = I18n.getMessage('historyTitlePlaceholder');
+
+    const bpmInput = document.createElement('input');
+    bpmInput.className = 'history-input history-bpm-input';
+    bpmInput.name = 'bpm';
+    bpmInput.type = 'number';
+    bpmInput.min = '20';
+    bpmInput.max = '400';
+    bpmInput.step = '0.1';
+    bpmInput.value = entry.bpm !== null ? entry.bpm.toFixed(1) : '';
+    bpmInput.placeholder = 'BPM';
+
+    const keyInput = document.createElement('input');
+    keyInput.className = 'history-input history-key-input';
+    keyInput.name = 'key';
+    keyInput.value = KeyNotation.format(entry, this.notation);
+    keyInput.placeholder = '8A / Am';
+    keyInput.title = I18n.getMessage('historyKeyHint');
+
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+    actions.append(
+      HistoryView.createButton('✓', 'save', I18n.getMessage('historySave')),
+      HistoryView.createButton('↩', 'cancel', I18n.getMessage('historyCancel'))
+    );
+
+    item.append(titleInput, bpmInput, keyInput, actions);
+    return item;
+  }
+
+  /**
+   * 一覧内のクリックを処理する
+   * @async
+   * @param {MouseEvent} event - クリックイベント
+   */
+  async handleClick(event) {
+    const target = event.target.closest('[data-action]');
+    if (!target) return;
+
+    const item = target.closest('.history-item');
+    const id = item.dataset.id;
+
+    switch (target.dataset.action) {
+      case 'open':
+        // ポップアップ内では遷移せず新しいタブで開く
+        event.preventDefault();
+        chrome.tabs.create({ url: target.href });
+        break;
+      case 'edit':
+        this.editingId = id;
+        this.render();
+        break;
+      case 'cancel':
+        this.editingId = null;
+        this.render();
+        break;
+      case 'save':
+        await this.saveEdit(id, item);
+        break;
+      case 'delete':
+        if (confirm(I18n.getMessage('historyDeleteConfirm'))) {
+          await HistoryStore.remove(id);
+          await this.refresh();
+        }
+        break;
+    }
+  }
+
+  /**
+   * 編集行の入力内容を保存する
+   * @async
+   * @param {string} id - 編集中のエントリーのID
+   * @param {HTMLLIElement} item - 編集行
+   * @description BPMとキーを検証し、解釈できない入力は保存せずに入力欄を強調表示します
+   */
+  async saveEdit(id, item) {
+    const titleInput = item.querySelector('[name="title"]');
+    const bpmInput = item.querySelector('[name="bpm"]');
+    const keyInput = item.querySelector('[name="key"]');
+
+    const bpmText = bpmInput.value.trim();
+    const bpm = bpmText === '' ? null : Math.round(parseFloat(bpmText) * 10) / 10;
+    const bpmValid = bpm === null || (bpm >= 20 && bpm <= 400);
+    const key = KeyNotation.parse(keyInput.value);
+
+    bpmInput.classList.toggle('invalid', !bpmValid);
+    keyInput.classList.toggle('invalid', !key);
+    if (!bpmValid || !key) {
+      return;
+    }
+
+    await HistoryStore.update(id, {
+      title: titleInput.value.trim(),
+      bpm: bpm,
+      key: key.name,
+      mode: key.mode,
+      fullName: `${key.name} ${key.mode}`,
+      camelot: key.camelot,
+      openKey: key.openKey
+    });
+
+    this.editingId = null;
+    await this.refresh();
+  }
+
+  /**
+   * 操作ボタンを作成する
+   * @static
+   * @param {string} label - ボタンの表示
+   * @param {string} action - data-actionに設定する操作名
+   * @param {string} title - ツールチップ
+   * @returns {HTMLButtonElement} ボタン
+   */
+  static createButton(label, action, title) {
+    const button = document.createElement('button');
+    button.className = 'history-btn';
+    button.textContent = label;
+    button.title = title;
+    button.dataset.action = action;
+    return button;
+  }
+
+  /**
+   * 信頼度をツールチップ用に整形する
+   * @static
+   * @param {number|null} confidence - 信頼度（0〜1）
+   * @returns {string} 整形した信頼度
+   */
+  static formatConfidence(confidence) {
+    return confidence !== null && confidence !== undefined
+      ? I18n.getMessage('confidenceValue', Math.round(confidence * 100))
+      : I18n.getMessage('confidenceUnknown');
+  }
+}
+
+// グローバルに利用可能にする
+window.HistoryView = HistoryView;
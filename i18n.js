@@ -0,0 +1,141 @@
+/**
+ * 表示言語
+ * @file i18n.js
+ * @description _locales/{言語}/messages.jsonのメッセージを取得します。既定ではchrome.i18n（ブラウザの表示言語）に従い、
+ * 設定で言語を指定した場合はその言語のmessages.jsonを読み込んで使います（chrome.i18nは言語を切り替えられないため）。
+ * Node.jsから読み込んだ場合は英語のメッセージを使います
+ */
+class I18n {
+  /**
+   * 指定した言語のメッセージ（ブラウザの表示言語に従う場合はnull）
+   * @static
+   * @type {Object.<string, {message: string, placeholders?: Object}>|null}
+   */
+  static messages = null;
+
+  /**
+   * 読み込んだ言語（'auto'はブラウザの表示言語）
+   * @static
+   * @type {string}
+   */
+  static language = 'auto';
+
+  /**
+   * 表示言語のメッセージを読み込む
+   * @static
+   * @async
+   * @param {string} [language='auto'] - 言語（'auto'|'en'|'ja'）
+   * @description 拡張機能のページ・サービスワーカー・オフスクリーンドキュメントで使います。
+   * messages.jsonを読み込めない言語はブラウザの表示言語に戻します
+   */
+  static async load(language = 'auto') {
+    if (language === I18n.language) {
+      return;
+    }
+    if (language === 'auto') {
+      I18n.use(null);
+      return;
+    }
+
+    try {
+      const response = await fetch(chrome.runtime.getURL(`_locales/${language}/messages.json`));
+      I18n.use(await response.json(), language);
+    } catch (error) {
+      console.error('メッセージの読み込みエラー:', error);
+      I18n.use(null);
+    }
+  }
+
+  /**
+   * 読み込み済みのメッセージを使う
+   * @static
+   * @param {Object|null} messages - messages.jsonの内容（ブラウザの表示言語に従う場合はnull）
+   * @param {string} [language='auto'] - メッセージの言語
+   * @description コンテンツスクリプトは拡張機能のファイルを取得できないため、サービスワーカーから受け取ったメッセージを渡します
+   */
+  static use(messages, language = 'auto') {
+    I18n.messages = messages;
+    I18n.language = messages ? language : 'auto';
+  }
+
+  /**
+   * メッセージを取得する
+   * @static
+   * @param {string} name - メッセージ名
+   * @param {(string|number)[]|string|number} [substitutions=[]] - プレースホルダーに代入する値（$1, $2, ...の順）
+   * @returns {string} メッセージ。見つからない場合はメッセージ名
+   */
+  static getMessage(name, substitutions = []) {
+    const values = [].concat(substitutions).map(String);
+    if (!I18n.messages && typeof chrome !== 'undefined' && chrome.i18n) {
+      return chrome.i18n.getMessage(name, values) || name;
+    }
+
+    const entry = I18n.messages && I18n.messages[name];
+    return entry ? I18n.format(entry, values) : name;
+  }
+
+  /**
+   * messages.jsonの1件を整形する
+   * @static
+   * @param {{message: string, placeholders?: Object.<string, {content: string}>}} entry - メッセージ
+   * @param {string[]} values - 代入する値
+   * @returns {string} プレースホルダーを置き換えたメッセージ
+   * @description chrome.i18nと同じく、$NAME$を名前付きプレースホルダーの内容に、$1〜$9を代入する値に、$$を$に置き換えます
+   */
+  static format(entry, values) {
+    const substitute = (text) => text.replace(/\$(\d)/g, (match, index) => values[index - 1] || '');
+    const placeholders = entry.placeholders || {};
+
+    return entry.message.replace(/\$([A-Za-z_]\w*)\$|\$(\d)|\$\$/g, (match, name, index) => {
+      if (name) {
+        const placeholder = placeholders[name.toLowerCase()];
+        return placeholder ? substitute(placeholder.content) : match;
+      }
+      if (index) {
+        return values[index - 1] || '';
+      }
+      return '$';
+    });
+  }
+
+  /**
+   * 表示中の言語を取得する
+   * @static
+   * @returns {string} 言語コード（'en'|'ja'）
+   */
+  static getLanguage() {
+    if (I18n.language !== 'auto') {
+      return I18n.language;
+    }
+    return typeof chrome !== 'undefined' && chrome.i18n && chrome.i18n.getUILanguage().startsWith('ja') ? 'ja' : 'en';
+  }
+
+  /**
+   * ページの静的な文言を翻訳する
+   * @static
+   * @param {Document} doc - 翻訳する文書
+   * @description data-i18n属性の要素の本文、data-i18n-title・data-i18n-placeholder属性の要素のtitle・placeholderを置き換えます。
+   * HTMLの文言は英語のまま残します（翻訳するまでの表示）
+   */
+  static localizePage(doc) {
+    doc.documentElement.lang = I18n.getLanguage();
+    doc.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = I18n.getMessage(element.dataset.i18n);
+    });
+    doc.querySelectorAll('[data-i18n-title]').forEach(element => {
+      element.title = I18n.getMessage(element.dataset.i18nTitle);
+    });
+    doc.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+      element.placeholder = I18n.getMessage(element.dataset.i18nPlaceholder);
+    });
+  }
+}
+
+// ブラウザではグローバルに、Node.jsではモジュールとして公開する
+if (typeof module !== 'undefined' && module.exports) {
+  I18n.use(require('./_locales/en/messages.json'), 'en');
+  module.exports = I18n;
+} else {
+  globalThis.I18n = I18n;
+}
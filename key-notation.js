@@ -0,0 +1,189 @@
+/**
+ * キー表記モジュール
+ * @file key-notation.js
+ * @description 24キーの綴り（慣用的な♯/♭の選択）・Camelot記法・Open Key記法を1つの表で管理します。
+ * ポップアップ（scriptタグ）からもNode.js（require）からも読み込めます
+ */
+class KeyNotation {
+  /**
+   * 24キーの表記表
+   * @static
+   * @type {{pitchClass: number, mode: string, name: string, camelot: string, openKey: string}[]}
+   * @description 主音のピッチクラス（0-11: C-B）とモードごとに、調号が少なくなる慣用的な綴りと
+   * Camelot記法・Open Key記法を定義します。6つの調号を持つF#メジャー/E♭マイナーは一般的な方を採用しています
+   */
+  static KEYS = [
+    { pitchClass: 0, mode: 'major', name: 'C', camelot: '8B', openKey: '1d' },
+    { pitchClass: 1, mode: 'major', name: 'Db', camelot: '3B', openKey: '8d' },
+    { pitchClass: 2, mode: 'major', name: 'D', camelot: '10B', openKey: '3d' },
+    { pitchClass: 3, mode: 'major', name: 'Eb', camelot: '5B', openKey: '10d' },
+    { pitchClass: 4, mode: 'major', name: 'E', camelot: '12B', openKey: '5d' },
+    { pitchClass: 5, mode: 'major', name: 'F', camelot: '7B', openKey: '12d' },
+    { pitchClass: 6, mode: 'major', name: 'F#', camelot: '2B', openKey: '7d' },
+    { pitchClass: 7, mode: 'major', name: 'G', camelot: '9B', openKey: '2d' },
+    { pitchClass: 8, mode: 'major', name: 'Ab', camelot: '4B', openKey: '9d' },
+    { pitchClass: 9, mode: 'major', name: 'A', camelot: '11B', openKey: '4d' },
+    { pitchClass: 10, mode: 'major', name: 'Bb', camelot: '6B', openKey: '11d' },
+    { pitchClass: 11, mode: 'major', name: 'B', camelot: '1B', openKey: '6d' },
+    { pitchClass: 0, mode: 'minor', name: 'C', camelot: '5A', openKey: '10m' },
+    { pitchClass: 1, mode: 'minor', name: 'C#', camelot: '12A', openKey: '5m' },
+    { pitchClass: 2, mode: 'minor', name: 'D', camelot: '7A', openKey: '12m' },
+    { pitchClass: 3, mode: 'minor', name: 'Eb', camelot: '2A', openKey: '7m' },
+    { pitchClass: 4, mode: 'minor', name: 'E', camelot: '9A', openKey: '2m' },
+    { pitchClass: 5, mode: 'minor', name: 'F', camelot: '4A', openKey: '9m' },
+    { pitchClass: 6, mode: 'minor', name: 'F#', camelot: '11A', openKey: '4m' },
+    { pitchClass: 7, mode: 'minor', name: 'G', camelot: '6A', openKey: '11m' },
+    { pitchClass: 8, mode: 'minor', name: 'G#', camelot: '1A', openKey: '6m' },
+    { pitchClass: 9, mode: 'minor', name: 'A', camelot: '8A', openKey: '1m' },
+    { pitchClass: 10, mode: 'minor', name: 'Bb', camelot: '3A', openKey: '8m' },
+    { pitchClass: 11, mode: 'minor', name: 'B', camelot: '10A', openKey: '3m' }
+  ];
+
+  /**
+   * 選択可能な表記法
+   * @static
+   * @type {Object.<string, string>}
+   * @description 表記法のIDから表示名へのマッピング
+   */
+  static NOTATIONS = {
+    camelot: 'Camelot',
+    openKey: 'Open Key',
+    standard: 'Standard'
+  };
+
+  /**
+   * 音名（♯/♭を含む）からピッチクラスへのマッピング
+   * @static
+   * @type {Object.<string, number>}
+   */
+  static PITCH_CLASSES = {
+    'C': 0, 'B#': 0, 'C#': 1, 'Db': 1, 'D': 2, 'D#': 3, 'Eb': 3, 'E': 4, 'Fb': 4,
+    'F': 5, 'E#': 5, 'F#': 6, 'Gb': 6, 'G': 7, 'G#': 8, 'Ab': 8, 'A': 9,
+    'A#': 10, 'Bb': 10, 'B': 11, 'Cb': 11
+  };
+
+  /**
+   * 主音とモードからキーを取得する
+   * @static
+   * @param {number} pitchClass - 主音のピッチクラス（0-11: C-B）
+   * @param {string} mode - モード（major または minor）
+   * @returns {{pitchClass: number, mode: string, name: string, camelot: string, openKey: string}} キーの表記
+   */
+  static lookup(pitchClass, mode) {
+    const normalized = ((pitchClass % 12) + 12) % 12;
+    return KeyNotation.KEYS.find(entry => entry.pitchClass === normalized && entry.mode === mode);
+  }
+
+  /**
+   * 表記からキーを取得する
+   * @static
+   * @param {string} text - キーの表記（'D# minor'、'Ebm'、'2A'、'7m'等）
+   * @returns {{pitchClass: number, mode: string, name: string, camelot: string, openKey: string}|null}
+   * キーの表記。解釈できない場合はnull
+   * @description 標準表記は異名同音（D#/E♭等）と省略形（'m'、'min'、'maj'）も受け付けます
+   */
+  static parse(text) {
+    const value = String(text || '').trim();
+
+    const byCode = KeyNotation.KEYS.find(entry =>
+      entry.camelot === value.toUpperCase() || entry.openKey === value.toLowerCase()
+    );
+    if (byCode) {
+      return byCode;
+    }
+
+    const match = value.match(/^([A-Ga-g])([#♯b♭]?)\s*(major|minor|maj|min|m)?$/i);
+    if (!match) {
+      return null;
+    }
+
+    const accidental = match[2].replace('♯', '#').replace('♭', 'b');
+    const pitchClass = KeyNotation.PITCH_CLASSES[match[1].toUpperCase() + accidental];
+    const suffix = (match[3] || '').toLowerCase();
+    const mode = suffix === 'm' || suffix === 'min' || suffix === 'minor' ? 'minor' : 'major';
+
+    return KeyNotation.lookup(pitchClass, mode);
+  }
+
+  /**
+   * Camelot記法に対応する表示色を取得する
+   * @static
+   * @param {string} camelot - Camelot記法（8B等）
+   * @returns {string} CSSの色
+   */
+  static getCamelotColor(camelot) {
+    const hsl = KeyNotation.getCamelotHSL(camelot);
+    if (!hsl) {
+      return '#a0aec0';
+    }
+
+    return `hsl(${hsl.hue}, ${hsl.saturation}%, ${hsl.lightness}%)`;
+  }
+
+  /**
+   * Camelot記法に対応する表示色をRGBで取得する
+   * @static
+   * @param {string} camelot - Camelot記法（8B等）
+   * @returns {number[]} [赤, 緑, 青, 不透明度]（各0〜255）。chrome.action.setBadgeBackgroundColor等のCSSの色を受け付けないAPI向け
+   */
+  static getCamelotRGB(camelot) {
+    const hsl = KeyNotation.getCamelotHSL(camelot);
+    if (!hsl) {
+      return [160, 174, 192, 255];
+    }
+
+    // HSLからRGBへの変換（CSS Color Module Level 4のアルゴリズム）
+    const saturation = hsl.saturation / 100;
+    const lightness = hsl.lightness / 100;
+    const channel = (n) => {
+      const k = (n + hsl.hue / 30) % 12;
+      const a = saturation * Math.min(lightness, 1 - lightness);
+      return Math.round(255 * (lightness - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+    };
+    return [channel(0), channel(8), channel(4), 255];
+  }
+
+  /**
+   * Camelot記法に対応する色相・彩度・明度を取得する
+   * @static
+   * @param {string} camelot - Camelot記法（8B等）
+   * @returns {{hue: number, saturation: number, lightness: number}|null} ホイール上の番号で色相、A/Bで明度が変わります。解釈できない場合はnull
+   */
+  static getCamelotHSL(camelot) {
+    const number = parseInt(camelot, 10);
+    if (!number) {
+      return null;
+    }
+
+    return {
+      hue: (number - 1) * 30,
+      saturation: 70,
+      lightness: camelot.endsWith('A') ? 50 : 62
+    };
+  }
+
+  /**
+   * キー情報を指定した表記法で整形する
+   * @static
+   * @param {{camelot: string, openKey: string, fullName: string}} keyInfo - キー情報
+   * @param {string} notation - 表記法（'camelot'|'openKey'|'standard'）
+   * @returns {string} 整形したキー
+   */
+  static format(keyInfo, notation) {
+    switch (notation) {
+      case 'openKey':
+        return keyInfo.openKey;
+      case 'standard':
+        return keyInfo.fullName;
+      default:
+        return keyInfo.camelot;
+    }
+  }
+}
+
+// ブラウザではグローバルに、Node.jsではモジュールとして公開する
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KeyNotation;
+} else {
+  globalThis.KeyNotation = KeyNotation;
+}
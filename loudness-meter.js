@@ -0,0 +1,364 @@
+/**
+ * ラウドネスメーター
+ * @file loudness-meter.js
+ * @description ITU-R BS.1770（EBU R128）に従って、チャンネルごとのPCMからラウドネス（LUFS）・トゥルーピーク・
+ * ラウドネスレンジ（EBU Tech 3342）・クレストファクターを計算します。DOMに依存しないため、Node.jsからも読み込めます
+ */
+class LoudnessMeter {
+  /**
+   * ゲーティングとスライディングウィンドウの最小単位（秒）
+   * @static
+   * @type {number}
+   * @description モーメンタリー（400ms）とショートターム（3秒）の窓を、この長さの区間の平均パワーから組み立てます
+   */
+  static STEP_SECONDS = 0.1;
+
+  /**
+   * モーメンタリーラウドネスの窓に含む区間の数（400ms）
+   * @static
+   * @type {number}
+   */
+  static MOMENTARY_STEPS = 4;
+
+  /**
+   * ショートタームラウドネスの窓に含む区間の数（3秒）
+   * @static
+   * @type {number}
+   */
+  static SHORT_TERM_STEPS = 30;
+
+  /**
+   * 絶対ゲート（LUFS）
+   * @static
+   * @type {number}
+   */
+  static ABSOLUTE_GATE = -70;
+
+  /**
+   * インテグレーテッドラウドネスの相対ゲート（LU）
+   * @static
+   * @type {number}
+   */
+  static RELATIVE_GATE = -10;
+
+  /**
+   * ラウドネスレンジの相対ゲート（LU）
+   * @static
+   * @type {number}
+   */
+  static RANGE_RELATIVE_GATE = -20;
+
+  /**
+   * トゥルーピークを求めるオーバーサンプリングの倍率
+   * @static
+   * @type {number}
+   */
+  static OVERSAMPLING = 4;
+
+  /**
+   * オーバーサンプリングの補間フィルターの位相ごとのタップ数
+   * @static
+   * @type {number}
+   * @description BS.1770の例と同じく、4位相 × 12タップ = 48タップのFIRフィルターを使います
+   */
+  static TAPS_PER_PHASE = 12;
+
+  /**
+   * 補間フィルターのキャッシュ
+   * @static
+   * @type {Float32Array[]|null}
+   */
+  static oversamplingFilter = null;
+
+  /**
+   * ラウドネスとピークを計測する
+   * @static
+   * @param {Float32Array[]} channels - チャンネルごとのPCM（同じ長さ）
+   * @param {number} sampleRate - サンプルレート（Hz）
+   * @returns {{integrated: number|null, momentary: number|null, momentaryMax: number|null, shortTerm: number|null,
+   * shortTermMax: number|null, loudnessRange: number|null, samplePeak: number|null, truePeak: number|null,
+   * rms: number|null, crestFactor: number|null}} 計測結果（小数第1位まで）。
+   * ラウドネスはLUFS、ラウドネスレンジはLU、ピークとRMSはdBFS（トゥルーピークはdBTP）、クレストファクターはdB。
+   * momentaryとshortTermは最後の窓の値、〜Maxは区間内の最大値です。無音や区間が窓より短い場合はnull
+   * @description 各チャンネルにKウェイティングフィルターを掛けて100msごとの平均パワーを合計し、
+   * 400msの窓（75%重複）に絶対ゲートと相対ゲートを適用してインテグレーテッドラウドネスを求めます。
+   * 5.1ch等のサラウンドの重み付けは行わず、すべてのチャンネルを重み1として合計します
+   */
+  static analyze(channels, sampleRate) {
+    const powers = LoudnessMeter.computeStepPowers(channels, sampleRate);
+    const momentary = LoudnessMeter.computeWindowLoudness(powers, LoudnessMeter.MOMENTARY_STEPS);
+    const shortTerm = LoudnessMeter.computeWindowLoudness(powers, LoudnessMeter.SHORT_TERM_STEPS);
+
+    let samplePeak = 0;
+    let truePeak = 0;
+    let sumSquares = 0;
+    channels.forEach(samples => {
+      for (let i = 0; i < samples.length; i++) {
+        const value = Math.abs(samples[i]);
+        if (value > samplePeak) samplePeak = value;
+        sumSquares += samples[i] * samples[i];
+      }
+      truePeak = Math.max(truePeak, LoudnessMeter.measureTruePeak(samples));
+    });
+
+    const sampleCount = channels.length > 0 ? channels.length * channels[0].length : 0;
+    const rms = sampleCount > 0 ? Math.sqrt(sumSquares / sampleCount) : 0;
+    // + 0で-0を0にする
+    const round = value => Number.isFinite(value) ? Math.round(value * 10) / 10 + 0 : null;
+    const toDecibels = value => 20 * Math.log10(value);
+    const last = values => values.length > 0 ? values[values.length - 1] : -Infinity;
+    // 長い音声では窓の数が多く、スプレッド構文で渡すと引数の上限を超えるため、1つずつ比較する
+    const max = values => values.reduce((result, value) => Math.max(result, value), -Infinity);
+
+    return {
+      integrated: round(LoudnessMeter.computeGatedLoudness(momentary, LoudnessMeter.RELATIVE_GATE)),
+      momentary: round(last(momentary)),
+      momentaryMax: round(max(momentary)),
+      shortTerm: round(last(shortTerm)),
+      shortTermMax: round(max(shortTerm)),
+      loudnessRange: round(LoudnessMeter.computeLoudnessRange(shortTerm)),
+      samplePeak: round(toDecibels(samplePeak)),
+      truePeak: round(toDecibels(truePeak)),
+      rms: round(toDecibels(rms)),
+      crestFactor: round(toDecibels(samplePeak) - toDecibels(rms))
+    };
+  }
+
+  /**
+   * Kウェイティングフィルターを掛けた100msごとの平均パワーを計算する
+   * @static
+   * @param {Float32Array[]} channels - チャンネルごとのPCM
+   * @param {number} sampleRate - サンプルレート（Hz）
+   * @returns {Float64Array} 区間ごとの、チャンネルの平均パワーの合計
+   */
+  static computeStepPowers(channels, sampleRate) {
+    const stepSize = Math.round(sampleRate * LoudnessMeter.STEP_SECONDS);
+    const stepCount = channels.length > 0 ? Math.floor(channels[0].length / stepSize) : 0;
+    const powers = new Float64Array(stepCount);
+    const [shelf, highPass] = LoudnessMeter.createKWeightingFilters(sampleRate);
+
+    channels.forEach(samples => {
+      const weighted = LoudnessMeter.applyBiquad(LoudnessMeter.applyBiquad(samples, shelf), highPass);
+      for (let step = 0; step < stepCount; step++) {
+        let sum = 0;
+        for (let i = step * stepSize; i < (step + 1) * stepSize; i++) {
+          sum += weighted[i] * weighted[i];
+        }
+        powers[step] += sum / stepSize;
+      }
+    });
+
+    return powers;
+  }
+
+  /**
+   * スライディングウィンドウごとのラウドネスを計算する
+   * @static
+   * @param {Float64Array} powers - 100msごとの平均パワー
+   * @param {number} steps - 窓に含む区間の数
+   * @returns {number[]} 100msずつずらした窓ごとのラウドネス（LUFS、無音は-Infinity）
+   */
+  static computeWindowLoudness(powers, steps) {
+    const loudness = [];
+    let sum = 0;
+    for (let i = 0; i < powers.length; i++) {
+      sum += powers[i];
+      if (i >= steps) {
+        sum -= powers[i - steps];
+      }
+      if (i >= steps - 1) {
+        loudness.push(LoudnessMeter.toLoudness(Math.max(0, sum) / steps));
+      }
+    }
+    return loudness;
+  }
+
+  /**
+   * ゲーティングしたラウドネスを計算する
+   * @static
+   * @param {number[]} loudness - 窓ごとのラウドネス（LUFS）
+   * @param {number} relativeGate - 相対ゲート（LU）
+   * @returns {number} 両方のゲートを通過した窓の平均パワーのラウドネス（LUFS）。通過した窓が無い場合は-Infinity
+   */
+  static computeGatedLoudness(loudness, relativeGate) {
+    const threshold = LoudnessMeter.computeRelativeThreshold(loudness, relativeGate);
+    const gated = loudness.filter(value => value > LoudnessMeter.ABSOLUTE_GATE && value > threshold);
+    return LoudnessMeter.averageLoudness(gated);
+  }
+
+  /**
+   * ラウドネスレンジを計算する
+   * @static
+   * @param {number[]} shortTerm - ショートタームラウドネス（LUFS）
+   * @returns {number} ゲートを通過した値の10〜95パーセンタイルの差（LU）。通過した値が無い場合はNaN
+   */
+  static computeLoudnessRange(shortTerm) {
+    const threshold = LoudnessMeter.computeRelativeThreshold(shortTerm, LoudnessMeter.RANGE_RELATIVE_GATE);
+    const gated = shortTerm
+      .filter(value => value > LoudnessMeter.ABSOLUTE_GATE && value > threshold)
+      .sort((a, b) => a - b);
+    if (gated.length === 0) {
+      return NaN;
+    }
+
+    const percentile = ratio => gated[Math.round((gated.length - 1) * ratio)];
+    return percentile(0.95) - percentile(0.1);
+  }
+
+  /**
+   * 相対ゲートのしきい値を計算する
+   * @static
+   * @param {number[]} loudness - 窓ごとのラウドネス（LUFS）
+   * @param {number} relativeGate - 相対ゲート（LU）
+   * @returns {number} 絶対ゲートを通過した窓の平均のラウドネスに相対ゲートを加えた値（LUFS）
+   */
+  static computeRelativeThreshold(loudness, relativeGate) {
+    const aboveAbsolute = loudness.filter(value => value > LoudnessMeter.ABSOLUTE_GATE);
+    return LoudnessMeter.averageLoudness(aboveAbsolute) + relativeGate;
+  }
+
+  /**
+   * ラウドネスをパワーの領域で平均する
+   * @static
+   * @param {number[]} loudness - ラウドネス（LUFS）
+   * @returns {number} 平均パワーのラウドネス（LUFS）。空の場合は-Infinity
+   */
+  static averageLoudness(loudness) {
+    if (loudness.length === 0) {
+      return -Infinity;
+    }
+    const power = loudness.reduce((sum, value) => sum + Math.pow(10, (value + 0.691) / 10), 0) / loudness.length;
+    return LoudnessMeter.toLoudness(power);
+  }
+
+  /**
+   * 平均パワーをラウドネスに変換する
+   * @static
+   * @param {number} power - Kウェイティング後の平均パワー（チャンネルの合計）
+   * @returns {number} ラウドネス（LUFS）
+   */
+  static toLoudness(power) {
+    return -0.691 + 10 * Math.log10(power);
+  }
+
+  /**
+   * Kウェイティングフィルターの係数を計算する
+   * @static
+   * @param {number} sampleRate - サンプルレート（Hz）
+   * @returns {{b: number[], a: number[]}[]} 頭部の音響効果を模したハイシェルフと、RLBハイパスの2段のバイカッド
+   * @description BS.1770の48kHzの係数を、元のアナログ特性からサンプルレートに合わせて設計し直します
+   */
+  static createKWeightingFilters(sampleRate) {
+    // ハイシェルフ（約1.7kHzから+4dB）
+    let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    let Q = 0.7071752369554196;
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    const shelf = {
+      b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+      a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+    };
+
+    // ハイパス（約38Hz）
+    K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    const highPass = {
+      b: [1, -2, 1],
+      a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+    };
+
+    return [shelf, highPass];
+  }
+
+  /**
+   * バイカッドフィルターを掛ける
+   * @static
+   * @param {Float32Array} samples - 入力
+   * @param {{b: number[], a: number[]}} filter - 係数（aはa1, a2。a0は1に正規化済み）
+   * @returns {Float32Array} 出力
+   */
+  static applyBiquad(samples, { b, a }) {
+    const output = new Float32Array(samples.length);
+    let x1 = 0;
+    let x2 = 0;
+    let y1 = 0;
+    let y2 = 0;
+
+    for (let i = 0; i < samples.length; i++) {
+      const x = samples[i];
+      const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+      x2 = x1;
+      x1 = x;
+      y2 = y1;
+      y1 = y;
+      output[i] = y;
+    }
+
+    return output;
+  }
+
+  /**
+   * トゥルーピークを計測する
+   * @static
+   * @param {Float32Array} samples - 1チャンネルのPCM
+   * @returns {number} 4倍にオーバーサンプリングした信号の絶対値の最大（リニア）
+   * @description サンプルの間で波形が元のサンプルより大きくなる（インターサンプルピーク）ため、
+   * D/A変換やロッシー圧縮後のクリップはサンプルピークだけでは見つけられません
+   */
+  static measureTruePeak(samples) {
+    const phases = LoudnessMeter.getOversamplingFilter();
+    const taps = LoudnessMeter.TAPS_PER_PHASE;
+    let peak = 0;
+
+    for (let n = 0; n < samples.length; n++) {
+      const value = Math.abs(samples[n]);
+      if (value > peak) peak = value;
+    }
+
+    for (let n = taps - 1; n < samples.length; n++) {
+      for (let phase = 0; phase < phases.length; phase++) {
+        const coefficients = phases[phase];
+        let sum = 0;
+        for (let k = 0; k < taps; k++) {
+          sum += samples[n - k] * coefficients[k];
+        }
+        const value = Math.abs(sum);
+        if (value > peak) peak = value;
+      }
+    }
+
+    return peak;
+  }
+
+  /**
+   * オーバーサンプリングの補間フィルターを取得する
+   * @static
+   * @returns {Float32Array[]} 位相ごとの係数
+   * @description 元のナイキスト周波数で遮断するハン窓付きsinc関数を、OVERSAMPLING個の位相に分けたポリフェーズフィルターです
+   */
+  static getOversamplingFilter() {
+    if (!LoudnessMeter.oversamplingFilter) {
+      const factor = LoudnessMeter.OVERSAMPLING;
+      const length = factor * LoudnessMeter.TAPS_PER_PHASE;
+      const center = (length - 1) / 2;
+      LoudnessMeter.oversamplingFilter = Array.from({ length: factor }, () => new Float32Array(LoudnessMeter.TAPS_PER_PHASE));
+
+      for (let i = 0; i < length; i++) {
+        const x = (i - center) / factor;
+        const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+        const window = 0.5 - 0.5 * Math.cos(2 * Math.PI * (i + 0.5) / length);
+        LoudnessMeter.oversamplingFilter[i % factor][Math.floor(i / factor)] = sinc * window;
+      }
+    }
+    return LoudnessMeter.oversamplingFilter;
+  }
+}
+
+// ブラウザではグローバルに、Node.jsではモジュールとして公開する
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LoudnessMeter;
+} else {
+  globalThis.LoudnessMeter = LoudnessMeter;
+}
@@ -0,0 +1,137 @@
+/**
+ * メトロノーム
+ * @file metronome.js
+ * @description 検出またはタップしたビートの位置に合わせてクリック音を鳴らします。
+ * タブの音声に重ねて聞き、テンポがずれずに合っているかを耳で確かめるために使います
+ */
+class Metronome {
+  /**
+   * クリック音を先に予約しておく時間（秒）
+   * @static
+   * @type {number}
+   */
+  static LOOKAHEAD_SECONDS = 0.1;
+
+  /**
+   * 予約を確認する間隔（ミリ秒）
+   * @static
+   * @type {number}
+   */
+  static SCHEDULE_INTERVAL_MS = 25;
+
+  /**
+   * クリック音の長さ（秒）
+   * @static
+   * @type {number}
+   */
+  static CLICK_SECONDS = 0.03;
+
+  /**
+   * Metronomeのコンストラクタ
+   * @constructor
+   */
+  constructor() {
+    /** @type {AudioContext|null} クリック音を鳴らすオーディオコンテキスト */
+    this.audioContext = null;
+    /** @type {number|null} 予約のタイマーID */
+    this.timer = null;
+    /** @type {{bpm: number, anchor: number}|null} ビートの間隔とビートが聞こえる時刻（エポックミリ秒） */
+    this.grid = null;
+    /** @type {number} 最後に予約したクリックのコンテキスト時刻 */
+    this.lastClickTime = -Infinity;
+  }
+
+  /**
+   * クリックを合わせるビートを設定する
+   * @param {{bpm: number, anchor: number}|null} grid - BPMとビートの時刻。nullの場合は鳴らさない
+   */
+  setGrid(grid) {
+    this.grid = grid;
+  }
+
+  /**
+   * クリック音を開始する
+   * @async
+   * @description ブラウザの自動再生制限があるため、ユーザーの操作から呼び出してください
+   */
+  async start() {
+    if (!this.audioContext) {
+      this.audioContext = new AudioContext();
+    }
+    await this.audioContext.resume();
+
+    if (this.timer === null) {
+      this.timer = setInterval(() => this.schedule(), Metronome.SCHEDULE_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * クリック音を停止する
+   */
+  stop() {
+    if (this.timer !== null) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.lastClickTime = -Infinity;
+  }
+
+  /**
+   * 先読みの範囲に入ったビートのクリック音を予約する
+   * @description setIntervalの遅れに左右されないよう、クリック音はオーディオコンテキストの時刻で予約します
+   */
+  schedule() {
+    const timestamp = this.audioContext.getOutputTimestamp();
+    if (!this.grid || !timestamp.performanceTime) {
+      return; // 出力が始まるまでは時刻を対応付けられない
+    }
+
+    const period = 60 / this.grid.bpm;
+    // getOutputTimestampはスピーカーから出力中の時刻を返すため、出力の遅延も含めて合わせられる
+    const anchorTime = timestamp.contextTime +
+      (this.grid.anchor - (performance.timeOrigin + timestamp.performanceTime)) / 1000;
+    const now = this.audioContext.currentTime;
+    let beatTime = anchorTime + Math.ceil((now - anchorTime) / period) * period;
+
+    while (beatTime < now + Metronome.LOOKAHEAD_SECONDS) {
+      // 時刻の対応付けの揺れで同じビートを2回予約しないようにする
+      if (beatTime > this.lastClickTime + period / 2) {
+        this.playClick(beatTime);
+        this.lastClickTime = beatTime;
+      }
+      beatTime += period;
+    }
+  }
+
+  /**
+   * クリック音を1回鳴らす
+   * @param {number} time - 鳴らすコンテキスト時刻
+   */
+  playClick(time) {
+    const oscillator = this.audioContext.createOscillator();
+    const gain = this.audioContext.createGain();
+
+    oscillator.frequency.value = 1000;
+    gain.gain.setValueAtTime(0.5, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + Metronome.CLICK_SECONDS);
+
+    oscillator.connect(gain);
+    gain.connect(this.audioContext.destination);
+    oscillator.start(time);
+    oscillator.stop(time + Metronome.CLICK_SECONDS);
+  }
+
+  /**
+   * リソースを解放する
+   */
+  close() {
+    this.stop();
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+    }
+  }
+}
+
+// グローバルに利用可能にする
+window.Metronome = Metronome;
@@ -0,0 +1,425 @@
+/**
+ * オフスクリーンドキュメント
+ * @file offscreen.js
+ * @description サービスワーカーから受け取ったストリームIDでタブの音声をキャプチャし、分析を実行します。
+ * ページのメディア要素をトラック全体で分析する場合は、メディアを取得してデコードします。
+ * ポップアップを閉じても分析が続くよう、AudioContextはこのドキュメントが保持します。
+ * 進捗と結果はサービスワーカーへ、ビジュアライザーのデータはポップアップのポートへ送ります。
+ * ショートカットで結果をコピーする場合は、サービスワーカーの代わりにクリップボードへ書き込みます
+ */
+
+/** @type {AudioAnalyzer|null} 実行中のジョブのアナライザー */
+let analyzer = null;
+/** @type {Object|null} 実行中のジョブ */
+let currentJob = null;
+/** @type {number|null} ビジュアライザーのデータ送信のタイマーID */
+let visualizerTimer = null;
+/** @type {Map<chrome.runtime.Port, string>} ビジュアライザーのデータを受け取るポップアップのポートと表示モード */
+const visualizerPorts = new Map();
+
+/** @type {number} ビジュアライザーのデータを送る間隔（ミリ秒） */
+const VISUALIZER_INTERVAL_MS = 50;
+/** @type {number} 1回に送る波形のサンプル数 */
+const VISUALIZER_POINTS = 512;
+/** @type {number} スペクトログラムの周波数帯の数 */
+const SPECTROGRAM_BANDS = 96;
+/** @type {number[]} スペクトログラムの周波数の範囲（Hz、対数軸） */
+const SPECTROGRAM_RANGE = [40, 16000];
+/** @type {number[]} スペクトログラムで表示するレベルの範囲（dB） */
+const SPECTROGRAM_DB_RANGE = [-100, -20];
+/** @type {number} ライブ分析のタイムラインを保持する期間（秒） */
+const TIMELINE_RETENTION_SECONDS = 600;
+/** @type {number} トラック全体を分析するメディアの最大サイズ（バイト）。変更した場合はerrorMediaTooLargeHintの文言も合わせます */
+const MAX_DECODE_BYTES = 100 * 1024 * 1024;
+/** @type {number} トラック全体を分析するメディアの最大の長さ（秒）。デコード後のPCMはこの長さに比例してメモリを使います */
+const MAX_DECODE_SECONDS = 20 * 60;
+
+// サービスワーカーからの指示を処理
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen') return;
+
+  switch (request.action) {
+    case 'start':
+      // 状態のメッセージとエラーをサービスワーカーと同じ表示言語にする
+      I18n.use(request.messages, request.language);
+      if (request.job.media) {
+        startDecodeJob(request.job);
+      } else {
+        startCaptureJob(request.job, request.streamId);
+      }
+      break;
+    case 'stop':
+      stopJob();
+      break;
+    case 'copy':
+      sendResponse({ success: copyText(request.text) });
+      break;
+  }
+});
+
+// ポップアップが開いている間だけ、選択中の表示モードのデータを送る
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'visualizer') return;
+
+  visualizerPorts.set(port, 'waveform');
+  port.onMessage.addListener((message) => {
+    if (message.mode) {
+      visualizerPorts.set(port, message.mode);
+    }
+  });
+  port.onDisconnect.addListener(() => visualizerPorts.delete(port));
+});
+
+/**
+ * タブ音声をキャプチャして分析する
+ * @async
+ * @function startCaptureJob
+ * @param {Object} job - サービスワーカーが作成したジョブ
+ * @param {string} streamId - タブ音声のストリームID
+ * @description 単発の分析ではBPMとキーを順に推定して完了し、ライブモニタリングでは停止されるまで再推定を続けます。
+ * 単発の分析は録音が無音またはレベル不足なら失敗し、ライブモニタリングは音声が戻るまで結果を更新しません。
+ * ライブモニタリングの推定中のエラーは、単発の分析と同じく失敗としてジョブを終了します
+ */
+async function startCaptureJob(job, streamId) {
+  currentJob = job;
+
+  try {
+    const jobAnalyzer = new AudioAnalyzer(job.settings);
+    analyzer = jobAnalyzer;
+    await jobAnalyzer.captureTabAudio(streamId);
+    if (currentJob !== job) {
+      // キャプチャの開始中に停止された
+      jobAnalyzer.cleanup();
+      return;
+    }
+    startVisualizerRelay();
+
+    if (job.live) {
+      updateJob(job, { status: 'live', message: I18n.getMessage('statusLive') });
+      await analyzer.startLiveAnalysis((update) => {
+        if (update.error) {
+          finishJob(job, { status: 'error', message: I18n.getMessage('statusFailed'), error: update.error.message, errorCode: update.error.code || null });
+          return;
+        }
+        if (update.signalIssue) {
+          // 無音の間は最後の推定を残し、再生が再開されるまで待つ
+          updateJob(job, { message: I18n.getMessage('statusNoSignal', formatTime(update.time)) });
+          return;
+        }
+
+        const timeline = job.timeline
+          .concat({
+            time: update.time,
+            bpm: update.tempo ? update.tempo.bpm : null,
+            camelot: update.keyData.camelot
+          })
+          .filter(entry => entry.time >= update.time - TIMELINE_RETENTION_SECONDS);
+
+        updateJob(job, {
+          message: I18n.getMessage('statusLiveTime', formatTime(update.time)),
+          result: { tempo: update.tempo, structure: update.structure, keyData: update.keyData, chords: update.chords, loudness: update.loudness, descriptors: update.descriptors },
+          timeline: timeline
+        });
+      });
+      return;
+    }
+
+    updateJob(job, { status: 'analyzing', message: I18n.getMessage('statusAnalyzingBpm') });
+    const tempo = await analyzer.analyzeBPM();
+    if (currentJob !== job) return; // 分析中に停止された
+
+    updateJob(job, { message: I18n.getMessage('statusAnalyzingKey') });
+    const keyData = await analyzer.analyzeKey();
+    const chords = await analyzer.analyzeChords();
+    const structure = await analyzer.analyzeStructure(tempo);
+    const loudness = await analyzer.analyzeLoudness();
+    const descriptors = await analyzer.analyzeDescriptors(tempo, loudness);
+    if (currentJob !== job) return;
+
+    finishJob(job, { status: 'complete', message: I18n.getMessage('statusComplete'), result: { tempo, structure, keyData, chords, loudness, descriptors } });
+  } catch (error) {
+    console.error('分析エラー:', error);
+    if (currentJob === job) {
+      // DRMで保護されたメディアは、タブのキャプチャでも音声が無音になる場合がある
+      const reported = error.code === 'noAudio' && job.protectedMedia ? new AnalysisError('protectedContent', { cause: error }) : error;
+      finishJob(job, { status: 'error', message: I18n.getMessage('statusFailed'), error: reported.message, errorCode: reported.code || null });
+    }
+  }
+}
+
+/**
+ * メディアを取得してトラック全体を分析する
+ * @async
+ * @function startDecodeJob
+ * @param {Object} job - サービスワーカーが作成したジョブ（job.media.srcに分析するメディアのURL、job.media.durationに要素の長さ）
+ * @description 拡張機能のページからの取得はホスト権限によりCORSの制限を受けないため、
+ * 再生を待たずにトラック全体をオフラインで分析できます。
+ * メディア全体をメモリに読み込んでデコードするため、要素の長さがMAX_DECODE_SECONDSを、
+ * サイズがMAX_DECODE_BYTESを超える場合は取得を打ち切ってmediaTooLargeのエラーにします
+ */
+async function startDecodeJob(job) {
+  currentJob = job;
+
+  try {
+    updateJob(job, { status: 'analyzing', message: I18n.getMessage('statusFetchingMedia') });
+
+    if (job.media.duration > MAX_DECODE_SECONDS) {
+      throw new AnalysisError('mediaTooLarge');
+    }
+
+    let response;
+    try {
+      response = await fetch(job.media.src);
+    } catch (error) {
+      throw new Error(I18n.getMessage('errorFetchMedia'));
+    }
+    if (!response.ok) {
+      throw new Error(I18n.getMessage('errorFetchMediaStatus', response.status));
+    }
+
+    const jobAnalyzer = new AudioAnalyzer(job.settings);
+    analyzer = jobAnalyzer;
+    const blob = await readMediaBody(response, job);
+    if (currentJob !== job) return; // 取得中に停止された
+
+    const audioBuffer = await jobAnalyzer.decodeAudioFile(blob);
+    if (currentJob !== job) return;
+
+    updateJob(job, { message: I18n.getMessage('statusAnalyzingTrack') });
+    const { tempo, structure, keyData, chords, loudness, descriptors } = await jobAnalyzer.analyzeAudioBuffer(audioBuffer);
+    if (currentJob !== job) return;
+
+    finishJob(job, { status: 'complete', message: I18n.getMessage('statusComplete'), result: { tempo, structure, keyData, chords, loudness, descriptors } });
+  } catch (error) {
+    console.error('メディア分析エラー:', error);
+    if (currentJob === job) {
+      finishJob(job, { status: 'error', message: I18n.getMessage('statusFailed'), error: error.message, errorCode: error.code || null });
+    }
+  }
+}
+
+/**
+ * 取得したメディアの本体をサイズの上限付きで読み込む
+ * @async
+ * @function readMediaBody
+ * @param {Response} response - メディアを取得したレスポンス
+ * @param {Object} job - 読み込み中のジョブ（停止された場合は読み込みを打ち切ります）
+ * @returns {Promise<Blob>} メディアの本体
+ * @throws {AnalysisError} サイズがMAX_DECODE_BYTESを超える場合（mediaTooLarge）
+ * @description Content-Lengthで事前に判定し、ヘッダーが無い場合（チャンク転送やライブ配信）も読み込んだ量で打ち切ります
+ */
+async function readMediaBody(response, job) {
+  if (Number(response.headers.get('Content-Length')) > MAX_DECODE_BYTES) {
+    throw new AnalysisError('mediaTooLarge');
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    if (currentJob !== job) {
+      // 停止された（呼び出し側で打ち切る）
+      await reader.cancel();
+      break;
+    }
+
+    size += value.length;
+    if (size > MAX_DECODE_BYTES) {
+      await reader.cancel();
+      throw new AnalysisError('mediaTooLarge');
+    }
+    chunks.push(value);
+  }
+
+  return new Blob(chunks, { type: response.headers.get('Content-Type') || '' });
+}
+
+/**
+ * 実行中のジョブを停止する
+ * @function stopJob
+ * @description ライブモニタリングの場合は最後の推定を結果として残します
+ */
+function stopJob() {
+  if (currentJob) {
+    finishJob(currentJob, { status: 'stopped', message: I18n.getMessage('statusStopped') });
+  }
+}
+
+/**
+ * 文字列をクリップボードにコピーする
+ * @function copyText
+ * @param {string} text - コピーする文字列
+ * @returns {boolean} コピーできた場合はtrue
+ * @description フォーカスの無いオフスクリーンドキュメントではnavigator.clipboardが使えないため、execCommandでコピーします
+ */
+function copyText(text) {
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand('copy');
+  textarea.remove();
+  return copied;
+}
+
+/**
+ * ジョブを終了してリソースを解放する
+ * @function finishJob
+ * @param {Object} job - 終了するジョブ
+ * @param {Object} changes - 最終状態
+ */
+function finishJob(job, changes) {
+  currentJob = null;
+  stopVisualizerRelay();
+  if (analyzer) {
+    analyzer.cleanup();
+    analyzer = null;
+  }
+  updateJob(job, changes);
+}
+
+/**
+ * ジョブの状態を更新してサービスワーカーに送る
+ * @function updateJob
+ * @param {Object} job - 更新するジョブ
+ * @param {Object} changes - 上書きするフィールド
+ */
+function updateJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: Date.now() });
+  chrome.runtime.sendMessage({ target: 'background', action: 'jobUpdate', job: job });
+}
+
+/**
+ * ポップアップへのビジュアライザーのデータ送信を開始する
+ * @function startVisualizerRelay
+ * @description オフスクリーンドキュメントではrequestAnimationFrameが動かないため、タイマーで一定間隔に送ります。
+ * 計算は接続中のポップアップが選択している表示モードの分だけ行います
+ */
+function startVisualizerRelay() {
+  const analyser = analyzer.analyser;
+  const sampleRate = analyzer.audioContext.sampleRate;
+  const timeData = new Uint8Array(analyser.fftSize);
+  const frequencyData = new Float32Array(analyser.frequencyBinCount);
+  const bands = createSpectrogramBands(sampleRate, analyser.fftSize, analyser.frequencyBinCount);
+  const { chromaMinNote, chromaMaxNote } = analyzer.settings;
+  let previousSpectrum = null;
+
+  visualizerTimer = setInterval(() => {
+    if (visualizerPorts.size === 0 || !analyzer) return;
+
+    const modes = new Set(visualizerPorts.values());
+    const frames = {};
+    analyser.getByteTimeDomainData(timeData);
+    analyser.getFloatFrequencyData(frequencyData);
+
+    if (modes.has('waveform')) {
+      const step = timeData.length / VISUALIZER_POINTS;
+      const samples = new Array(VISUALIZER_POINTS);
+      for (let i = 0; i < VISUALIZER_POINTS; i++) {
+        samples[i] = timeData[Math.floor(i * step)];
+      }
+      frames.waveform = { samples };
+    }
+
+    if (modes.has('spectrogram')) {
+      const [minDb, maxDb] = SPECTROGRAM_DB_RANGE;
+      frames.spectrogram = {
+        levels: bands.map(([low, high]) => {
+          let db = -Infinity;
+          for (let bin = low; bin <= high; bin++) {
+            db = Math.max(db, frequencyData[bin]);
+          }
+          return Math.round(Math.min(1, Math.max(0, (db - minDb) / (maxDb - minDb))) * 255);
+        })
+      };
+    }
+
+    if (modes.has('chroma')) {
+      // キー検出と同じ音域のクロマグラム。分析済みのチューニングがあれば補正する
+      const tuning = currentJob && currentJob.result ? currentJob.result.keyData.tuningCents / 100 : 0;
+      frames.chroma = {
+        chroma: AnalysisCore.calculateChromagram(frequencyData, sampleRate, analyser.fftSize, tuning, [chromaMinNote, chromaMaxNote])
+          .map(value => Math.round(value * 100) / 100)
+      };
+    }
+
+    // オンセット強度は前回のスペクトルとの差なので、表示していない間も前回の値を更新しておく
+    const spectrum = frequencyData.map(db => Math.log(1 + 1000 * Math.pow(10, db / 20)));
+    if (modes.has('energy')) {
+      let sumSquares = 0;
+      for (let i = 0; i < timeData.length; i++) {
+        const value = (timeData[i] - 128) / 128;
+        sumSquares += value * value;
+      }
+      let onset = 0;
+      if (previousSpectrum) {
+        for (let bin = 0; bin < spectrum.length; bin++) {
+          onset += Math.max(0, spectrum[bin] - previousSpectrum[bin]);
+        }
+      }
+
+      const context = analyzer.audioContext;
+      frames.energy = {
+        // ビートの時刻（beatAnchor）と比べられるよう、スピーカーから聞こえる時刻にする
+        time: Date.now() + (context.baseLatency + (context.outputLatency || 0)) * 1000,
+        energy: Math.sqrt(sumSquares / timeData.length),
+        onset: onset / spectrum.length
+      };
+    }
+    previousSpectrum = spectrum;
+
+    visualizerPorts.forEach((mode, port) => {
+      if (frames[mode]) {
+        port.postMessage({ mode, ...frames[mode] });
+      }
+    });
+  }, VISUALIZER_INTERVAL_MS);
+}
+
+/**
+ * スペクトログラムの周波数帯を作成する
+ * @function createSpectrogramBands
+ * @param {number} sampleRate - サンプルレート（Hz）
+ * @param {number} fftSize - アナライザーのFFTサイズ
+ * @param {number} binCount - 周波数ビンの数
+ * @returns {number[][]} 周波数帯ごとの[最初のビン, 最後のビン]。低い周波数から順に、対数軸で等間隔
+ */
+function createSpectrogramBands(sampleRate, fftSize, binCount) {
+  const [minFrequency, maxFrequency] = SPECTROGRAM_RANGE;
+  const top = Math.min(maxFrequency, sampleRate / 2);
+  const ratio = Math.pow(top / minFrequency, 1 / SPECTROGRAM_BANDS);
+  const binSize = sampleRate / fftSize;
+
+  return Array.from({ length: SPECTROGRAM_BANDS }, (_, band) => {
+    const low = Math.floor(minFrequency * Math.pow(ratio, band) / binSize);
+    const high = Math.floor(minFrequency * Math.pow(ratio, band + 1) / binSize);
+    // 低音域では1つの帯域がビン間隔より狭いため、少なくとも1ビンを割り当てる
+    return [Math.min(low, binCount - 1), Math.min(Math.max(low, high), binCount - 1)];
+  });
+}
+
+/**
+ * ポップアップへのビジュアライザーのデータ送信を停止する
+ * @function stopVisualizerRelay
+ */
+function stopVisualizerRelay() {
+  if (visualizerTimer !== null) {
+    clearInterval(visualizerTimer);
+    visualizerTimer = null;
+  }
+}
+
+/**
+ * 経過秒数を「分:秒」形式に整形する
+ * @function formatTime
+ * @param {number} seconds - 経過秒数
+ * @returns {string} 整形した時間（例: 3:05）
+ */
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.floor(seconds % 60);
+  return `${minutes}:${String(rest).padStart(2, '0')}`;
+}
@@ -0,0 +1,153 @@
+/**
+ * オプションページ
+ * @file options.js
+ * @description 表示言語・分析パラメーター・ジャンルのプリセット・自動分析・完了通知を設定します。
+ * 変更はその場でchrome.storage.syncに保存され、次に開始する分析から反映されます
+ */
+
+/** @type {string[]} 音名（MIDIノート番号を12で割った余りに対応） */
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+/** @type {number} 保存完了の表示を消すまでの時間（ミリ秒） */
+const STATUS_DURATION_MS = 2000;
+/** @type {string[]} プリセットに含まれない設定（変えてもCustomにならない） */
+const GENERAL_KEYS = ['autoAnalyze', 'autoAnalyzeSites', 'notifyOnComplete'];
+
+/** @type {Object} 表示中の設定 */
+let settings = Settings.DEFAULTS;
+/** @type {number|null} 保存完了の表示を消すタイマーID */
+let statusTimer = null;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const form = document.getElementById('optionsForm');
+  const presetSelect = document.getElementById('preset');
+  const resetBtn = document.getElementById('resetBtn');
+  const shortcutsBtn = document.getElementById('shortcutsBtn');
+
+  settings = await Settings.load();
+  await I18n.load(settings.language);
+  I18n.localizePage(document);
+
+  // 選択肢と入力範囲を設定の定義から作成する
+  Object.entries(Settings.PRESETS).forEach(([id, preset]) => {
+    presetSelect.appendChild(new Option(preset.label, id));
+  });
+  presetSelect.appendChild(new Option(I18n.getMessage('optionsPresetCustom'), 'custom'));
+  fillNoteOptions(document.getElementById('chromaMinNote'), Settings.RANGES.chromaMinNote);
+  fillNoteOptions(document.getElementById('chromaMaxNote'), Settings.RANGES.chromaMaxNote);
+  Settings.FFT_SIZES.forEach(size => {
+    document.getElementById('fftSize').appendChild(new Option(String(size), String(size)));
+  });
+  Object.entries(Settings.RANGES).forEach(([name, { min, max }]) => {
+    const input = form.elements[name];
+    if (input instanceof HTMLInputElement) {
+      input.min = min;
+      input.max = max;
+    }
+  });
+
+  render(form);
+
+  // 範囲外の値は保存前に丸め、丸めた値を表示し直す
+  form.addEventListener('change', async (event) => {
+    const name = event.target.name;
+    if (name === 'language') {
+      // 表示言語はページを読み込み直して反映する
+      await Settings.save({ language: event.target.value });
+      location.reload();
+      return;
+    }
+    if (GENERAL_KEYS.includes(name)) {
+      settings = { ...settings, [name]: event.target.type === 'checkbox' ? event.target.checked : event.target.value };
+    } else if (name === 'preset') {
+      settings = Settings.applyPreset(settings, presetSelect.value);
+    } else {
+      // 値を手で変えた場合はプリセットから外れる。数値への変換はSettings.normalizeで行う
+      settings = { ...settings, [name]: event.target.value, preset: 'custom' };
+    }
+    settings = Settings.normalize(settings);
+    render(form);
+    await save();
+  });
+
+  form.elements.smoothingTimeConstant.addEventListener('input', (event) => {
+    renderSmoothing(Number(event.target.value));
+  });
+
+  resetBtn.addEventListener('click', async () => {
+    settings = await Settings.reset();
+    render(form);
+    showStatus(I18n.getMessage('optionsResetDone'));
+  });
+
+  // ショートカットの割り当てはChromeの拡張機能の管理画面で変更する
+  shortcutsBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+});
+
+/**
+ * 音域の選択欄に音名の選択肢を追加する
+ * @function fillNoteOptions
+ * @param {HTMLSelectElement} select - 選択欄
+ * @param {{min: number, max: number}} range - 選択できるMIDIノート番号の範囲
+ */
+function fillNoteOptions(select, { min, max }) {
+  for (let note = min; note <= max; note++) {
+    const octave = Math.floor(note / 12) - 1;
+    const frequency = 440 * Math.pow(2, (note - 69) / 12);
+    select.appendChild(new Option(`${NOTE_NAMES[note % 12]}${octave} (${Math.round(frequency)} Hz)`, String(note)));
+  }
+}
+
+/**
+ * 表示中の設定をフォームに反映する
+ * @function render
+ * @param {HTMLFormElement} form - 設定のフォーム
+ */
+function render(form) {
+  ['language', 'preset', ...Settings.ANALYSIS_KEYS].forEach(name => {
+    form.elements[name].value = String(settings[name]);
+  });
+  form.elements.autoAnalyze.checked = settings.autoAnalyze;
+  form.elements.autoAnalyzeSites.value = settings.autoAnalyzeSites.join('\n');
+  form.elements.notifyOnComplete.checked = settings.notifyOnComplete;
+  renderSmoothing(settings.smoothingTimeConstant);
+}
+
+/**
+ * スムージングの値を表示する
+ * @function renderSmoothing
+ * @param {number} value - smoothingTimeConstant
+ */
+function renderSmoothing(value) {
+  document.getElementById('smoothingValue').textContent = value.toFixed(2);
+}
+
+/**
+ * 表示中の分析パラメーター・プリセット・自動分析と完了通知の設定を保存する
+ * @async
+ * @function save
+ */
+async function save() {
+  try {
+    await Settings.save(Object.fromEntries(['preset', ...GENERAL_KEYS, ...Settings.ANALYSIS_KEYS].map(name => [name, settings[name]])));
+    showStatus(I18n.getMessage('optionsSaved'));
+  } catch (error) {
+    console.error('設定の保存エラー:', error);
+    showStatus(I18n.getMessage('optionsSaveFailed', error.message));
+  }
+}
+
+/**
+ * 保存の結果を一時的に表示する
+ * @function showStatus
+ * @param {string} message - 表示するメッセージ
+ */
+function showStatus(message) {
+  const status = document.getElementById('saveStatus');
+  status.textContent = message;
+  clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => {
+    status.textContent = '';
+  }, STATUS_DURATION_MS);
+}
@@ -4,170 +4,1000 @@
  * @description 拡張機能のポップアップUIを制御し、音声分析を管理します
  */
 
-/** @type {AudioAnalyzer|null} オーディオアナライザーのインスタンス */
+/** @type {AudioAnalyzer|null} ファイル分析用のオーディオアナライザーのインスタンス */
 let analyzer = null;
 /** @type {boolean} 分析中かどうかのフラグ */
 let isAnalyzing = false;
+/** @type {string} 分析モード（'tab': タブ音声 | 'file': ローカルファイル） */
+let analysisMode = 'tab';
+/** @type {{tempo: Object|null, keyData: Object, chords: Object[], structure: Object|null, loudness: Object|null, descriptors: Object|null, tempoIndex: number, keyIndex: number, historyId: string|null}|null} 表示中の分析結果（候補の選択を反映） */
+let currentResult = null;
+/** @type {Object} 保存されている設定（Settings.loadの戻り値） */
+let settings = Settings.DEFAULTS;
+/** @type {string} キーの表記法（'camelot'|'openKey'|'standard'） */
+let keyNotation = 'camelot';
+/** @type {string} コードタイムラインの表示（'name': コード名 | 'roman': ディグリー） */
+let chordView = 'name';
+/** @type {{time: number, bpm: number|null, camelot: string}[]} ライブモニタリングの推定履歴 */
+let liveTimeline = [];
+/** @type {HistoryView|null} 分析履歴ビュー */
+let historyView = null;
+/** @type {QueueView|null} 分析キュービュー */
+let queueView = null;
+/** @type {chrome.runtime.Port|null} オフスクリーンドキュメントからビジュアライザーのデータを受け取るポート */
+let visualizerPort = null;
+/** @type {string} ビジュアライザーの表示モード（'waveform'|'spectrogram'|'chroma'|'energy'） */
+let visualizerMode = 'waveform';
+/** @type {{time: number, energy: number, onset: number}[]} エネルギー表示の直近の値 */
+let energyHistory = [];
+/** @type {{id: string, status: string}|null} 最後に表示したタブ分析ジョブ */
+let displayedJob = null;
+/** @type {Object[]} 現在のタブのメディア要素（content.jsのlistMediaElementsの戻り値） */
+let mediaElements = [];
+/** @type {TapTempo} タップテンポの計測 */
+const tapTempo = new TapTempo();
+/** @type {Metronome|null} クリック音（初めてオンにしたときに作成） */
+let metronome = null;
+/** @type {number|null} ビート表示のアニメーションフレームID */
+let beatIndicatorFrame = null;
 
-document.addEventListener('DOMContentLoaded', () => {
+/** @type {string[]} 実行中とみなすジョブの状態 */
+const ACTIVE_JOB_STATUSES = ['capturing', 'analyzing', 'live'];
+/** @type {number} タイムラインに表示する期間（秒） */
+const TIMELINE_SPAN_SECONDS = 180;
+/** @type {Object.<string, string>} タップできない理由（content.jsのgetTapBlockerの戻り値）ごとの説明のメッセージ名 */
+const TAP_BLOCKER_MESSAGES = {
+  encrypted: 'errorTapEncrypted',
+  crossOrigin: 'errorTapCrossOrigin'
+};
+/** @type {string[]} ビジュアライザーの表示モード */
+const VISUALIZER_MODES = ['waveform', 'spectrogram', 'chroma', 'energy'];
+/** @type {number} エネルギー表示の期間（ミリ秒） */
+const ENERGY_SPAN_MS = 8000;
+/** @type {number} スペクトログラムの1フレームの幅（CSSピクセル） */
+const SPECTROGRAM_COLUMN_WIDTH = 2;
+/** @type {{key: string, label: string, unit: string}[]} ラウドネスのメーターに表示する値（labelはメッセージ名） */
+const LOUDNESS_METERS = [
+  { key: 'integrated', label: 'loudnessIntegrated', unit: 'LUFS' },
+  { key: 'shortTermMax', label: 'loudnessShortTermMax', unit: 'LUFS' },
+  { key: 'momentaryMax', label: 'loudnessMomentaryMax', unit: 'LUFS' },
+  { key: 'truePeak', label: 'loudnessTruePeak', unit: 'dBTP' }
+];
+/** @type {number} メーターの目盛りの下限（dB） */
+const LOUDNESS_METER_FLOOR = -60;
+/** @type {number} 超えると警告表示するトゥルーピーク（dBTP。EBU R128の配信向けの上限） */
+const TRUE_PEAK_LIMIT = -1;
+
+document.addEventListener('DOMContentLoaded', async () => {
   const analyzeBtn = document.getElementById('analyzeBtn');
   const statusIndicator = document.getElementById('status');
   const statusText = statusIndicator.querySelector('.status-text');
   const resultsDiv = document.getElementById('results');
   const errorDiv = document.getElementById('error');
   const visualizerDiv = document.getElementById('visualizer');
+  const modeSwitch = document.getElementById('modeSwitch');
+  const dropZone = document.getElementById('dropZone');
+  const fileInput = document.getElementById('fileInput');
+  const keyNotationSelect = document.getElementById('keyNotation');
+  const liveToggleRow = document.getElementById('liveToggleRow');
+  const liveToggle = document.getElementById('liveToggle');
+  const followToggleRow = document.getElementById('followToggleRow');
+  const followToggle = document.getElementById('followToggle');
+  const overlayToggleRow = document.getElementById('overlayToggleRow');
+  const overlayToggle = document.getElementById('overlayToggle');
+  const badgeContentSelect = document.getElementById('badgeContent');
+  const nowPlaying = document.getElementById('nowPlaying');
+  const timelineDiv = document.getElementById('timelineContainer');
+  const chordTimelineDiv = document.getElementById('chordTimeline');
+  const structureTimelineDiv = document.getElementById('structureTimeline');
+  const chordViewSwitch = document.getElementById('chordViewSwitch');
+  const visualizerModeSwitch = document.getElementById('visualizerModeSwitch');
+  const viewTabs = document.getElementById('viewTabs');
+  const targetBpmInput = document.getElementById('targetBpm');
+  const mediaPicker = document.getElementById('mediaPicker');
+  const mediaList = document.getElementById('mediaList');
+  const beatIndicator = document.getElementById('beatIndicator');
+  const tapPad = document.getElementById('tapPad');
+  const tapResult = document.getElementById('tapResult');
+  const tapApply = document.getElementById('tapApply');
+  const metronomeToggle = document.getElementById('metronomeToggle');
+  const optionsBtn = document.getElementById('optionsBtn');
+
+  // 設定の表示言語で画面の文言を翻訳してから組み立てる
+  settings = await Settings.load();
+  await I18n.load(settings.language);
+  I18n.localizePage(document);
+
+  historyView = new HistoryView(document.getElementById('historyView'));
+  queueView = new QueueView(document.getElementById('queueView'));
+
+  // 実行中または完了したタブ分析ジョブに再接続する
+  chrome.runtime.sendMessage({ action: 'getJob' }, (response) => {
+    if (response && response.job) {
+      renderJob(response.job);
+    }
+  });
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === 'jobState') {
+      renderJob(message.job);
+    } else if (message.action === 'queueState') {
+      queueView.setItems(message.items);
+    }
+  });
+
+  loadMediaList();
+
+  // 保存されたキー表記法・コードとビジュアライザーの表示・曲の追跡・バッジとオーバーレイの設定を反映する
+  setKeyNotation(settings.keyNotation);
+  setChordView(settings.chordView);
+  setVisualizerMode(settings.visualizerMode);
+  followToggle.checked = settings.followTracks;
+  badgeContentSelect.value = settings.badgeContent;
+  overlayToggle.checked = settings.showOverlay;
+
+  // バッジとオーバーレイはサービスワーカーが設定の変更を検知して描き直す
+  badgeContentSelect.addEventListener('change', () => {
+    Settings.save({ badgeContent: badgeContentSelect.value });
+  });
+
+  overlayToggle.addEventListener('change', () => {
+    Settings.save({ showOverlay: overlayToggle.checked });
+  });
+
+  // 実行中・完了したジョブにも反映し、次の曲からの再分析を止められるようにする
+  followToggle.addEventListener('change', () => {
+    Settings.save({ followTracks: followToggle.checked });
+    chrome.runtime.sendMessage({ action: 'setFollow', follow: followToggle.checked });
+  });
+
+  keyNotationSelect.addEventListener('change', () => {
+    setKeyNotation(keyNotationSelect.value);
+    Settings.save({ keyNotation: keyNotation });
+  });
+
+  chordViewSwitch.addEventListener('click', (event) => {
+    const viewBtn = event.target.closest('.view-switch-btn');
+    if (viewBtn) {
+      setChordView(viewBtn.dataset.view);
+      Settings.save({ chordView: chordView });
+    }
+  });
+
+  visualizerModeSwitch.addEventListener('click', (event) => {
+    const modeBtn = event.target.closest('.view-switch-btn');
+    if (modeBtn) {
+      setVisualizerMode(modeBtn.dataset.mode);
+      Settings.save({ visualizerMode: visualizerMode });
+    }
+  });
+
+  // 分析パラメーターとプリセットはオプションページで設定する
+  optionsBtn.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  // event.timeStampを使い、クリックの処理の遅れをタップの時刻に含めない
+  tapPad.addEventListener('click', (event) => {
+    renderTapResult(tapTempo.tap(performance.timeOrigin + event.timeStamp));
+  });
+
+  tapApply.addEventListener('click', applyTappedTempo);
+
+  metronomeToggle.addEventListener('change', async () => {
+    if (metronomeToggle.checked) {
+      metronome = metronome || new Metronome();
+      metronome.setGrid(getBeatGrid());
+      await metronome.start();
+    } else if (metronome) {
+      metronome.stop();
+    }
+  });
+
+  targetBpmInput.addEventListener('input', () => {
+    if (currentResult) {
+      renderTempoMatch();
+    }
+  });
+
+  viewTabs.addEventListener('click', async (event) => {
+    const viewTab = event.target.closest('.view-tab');
+    if (viewTab) {
+      await setView(viewTab.dataset.view);
+    }
+  });
 
   analyzeBtn.addEventListener('click', async () => {
     if (isAnalyzing) {
-      stopAnalysis();
+      await stopAnalysis();
       return;
     }
 
     await startAnalysis();
   });
 
+  modeSwitch.addEventListener('click', (event) => {
+    const modeBtn = event.target.closest('.mode-btn');
+    if (modeBtn && !isAnalyzing) {
+      setMode(modeBtn.dataset.mode);
+    }
+  });
+
+  dropZone.addEventListener('click', () => {
+    if (!isAnalyzing) {
+      fileInput.click();
+    }
+  });
+
+  fileInput.addEventListener('change', async () => {
+    if (fileInput.files.length > 0) {
+      await analyzeFile(fileInput.files[0]);
+      fileInput.value = '';
+    }
+  });
+
+  // ポップアップ全体をドロップ先として扱う
+  document.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    if (!isAnalyzing) {
+      setMode('file');
+      dropZone.classList.add('dragover');
+    }
+  });
+
+  document.addEventListener('dragleave', (event) => {
+    if (!event.relatedTarget) {
+      dropZone.classList.remove('dragover');
+    }
+  });
+
+  document.addEventListener('drop', async (event) => {
+    event.preventDefault();
+    dropZone.classList.remove('dragover');
+    const file = event.dataTransfer.files[0];
+    if (file && !isAnalyzing) {
+      await analyzeFile(file);
+    }
+  });
+
   /**
-   * 音声分析を開始する
+   * キーの表記法を切り替える
+   * @function setKeyNotation
+   * @param {string} notation - 表記法（'camelot'|'openKey'|'standard'）
+   * @description 表記法を反映し、表示中の結果があれば再描画します
+   */
+  function setKeyNotation(notation) {
+    keyNotation = KeyNotation.NOTATIONS[notation] ? notation : 'camelot';
+    keyNotationSelect.value = keyNotation;
+    document.getElementById('keyNotationLabel').textContent = I18n.getMessage('keyNotationLabel', KeyNotation.NOTATIONS[keyNotation]);
+    historyView.setNotation(keyNotation);
+    queueView.setNotation(keyNotation);
+
+    if (currentResult) {
+      selectKeyCandidate(currentResult.keyIndex);
+      renderMixing();
+    }
+  }
+
+  /**
+   * コードタイムラインの表示を切り替える
+   * @function setChordView
+   * @param {string} view - 表示（'name'|'roman'）
+   */
+  function setChordView(view) {
+    chordView = view === 'roman' ? 'roman' : 'name';
+    chordViewSwitch.querySelectorAll('.view-switch-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.view === chordView);
+    });
+
+    if (currentResult) {
+      renderChords();
+    }
+  }
+
+  /**
+   * ビジュアライザーの表示モードを切り替える
+   * @function setVisualizerMode
+   * @param {string} mode - 表示モード（VISUALIZER_MODESのいずれか）
+   * @description オフスクリーンドキュメントには選択したモードのデータだけを計算して送るよう伝えます
+   */
+  function setVisualizerMode(mode) {
+    visualizerMode = VISUALIZER_MODES.includes(mode) ? mode : 'waveform';
+    visualizerModeSwitch.querySelectorAll('.view-switch-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.mode === visualizerMode);
+    });
+    visualizerDiv.classList.toggle('mode-chroma', visualizerMode === 'chroma');
+    energyHistory = [];
+
+    // 前のモードの描画を消す（スペクトログラムは暗い背景に描き足していく）
+    const { canvasCtx, width, height } = prepareCanvas(document.getElementById('visualizerCanvas'));
+    canvasCtx.fillStyle = visualizerMode === 'spectrogram' ? '#1a202c' : '#f7fafc';
+    canvasCtx.fillRect(0, 0, width, height);
+
+    if (visualizerPort) {
+      visualizerPort.postMessage({ mode: visualizerMode });
+    }
+  }
+
+  /**
+   * 表示するビューを切り替える
    * @async
-   * @function startAnalysis
-   * @description タブの音声をキャプチャしてBPMとキーを分析します
+   * @function setView
+   * @param {string} view - ビュー（'analyzer'|'queue'|'history'）
+   * @description 履歴ビューに切り替えたときは保存された履歴を、タブビューに切り替えたときは分析キューを読み込み直します
    */
-  async function startAnalysis() {
-    try {
-      isAnalyzing = true;
-      updateUI('analyzing');
-      hideError();
-      hideResults();
+  async function setView(view) {
+    viewTabs.querySelectorAll('.view-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.view === view);
+    });
+    document.getElementById('analyzerView').style.display = view === 'analyzer' ? 'block' : 'none';
+    document.getElementById('queueView').style.display = view === 'queue' ? 'block' : 'none';
+    document.getElementById('historyView').style.display = view === 'history' ? 'block' : 'none';
 
-      // タブキャプチャの許可をリクエスト
+    if (view === 'history') {
+      await historyView.refresh();
+    } else if (view === 'queue') {
+      await queueView.refresh();
+    }
+  }
+
+  /**
+   * 分析モードを切り替える
+   * @function setMode
+   * @param {string} mode - 分析モード（'tab'|'file'）
+   * @description モード切り替えボタンと、タブ分析ボタン・ファイルドロップゾーンの表示を切り替えます
+   */
+  function setMode(mode) {
+    analysisMode = mode;
+    modeSwitch.querySelectorAll('.mode-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+    analyzeBtn.style.display = mode === 'tab' ? 'flex' : 'none';
+    liveToggleRow.style.display = mode === 'tab' ? 'flex' : 'none';
+    followToggleRow.style.display = mode === 'tab' ? 'flex' : 'none';
+    overlayToggleRow.style.display = mode === 'tab' ? 'flex' : 'none';
+    dropZone.style.display = mode === 'file' ? 'block' : 'none';
+    mediaPicker.style.display = mode === 'tab' && mediaElements.length > 0 ? 'block' : 'none';
+  }
+
+  /**
+   * 現在のタブのメディア要素を読み込む
+   * @async
+   * @function loadMediaList
+   * @description コンテンツスクリプトから要素の一覧を受け取り、ピッカーに表示します
+   */
+  async function loadMediaList() {
+    try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'listMedia' });
+      mediaElements = response.elements;
+    } catch (error) {
+      // コンテンツスクリプトが動作しないページ（chrome://等）では一覧を表示しない
+      mediaElements = [];
+    }
+    renderMediaList();
+  }
 
-      // タブ音声のキャプチャを開始
-      chrome.tabCapture.capture({ audio: true }, async (stream) => {
-        if (!stream) {
-          throw new Error('音声をキャプチャできませんでした。タブで音声が再生されていることを確認してください。');
-        }
+  /**
+   * メディア要素のピッカーを表示する
+   * @function renderMediaList
+   * @description 要素ごとに再生位置と状態を表示し、トラック全体のデコードまたは要素のタップで分析できるようにします。
+   * デコードはHTTP(S)で取得できるメディアのみ（MediaSourceのblob: URL等は不可）です。
+   * タップはDRMで保護された要素とCORSなしのクロスオリジンのメディアでは無効にし、理由をツールチップに表示します
+   */
+  function renderMediaList() {
+    mediaList.innerHTML = '';
+    mediaPicker.style.display = analysisMode === 'tab' && mediaElements.length > 0 ? 'block' : 'none';
 
-        try {
-          analyzer = new AudioAnalyzer();
-          await initializeAnalyzer(stream);
+    mediaElements.forEach(media => {
+      const item = document.createElement('li');
+      item.className = 'media-item';
 
-          statusText.textContent = 'BPMを分析中...';
-          const bpm = await analyzer.analyzeBPM(8000);
+      const icon = document.createElement('span');
+      icon.className = 'media-icon';
+      icon.textContent = media.tagName === 'video' ? '🎬' : '🎵';
 
-          statusText.textContent = '音楽キーを分析中...';
-          const keyData = await analyzer.analyzeKey();
+      const info = document.createElement('div');
+      info.className = 'media-info';
+      const label = document.createElement('div');
+      label.className = 'media-label';
+      label.textContent = media.label;
+      label.title = media.src;
+      const meta = document.createElement('div');
+      meta.className = 'media-meta';
+      const duration = media.duration !== null ? formatTime(media.duration) : I18n.getMessage('mediaLive');
+      meta.textContent = `${formatTime(media.currentTime)} / ${duration} · ${I18n.getMessage(media.paused ? 'mediaPaused' : 'mediaPlaying')}` +
+        (media.muted ? ` · ${I18n.getMessage('mediaMuted')}` : '');
+      info.append(label, meta);
 
-          displayResults(bpm, keyData);
-          updateUI('complete');
+      const decodeBtn = document.createElement('button');
+      decodeBtn.className = 'media-btn';
+      decodeBtn.textContent = I18n.getMessage('mediaDecode');
+      decodeBtn.title = I18n.getMessage('mediaDecodeTitle');
+      decodeBtn.disabled = !/^https?:/.test(media.src);
+      decodeBtn.addEventListener('click', () => startMediaAnalysis(media, 'decode'));
 
-          // 分析後にストリームを停止
-          stream.getTracks().forEach(track => track.stop());
+      const tapBtn = document.createElement('button');
+      tapBtn.className = 'media-btn';
+      tapBtn.textContent = I18n.getMessage('mediaTap');
+      tapBtn.title = I18n.getMessage(TAP_BLOCKER_MESSAGES[media.tapBlocker] || 'mediaTapTitle');
+      tapBtn.disabled = Boolean(media.tapBlocker);
+      tapBtn.addEventListener('click', () => startMediaAnalysis(media, 'tap'));
 
-        } catch (error) {
-          console.error('分析エラー:', error);
-          showError(error.message);
-          updateUI('error');
-          if (stream) {
-            stream.getTracks().forEach(track => track.stop());
-          }
-        }
+      item.append(icon, info, decodeBtn, tapBtn);
+      mediaList.appendChild(item);
+    });
+  }
+
+  /**
+   * メディア要素の分析を開始する
+   * @async
+   * @function startMediaAnalysis
+   * @param {Object} media - 分析するメディア要素
+   * @param {string} method - 分析方法（'decode': 取得してデコード | 'tap': 要素をタップ）
+   */
+  async function startMediaAnalysis(media, method) {
+    if (isAnalyzing) return;
+
+    await startAnalysis({ id: media.id, method: method, src: media.src, label: media.label, duration: media.duration });
+  }
 
-        isAnalyzing = false;
+  /**
+   * ローカルの音声ファイルを分析する
+   * @async
+   * @function analyzeFile
+   * @param {File} file - 分析する音声ファイル
+   * @description ファイルをデコードし、保存されている分析パラメーターでトラック全体のBPMとキーをオフラインで分析します
+   */
+  async function analyzeFile(file) {
+    isAnalyzing = true;
+    updateUI('analyzing');
+    hideError();
+    hideResults();
+    renderTrack(null);
+
+    try {
+      analyzer = new AudioAnalyzer(Settings.getAnalysisSettings(settings));
+
+      statusText.textContent = I18n.getMessage('statusDecodingFile', file.name);
+      const audioBuffer = await analyzer.decodeAudioFile(file);
+
+      statusText.textContent = I18n.getMessage('statusAnalyzingTrack');
+      displayResults(await analyzer.analyzeAudioBuffer(audioBuffer));
+      updateUI('complete');
+      statusText.textContent = I18n.getMessage('statusFileComplete', file.name);
+      await saveToHistory({ source: 'file', title: file.name });
+    } catch (error) {
+      console.error('ファイル分析エラー:', error);
+      showError(error.message, error.code);
+      updateUI('error');
+    }
+
+    if (analyzer) {
+      analyzer.cleanup();
+      analyzer = null;
+    }
+    isAnalyzing = false;
+  }
+
+  /**
+   * 音声分析を開始する
+   * @async
+   * @function startAnalysis
+   * @param {{id: number, method: string, src: string, label: string}|null} [media=null] - ページのメディア要素を分析する場合はその要素と方法
+   * @description サービスワーカーにタブ音声の分析ジョブを依頼します。
+   * キャプチャと分析はオフスクリーンドキュメントで行われるため、ポップアップを閉じても続きます
+   */
+  async function startAnalysis(media = null) {
+    isAnalyzing = true;
+    liveToggle.disabled = true;
+    updateUI('analyzing');
+    hideError();
+    hideResults();
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.runtime.sendMessage({
+        action: 'startAnalysis',
+        tabId: tab.id,
+        live: liveToggle.checked,
+        follow: followToggle.checked,
+        media: media
       });
 
+      if (!response.success) {
+        throw Object.assign(new Error(response.error), { code: response.errorCode });
+      }
+      renderJob(response.job);
     } catch (error) {
       console.error('エラー:', error);
-      showError(error.message);
+      showError(error.message, error.code);
       updateUI('error');
       isAnalyzing = false;
+      liveToggle.disabled = false;
     }
   }
 
   /**
-   * アナライザーを初期化する
-   * @async
-   * @function initializeAnalyzer
-   * @param {MediaStream} stream - キャプチャした音声ストリーム
-   * @description AudioContextを作成し、ストリームをアナライザーに接続します
+   * タブ分析ジョブの状態を表示する
+   * @function renderJob
+   * @param {Object} job - サービスワーカーから受け取ったジョブ
+   * @description 進捗・ライブモニタリングの推定・最終結果・エラーをジョブの状態に応じて表示します。
+   * ポップアップを開き直したときも同じ関数で途中から表示を再開します。
+   * 曲の切り替えで新しいジョブに置き換えられた場合は、前の曲の結果を消して表示し直します
    */
-  async function initializeAnalyzer(stream) {
-    const audioContext = new AudioContext();
-    analyzer.audioContext = audioContext;
-    analyzer.analyser = audioContext.createAnalyser();
-    analyzer.analyser.fftSize = 8192;
-    analyzer.analyser.smoothingTimeConstant = 0.8;
-    analyzer.source = audioContext.createMediaStreamSource(stream);
-    analyzer.source.connect(analyzer.analyser);
+  function renderJob(job) {
+    const active = ACTIVE_JOB_STATUSES.includes(job.status);
+    const isNewState = !displayedJob || displayedJob.id !== job.id || displayedJob.status !== job.status;
+    if (displayedJob && displayedJob.id !== job.id && active) {
+      hideError();
+      hideResults();
+    }
+    displayedJob = { id: job.id, status: job.status };
+    if (!job.media) {
+      followToggle.checked = job.follow;
+    }
+    renderTrack(job.track);
+
+    if (active) {
+      isAnalyzing = true;
+      liveToggle.disabled = true;
+      liveToggle.checked = job.live;
+      setMode('tab');
+      updateUI('analyzing');
+      statusText.textContent = job.message;
+      // 波形はタブ音声をキャプチャしている場合のみ
+      if (!job.media) {
+        connectVisualizer();
+      }
+    } else {
+      isAnalyzing = false;
+      liveToggle.disabled = false;
+      disconnectVisualizer();
+    }
+
+    if (job.live && job.timeline.length > 0) {
+      liveTimeline = job.timeline;
+      timelineDiv.style.display = 'block';
+      drawTimeline((job.settings || AudioAnalyzer.DEFAULT_SETTINGS).liveIntervalSeconds);
+    }
 
-    // ビジュアライザーを開始
-    startVisualizer();
+    // 完了時は一度だけアニメーション付きで表示し、ライブモニタリング中は推定のたびに更新する
+    if (job.result && (job.status === 'live' || isNewState)) {
+      displayResults(job.result, job.status === 'complete');
+      currentResult.historyId = job.historyId;
+    }
+
+    switch (job.status) {
+      case 'complete':
+        updateUI('complete');
+        break;
+      case 'error':
+        showError(job.error, job.errorCode);
+        updateUI('error');
+        break;
+      case 'stopped':
+        updateUI('ready');
+        break;
+    }
   }
 
   /**
-   * 波形ビジュアライザーを開始する
-   * @function startVisualizer
-   * @description キャンバスに音声波形をリアルタイムで描画します
+   * 分析中の曲の情報を表示する
+   * @function renderTrack
+   * @param {{title: string, artist: string, artwork: string}|null} track - Media Sessionから取得した曲の情報
+   * @description 曲名が無い場合（Media Sessionに対応していないページ等）は表示しません
    */
-  function startVisualizer() {
-    const canvas = document.getElementById('waveform');
-    const canvasCtx = canvas.getContext('2d');
+  function renderTrack(track) {
+    if (!track || !track.title) {
+      nowPlaying.style.display = 'none';
+      return;
+    }
+
+    nowPlaying.style.display = 'flex';
+    document.getElementById('trackTitle').textContent = track.title;
+    document.getElementById('trackArtist').textContent = [track.artist, track.album].filter(Boolean).join(' · ');
+    const artwork = document.getElementById('trackArtwork');
+    artwork.style.display = track.artwork ? 'block' : 'none';
+    if (track.artwork) {
+      artwork.src = track.artwork;
+    }
+  }
+
+  /**
+   * オフスクリーンドキュメントのビジュアライザーのデータの受信を開始する
+   * @function connectVisualizer
+   */
+  function connectVisualizer() {
     visualizerDiv.style.display = 'block';
+    if (visualizerPort) return;
 
-    canvas.width = canvas.offsetWidth;
-    canvas.height = canvas.offsetHeight;
+    visualizerPort = chrome.runtime.connect({ name: 'visualizer' });
+    visualizerPort.postMessage({ mode: visualizerMode });
+    visualizerPort.onMessage.addListener(drawVisualizerFrame);
+    visualizerPort.onDisconnect.addListener(() => {
+      visualizerPort = null;
+    });
+  }
 
-    const bufferLength = analyzer.analyser.frequencyBinCount;
-    const dataArray = new Uint8Array(bufferLength);
+  /**
+   * オフスクリーンドキュメントのビジュアライザーのデータの受信を終了する
+   * @function disconnectVisualizer
+   */
+  function disconnectVisualizer() {
+    if (visualizerPort) {
+      visualizerPort.disconnect();
+      visualizerPort = null;
+    }
+  }
 
-    function draw() {
-      if (!isAnalyzing || !analyzer) return;
+  /**
+   * ライブモニタリングのタイムラインを描画する
+   * @function drawTimeline
+   * @param {number} interval - ジョブのライブ分析の再推定間隔（秒）
+   * @description 直近の推定履歴を、上段にBPMの折れ線、下段にCamelotの色帯として右から左へスクロール表示します
+   */
+  function drawTimeline(interval) {
+    const { canvasCtx, width, height } = prepareCanvas(document.getElementById('timeline'));
+    const keyBandHeight = 16;
+    const plotHeight = height - keyBandHeight - 4;
+    const endTime = liveTimeline[liveTimeline.length - 1].time;
+    const startTime = endTime - TIMELINE_SPAN_SECONDS;
+    const toX = (time) => (time - startTime) / TIMELINE_SPAN_SECONDS * width;
+    const visible = liveTimeline.filter(entry => entry.time >= startTime - interval);
 
-      requestAnimationFrame(draw);
-      analyzer.analyser.getByteTimeDomainData(dataArray);
+    canvasCtx.fillStyle = '#f7fafc';
+    canvasCtx.fillRect(0, 0, width, height);
 
-      canvasCtx.fillStyle = '#f7fafc';
-      canvasCtx.fillRect(0, 0, canvas.width, canvas.height);
+    // キーの色帯（各推定はその直前の間隔を代表する）
+    canvasCtx.font = '10px sans-serif';
+    canvasCtx.textBaseline = 'middle';
+    visible.forEach((entry, i) => {
+      const x = toX(entry.time - interval);
+      canvasCtx.fillStyle = KeyNotation.getCamelotColor(entry.camelot);
+      canvasCtx.fillRect(x, height - keyBandHeight, toX(entry.time) - x + 1, keyBandHeight);
 
-      canvasCtx.lineWidth = 2;
-      canvasCtx.strokeStyle = '#667eea';
-      canvasCtx.beginPath();
+      // キーが変わった位置にラベルを表示
+      if (i === 0 || visible[i - 1].camelot !== entry.camelot) {
+        canvasCtx.fillStyle = 'white';
+        canvasCtx.fillText(entry.camelot, Math.max(2, x + 2), height - keyBandHeight / 2);
+      }
+    });
+
+    // BPMの折れ線
+    const bpms = visible.filter(entry => entry.bpm !== null).map(entry => entry.bpm);
+    if (bpms.length === 0) return;
+
+    const minBPM = Math.min(...bpms) - 5;
+    const maxBPM = Math.max(...bpms) + 5;
+    const toY = (bpm) => 2 + (maxBPM - bpm) / (maxBPM - minBPM) * (plotHeight - 4);
+
+    canvasCtx.lineWidth = 2;
+    canvasCtx.strokeStyle = '#667eea';
+    canvasCtx.beginPath();
+    let drawing = false;
+    visible.forEach(entry => {
+      if (entry.bpm === null) {
+        drawing = false;
+        return;
+      }
+      if (drawing) {
+        canvasCtx.lineTo(toX(entry.time), toY(entry.bpm));
+      } else {
+        canvasCtx.moveTo(toX(entry.time), toY(entry.bpm));
+        drawing = true;
+      }
+    });
+    canvasCtx.stroke();
+
+    canvasCtx.fillStyle = '#718096';
+    canvasCtx.textBaseline = 'top';
+    canvasCtx.fillText(`${Math.round(maxBPM - 5)}`, 2, 2);
+    canvasCtx.textBaseline = 'bottom';
+    canvasCtx.fillText(`${Math.round(minBPM + 5)}`, 2, plotHeight);
+  }
+
+  /**
+   * キャンバスの解像度を表示サイズと画面のピクセル密度に合わせる
+   * @function prepareCanvas
+   * @param {HTMLCanvasElement} canvas - 描画するキャンバス
+   * @returns {{canvasCtx: CanvasRenderingContext2D, width: number, height: number, ratio: number, resized: boolean}}
+   * CSSピクセル単位で描画できるよう変換を設定したコンテキスト、表示サイズ（CSSピクセル）、ピクセル密度、解像度を変更したかどうか
+   * @description HiDPIの画面でもぼやけないよう、キャンバスの実際の画素数を表示サイズ × devicePixelRatioにします。
+   * 解像度を変更するとキャンバスの内容は消えます
+   */
+  function prepareCanvas(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.offsetWidth;
+    const height = canvas.offsetHeight;
+    const resized = canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio);
+
+    if (resized) {
+      canvas.width = Math.round(width * ratio);
+      canvas.height = Math.round(height * ratio);
+    }
+
+    const canvasCtx = canvas.getContext('2d');
+    canvasCtx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    return { canvasCtx, width, height, ratio, resized };
+  }
+
+  /**
+   * オフスクリーンドキュメントから受け取ったビジュアライザーのデータを描画する
+   * @function drawVisualizerFrame
+   * @param {{mode: string}} frame - 表示モードとそのモードのデータ
+   * @description モードを切り替えた直後に届いた前のモードのデータは無視します
+   */
+  function drawVisualizerFrame(frame) {
+    if (frame.mode !== visualizerMode) return;
+
+    switch (frame.mode) {
+      case 'spectrogram':
+        drawSpectrogram(frame.levels);
+        break;
+      case 'chroma':
+        drawChromaWheel(frame.chroma);
+        break;
+      case 'energy':
+        drawEnergy(frame);
+        break;
+      default:
+        drawWaveform(frame.samples);
+    }
+  }
+
+  /**
+   * 波形を描画する
+   * @function drawWaveform
+   * @param {number[]} samples - オフスクリーンドキュメントから受け取った時間波形（0〜255、128が無音）
+   * @description キャンバスに音声波形を描画します
+   */
+  function drawWaveform(samples) {
+    const { canvasCtx, width, height } = prepareCanvas(document.getElementById('visualizerCanvas'));
+
+    canvasCtx.fillStyle = '#f7fafc';
+    canvasCtx.fillRect(0, 0, width, height);
 
-      const sliceWidth = canvas.width / bufferLength;
-      let x = 0;
+    canvasCtx.lineWidth = 2;
+    canvasCtx.strokeStyle = '#667eea';
+    canvasCtx.beginPath();
 
-      for (let i = 0; i < bufferLength; i++) {
-        const v = dataArray[i] / 128.0;
-        const y = v * canvas.height / 2;
+    const sliceWidth = width / samples.length;
+    let x = 0;
 
-        if (i === 0) {
-          canvasCtx.moveTo(x, y);
-        } else {
-          canvasCtx.lineTo(x, y);
-        }
+    for (let i = 0; i < samples.length; i++) {
+      const v = samples[i] / 128.0;
+      const y = v * height / 2;
 
-        x += sliceWidth;
+      if (i === 0) {
+        canvasCtx.moveTo(x, y);
+      } else {
+        canvasCtx.lineTo(x, y);
       }
 
-      canvasCtx.lineTo(canvas.width, canvas.height / 2);
+      x += sliceWidth;
+    }
+
+    canvasCtx.lineTo(width, height / 2);
+    canvasCtx.stroke();
+  }
+
+  /**
+   * スクロールするスペクトログラムを描画する
+   * @function drawSpectrogram
+   * @param {number[]} levels - 低い周波数から順の、対数軸で等間隔な周波数帯のレベル（0〜255）
+   * @description これまでの描画を左へずらし、右端に新しいフレームを1列描き足します。上が高い周波数です
+   */
+  function drawSpectrogram(levels) {
+    const canvas = document.getElementById('visualizerCanvas');
+    const { canvasCtx, width, height, ratio, resized } = prepareCanvas(canvas);
+
+    if (resized) {
+      canvasCtx.fillStyle = '#1a202c';
+      canvasCtx.fillRect(0, 0, width, height);
+    }
+
+    // ずらす量は実際の画素単位で指定する
+    const shift = Math.round(SPECTROGRAM_COLUMN_WIDTH * ratio);
+    canvasCtx.save();
+    canvasCtx.setTransform(1, 0, 0, 1, 0, 0);
+    canvasCtx.drawImage(canvas, -shift, 0);
+    canvasCtx.restore();
+
+    const bandHeight = height / levels.length;
+    levels.forEach((level, band) => {
+      // 暗い青から明るい黄色へ
+      const intensity = level / 255;
+      canvasCtx.fillStyle = `hsl(${240 - intensity * 180}, 80%, ${8 + intensity * 52}%)`;
+      canvasCtx.fillRect(width - SPECTROGRAM_COLUMN_WIDTH, height - (band + 1) * bandHeight,
+        SPECTROGRAM_COLUMN_WIDTH, Math.ceil(bandHeight));
+    });
+  }
+
+  /**
+   * クロマグラムをCamelotのホイールとして描画する
+   * @function drawChromaWheel
+   * @param {number[]} chroma - キー検出に使うクロマグラム（0-11: C-B、最大値で正規化）
+   * @description Camelotの番号の位置に、外側の輪はメジャーキー（B）の主音、内側の輪はマイナーキー（A）の主音の
+   * ピッチクラスの強さをそのキーの色の濃さで表示します。表示中の結果のキーは白い枠で囲みます
+   */
+  function drawChromaWheel(chroma) {
+    const { canvasCtx, width, height } = prepareCanvas(document.getElementById('visualizerCanvas'));
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const outerRadius = Math.min(width, height) / 2 - 4;
+    const middleRadius = outerRadius * 0.68;
+    const innerRadius = outerRadius * 0.36;
+    const detected = currentResult ? currentResult.keyData.camelot : null;
+
+    canvasCtx.fillStyle = '#f7fafc';
+    canvasCtx.fillRect(0, 0, width, height);
+    canvasCtx.font = '11px sans-serif';
+    canvasCtx.textAlign = 'center';
+    canvasCtx.textBaseline = 'middle';
+
+    for (let number = 1; number <= 12; number++) {
+      // 12を真上に、時計回りに並べる
+      const start = ((number % 12) - 0.5) / 12 * 2 * Math.PI - Math.PI / 2;
+      const end = start + 2 * Math.PI / 12;
+
+      [['B', middleRadius, outerRadius], ['A', innerRadius, middleRadius]].forEach(([letter, inner, outer]) => {
+        const camelot = `${number}${letter}`;
+        const key = KeyNotation.parse(camelot);
+        const level = chroma[key.pitchClass];
+
+        canvasCtx.beginPath();
+        canvasCtx.arc(centerX, centerY, outer, start, end);
+        canvasCtx.arc(centerX, centerY, inner, end, start, true);
+        canvasCtx.closePath();
+        canvasCtx.globalAlpha = 0.12 + level * 0.88;
+        canvasCtx.fillStyle = KeyNotation.getCamelotColor(camelot);
+        canvasCtx.fill();
+        canvasCtx.globalAlpha = 1;
+        canvasCtx.lineWidth = camelot === detected ? 3 : 1;
+        canvasCtx.strokeStyle = camelot === detected ? '#2d3748' : 'white';
+        canvasCtx.stroke();
+
+        const angle = (start + end) / 2;
+        const radius = (inner + outer) / 2;
+        canvasCtx.fillStyle = level > 0.5 ? 'white' : '#4a5568';
+        canvasCtx.fillText(key.name, centerX + Math.cos(angle) * radius, centerY + Math.sin(angle) * radius);
+      });
+    }
+  }
+
+  /**
+   * エネルギーとオンセット強度の推移を描画する
+   * @function drawEnergy
+   * @param {{time: number, energy: number, onset: number}} frame - 音声が聞こえる時刻（エポックミリ秒）、RMS、オンセット強度
+   * @description 直近の推移を右から左へスクロール表示し、検出したビートの位置に縦線を重ねます。
+   * ピークとビートの線がずれていれば、テンポかビートの位置の推定が合っていません
+   */
+  function drawEnergy(frame) {
+    energyHistory.push(frame);
+    const endTime = frame.time;
+    const startTime = endTime - ENERGY_SPAN_MS;
+    energyHistory = energyHistory.filter(entry => entry.time >= startTime);
+
+    const { canvasCtx, width, height } = prepareCanvas(document.getElementById('visualizerCanvas'));
+    const toX = (time) => (time - startTime) / ENERGY_SPAN_MS * width;
+
+    canvasCtx.fillStyle = '#f7fafc';
+    canvasCtx.fillRect(0, 0, width, height);
+
+    // 検出したビートの位置
+    const grid = getBeatGrid();
+    if (grid) {
+      const period = 60000 / grid.bpm;
+      canvasCtx.strokeStyle = 'rgba(118, 75, 162, 0.5)';
+      canvasCtx.lineWidth = 1;
+      canvasCtx.beginPath();
+      for (let beat = grid.anchor + Math.ceil((startTime - grid.anchor) / period) * period; beat <= endTime; beat += period) {
+        canvasCtx.moveTo(toX(beat), 0);
+        canvasCtx.lineTo(toX(beat), height);
+      }
       canvasCtx.stroke();
     }
 
-    draw();
+    // 表示中の最大値で正規化する
+    const maxEnergy = Math.max(...energyHistory.map(entry => entry.energy), 1e-4);
+    const maxOnset = Math.max(...energyHistory.map(entry => entry.onset), 1e-4);
+
+    canvasCtx.fillStyle = 'rgba(102, 126, 234, 0.25)';
+    canvasCtx.beginPath();
+    canvasCtx.moveTo(toX(energyHistory[0].time), height);
+    energyHistory.forEach(entry => {
+      canvasCtx.lineTo(toX(entry.time), height - entry.energy / maxEnergy * (height - 4));
+    });
+    canvasCtx.lineTo(toX(endTime), height);
+    canvasCtx.closePath();
+    canvasCtx.fill();
+
+    canvasCtx.strokeStyle = '#667eea';
+    canvasCtx.lineWidth = 1.5;
+    canvasCtx.beginPath();
+    energyHistory.forEach((entry, i) => {
+      const y = height - entry.onset / maxOnset * (height - 4);
+      if (i === 0) {
+        canvasCtx.moveTo(toX(entry.time), y);
+      } else {
+        canvasCtx.lineTo(toX(entry.time), y);
+      }
+    });
+    canvasCtx.stroke();
+  }
+
+  /**
+   * 経過秒数を「分:秒」形式に整形する
+   * @function formatTime
+   * @param {number} seconds - 経過秒数
+   * @returns {string} 整形した時間（例: 3:05）
+   */
+  function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = Math.floor(seconds % 60);
+    return `${minutes}:${String(rest).padStart(2, '0')}`;
   }
 
   /**
    * 分析を停止する
+   * @async
    * @function stopAnalysis
-   * @description アナライザーをクリーンアップしてUIを初期状態に戻します
+   * @description サービスワーカーにジョブの停止を依頼します。ライブモニタリングでは停止時点の推定が履歴に残ります
    */
-  function stopAnalysis() {
-    isAnalyzing = false;
-    if (analyzer) {
-      analyzer.cleanup();
-      analyzer = null;
+  async function stopAnalysis() {
+    try {
+      await chrome.runtime.sendMessage({ action: 'stopAnalysis' });
+    } catch (error) {
+      console.error('停止エラー:', error);
+    }
+  }
+
+  /**
+   * 表示中の分析結果を履歴に保存する
+   * @async
+   * @function saveToHistory
+   * @param {{source: string, title: string, url?: string, favIconUrl?: string}} metadata - 分析対象の情報
+   * @description 保存したエントリーのIDを記録し、後から候補を選び直したときに同じエントリーを修正できるようにします
+   */
+  async function saveToHistory(metadata) {
+    const result = currentResult;
+    try {
+      const entry = await HistoryStore.add(HistoryStore.createEntry(result, metadata));
+      result.historyId = entry.id;
+    } catch (error) {
+      console.error('履歴の保存に失敗しました:', error);
+    }
+  }
+
+  /**
+   * 候補の選択を履歴に反映する
+   * @async
+   * @function updateHistoryEntry
+   * @description 保存済みの結果で別の候補が採用された場合、履歴のBPM・キー・信頼度を書き換えます
+   */
+  async function updateHistoryEntry() {
+    if (!currentResult || !currentResult.historyId) return;
+
+    const { tempo, keyData, tempoIndex, keyIndex } = currentResult;
+    const changes = {
+      key: keyData.key,
+      mode: keyData.mode,
+      fullName: keyData.fullName,
+      camelot: keyData.camelot,
+      openKey: keyData.openKey,
+      keyConfidence: keyIndex === 0 ? keyData.confidence : keyData.candidates[keyIndex].score
+    };
+    if (tempo) {
+      changes.bpm = tempo.bpm;
+      changes.bpmConfidence = tempoIndex === 0 ? tempo.confidence : tempo.candidates[tempoIndex].score;
+    }
+
+    try {
+      await HistoryStore.update(currentResult.historyId, changes);
+    } catch (error) {
+      console.error('履歴の更新に失敗しました:', error);
     }
-    updateUI('ready');
   }
 
   /**
@@ -187,45 +1017,622 @@ document.addEventListener('DOMContentLoaded', () => {
       case 'analyzing':
         statusIndicator.classList.add('analyzing');
         analyzeBtn.classList.add('analyzing');
-        statusText.textContent = '音声をキャプチャ中...';
+        statusText.textContent = I18n.getMessage('statusCapturing');
         btnIcon.textContent = '⏹';
-        btnText.textContent = '分析を停止';
+        btnText.textContent = I18n.getMessage('buttonStop');
         break;
       case 'complete':
-        statusText.textContent = '分析完了';
+        statusText.textContent = I18n.getMessage('statusComplete');
         btnIcon.textContent = '▶';
-        btnText.textContent = '再度分析';
+        btnText.textContent = I18n.getMessage('buttonAgain');
         break;
       case 'error':
         statusIndicator.classList.add('error');
-        statusText.textContent = '分析失敗';
+        statusText.textContent = I18n.getMessage('statusFailed');
         btnIcon.textContent = '▶';
-        btnText.textContent = '再試行';
+        btnText.textContent = I18n.getMessage('buttonRetry');
         break;
       default: // ready
-        statusText.textContent = '分析準備完了';
+        statusText.textContent = I18n.getMessage('statusReady');
         btnIcon.textContent = '▶';
-        btnText.textContent = '分析開始';
+        btnText.textContent = I18n.getMessage('buttonStart');
     }
   }
 
   /**
    * 分析結果を表示する
    * @function displayResults
-   * @param {number} bpm - 検出されたBPM値
-   * @param {{key: string, mode: string, camelot: string, fullName: string}} keyData - キー情報
-   * @description BPMとキー情報を画面に表示し、アニメーションを適用します
+   * @param {{tempo: Object|null, keyData: Object, chords?: Object[], structure?: Object|null, loudness?: Object, descriptors?: Object}} result - 分析結果。
+   * tempoはテンポ情報（検出できなかった場合はnull）、keyDataはキー情報、chordsはコードの区間（ChordRecognition.recognizeの戻り値）、
+   * structureは拍子と楽節（BeatStructure.analyzeの戻り値）、loudnessはラウドネス（LoudnessMeter.analyzeの戻り値）、
+   * descriptorsはエネルギー等の指標（TrackDescriptors.analyzeの戻り値）
+   * @param {boolean} [animate=true] - BPMをアニメーション表示するかどうか
+   * @description BPMとキー情報を信頼度・候補と一緒に画面に表示し、アニメーションを適用します
    */
-  function displayResults(bpm, keyData) {
-    document.getElementById('bpmValue').textContent = bpm;
-    document.getElementById('keyValue').textContent = keyData.camelot;
-    document.getElementById('musicalKey').textContent = keyData.fullName;
-    document.getElementById('mode').textContent = keyData.mode.charAt(0).toUpperCase() + keyData.mode.slice(1);
+  function displayResults(result, animate = true) {
+    const { tempo, keyData } = result;
+    currentResult = {
+      tempo,
+      keyData,
+      chords: result.chords || [],
+      structure: result.structure || null,
+      loudness: result.loudness || null,
+      descriptors: result.descriptors || null,
+      tempoIndex: 0,
+      keyIndex: 0,
+      historyId: null,
+      beatAnchor: tempo && tempo.beatAnchor ? tempo.beatAnchor : null
+    };
+
+    if (tempo) {
+      selectTempoCandidate(0);
+      // 値をアニメーション
+      if (animate) {
+        animateValue('bpmValue', 0, tempo.bpm, 1000, 1);
+      }
+    } else {
+      document.getElementById('bpmValue').textContent = '--';
+      renderConfidence('bpm', null);
+      document.getElementById('bpmAlternatives').innerHTML = '';
+      renderStructure();
+    }
+
+    selectKeyCandidate(0);
+    document.getElementById('tuning').textContent = formatTuning(keyData.tuningCents);
+    renderDescriptors(currentResult.descriptors);
+    renderLoudness(currentResult.loudness);
+    renderTapResult(tapTempo.getTempo());
+    updateBeatGrid();
+    renderMixing();
 
     resultsDiv.style.display = 'block';
+  }
+
+  /**
+   * エネルギーと曲調の指標のカードを表示する
+   * @function renderDescriptors
+   * @param {Object|null} descriptors - TrackDescriptors.analyzeの戻り値。計算していない結果の場合はnull
+   * @description エネルギーは1〜10、ダンサビリティ・明るさ・打楽器らしさはパーセントで表示し、
+   * 明るさにはスペクトル重心、打楽器らしさには1秒あたりのオンセット数を添えます
+   */
+  function renderDescriptors(descriptors) {
+    document.getElementById('descriptors').style.display = descriptors ? 'grid' : 'none';
+    if (!descriptors) return;
+
+    const percent = value => `${Math.round(value * 100)}%`;
+    document.getElementById('energyValue').textContent = descriptors.energy;
+    document.getElementById('danceabilityValue').textContent = percent(descriptors.danceability);
+    document.getElementById('brightnessValue').textContent = percent(descriptors.brightness);
+    document.getElementById('brightnessDetail').textContent = I18n.getMessage('brightnessDetail', descriptors.spectralCentroid);
+    document.getElementById('percussivenessValue').textContent = percent(descriptors.percussiveness);
+    document.getElementById('percussivenessDetail').textContent = I18n.getMessage('percussivenessDetail', descriptors.onsetRate.toFixed(1));
+  }
+
+  /**
+   * ラウドネスのメーターを表示する
+   * @function renderLoudness
+   * @param {Object|null} loudness - LoudnessMeter.analyzeの戻り値。計測していない結果の場合はnull
+   * @description インテグレーテッド・ショートターム・モーメンタリーラウドネスとトゥルーピークを-60〜0dBのバーで表示し、
+   * ラウドネスレンジ・クレストファクター・サンプルピーク・RMSを数値で表示します
+   */
+  function renderLoudness(loudness) {
+    const loudnessDiv = document.getElementById('loudness');
+    const meters = document.getElementById('loudnessMeters');
+    loudnessDiv.style.display = loudness ? 'block' : 'none';
+    meters.innerHTML = '';
+    if (!loudness) return;
+
+    const formatDecibels = (value, unit) => value !== null ? `${value.toFixed(1)} ${unit}` : '--';
+
+    LOUDNESS_METERS.forEach(({ key, label, unit }) => {
+      const value = loudness[key];
+      const row = document.createElement('div');
+      row.className = 'loudness-meter';
+
+      const name = document.createElement('span');
+      name.className = 'loudness-label';
+      name.textContent = I18n.getMessage(label);
+
+      const bar = document.createElement('div');
+      bar.className = 'loudness-bar';
+      const fill = document.createElement('div');
+      fill.className = 'loudness-fill';
+      const ratio = value !== null ? (value - LOUDNESS_METER_FLOOR) / -LOUDNESS_METER_FLOOR : 0;
+      fill.style.width = `${Math.round(Math.min(1, Math.max(0, ratio)) * 100)}%`;
+      // 配信で音割れやリミッターの原因になるトゥルーピークを警告する
+      fill.classList.toggle('over', key === 'truePeak' && value !== null && value > TRUE_PEAK_LIMIT);
+      bar.appendChild(fill);
+
+      const text = document.createElement('span');
+      text.className = 'loudness-value';
+      text.textContent = formatDecibels(value, unit);
+
+      row.append(name, bar, text);
+      meters.appendChild(row);
+    });
+
+    document.getElementById('loudnessDetails').textContent = [
+      `LRA ${formatDecibels(loudness.loudnessRange, 'LU')}`,
+      `${I18n.getMessage('loudnessCrestFactor')} ${formatDecibels(loudness.crestFactor, 'dB')}`,
+      `${I18n.getMessage('loudnessSamplePeak')} ${formatDecibels(loudness.samplePeak, 'dBFS')}`,
+      `RMS ${formatDecibels(loudness.rms, 'dBFS')}`
+    ].join(' · ');
+  }
+
+  /**
+   * チューニングのずれを整形する
+   * @function formatTuning
+   * @param {number} cents - A4=440Hzからのずれ（セント）
+   * @returns {string} 基準周波数とセント（例: A4 = 432.0 Hz (-32 cents)）
+   */
+  function formatTuning(cents) {
+    const reference = 440 * Math.pow(2, cents / 1200);
+    const sign = cents > 0 ? '+' : '';
+    return `A4 = ${reference.toFixed(1)} Hz (${sign}${cents} cents)`;
+  }
+
+  /**
+   * テンポの候補を選択する
+   * @function selectTempoCandidate
+   * @param {number} index - 選択する候補のインデックス
+   * @description 選択した候補をBPMとして表示し、その候補のスコアを信頼度として表示します。
+   * タップから採用した候補（scoreがnull）の信頼度は表示しません
+   */
+  function selectTempoCandidate(index) {
+    const tempo = currentResult.tempo;
+    const candidate = tempo.candidates[index];
+
+    currentResult.tempoIndex = index;
+    tempo.bpm = candidate.bpm;
+    document.getElementById('bpmValue').textContent = candidate.bpm.toFixed(1);
+    renderConfidence('bpm', index === 0 ? tempo.confidence : candidate.score);
+    renderAlternatives('bpmAlternatives', tempo.candidates, index,
+      candidate => candidate.bpm.toFixed(1), (selected) => {
+        selectTempoCandidate(selected);
+        updateHistoryEntry();
+        renderMixing();
+      });
+    updateBeatGrid();
+    renderStructure();
+  }
+
+  /**
+   * 採用中のBPMとビートの位置を取得する
+   * @function getBeatGrid
+   * @returns {{bpm: number, anchor: number}|null} BPMとビートが聞こえた時刻（エポックミリ秒）。
+   * ビートの位置が分からない場合（ファイルの分析等）はnull
+   */
+  function getBeatGrid() {
+    if (!currentResult || !currentResult.tempo || !currentResult.beatAnchor) {
+      return null;
+    }
+    return { bpm: currentResult.tempo.bpm, anchor: currentResult.beatAnchor };
+  }
+
+  /**
+   * ビートの表示とクリック音を採用中のBPMに合わせる
+   * @function updateBeatGrid
+   * @description 倍/半分の候補を選んでもビートの位置は変わらないため、同じ時刻を基準に間隔だけを変えます
+   */
+  function updateBeatGrid() {
+    const grid = getBeatGrid();
+    metronomeToggle.disabled = !grid;
+    if (metronome) {
+      metronome.setGrid(grid);
+    }
+
+    if (grid && beatIndicatorFrame === null) {
+      beatIndicatorFrame = requestAnimationFrame(renderBeatIndicator);
+    }
+  }
+
+  /**
+   * ビートに合わせてインジケーターを点滅させる
+   * @function renderBeatIndicator
+   * @description ビートの位置が無くなったらアニメーションを止めます
+   */
+  function renderBeatIndicator() {
+    const grid = getBeatGrid();
+    if (!grid) {
+      beatIndicator.classList.remove('on');
+      beatIndicatorFrame = null;
+      return;
+    }
+
+    const period = 60000 / grid.bpm;
+    const elapsed = ((performance.timeOrigin + performance.now() - grid.anchor) % period + period) % period;
+    beatIndicator.classList.toggle('on', elapsed < period * 0.15);
+    beatIndicatorFrame = requestAnimationFrame(renderBeatIndicator);
+  }
+
+  /**
+   * タップテンポの計測結果を表示する
+   * @function renderTapResult
+   * @param {{bpm: number, taps: number, rejected: number, anchor: number}|null} tapped - TapTempo.tapの戻り値
+   * @description 検出したBPMと比較し、倍/半分のテンポの誤りが疑われる場合はその旨を表示します
+   */
+  function renderTapResult(tapped) {
+    tapApply.style.display = 'none';
+    if (!tapped) {
+      tapResult.textContent = tapTempo.taps.length > 0
+        ? I18n.getMessage('tapCount', tapTempo.taps.length)
+        : I18n.getMessage('tapPrompt');
+      return;
+    }
+
+    let text = tapped.rejected > 0
+      ? I18n.getMessage('tapResultRejected', [tapped.bpm.toFixed(1), tapped.taps, tapped.rejected])
+      : I18n.getMessage('tapResult', [tapped.bpm.toFixed(1), tapped.taps]);
+    const detected = currentResult && currentResult.tempo ? currentResult.tempo.bpm : null;
+    if (detected) {
+      const comparison = TapTempo.compare(tapped.bpm, detected);
+      if (!comparison.matches) {
+        text += ` · ${I18n.getMessage('tapDiffers', formatSigned(comparison.percent, 1))}`;
+      } else if (comparison.multiplier === 2) {
+        text += ` · ${I18n.getMessage('tapDouble')}`;
+      } else if (comparison.multiplier === 0.5) {
+        text += ` · ${I18n.getMessage('tapHalf')}`;
+      } else {
+        text += ` · ${I18n.getMessage('tapMatches')}`;
+      }
+    }
+    tapResult.textContent = text;
+
+    if (currentResult) {
+      const bpm = getTappedTempo(tapped);
+      if (!detected || Math.abs(bpm - detected) >= 0.1) {
+        tapApply.textContent = I18n.getMessage('tapApply', bpm.toFixed(1));
+        tapApply.style.display = 'block';
+      }
+    }
+  }
+
+  /**
+   * タップテンポから採用するBPMを求める
+   * @function getTappedTempo
+   * @param {{bpm: number}} tapped - タップテンポ
+   * @returns {number} 検出したBPMの倍/半分と一致する場合はその値（タップより精度が高いため）、それ以外はタップしたBPM
+   */
+  function getTappedTempo(tapped) {
+    const detected = currentResult.tempo ? currentResult.tempo.bpm : null;
+    if (!detected) {
+      return tapped.bpm;
+    }
 
-    // 値をアニメーション
-    animateValue('bpmValue', 0, bpm, 1000);
+    const comparison = TapTempo.compare(tapped.bpm, detected);
+    return comparison.matches ? Math.round(detected * comparison.multiplier * 10) / 10 : tapped.bpm;
+  }
+
+  /**
+   * タップテンポを結果として採用する
+   * @function applyTappedTempo
+   * @description 採用したBPMを候補に加えて選択し、履歴にも反映します。ビートの位置は最後のタップを基準にします
+   */
+  function applyTappedTempo() {
+    const tapped = tapTempo.getTempo();
+    if (!tapped || !currentResult) return;
+
+    const bpm = getTappedTempo(tapped);
+    if (!currentResult.tempo) {
+      currentResult.tempo = { bpm: bpm, confidence: null, candidates: [] };
+    }
+
+    const candidates = currentResult.tempo.candidates.filter(candidate => !candidate.tapped);
+    let index = candidates.findIndex(candidate => Math.abs(candidate.bpm - bpm) < 0.1);
+    if (index === -1) {
+      candidates.push({ bpm: bpm, score: null, tapped: true });
+      index = candidates.length - 1;
+    }
+    currentResult.tempo.candidates = candidates;
+    currentResult.beatAnchor = tapped.anchor;
+
+    selectTempoCandidate(index);
+    updateHistoryEntry();
+    renderMixing();
+    renderTapResult(tapped);
+  }
+
+  /**
+   * キーの候補を選択する
+   * @function selectKeyCandidate
+   * @param {number} index - 選択する候補のインデックス
+   * @description 選択した候補を現在の表記法でキーとして表示し、その候補のスコアを信頼度として表示します
+   */
+  function selectKeyCandidate(index) {
+    const keyData = currentResult.keyData;
+    const candidate = keyData.candidates[index];
+
+    currentResult.keyIndex = index;
+    Object.assign(keyData, {
+      key: candidate.key,
+      mode: candidate.mode,
+      pitchClass: candidate.pitchClass,
+      camelot: candidate.camelot,
+      openKey: candidate.openKey,
+      fullName: candidate.fullName
+    });
+
+    document.getElementById('keyValue').textContent = KeyNotation.format(keyData, keyNotation);
+    document.getElementById('musicalKey').textContent = keyData.fullName;
+    document.getElementById('mode').textContent = I18n.getMessage(keyData.mode === 'minor' ? 'modeMinor' : 'modeMajor');
+    renderConfidence('key', index === 0 ? keyData.confidence : candidate.score);
+    renderAlternatives('keyAlternatives', keyData.candidates, index,
+      candidate => keyNotation === 'standard'
+        ? candidate.fullName
+        : `${KeyNotation.format(candidate, keyNotation)} ${candidate.fullName}`,
+      (selected) => {
+        selectKeyCandidate(selected);
+        updateHistoryEntry();
+        renderMixing();
+      });
+    // ディグリーは選択したキーを基準にする
+    renderChords();
+  }
+
+  /**
+   * コードタイムラインを描画する
+   * @function renderChords
+   * @description コードの区間を長さに比例した幅のブロックとして並べ、コード名またはディグリーを表示します。
+   * ブロックはコードを同じ主音・長短のキーとみなしたCamelotの色で塗り分けます
+   */
+  function renderChords() {
+    const chords = currentResult.chords;
+    const chordTrack = document.getElementById('chordTrack');
+    chordTrack.innerHTML = '';
+    chordTimelineDiv.style.display = chords.length > 0 ? 'block' : 'none';
+
+    chords.forEach(chord => {
+      const chordName = ChordRecognition.formatChord(chord, currentResult.keyData);
+      const label = chordView === 'roman'
+        ? ChordRecognition.toRomanNumeral(chord, currentResult.keyData)
+        : chordName;
+      const chordKey = ChordRecognition.getChordKey(chord);
+
+      const block = document.createElement('div');
+      block.className = chordKey ? 'chord-block' : 'chord-block no-chord';
+      block.style.flexGrow = chord.end - chord.start;
+      block.style.flexBasis = '0';
+      if (chordKey) {
+        block.style.background = KeyNotation.getCamelotColor(KeyNotation.lookup(chordKey.pitchClass, chordKey.mode).camelot);
+      }
+      block.textContent = label;
+      block.title = `${chordName} (${formatTime(chord.start)}–${formatTime(chord.end)})`;
+      chordTrack.appendChild(block);
+    });
+  }
+
+  /**
+   * 小節と楽節のタイムラインを描画する
+   * @function renderStructure
+   * @description ダウンビートを細い線、楽節の区切りを長さ（8・16・32小節）ごとの色の線で、分析した音声の長さに対する位置に並べ、
+   * 区切りの時刻を一覧にします。ダウンビートは検出したテンポから求めているため、別のテンポ候補を選んだ場合は表示しません
+   */
+  function renderStructure() {
+    const structure = currentResult.structure;
+    const visible = Boolean(structure) && currentResult.tempoIndex === 0;
+    structureTimelineDiv.style.display = visible ? 'block' : 'none';
+    if (!visible) return;
+
+    document.getElementById('structureMeter').textContent =
+      I18n.getMessage('structureMeter', [structure.timeSignature, Math.round(structure.confidence * 100)]);
+
+    const track = document.getElementById('structureTrack');
+    const phraseList = document.getElementById('structurePhrases');
+    track.innerHTML = '';
+    phraseList.innerHTML = '';
+    const position = time => `${Math.min(100, time / structure.duration * 100)}%`;
+
+    structure.downbeats.forEach((time, index) => {
+      const bar = document.createElement('div');
+      bar.className = 'structure-bar';
+      bar.style.left = position(time);
+      bar.title = I18n.getMessage('structureBar', [index + 1, formatTime(time)]);
+      track.appendChild(bar);
+    });
+
+    structure.phrases.forEach(phrase => {
+      const label = I18n.getMessage('structurePhrase', [phrase.length, phrase.bar, formatTime(phrase.time)]);
+      const marker = document.createElement('div');
+      marker.className = `structure-phrase length-${phrase.length}`;
+      marker.style.left = position(phrase.time);
+      marker.title = label;
+      track.appendChild(marker);
+
+      const item = document.createElement('li');
+      item.className = `structure-phrase-item length-${phrase.length}`;
+      item.textContent = `${formatTime(phrase.time)} · ${I18n.getMessage('structurePhraseLength', phrase.length)}`;
+      item.title = label;
+      phraseList.appendChild(item);
+    });
+
+    if (structure.phrases.length === 0) {
+      const item = document.createElement('li');
+      item.className = 'structure-empty';
+      item.textContent = I18n.getMessage('structureNoPhrases');
+      phraseList.appendChild(item);
+    }
+  }
+
+  /**
+   * ハーモニックミキシングの提案を表示する
+   * @async
+   * @function renderMixing
+   * @description 表示中のキーと相性の良いキー、目標BPMに合わせるための変化量、履歴の中で相性の良いトラックを表示します。
+   * キーの無い結果では非表示にします。呼び出し元は完了を待たないため、履歴を読み込めない場合は相性の良いトラックを空にして、エラーを外に出しません
+   */
+  async function renderMixing() {
+    const result = currentResult;
+    const mixingDiv = document.getElementById('mixing');
+    const compatibleKeys = document.getElementById('compatibleKeys');
+    compatibleKeys.innerHTML = '';
+    mixingDiv.style.display = result && result.keyData ? 'block' : 'none';
+    if (!result || !result.keyData) return;
+
+    HarmonicMixing.getCompatibleKeys(result.keyData.camelot).forEach(move => {
+      const chip = document.createElement('div');
+      chip.className = 'compatible-key';
+      chip.style.borderColor = KeyNotation.getCamelotColor(move.key.camelot);
+      chip.title = `${move.key.name} ${move.key.mode} · ${I18n.getMessage('pitchShift', formatSigned(move.semitones, 0))}`;
+
+      const code = document.createElement('span');
+      code.className = 'compatible-key-code';
+      code.textContent = formatKey(move.key);
+      const label = document.createElement('span');
+      label.className = 'compatible-key-label';
+      label.textContent = I18n.getMessage(`mixMove_${move.id}`);
+
+      chip.append(code, label);
+      compatibleKeys.appendChild(chip);
+    });
+
+    renderTempoMatch();
+
+    let ranked = [];
+    try {
+      const entries = (await HistoryStore.getAll()).filter(entry => entry.id !== result.historyId);
+      ranked = HarmonicMixing.rankTracks({
+        camelot: result.keyData.camelot,
+        bpm: result.tempo ? result.tempo.bpm : null
+      }, entries);
+    } catch (error) {
+      console.error('履歴の読み込みに失敗しました:', error);
+    }
+    if (result !== currentResult) return;
+    renderCompatibleTracks(ranked);
+  }
+
+  /**
+   * 目標BPMに合わせるための変化量を表示する
+   * @function renderTempoMatch
+   * @description テンポの変化率と、キーロックなしで再生速度を変えた場合のピッチの変化・聞こえるキーを表示します
+   */
+  function renderTempoMatch() {
+    const output = document.getElementById('tempoMatch');
+    const target = parseFloat(targetBpmInput.value);
+    const tempo = currentResult.tempo;
+
+    if (!tempo || !(target > 0)) {
+      output.textContent = '--';
+      return;
+    }
+
+    const change = HarmonicMixing.calculateTempoChange(tempo.bpm, target);
+    const shiftedKey = HarmonicMixing.transposeKey(currentResult.keyData, change.semitones);
+    output.textContent = `${formatSigned(change.percent, 1)}% · ${I18n.getMessage('semitones', formatSigned(change.semitones, 2))}`;
+    if (shiftedKey.camelot !== currentResult.keyData.camelot) {
+      output.textContent += ` → ${formatKey(shiftedKey)}`;
+    }
+  }
+
+  /**
+   * 履歴の中で相性の良いトラックを表示する
+   * @function renderCompatibleTracks
+   * @param {{entry: Object, relation: Object, tempo: Object|null}[]} ranked - 相性の良い順のトラック
+   */
+  function renderCompatibleTracks(ranked) {
+    const list = document.getElementById('compatibleTracks');
+    list.innerHTML = '';
+
+    if (ranked.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'compatible-track empty';
+      empty.textContent = I18n.getMessage('noCompatibleTracks');
+      list.appendChild(empty);
+      return;
+    }
+
+    ranked.forEach(({ entry, relation, tempo }) => {
+      const item = document.createElement('li');
+      item.className = 'compatible-track';
+
+      const key = document.createElement('span');
+      key.className = 'history-key';
+      key.style.backgroundColor = KeyNotation.getCamelotColor(entry.camelot);
+      key.textContent = KeyNotation.format(entry, keyNotation);
+
+      const title = document.createElement('span');
+      title.className = 'compatible-track-title';
+      title.textContent = [entry.artist, entry.title].filter(Boolean).join(' - ') || entry.url;
+      title.title = `${I18n.getMessage(`mixMove_${relation.id}`)} · ${entry.fullName}`;
+
+      const change = document.createElement('span');
+      change.className = 'compatible-track-tempo';
+      if (tempo) {
+        const multiplier = tempo.multiplier === 1 ? '' : ` (${tempo.multiplier === 2 ? '×2' : '×½'})`;
+        change.textContent = `${entry.bpm.toFixed(1)} · ${formatSigned(tempo.percent, 1)}%${multiplier}`;
+        change.classList.toggle('out-of-range', Math.abs(tempo.percent) > HarmonicMixing.TEMPO_TOLERANCE);
+      } else {
+        change.textContent = '--';
+      }
+
+      item.append(key, title, change);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * 表記表のキーを現在の表記法で整形する
+   * @function formatKey
+   * @param {{name: string, mode: string, camelot: string, openKey: string}} key - キーの表記
+   * @returns {string} 整形したキー
+   */
+  function formatKey(key) {
+    return KeyNotation.format({ ...key, fullName: `${key.name} ${key.mode}` }, keyNotation);
+  }
+
+  /**
+   * 符号付きの数値に整形する
+   * @function formatSigned
+   * @param {number} value - 数値
+   * @param {number} decimals - 小数点以下の桁数
+   * @returns {string} 正の値に+を付けた数値（丸めて0になる場合は符号なし）
+   */
+  function formatSigned(value, decimals) {
+    const fixed = value.toFixed(decimals);
+    if (Number(fixed) === 0) {
+      return (0).toFixed(decimals);
+    }
+    return value > 0 ? `+${fixed}` : fixed;
+  }
+
+  /**
+   * 信頼度を表示する
+   * @function renderConfidence
+   * @param {string} prefix - 要素IDの接頭辞（'bpm'|'key'）
+   * @param {number|null} confidence - 信頼度（0〜1）
+   * @description 信頼度をパーセントとバーで表示し、低い場合はカードを低信頼度の表示にします
+   */
+  function renderConfidence(prefix, confidence) {
+    const card = document.getElementById(`${prefix}Value`).closest('.result-card');
+    const percent = confidence !== null ? Math.round(confidence * 100) : 0;
+
+    document.getElementById(`${prefix}Confidence`).textContent = confidence !== null ? `${percent}%` : '--';
+    document.getElementById(`${prefix}ConfidenceFill`).style.width = `${percent}%`;
+    card.classList.toggle('low-confidence', confidence !== null && confidence < 0.3);
+  }
+
+  /**
+   * 候補の一覧を表示する
+   * @function renderAlternatives
+   * @param {string} containerId - 候補を表示する要素のID
+   * @param {{score: number}[]} candidates - スコアの高い順の候補
+   * @param {number} selectedIndex - 選択中の候補のインデックス
+   * @param {Function} formatLabel - 候補の表示ラベルを返す関数
+   * @param {Function} onSelect - 候補がクリックされたときにインデックスを受け取る関数
+   * @description 各候補をスコア付きのボタンとして表示し、クリックで採用できるようにします
+   */
+  function renderAlternatives(containerId, candidates, selectedIndex, formatLabel, onSelect) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+
+    candidates.forEach((candidate, index) => {
+      const chip = document.createElement('button');
+      chip.className = 'alternative-chip';
+      chip.classList.toggle('selected', index === selectedIndex);
+      chip.textContent = `${formatLabel(candidate)} · ${candidate.score !== null ? `${Math.round(candidate.score * 100)}%` : I18n.getMessage('tapped')}`;
+      chip.addEventListener('click', () => onSelect(index));
+      container.appendChild(chip);
+    });
   }
 
   /**
@@ -235,9 +1642,10 @@ document.addEventListener('DOMContentLoaded', () => {
    * @param {number} start - 開始値
    * @param {number} end - 終了値
    * @param {number} duration - アニメーション時間（ミリ秒）
+   * @param {number} [decimals=0] - 表示する小数点以下の桁数
    * @description 指定された要素の数値を滑らかにアニメーションします
    */
-  function animateValue(elementId, start, end, duration) {
+  function animateValue(elementId, start, end, duration, decimals = 0) {
     const element = document.getElementById(elementId);
     const range = end - start;
     const startTime = performance.now();
@@ -245,8 +1653,8 @@ document.addEventListener('DOMContentLoaded', () => {
     function update(currentTime) {
       const elapsed = currentTime - startTime;
       const progress = Math.min(elapsed / duration, 1);
-      const current = Math.floor(start + range * progress);
-      element.textContent = current;
+      const current = start + range * progress;
+      element.textContent = current.toFixed(decimals);
 
       if (progress < 1) {
         requestAnimationFrame(update);
@@ -260,10 +1668,18 @@ document.addEventListener('DOMContentLoaded', () => {
    * エラーメッセージを表示する
    * @function showError
    * @param {string} message - エラーメッセージ
-   * @description エラーメッセージをユーザーに表示します
+   * @param {string} [code] - AnalysisErrorのエラーコード
+   * @description エラーメッセージをユーザーに表示します。エラーコードがある場合は対処方法を下に添えます
    */
-  function showError(message) {
+  function showError(message, code) {
     errorDiv.textContent = message;
+    const hint = AnalysisError.getHint(code);
+    if (hint) {
+      const hintText = document.createElement('div');
+      hintText.className = 'error-hint';
+      hintText.textContent = hint;
+      errorDiv.appendChild(hintText);
+    }
     errorDiv.style.display = 'block';
   }
 
@@ -282,7 +1698,16 @@ document.addEventListener('DOMContentLoaded', () => {
    * @description 結果とビジュアライザーを非表示にします
    */
   function hideResults() {
+    // 前の結果のビートでクリック音が鳴り続けないようにする
+    currentResult = null;
+    metronomeToggle.checked = false;
+    if (metronome) {
+      metronome.stop();
+    }
     resultsDiv.style.display = 'none';
     visualizerDiv.style.display = 'none';
+    timelineDiv.style.display = 'none';
+    chordTimelineDiv.style.display = 'none';
+    structureTimelineDiv.style.display = 'none';
   }
 });
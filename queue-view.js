@@ -0,0 +1,182 @@
+/**
+ * 分析キュービュー
+ * @file queue-view.js
+ * @description ポップアップのタブビューに、分析キューに追加したタブの状態と結果を並べて表示します。
+ * キューへの追加と分析はサービスワーカーが行い、このビューは受け取った状態を描画します
+ */
+class QueueView {
+  /**
+   * QueueViewのコンストラクタ
+   * @constructor
+   * @param {HTMLElement} container - タブビューの要素（#queueView）
+   */
+  constructor(container) {
+    /** @type {HTMLElement} 件数とメッセージの表示欄 */
+    this.countLabel = container.querySelector('#queueCount');
+    /** @type {HTMLElement} タブの一覧 */
+    this.list = container.querySelector('#queueList');
+    /** @type {Object[]} キューの項目（AnalysisQueueの項目） */
+    this.items = [];
+    /** @type {string} キーの表記法（'camelot'|'openKey'|'standard'） */
+    this.notation = 'camelot';
+
+    this.list.addEventListener('click', (event) => this.handleClick(event));
+    container.querySelector('#queueAudibleBtn').addEventListener('click', () => this.enqueueAudibleTabs());
+    container.querySelector('#queueClearBtn').addEventListener('click', async () => {
+      const response = await chrome.runtime.sendMessage({ action: 'clearQueue' });
+      this.setItems(response.items);
+    });
+  }
+
+  /**
+   * キューの状態を読み込み直して表示する
+   * @async
+   */
+  async refresh() {
+    const response = await chrome.runtime.sendMessage({ action: 'getQueue' });
+    this.setItems(response.items);
+  }
+
+  /**
+   * キューの項目を表示する
+   * @param {Object[]} items - サービスワーカーから受け取った項目
+   */
+  setItems(items) {
+    this.items = items;
+    this.render();
+  }
+
+  /**
+   * キーの表記法を切り替える
+   * @param {string} notation - 表記法（'camelot'|'openKey'|'standard'）
+   */
+  setNotation(notation) {
+    this.notation = notation;
+    this.render();
+  }
+
+  /**
+   * 音声を再生中のタブをキューに追加する
+   * @async
+   */
+  async enqueueAudibleTabs() {
+    const response = await chrome.runtime.sendMessage({ action: 'enqueueAudibleTabs' });
+    this.setItems(response.items);
+    if (response.items.length === 0) {
+      this.countLabel.textContent = I18n.getMessage('queueNoAudibleTabs');
+    }
+  }
+
+  /**
+   * 一覧を描画する
+   */
+  render() {
+    this.list.innerHTML = '';
+    this.items.forEach(item => this.list.appendChild(this.createItem(item)));
+
+    const done = this.items.filter(item => item.status === 'complete').length;
+    this.countLabel.textContent = this.items.length === 0
+      ? I18n.getMessage('queueEmpty')
+      : I18n.getMessage('queueCount', [done, this.items.length]);
+  }
+
+  /**
+   * キューの項目のカードを作成する
+   * @param {Object} item - キューの項目
+   * @returns {HTMLLIElement} カード
+   */
+  createItem(item) {
+    const card = document.createElement('li');
+    card.className = `queue-item ${item.status}`;
+    card.dataset.tabId = item.tabId;
+    card.dataset.action = 'show';
+    card.title = `${item.url}\n${I18n.getMessage('queueShowTab')}`;
+
+    const header = document.createElement('div');
+    header.className = 'queue-header';
+    const icon = document.createElement('img');
+    icon.className = 'history-icon';
+    icon.alt = '';
+    if (item.favIconUrl) {
+      icon.src = item.favIconUrl;
+    } else {
+      icon.classList.add('placeholder');
+    }
+    const title = document.createElement('span');
+    title.className = 'queue-title';
+    title.textContent = item.title || item.url || I18n.getMessage('historyUntitled');
+    header.append(icon, title);
+
+    const values = document.createElement('div');
+    values.className = 'queue-values';
+    if (item.status === 'complete' && item.keyData) {
+      const bpm = document.createElement('span');
+      bpm.className = 'queue-bpm';
+      bpm.textContent = item.bpm !== null ? item.bpm.toFixed(1) : '--';
+
+      const key = document.createElement('span');
+      key.className = 'history-key';
+      key.textContent = KeyNotation.format(item.keyData, this.notation);
+      key.title = item.keyData.fullName;
+      key.style.backgroundColor = KeyNotation.getCamelotColor(item.keyData.camelot);
+
+      values.append(bpm, key);
+    } else {
+      const status = document.createElement('span');
+      status.className = 'queue-status';
+      status.textContent = QueueView.formatStatus(item);
+      // 失敗した理由の対処方法はツールチップに表示する
+      status.title = [status.textContent, AnalysisError.getHint(item.errorCode)].filter(Boolean).join('\n');
+      values.appendChild(status);
+    }
+
+    card.append(header, values);
+    if (item.trigger === 'auto') {
+      const tag = document.createElement('span');
+      tag.className = 'queue-tag';
+      tag.textContent = I18n.getMessage('queueAuto');
+      card.appendChild(tag);
+    }
+    return card;
+  }
+
+  /**
+   * 一覧内のクリックを処理する
+   * @async
+   * @param {MouseEvent} event - クリックイベント
+   * @description カードをクリックすると、そのタブとウィンドウを前面に表示します
+   */
+  async handleClick(event) {
+    const card = event.target.closest('[data-action="show"]');
+    if (!card) return;
+
+    try {
+      const tab = await chrome.tabs.update(Number(card.dataset.tabId), { active: true });
+      await chrome.windows.update(tab.windowId, { focused: true });
+    } catch (error) {
+      // タブが閉じられている場合は何もしない
+    }
+  }
+
+  /**
+   * 結果の無い項目の状態を整形する
+   * @static
+   * @param {Object} item - キューの項目
+   * @returns {string} 状態の表示（失敗した場合はエラーメッセージ）
+   */
+  static formatStatus(item) {
+    switch (item.status) {
+      case 'pending':
+        return I18n.getMessage('queueStatusPending');
+      case 'running':
+        return I18n.getMessage('queueStatusRunning');
+      case 'error':
+        return item.error || I18n.getMessage('statusFailed');
+      default:
+        return I18n.getMessage('queueStatusStopped');
+    }
+  }
+}
+
+// グローバルに利用可能にする
+window.QueueView = QueueView;
@@ -0,0 +1,72 @@
+/**
+ * PCM録音用のAudioWorkletプロセッサー
+ * @file recorder-worklet.js
+ * @description 入力音声をモノラルにダウンミックスし、オーディオスレッド上の実際のサンプル位置（currentFrame）と
+ * 一緒にメインスレッドへ送ります。requestAnimationFrameの頻度に左右されずにサンプル単位の時刻が得られます。
+ * ラウドネスの計測用に、ダウンミックス前のステレオのPCMも一緒に送ります
+ */
+class PCMRecorderProcessor extends AudioWorkletProcessor {
+  /**
+   * PCMRecorderProcessorのコンストラクタ
+   * @constructor
+   */
+  constructor() {
+    super();
+    /** @type {number} 1回のメッセージで送るサンプル数 */
+    this.chunkSize = 4096;
+    /** @type {Float32Array} 送信待ちのサンプル */
+    this.buffer = new Float32Array(this.chunkSize);
+    /** @type {Float32Array[]} 送信待ちの左右のチャンネルのサンプル */
+    this.channelBuffers = [new Float32Array(this.chunkSize), new Float32Array(this.chunkSize)];
+    /** @type {number} バッファの書き込み位置 */
+    this.offset = 0;
+    /** @type {number} バッファ先頭のサンプル位置 */
+    this.chunkStartFrame = 0;
+  }
+
+  /**
+   * オーディオブロックを処理する
+   * @param {Float32Array[][]} inputs - 入力ごとのチャンネル配列
+   * @returns {boolean} 処理を継続する場合はtrue
+   */
+  process(inputs) {
+    const input = inputs[0];
+    if (input.length === 0) {
+      return true;
+    }
+
+    const frames = input[0].length;
+    for (let i = 0; i < frames; i++) {
+      if (this.offset === 0) {
+        this.chunkStartFrame = currentFrame + i;
+      }
+
+      // モノラルにダウンミックス
+      let sum = 0;
+      for (let channel = 0; channel < input.length; channel++) {
+        sum += input[channel][i];
+      }
+      this.buffer[this.offset] = sum / input.length;
+
+      // モノラルの入力は両チャンネルに同じ音声が出力されるものとして複製する
+      this.channelBuffers[0][this.offset] = input[0][i];
+      this.channelBuffers[1][this.offset] = input.length > 1 ? input[1][i] : input[0][i];
+      this.offset++;
+
+      if (this.offset === this.chunkSize) {
+        const [left, right] = this.channelBuffers;
+        this.port.postMessage(
+          { startFrame: this.chunkStartFrame, samples: this.buffer, channels: [left, right] },
+          [this.buffer.buffer, left.buffer, right.buffer]
+        );
+        this.buffer = new Float32Array(this.chunkSize);
+        this.channelBuffers = [new Float32Array(this.chunkSize), new Float32Array(this.chunkSize)];
+        this.offset = 0;
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('pcm-recorder', PCMRecorderProcessor);
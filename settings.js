@@ -0,0 +1,236 @@
+/**
+ * 設定
+ * @file settings.js
+ * @description chrome.storage.syncに保存する表示設定と分析パラメーターの既定値・プリセット・検証をまとめます。
+ * 読み込みと保存以外はchrome APIに依存しないため、オフスクリーンドキュメントやNode.jsからも既定値と検証を利用できます
+ */
+class Settings {
+  /**
+   * 設定の既定値
+   * @static
+   * @type {Object}
+   * @description 前半は表示設定、後半は分析パラメーター（ANALYSIS_KEYS）です
+   */
+  static DEFAULTS = {
+    language: 'auto',
+    keyNotation: 'camelot',
+    chordView: 'name',
+    visualizerMode: 'waveform',
+    followTracks: true,
+    badgeContent: 'key',
+    showOverlay: false,
+    notifyOnComplete: true,
+    autoAnalyze: false,
+    autoAnalyzeSites: [],
+    preset: 'default',
+    analysisSeconds: 8,
+    minBPM: 50,
+    maxBPM: 220,
+    keyProfile: 'krumhansl',
+    chromaMinNote: 36,
+    chromaMaxNote: 95,
+    liveWindowSeconds: 12,
+    liveIntervalSeconds: 4,
+    fftSize: 8192,
+    smoothingTimeConstant: 0.8
+  };
+
+  /**
+   * 分析ジョブに渡す分析パラメーターの名前
+   * @static
+   * @type {string[]}
+   */
+  static ANALYSIS_KEYS = [
+    'analysisSeconds', 'minBPM', 'maxBPM', 'keyProfile', 'chromaMinNote', 'chromaMaxNote',
+    'liveWindowSeconds', 'liveIntervalSeconds', 'fftSize', 'smoothingTimeConstant'
+  ];
+
+  /**
+   * 数値の設定の範囲
+   * @static
+   * @type {Object.<string, {min: number, max: number}>}
+   */
+  static RANGES = {
+    analysisSeconds: { min: 4, max: 30 },
+    minBPM: { min: 40, max: 240 },
+    maxBPM: { min: 50, max: 300 },
+    chromaMinNote: { min: 24, max: 60 },
+    chromaMaxNote: { min: 71, max: 107 },
+    liveWindowSeconds: { min: 6, max: 30 },
+    liveIntervalSeconds: { min: 2, max: 15 },
+    smoothingTimeConstant: { min: 0, max: 0.95 }
+  };
+
+  /**
+   * AnalyserNodeに設定できるFFTサイズ
+   * @static
+   * @type {number[]}
+   */
+  static FFT_SIZES = [2048, 4096, 8192, 16384, 32768];
+
+  /**
+   * 選択できるキープロファイル（AnalysisCore.KEY_PROFILESのキー）
+   * @static
+   * @type {string[]}
+   */
+  static KEY_PROFILES = ['krumhansl', 'temperley', 'edm'];
+
+  /**
+   * 選択できる表示言語（'auto'はブラウザの表示言語、それ以外は_localesのディレクトリ名）
+   * @static
+   * @type {string[]}
+   */
+  static LANGUAGES = ['auto', 'en', 'ja'];
+
+  /**
+   * ジャンルごとのプリセット
+   * @static
+   * @type {Object.<string, {label: string, settings: Object}>}
+   * @description テンポの探索範囲を狭めると、倍/半分のテンポの誤検出が減ります
+   */
+  static PRESETS = {
+    default: { label: 'Default', settings: { minBPM: 50, maxBPM: 220, keyProfile: 'krumhansl' } },
+    house: { label: 'House (118–130)', settings: { minBPM: 118, maxBPM: 130, keyProfile: 'edm' } },
+    techno: { label: 'Techno (125–150)', settings: { minBPM: 125, maxBPM: 150, keyProfile: 'edm' } },
+    dnb: { label: 'Drum & Bass (160–180)', settings: { minBPM: 160, maxBPM: 180, keyProfile: 'edm' } },
+    hiphop: { label: 'Hip-hop (70–100)', settings: { minBPM: 70, maxBPM: 100, keyProfile: 'temperley' } },
+    pop: { label: 'Pop / Rock (80–160)', settings: { minBPM: 80, maxBPM: 160, keyProfile: 'temperley' } }
+  };
+
+  /**
+   * 保存された設定を読み込む
+   * @static
+   * @async
+   * @returns {Promise<Object>} 既定値で補完し、検証した設定
+   */
+  static async load() {
+    return Settings.normalize(await chrome.storage.sync.get(Settings.DEFAULTS));
+  }
+
+  /**
+   * 設定を保存する
+   * @static
+   * @async
+   * @param {Object} changes - 変更する設定
+   */
+  static async save(changes) {
+    await chrome.storage.sync.set(changes);
+  }
+
+  /**
+   * 分析パラメーターとプリセットを既定値に戻す
+   * @static
+   * @async
+   * @returns {Promise<Object>} 戻した後の設定
+   * @description キー表記法などポップアップで選んだ表示設定はそのまま残します
+   */
+  static async reset() {
+    const defaults = Object.fromEntries(['preset', ...Settings.ANALYSIS_KEYS].map(name => [name, Settings.DEFAULTS[name]]));
+    await chrome.storage.sync.set(defaults);
+    return Settings.load();
+  }
+
+  /**
+   * プリセットを適用した設定を取得する
+   * @static
+   * @param {Object} settings - 現在の設定
+   * @param {string} presetId - プリセット（PRESETSのキー）
+   * @returns {Object} プリセットの値で上書きした設定
+   */
+  static applyPreset(settings, presetId) {
+    const preset = Settings.PRESETS[presetId];
+    if (!preset) {
+      return { ...settings, preset: 'custom' };
+    }
+    return { ...settings, ...preset.settings, preset: presetId };
+  }
+
+  /**
+   * 設定を検証する
+   * @static
+   * @param {Object} settings - 検証する設定
+   * @returns {Object} 範囲外の数値を丸め、不正な値を既定値に戻した設定
+   * @description テンポの下限が上限以上の場合は上限を下限の1.5倍に、
+   * ライブ分析の再推定間隔がウィンドウより長い場合は間隔をウィンドウの長さにします（ウィンドウに音声が溜まらず推定されないため）
+   */
+  static normalize(settings) {
+    const normalized = { ...Settings.DEFAULTS, ...settings };
+
+    Object.entries(Settings.RANGES).forEach(([name, { min, max }]) => {
+      const value = Number(normalized[name]);
+      normalized[name] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : Settings.DEFAULTS[name];
+    });
+    if (!Settings.FFT_SIZES.includes(Number(normalized.fftSize))) {
+      normalized.fftSize = Settings.DEFAULTS.fftSize;
+    }
+    normalized.fftSize = Number(normalized.fftSize);
+    if (!Settings.LANGUAGES.includes(normalized.language)) {
+      normalized.language = Settings.DEFAULTS.language;
+    }
+    if (!Settings.KEY_PROFILES.includes(normalized.keyProfile)) {
+      normalized.keyProfile = Settings.DEFAULTS.keyProfile;
+    }
+    if (normalized.minBPM >= normalized.maxBPM) {
+      normalized.maxBPM = Math.min(Settings.RANGES.maxBPM.max, Math.round(normalized.minBPM * 1.5));
+    }
+    normalized.liveIntervalSeconds = Math.min(normalized.liveIntervalSeconds, normalized.liveWindowSeconds);
+    normalized.autoAnalyzeSites = Settings.parseSites(normalized.autoAnalyzeSites);
+
+    return normalized;
+  }
+
+  /**
+   * 自動分析するサイトの一覧を解釈する
+   * @static
+   * @param {string|string[]} sites - 改行・空白・カンマ区切りの文字列、またはサイトの配列
+   * @returns {string[]} 重複を除いたホスト名（小文字）。URLを入力した場合はホスト名だけを取り出します
+   * @example
+   * Settings.parseSites('https://soundcloud.com/discover\n*.Bandcamp.com'); // ['soundcloud.com', 'bandcamp.com']
+   */
+  static parseSites(sites) {
+    const values = Array.isArray(sites) ? sites : String(sites || '').split(/[\s,]+/);
+    const hosts = values
+      .map(site => String(site).trim().toLowerCase()
+        .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+        .replace(/[/?#].*$/, '')
+        .replace(/:\d+$/, '')
+        .replace(/^\*\./, ''))
+      .filter(Boolean);
+    return Array.from(new Set(hosts));
+  }
+
+  /**
+   * タブの再生開始時に自動で分析するページかどうかを判定する
+   * @static
+   * @param {Object} settings - 設定
+   * @param {string} url - ページのURL
+   * @returns {boolean} 自動分析が有効で、ページのホストが許可したサイトまたはそのサブドメインの場合はtrue
+   * @description 許可したサイトが無い場合はどのページも自動で分析しません
+   */
+  static isAutoAnalyzeSite(settings, url) {
+    if (!settings.autoAnalyze || !/^https?:/.test(url || '')) {
+      return false;
+    }
+
+    const hostname = new URL(url).hostname.toLowerCase();
+    return settings.autoAnalyzeSites.some(site => hostname === site || hostname.endsWith(`.${site}`));
+  }
+
+  /**
+   * 分析パラメーターだけを取り出す
+   * @static
+   * @param {Object} settings - 設定
+   * @returns {Object} ANALYSIS_KEYSの値（AudioAnalyzerのコンストラクタに渡します）
+   */
+  static getAnalysisSettings(settings) {
+    const normalized = Settings.normalize(settings);
+    return Object.fromEntries(Settings.ANALYSIS_KEYS.map(name => [name, normalized[name]]));
+  }
+}
+
+// ブラウザではグローバルに、Node.jsではモジュールとして公開する
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Settings;
+} else {
+  globalThis.Settings = Settings;
+}
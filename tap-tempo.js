@@ -0,0 +1,119 @@
+/**
+ * タップテンポ
+ * @file tap-tempo.js
+ * @description タップの間隔から外れ値を除いてBPMを計算し、検出したBPMと比較して倍/半分のテンポの誤りを見分けます。
+ * DOMに依存しないため、Node.jsからも読み込めます
+ */
+class TapTempo {
+  /**
+   * この時間（ミリ秒）以上タップが空いたら新しい計測として数え直す
+   * @static
+   * @type {number}
+   */
+  static RESET_MS = 2000;
+
+  /**
+   * 計算に使う直近のタップの数
+   * @static
+   * @type {number}
+   */
+  static MAX_TAPS = 16;
+
+  /**
+   * 中央値からのずれがこの割合を超える間隔を外れ値として除く
+   * @static
+   * @type {number}
+   */
+  static OUTLIER_TOLERANCE = 0.2;
+
+  /**
+   * 検出したBPMと一致するとみなす差（%）
+   * @static
+   * @type {number}
+   */
+  static MATCH_TOLERANCE = 3;
+
+  /**
+   * TapTempoのコンストラクタ
+   * @constructor
+   */
+  constructor() {
+    /** @type {number[]} タップした時刻（ミリ秒） */
+    this.taps = [];
+  }
+
+  /**
+   * タップを記録する
+   * @param {number} time - タップした時刻（ミリ秒。エポックミリ秒を使うとbeatAnchorと比較できます）
+   * @returns {{bpm: number, taps: number, rejected: number, anchor: number}|null} 現在のタップテンポ（getTempoの戻り値）
+   */
+  tap(time) {
+    const last = this.taps[this.taps.length - 1];
+    if (last !== undefined && (time - last > TapTempo.RESET_MS || time <= last)) {
+      this.taps = [];
+    }
+
+    this.taps.push(time);
+    if (this.taps.length > TapTempo.MAX_TAPS) {
+      this.taps.shift();
+    }
+    return this.getTempo();
+  }
+
+  /**
+   * タップを消去する
+   */
+  reset() {
+    this.taps = [];
+  }
+
+  /**
+   * タップの間隔からBPMを計算する
+   * @returns {{bpm: number, taps: number, rejected: number, anchor: number}|null} BPM（小数第1位まで）、
+   * タップ数、外れ値として除いた間隔の数、最後のタップの時刻（ビートの位置）。タップが3回未満の場合はnull
+   * @description 間隔の中央値から大きくずれた間隔（叩き損ねや二度打ち）を除き、残りの平均からBPMを求めます
+   */
+  getTempo() {
+    if (this.taps.length < 3) {
+      return null;
+    }
+
+    const intervals = this.taps.slice(1).map((time, i) => time - this.taps[i]);
+    const sorted = [...intervals].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    const inliers = intervals.filter(interval => Math.abs(interval - median) <= median * TapTempo.OUTLIER_TOLERANCE);
+    const mean = inliers.reduce((sum, interval) => sum + interval, 0) / inliers.length;
+
+    return {
+      bpm: Math.round(600000 / mean) / 10,
+      taps: this.taps.length,
+      rejected: intervals.length - inliers.length,
+      anchor: this.taps[this.taps.length - 1]
+    };
+  }
+
+  /**
+   * タップしたBPMと検出したBPMを比較する
+   * @static
+   * @param {number} tappedBPM - タップしたBPM
+   * @param {number} detectedBPM - 検出したBPM
+   * @returns {{multiplier: number, percent: number, matches: boolean}} 検出したBPMに掛けると最も近くなる倍率（1、2、0.5）、
+   * その倍率を掛けた値との差（%）、差がMATCH_TOLERANCE以内かどうか
+   */
+  static compare(tappedBPM, detectedBPM) {
+    return [1, 2, 0.5]
+      .map(multiplier => {
+        const percent = (tappedBPM / (detectedBPM * multiplier) - 1) * 100;
+        return { multiplier, percent, matches: Math.abs(percent) <= TapTempo.MATCH_TOLERANCE };
+      })
+      .reduce((best, option) => Math.abs(option.percent) < Math.abs(best.percent) ? option : best);
+  }
+}
+
+// ブラウザではグローバルに、Node.jsではモジュールとして公開する
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TapTempo;
+} else {
+  globalThis.TapTempo = TapTempo;
+}
@@ -0,0 +1,124 @@
+/**
+ * AnalysisCoreのテスト
+ * @file test/analysis-core.test.js
+ * @description 既知のテンポのクリックトラックと、キーのわかっているサイン波の三和音の進行でBPMとキーの検出を確認します
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AnalysisCore = require('../analysis-core.js');
+const { SAMPLE_RATE, clickTrack, chordProgression, noteToFrequency, sine } = require('./synth.js');
+
+test('analyzeBPM: クリックトラックのテンポを±0.5BPMで検出する', () => {
+  for (const bpm of [90, 120, 128, 140, 174]) {
+    const tempo = AnalysisCore.analyzeBPM(clickTrack(bpm, 10), SAMPLE_RATE);
+    assert.ok(tempo, `${bpm} BPM`);
+    assert.ok(Math.abs(tempo.bpm - bpm) <= 0.5, `${bpm} BPMが${tempo.bpm} BPMになった`);
+    assert.ok(tempo.confidence > 0 && tempo.confidence <= 1);
+    assert.equal(tempo.candidates[0].bpm, tempo.bpm);
+  }
+});
+
+test('analyzeBPM: 周期性のない無音ではnullを返す', () => {
+  assert.equal(AnalysisCore.analyzeBPM(new Float32Array(SAMPLE_RATE * 10), SAMPLE_RATE), null);
+});
+
+test('analyzeTempo: ビートの位置が最初のクリックと一致する', () => {
+  const onset = AnalysisCore.computeOnsetEnvelope(clickTrack(120, 10, { offset: 0.25 }), SAMPLE_RATE);
+  const tempo = AnalysisCore.analyzeTempo(onset);
+  const period = 60 / tempo.bpm;
+  // ビートの位置は周期の倍数だけずれていてもよい
+  const phase = ((tempo.beatOffset - 0.25) % period + period) % period;
+  assert.ok(Math.min(phase, period - phase) < 0.03, `beatOffset ${tempo.beatOffset}`);
+});
+
+test('analyzeTempo: 探索範囲を指定すると範囲内のテンポを返す', () => {
+  const onset = AnalysisCore.computeOnsetEnvelope(clickTrack(85, 10), SAMPLE_RATE);
+  const tempo = AnalysisCore.analyzeTempo(onset, { minBPM: 160, maxBPM: 180 });
+  assert.ok(Math.abs(tempo.bpm - 170) <= 1, `${tempo.bpm} BPM`);
+});
+
+test('analyzeKey: サイン波の三和音の進行からキーを検出する', () => {
+  const C = [60, 64, 67];
+  const F = [65, 69, 72];
+  const G = [67, 71, 74];
+  const D = [62, 66, 69];
+  const Am = [57, 60, 64];
+  const Dm = [62, 65, 69];
+  const E = [64, 68, 71];
+  const Eb = [63, 67, 70];
+  const Ab = [68, 72, 75];
+  const Bb = [70, 74, 77];
+  const cases = [
+    { chords: [C, F, G, C], fullName: 'C major', camelot: '8B' },
+    { chords: [Am, Dm, E, Am], fullName: 'A minor', camelot: '8A' },
+    { chords: [G, C, D, G], fullName: 'G major', camelot: '9B' },
+    { chords: [Eb, Ab, Bb, Eb], fullName: 'Eb major', camelot: '5B' }
+  ];
+
+  for (const { chords, fullName, camelot } of cases) {
+    const keyData = AnalysisCore.analyzeKey(chordProgression(chords, 1.5), SAMPLE_RATE);
+    assert.equal(keyData.fullName, fullName);
+    assert.equal(keyData.camelot, camelot);
+    assert.equal(keyData.candidates.length, 3);
+    assert.equal(keyData.candidates[0].fullName, fullName);
+  }
+});
+
+test('calculateChromagram: サイン波の周波数が正しいピッチクラスに入る', () => {
+  const fftSize = 8192;
+  // A4（440Hz）とE5
+  for (const [note, pitchClass] of [[69, 9], [76, 4]]) {
+    const pcm = Float32Array.from({ length: fftSize }, (_, i) => Math.sin(2 * Math.PI * noteToFrequency(note) * i / SAMPLE_RATE));
+    const spectrum = AnalysisCore.computeSpectrum(pcm, 0, fftSize);
+    const chromagram = AnalysisCore.calculateChromagram(spectrum, SAMPLE_RATE, fftSize);
+    assert.equal(chromagram.indexOf(1), pitchClass);
+  }
+});
+
+test('detectKeyFromChromagram: キープロファイルと同じ形のクロマグラムはそのキーになる', () => {
+  const { major, minor } = AnalysisCore.KEY_PROFILES.krumhansl;
+  // D majorとF# minor（主音だけ回転させる）
+  const rotate = (profile, tonic) => profile.map((_, i) => profile[(i - tonic + 12) % 12]);
+  const dMajor = AnalysisCore.detectKeyFromChromagram(rotate(major, 2));
+  assert.equal(dMajor.fullName, 'D major');
+  assert.ok(dMajor.confidence > 0.9);
+
+  const fSharpMinor = AnalysisCore.detectKeyFromChromagram(rotate(minor, 6));
+  assert.equal(fSharpMinor.fullName, 'F# minor');
+  assert.equal(fSharpMinor.camelot, '11A');
+
+  // 選択したプロファイルで照合する
+  Object.entries(AnalysisCore.KEY_PROFILES).forEach(([name, profile]) => {
+    assert.equal(AnalysisCore.detectKeyFromChromagram(rotate(profile.minor, 4), 3, name).fullName, 'E minor', name);
+  });
+});
+
+test('createKeyInfo: KeyNotationの綴りと記法を使う', () => {
+  assert.deepEqual(AnalysisCore.createKeyInfo(0, 'major'), {
+    key: 'C', mode: 'major', pitchClass: 0, camelot: '8B', openKey: '1d', fullName: 'C major'
+  });
+  assert.equal(AnalysisCore.createKeyInfo(9, 'minor').camelot, '8A');
+  assert.equal(AnalysisCore.createKeyInfo(3, 'major').key, 'Eb');
+});
+
+test('analyzeKey: 基準ピッチがずれていてもチューニングを補正して検出する', () => {
+  // 40セント高いC F G C
+  const detune = (notes) => notes.map(note => note + 0.4);
+  const pcm = chordProgression([[60, 64, 67], [65, 69, 72], [67, 71, 74], [60, 64, 67]].map(detune), 1.5);
+  const keyData = AnalysisCore.analyzeKey(pcm, SAMPLE_RATE);
+  assert.equal(keyData.fullName, 'C major');
+  assert.ok(Math.abs(keyData.tuningCents - 40) <= 5, `${keyData.tuningCents}セント`);
+});
+
+test('checkSignal: 無音とレベル不足を区別する', () => {
+  assert.equal(AnalysisCore.checkSignal(new Float32Array(SAMPLE_RATE)), 'noAudio');
+  assert.equal(AnalysisCore.checkSignal(new Float32Array(0)), 'noAudio');
+  // -60dBFSのピークを下回るノイズは無音とみなす
+  assert.equal(AnalysisCore.checkSignal(sine(440, 0.0005, 1)), 'noAudio');
+  assert.equal(AnalysisCore.checkSignal(sine(440, 0.003, 1)), 'lowLevel');
+  assert.equal(AnalysisCore.checkSignal(sine(440, 0.5, 1)), null);
+  // 短いクリックだけの録音はピークがあってもレベル不足
+  const clicks = new Float32Array(SAMPLE_RATE * 4);
+  clicks[SAMPLE_RATE] = 0.5;
+  assert.equal(AnalysisCore.checkSignal(clicks), 'lowLevel');
+});
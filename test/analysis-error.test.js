@@ -0,0 +1,71 @@
+/**
+ * AnalysisErrorのテスト
+ * @file test/analysis-error.test.js
+ * @description キャプチャの失敗の分類と、エラーコードごとのメッセージ・対処方法を確認します
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AnalysisError = require('../analysis-error.js');
+const messages = require('../_locales/en/messages.json');
+
+/**
+ * Chromeが返すエラーを作成する
+ * @function createError
+ * @param {string} message - エラーメッセージ
+ * @param {string} [name='Error'] - エラー名
+ * @returns {Error} エラー
+ */
+function createError(message, name = 'Error') {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+test('constructor: コードのメッセージを使い、不明なコードはcaptureFailedにする', () => {
+  const error = new AnalysisError('lowLevel');
+  assert.ok(error instanceof Error);
+  assert.equal(error.name, 'AnalysisError');
+  assert.equal(error.code, 'lowLevel');
+  assert.equal(error.message, messages.errorLowLevel.message);
+
+  const cause = new Error('original');
+  const unknown = new AnalysisError('unknown', { cause });
+  assert.equal(unknown.code, 'captureFailed');
+  assert.equal(unknown.message, messages.errorCapture.message);
+  assert.equal(unknown.cause, cause);
+});
+
+test('getHint: すべてのコードに対処方法があり、コードが無い場合は空文字列', () => {
+  Object.entries(AnalysisError.CODES).forEach(([code, name]) => {
+    assert.ok(messages[name], name);
+    assert.equal(AnalysisError.getHint(code), messages[`${name}Hint`].message, code);
+  });
+  assert.equal(AnalysisError.getHint(null), '');
+  assert.equal(AnalysisError.getHint('unknown'), '');
+});
+
+test('isRestrictedUrl: ブラウザのページ・拡張機能・ウェブストアを判定する', () => {
+  ['chrome://settings', 'chrome-extension://abc/popup.html', 'about:blank', 'view-source:https://example.com/',
+    'https://chromewebstore.google.com/detail/x', 'https://chrome.google.com/webstore/category/extensions'].forEach(url => {
+    assert.equal(AnalysisError.isRestrictedUrl(url), true, url);
+  });
+  ['https://soundcloud.com/', 'http://localhost:8080/', 'https://example.com/chrome://', ''].forEach(url => {
+    assert.equal(AnalysisError.isRestrictedUrl(url), false, url);
+  });
+  assert.equal(AnalysisError.isRestrictedUrl(undefined), false);
+});
+
+test('fromCaptureError: Chromeのエラーをコードに分類する', () => {
+  const classify = (error, url = 'https://example.com/') => AnalysisError.fromCaptureError(error, url).code;
+
+  assert.equal(classify(createError('Chrome pages cannot be captured.'), 'chrome://newtab/'), 'restrictedPage');
+  assert.equal(classify(createError('Cannot capture a tab with an active stream.')), 'captureActive');
+  assert.equal(classify(createError('Extension has not been invoked for the current page (see activeTab permission). Chrome pages cannot be captured.')), 'permissionDenied');
+  assert.equal(classify(createError('Permission denied', 'NotAllowedError')), 'permissionDenied');
+  assert.equal(classify(createError('Requested device not found')), 'captureFailed');
+  assert.equal(classify(null), 'captureFailed');
+
+  // 元のエラーをcauseに残す
+  const error = createError('Cannot capture a tab with an active stream.');
+  assert.equal(AnalysisError.fromCaptureError(error).cause, error);
+});
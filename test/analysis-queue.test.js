@@ -0,0 +1,138 @@
+/**
+ * AnalysisQueueのテスト
+ * @file test/analysis-queue.test.js
+ * @description 項目の追加・更新の規則と、同時に呼ばれた書き込みが失われないことを確認します
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AnalysisQueue = require('../analysis-queue.js');
+
+/**
+ * 非同期に読み書きするchrome.storage.sessionの代わりを用意する
+ * @function installStorage
+ * @returns {Object} 保存されている値
+ * @description 読み込みと保存の間に別の呼び出しが割り込めるよう、どちらも次のタスクで完了させます
+ */
+function installStorage() {
+  const data = {};
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+  globalThis.chrome = {
+    storage: {
+      session: {
+        async get(defaults) {
+          await tick();
+          const items = {};
+          for (const key of Object.keys(defaults)) {
+            items[key] = key in data ? structuredClone(data[key]) : defaults[key];
+          }
+          return items;
+        },
+        async set(items) {
+          await tick();
+          Object.assign(data, structuredClone(items));
+        }
+      }
+    }
+  };
+  return data;
+}
+
+/**
+ * テスト用のタブを作成する
+ * @function createTab
+ * @param {number} id - タブのID
+ * @returns {Object} chrome.tabs.Tabの代わり
+ */
+function createTab(id) {
+  return { id, title: `Tab ${id}`, url: `https://example.com/${id}`, favIconUrl: '' };
+}
+
+test('add: 同時に追加した項目がすべて残る', async () => {
+  installStorage();
+  await Promise.all([1, 2, 3].map(id => AnalysisQueue.add([AnalysisQueue.createItem(createTab(id), { trigger: 'auto' })])));
+  const items = await AnalysisQueue.getAll();
+  assert.deepEqual(items.map(item => item.tabId).sort(), [1, 2, 3]);
+});
+
+test('add: 待機中のタブは追加せず、終了したタブの項目は置き換える', async () => {
+  installStorage();
+  await AnalysisQueue.add([AnalysisQueue.createItem(createTab(1), { trigger: 'manual' })]);
+  await AnalysisQueue.add([AnalysisQueue.createItem(createTab(1), { trigger: 'manual' })]);
+  assert.equal((await AnalysisQueue.getAll()).length, 1);
+
+  await AnalysisQueue.update(1, { status: 'complete' });
+  const items = await AnalysisQueue.add([AnalysisQueue.createItem(createTab(1), { trigger: 'manual' })]);
+  assert.deepEqual(items.map(item => item.status), ['pending']);
+});
+
+test('add: 自動分析では同じ曲を分析済みのタブを追加しない', async () => {
+  installStorage();
+  await AnalysisQueue.add([AnalysisQueue.createItem(createTab(1), { trigger: 'auto', signature: 'song-a' })]);
+  await AnalysisQueue.update(1, { status: 'complete' });
+
+  const auto = tab => AnalysisQueue.add([AnalysisQueue.createItem(tab, { trigger: 'auto', signature: 'song-a' })]);
+  assert.equal((await auto(createTab(1)))[0].status, 'complete');
+  // 同時に再生が始まっても1回だけ追加する
+  await AnalysisQueue.update(1, { status: 'error' });
+  await Promise.all([auto(createTab(1)), auto(createTab(1))]);
+  assert.deepEqual((await AnalysisQueue.getAll()).map(item => item.status), ['pending']);
+
+  // ポップアップからは分析し直せる
+  await AnalysisQueue.update(1, { status: 'complete' });
+  const manual = await AnalysisQueue.add([AnalysisQueue.createItem(createTab(1), { trigger: 'manual' })]);
+  assert.equal(manual[0].status, 'pending');
+});
+
+test('settle: 分析中の項目にジョブの結果を記録する', async () => {
+  installStorage();
+  await AnalysisQueue.add([1, 2].map(id => AnalysisQueue.createItem(createTab(id), { trigger: 'manual' })));
+  await AnalysisQueue.update(1, { status: 'running' }, ['pending']);
+
+  const job = {
+    id: 'job-1',
+    tabId: 1,
+    status: 'complete',
+    source: { title: 'Song' },
+    result: { tempo: { bpm: 128 }, keyData: { key: 'A', mode: 'minor', camelot: '8A', openKey: '1m', fullName: 'A minor', confidence: 0.8 } },
+    error: null
+  };
+  // 結果の記録とキューの取り消しが重なっても、どちらの変更も残る
+  const [settled] = await Promise.all([AnalysisQueue.settle(job), AnalysisQueue.cancelPending()]);
+  assert.equal(settled[0].bpm, 128);
+  assert.deepEqual(settled[0].keyData, { key: 'A', mode: 'minor', camelot: '8A', openKey: '1m', fullName: 'A minor' });
+
+  const items = await AnalysisQueue.getAll();
+  assert.deepEqual(items.map(item => [item.tabId, item.status]), [[1, 'complete'], [2, 'stopped']]);
+  assert.equal(await AnalysisQueue.settle({ ...job, tabId: 2 }), null);
+});
+
+test('remove: 分析中の項目は閉じたタブでも残す', async () => {
+  installStorage();
+  await AnalysisQueue.add([1, 2].map(id => AnalysisQueue.createItem(createTab(id), { trigger: 'manual' })));
+  await AnalysisQueue.update(1, { status: 'running' });
+
+  assert.equal(await AnalysisQueue.remove(1), null);
+  assert.deepEqual((await AnalysisQueue.remove(2)).map(item => item.tabId), [1]);
+});
+
+test('saveAll: 上限を超えた場合は終了した項目から古い順に破棄する', async () => {
+  installStorage();
+  const items = Array.from({ length: AnalysisQueue.MAX_ITEMS + 2 }, (_, i) => ({
+    ...AnalysisQueue.createItem(createTab(i), { trigger: 'manual' }),
+    status: i % 2 === 0 ? 'complete' : 'pending'
+  }));
+  const kept = await AnalysisQueue.saveAll(items);
+  assert.equal(kept.length, AnalysisQueue.MAX_ITEMS);
+  assert.deepEqual(kept.slice(0, 2).map(item => item.tabId), [1, 3]);
+});
+
+test('mutate: 失敗した書き込みがあっても後続の書き込みを続ける', async () => {
+  installStorage();
+  const { set } = chrome.storage.session;
+  chrome.storage.session.set = async () => { throw new Error('quota'); };
+  await assert.rejects(AnalysisQueue.add([AnalysisQueue.createItem(createTab(1), { trigger: 'manual' })]), /quota/);
+  chrome.storage.session.set = set;
+
+  const items = await AnalysisQueue.add([AnalysisQueue.createItem(createTab(2), { trigger: 'manual' })]);
+  assert.deepEqual(items.map(item => item.tabId), [2]);
+});
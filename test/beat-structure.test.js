@@ -0,0 +1,80 @@
+/**
+ * BeatStructureのテスト
+ * @file test/beat-structure.test.js
+ * @description 1拍目を強くしたクリックトラックで拍子・ダウンビート・楽節の区切りを確認します
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AnalysisCore = require('../analysis-core.js');
+const BeatStructure = require('../beat-structure.js');
+const { SAMPLE_RATE, clickTrack, addChord } = require('./synth.js');
+
+/**
+ * PCMの拍子と楽節を分析する
+ * @function analyze
+ * @param {Float32Array} pcm - モノラルのPCM
+ * @returns {Object|null} BeatStructure.analyzeの戻り値
+ */
+function analyze(pcm) {
+  const onset = AnalysisCore.computeOnsetEnvelope(pcm, SAMPLE_RATE);
+  return BeatStructure.analyze(onset, AnalysisCore.analyzeTempo(onset), AnalysisCore.computeChromaFrames(pcm, SAMPLE_RATE));
+}
+
+/**
+ * ダウンビートの間隔が小節の長さと一致するかを確認する
+ * @function assertBarLength
+ * @param {number[]} downbeats - ダウンビートの時刻（秒）
+ * @param {number} barSeconds - 小節の長さ（秒）
+ */
+function assertBarLength(downbeats, barSeconds) {
+  downbeats.slice(1).forEach((time, index) => {
+    assert.ok(Math.abs(time - downbeats[index] - barSeconds) < 0.05, `${downbeats[index]}秒から${time}秒`);
+  });
+}
+
+test('analyze: 4/4のクリックから拍子とダウンビートを検出する', () => {
+  const structure = analyze(clickTrack(120, 20, { beatsPerBar: 4, offset: 0.25 }));
+  assert.equal(structure.timeSignature, '4/4');
+  assert.equal(structure.beatsPerBar, 4);
+  assert.ok(Math.abs(structure.downbeats[0] - 0.25) < 0.05);
+  assertBarLength(structure.downbeats, 2);
+});
+
+test('analyze: 3/4のクリックから拍子とダウンビートを検出する', () => {
+  const structure = analyze(clickTrack(120, 20, { beatsPerBar: 3 }));
+  assert.equal(structure.timeSignature, '3/4');
+  assertBarLength(structure.downbeats, 1.5);
+});
+
+test('analyze: 2小節ごとにコードが変わる3/4を6/8と取り違えない', () => {
+  const pcm = clickTrack(120, 30, { beatsPerBar: 3, offset: 0.25 });
+  const chords = [[60, 64, 67], [65, 69, 72], [67, 71, 74], [57, 60, 64]];
+  // 2小節（3秒）ごとにコードを切り替える
+  for (let index = 0; 0.25 + index * 3 < 30; index++) {
+    addChord(pcm, chords[index % chords.length], 0.25 + index * 3, Math.min(30, 0.25 + (index + 1) * 3), 0.05);
+  }
+
+  const structure = analyze(pcm);
+  assert.equal(structure.timeSignature, '3/4');
+  assertBarLength(structure.downbeats, 1.5);
+});
+
+test('analyze: 4拍目に1拍目より弱い強勢があるクリックは6/8とする', () => {
+  const structure = analyze(clickTrack(120, 30, { beatsPerBar: 6, accent: [1, 0.4, 0.4, 0.7, 0.4, 0.4] }));
+  assert.equal(structure.timeSignature, '6/8');
+  assertBarLength(structure.downbeats, 3);
+});
+
+test('analyze: 楽節の区切りは8小節の倍数の間隔になる', () => {
+  const structure = analyze(clickTrack(120, 70, { beatsPerBar: 4 }));
+  assert.ok(structure.phrases.length > 0);
+  structure.phrases.forEach(phrase => {
+    assert.ok(BeatStructure.PHRASE_LENGTHS.includes(phrase.length));
+    assert.equal((phrase.bar - structure.phrases[0].bar) % 8, 0);
+  });
+});
+
+test('analyze: 録音が短い場合は楽節を区切らない', () => {
+  const structure = analyze(clickTrack(120, 8));
+  assert.deepEqual(structure.phrases, []);
+});
@@ -0,0 +1,56 @@
+/**
+ * ChordRecognitionのテスト
+ * @file test/chord-recognition.test.js
+ * @description サイン波の和音の進行からコード名とディグリーを認識できるかを確認します
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AnalysisCore = require('../analysis-core.js');
+const ChordRecognition = require('../chord-recognition.js');
+const KeyNotation = require('../key-notation.js');
+const { SAMPLE_RATE, chordProgression } = require('./synth.js');
+
+test('recognize: C - Am - F - G7の進行を認識する', () => {
+  const pcm = chordProgression([[48, 60, 64, 67], [45, 57, 60, 64], [41, 53, 57, 60], [43, 55, 59, 62, 65]], 2.5);
+  const chroma = AnalysisCore.computeChromaFrames(pcm, SAMPLE_RATE);
+  const keyData = AnalysisCore.detectKeyFromChromaFrames(chroma);
+  const chords = ChordRecognition.recognize(chroma.frames, chroma.hopSeconds);
+
+  assert.equal(keyData.fullName, 'C major');
+  assert.deepEqual(chords.map(chord => ChordRecognition.formatChord(chord, keyData)), ['C', 'Am', 'F', 'G7']);
+  assert.deepEqual(chords.map(chord => ChordRecognition.toRomanNumeral(chord, keyData)), ['I', 'vi', 'IV', 'V7']);
+  // 区間の境目は和音の切り替え（2.5秒ごと）の近く
+  chords.slice(1).forEach((chord, index) => {
+    assert.ok(Math.abs(chord.start - (index + 1) * 2.5) <= 0.5, `${chord.start}秒`);
+  });
+});
+
+test('recognize: 無音の区間はノーコードになる', () => {
+  const frames = Array.from({ length: 8 }, () => new Array(12).fill(0));
+  const chords = ChordRecognition.recognize(frames, 0.25);
+  assert.equal(chords.length, 1);
+  assert.equal(chords[0].root, null);
+});
+
+test('formatChord: コード名の♯/♭はキーの表示と同じ綴りにする', () => {
+  const keyOf = (name) => AnalysisCore.createKeyInfo(KeyNotation.parse(name).pitchClass, KeyNotation.parse(name).mode);
+  const spell = (root, quality, key) => ChordRecognition.formatChord({ root, quality }, keyOf(key));
+
+  // E♭マイナーは主音と属和音を♭で綴る（平行長調はF#メジャーと表示される）
+  assert.equal(spell(3, 'min', 'Eb minor'), 'Ebm');
+  assert.equal(spell(10, 'min', 'Eb minor'), 'Bbm');
+  // 主音が幹音のキーも調号に合わせる
+  assert.equal(spell(10, 'maj', 'F major'), 'Bb');
+  assert.equal(spell(10, 'maj', 'G minor'), 'Bb');
+  assert.equal(spell(6, 'maj', 'F# major'), 'F#');
+  assert.equal(spell(8, 'min', 'E major'), 'G#m');
+  assert.equal(spell(1, 'maj', 'C major'), 'C#');
+});
+
+test('usesFlats: 24キーすべてでキー名の♯/♭と矛盾しない', () => {
+  for (const key of KeyNotation.KEYS) {
+    const flats = ChordRecognition.usesFlats(key);
+    if (key.name.includes('b')) assert.equal(flats, true, key.name);
+    if (key.name.includes('#')) assert.equal(flats, false, key.name);
+  }
+});
@@ -0,0 +1,72 @@
+/**
+ * HarmonicMixingのテスト
+ * @file test/harmonic-mixing.test.js
+ * @description Camelotホイール上の移動、キー間のピッチシフト量、テンポ合わせと履歴トラックの並べ替えを確認します
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HarmonicMixing = require('../harmonic-mixing.js');
+const KeyNotation = require('../key-notation.js');
+
+test('shiftCamelot: 12と1の間で折り返す', () => {
+  assert.equal(HarmonicMixing.shiftCamelot('12A', 1), '1A');
+  assert.equal(HarmonicMixing.shiftCamelot('1B', -1), '12B');
+  assert.equal(HarmonicMixing.shiftCamelot('8A', 7), '3A');
+  assert.equal(HarmonicMixing.shiftCamelot('8A', -13), '7A');
+  assert.equal(HarmonicMixing.shiftCamelot('8A', 0, true), '8B');
+  assert.equal(HarmonicMixing.shiftCamelot('12B', 2, true), '2A');
+});
+
+test('shiftCamelot: 解釈できない表記はnullを返す', () => {
+  for (const camelot of ['', null, '8', '8C', 'A8', '123A']) {
+    assert.equal(HarmonicMixing.shiftCamelot(camelot, 1), null, String(camelot));
+  }
+});
+
+test('getSemitoneShift: 最短の向きの半音数を返し、平行調どうしは0にする', () => {
+  const key = (text) => KeyNotation.parse(text);
+  assert.equal(HarmonicMixing.getSemitoneShift(key('C major'), key('G major')), -5);
+  assert.equal(HarmonicMixing.getSemitoneShift(key('C major'), key('D major')), 2);
+  assert.equal(HarmonicMixing.getSemitoneShift(key('C major'), key('F# major')), 6);
+  assert.equal(HarmonicMixing.getSemitoneShift(key('C major'), key('A minor')), 0);
+  assert.equal(HarmonicMixing.getSemitoneShift(key('A minor'), key('E minor')), -5);
+  assert.equal(HarmonicMixing.getSemitoneShift(key('B major'), key('C major')), 1);
+});
+
+test('getCompatibleKeys: 12Aの+1は1Aになる', () => {
+  const moves = HarmonicMixing.getCompatibleKeys('12A');
+  const byId = Object.fromEntries(moves.map(move => [move.id, move.key.camelot]));
+  assert.deepEqual(byId, { same: '12A', relative: '12B', down: '11A', up: '1A', boost2: '2A', boost7: '7A' });
+  assert.deepEqual(HarmonicMixing.getCompatibleKeys('--'), []);
+});
+
+test('matchTempo: 倍/半分も含めて変化率が最小になる組み合わせを選ぶ', () => {
+  const same = HarmonicMixing.matchTempo(120, 120);
+  assert.deepEqual(same, { ratio: 1, percent: 0, semitones: 0, multiplier: 1 });
+
+  const double = HarmonicMixing.matchTempo(128, 65);
+  assert.equal(double.multiplier, 2);
+  assert.ok(Math.abs(double.percent - (130 / 128 - 1) * 100) < 1e-9);
+
+  const half = HarmonicMixing.matchTempo(87, 170);
+  assert.equal(half.multiplier, 0.5);
+  assert.ok(Math.abs(half.ratio - 85 / 87) < 1e-9);
+
+  // 再生速度を6%上げるとピッチは約1半音上がる
+  assert.ok(Math.abs(HarmonicMixing.matchTempo(100, 105.946).semitones - 1) < 0.001);
+});
+
+test('rankTracks: 相性の無いキーを除き、キーとテンポの相性の順に並べる', () => {
+  const entries = [
+    { id: 'far', camelot: '4A', bpm: 124 },
+    { id: 'sameSlow', camelot: '8A', bpm: 100 },
+    { id: 'same', camelot: '8A', bpm: 124 },
+    { id: 'relative', camelot: '8B', bpm: 125 },
+    { id: 'unknownBpm', camelot: '9A', bpm: null }
+  ];
+  const ranked = HarmonicMixing.rankTracks({ camelot: '8A', bpm: 124 }, entries);
+  assert.deepEqual(ranked.map(item => item.entry.id), ['same', 'relative', 'unknownBpm', 'sameSlow']);
+  assert.equal(ranked[0].relation.id, 'same');
+  assert.equal(ranked[2].tempo, null);
+  assert.equal(HarmonicMixing.rankTracks({ camelot: '8A', bpm: 124 }, entries, 1).length, 1);
+});
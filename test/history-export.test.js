@@ -0,0 +1,118 @@
+/**
+ * HistoryExportのテスト
+ * @file test/history-export.test.js
+ * @description 各形式のエスケープと、エクスポートしたJSONの読み込みを確認します
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HistoryExport = require('../history-export.js');
+
+const entry = {
+  id: 'a1',
+  timestamp: Date.UTC(2024, 0, 2, 3, 4, 5),
+  source: 'tab',
+  title: 'Say "Hi", <Bob> & Co\nLive',
+  artist: 'Artist, The',
+  album: '',
+  url: 'https://example.com/watch?v=1&t=2',
+  favIconUrl: '',
+  bpm: 128,
+  bpmConfidence: 0.876,
+  timeSignature: '4/4',
+  key: 'A',
+  mode: 'minor',
+  fullName: 'A minor',
+  camelot: '8A',
+  openKey: '1m',
+  keyConfidence: 0.5,
+  tuningCents: -12,
+  loudness: -9.5,
+  truePeak: -0.3,
+  loudnessRange: 6.2,
+  energy: 7,
+  danceability: 0.82,
+  brightness: 0.45,
+  percussiveness: 0.6,
+  edited: true
+};
+
+test('toCSV: カンマ・ダブルクォート・改行を含むフィールドをクォートする', () => {
+  const csv = HistoryExport.toCSV([entry, { ...entry, bpm: null, bpmConfidence: null, timeSignature: null, tuningCents: null, loudness: null, truePeak: null, loudnessRange: null, energy: null, danceability: null, brightness: null, percussiveness: null, edited: false }]);
+  assert.ok(csv.startsWith('\uFEFFDate,Title,Artist,Album,URL,'));
+  const rows = csv.slice(1).split('\r\n');
+  assert.equal(rows.length, 4);
+  assert.equal(rows[3], '');
+  assert.equal(
+    rows[1],
+    '2024-01-02T03:04:05.000Z,"Say ""Hi"", <Bob> & Co\nLive","Artist, The",,https://example.com/watch?v=1&t=2,tab,128.0,88,4/4,A minor,8A,1m,50,-12,-9.5,-0.3,6.2,7,0.82,0.45,0.6,yes'
+  );
+  assert.ok(rows[2].endsWith(',tab,,,,A minor,8A,1m,50,,,,,,,,,no'));
+});
+
+test('escapeCSV: 特殊文字を含まない値はそのまま返す', () => {
+  assert.equal(HistoryExport.escapeCSV('plain'), 'plain');
+  assert.equal(HistoryExport.escapeCSV(null), '');
+  assert.equal(HistoryExport.escapeCSV('a\rb'), '"a\rb"');
+});
+
+test('toRekordboxXML: 属性値をエスケープし、標準表記のTonalityを出力する', () => {
+  const xml = HistoryExport.toRekordboxXML([entry, { ...entry, bpm: null, key: 'Eb', mode: 'major', camelot: '5B' }]);
+  assert.ok(xml.includes('Name="Say &quot;Hi&quot;, &lt;Bob&gt; &amp; Co Live"'));
+  assert.ok(xml.includes('Artist="Artist, The" Album=""'));
+  assert.ok(xml.includes('Location="https://example.com/watch?v=1&amp;t=2"'));
+  assert.ok(xml.includes('Comments="8A Energy 7 https://example.com/watch?v=1&amp;t=2"'));
+  assert.ok(xml.includes('AverageBpm="128.00" Tonality="Am"/>'));
+  assert.ok(xml.includes('Tonality="Eb"'));
+  assert.equal(xml.match(/AverageBpm=/g).length, 1);
+  assert.ok(xml.includes('<COLLECTION Entries="2">'));
+  assert.ok(xml.includes('<TRACK Key="2"/>'));
+  // 属性値の外に<や&が残っていない
+  assert.ok(!/&(?!amp;|lt;|gt;|quot;)/.test(xml));
+});
+
+test('toRekordboxXML: ファイルの履歴はファイル名のfile URIにする', () => {
+  const xml = HistoryExport.toRekordboxXML([{ ...entry, source: 'file', title: 'my track.mp3', url: '' }]);
+  assert.ok(xml.includes('Kind="Audio File" Location="file://localhost/my%20track.mp3"'));
+});
+
+test('parseJSON: toJSONの出力を読み込み、キーの表記を表から引き直す', () => {
+  const text = HistoryExport.toJSON([entry, { ...entry, id: 'b2', camelot: undefined, fullName: 'D# minor', key: 'D#' }]);
+  const { entries, skipped } = HistoryExport.parseJSON(text);
+  assert.equal(skipped, 0);
+  assert.deepEqual(entries[0], entry);
+  assert.equal(entries[1].fullName, 'Eb minor');
+  assert.equal(entries[1].camelot, '2A');
+  assert.equal(entries[1].openKey, '7m');
+});
+
+test('parseJSON: 不正なエントリーは読み飛ばし、不正な値は既定値にする', () => {
+  const items = [
+    entry,
+    null,
+    'text',
+    { ...entry, id: '' },
+    { ...entry, timestamp: 'yesterday' },
+    { ...entry, camelot: '13A', fullName: 'H major' },
+    { ...entry, id: 7, source: 'radio', bpm: 'fast', title: null, edited: 'no' }
+  ];
+  const { entries, skipped } = HistoryExport.parseJSON(JSON.stringify(items));
+  assert.equal(skipped, 5);
+  assert.equal(entries.length, 2);
+  assert.deepEqual(
+    { id: entries[1].id, source: entries[1].source, bpm: entries[1].bpm, title: entries[1].title, edited: entries[1].edited },
+    { id: '7', source: 'tab', bpm: null, title: '', edited: true }
+  );
+});
+
+test('parseJSON: JSONでない内容や履歴を含まないJSONはエラーにする', () => {
+  assert.throws(() => HistoryExport.parseJSON('{"entries": ['), /JSON/);
+  assert.throws(() => HistoryExport.parseJSON(''), /JSON/);
+  assert.throws(() => HistoryExport.parseJSON('{"format": "other"}'));
+  assert.throws(() => HistoryExport.parseJSON('null'));
+  assert.throws(() => HistoryExport.parseJSON('42'));
+});
+
+test('toM3U: タイトルとURLの改行を取り除く', () => {
+  const m3u = HistoryExport.toM3U([entry]);
+  assert.equal(m3u, '#EXTM3U\n#EXTINF:-1,Artist, The - Say "Hi", <Bob> & Co Live [128.0 BPM 8A]\nhttps://example.com/watch?v=1&t=2\n');
+});
@@ -0,0 +1,109 @@
+/**
+ * HistoryStoreのテスト
+ * @file test/history-store.test.js
+ * @description 履歴の検索・並べ替えと、同時に呼ばれた書き込みが失われないことを確認します
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HistoryStore = require('../history-store.js');
+
+/**
+ * 非同期に読み書きするchrome.storage.localの代わりを用意する
+ * @function installStorage
+ * @returns {Object} 保存されている値
+ * @description 読み込みと保存の間に別の呼び出しが割り込めるよう、どちらも次のタスクで完了させます
+ */
+function installStorage() {
+  const data = {};
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+  globalThis.chrome = {
+    storage: {
+      local: {
+        async get(defaults) {
+          await tick();
+          const items = {};
+          for (const key of Object.keys(defaults)) {
+            items[key] = key in data ? structuredClone(data[key]) : defaults[key];
+          }
+          return items;
+        },
+        async set(items) {
+          await tick();
+          Object.assign(data, structuredClone(items));
+        }
+      }
+    }
+  };
+  return data;
+}
+
+const entries = [
+  { id: 'a', timestamp: 3, title: 'Night Drive', url: 'https://example.com/a', fullName: 'A minor', camelot: '8A', openKey: '1m', bpm: 124 },
+  { id: 'b', timestamp: 1, title: 'Morning Run', url: 'https://example.com/b', fullName: 'Eb major', camelot: '5B', openKey: '10d', bpm: null },
+  { id: 'c', timestamp: 2, title: 'Night Shift', url: 'https://example.org/c', fullName: 'C major', camelot: '8B', openKey: '1d', bpm: 98.5 }
+];
+const ids = (list) => list.map(entry => entry.id);
+
+test('query: 空白区切りの語をすべて含む履歴だけを返す', () => {
+  assert.deepEqual(ids(HistoryStore.query(entries, 'night')), ['a', 'c']);
+  assert.deepEqual(ids(HistoryStore.query(entries, 'NIGHT example.org')), ['c']);
+  assert.deepEqual(ids(HistoryStore.query(entries, '8a')), ['a']);
+  assert.deepEqual(ids(HistoryStore.query(entries, '10d')), ['b']);
+  assert.deepEqual(ids(HistoryStore.query(entries, '98.5')), ['c']);
+  assert.deepEqual(ids(HistoryStore.query(entries, '  ')), ['a', 'c', 'b']);
+});
+
+test('query: 並べ替えの種類ごとに並べ、BPMが未検出の履歴は常に末尾にする', () => {
+  assert.deepEqual(ids(HistoryStore.query(entries, '', 'oldest')), ['b', 'c', 'a']);
+  assert.deepEqual(ids(HistoryStore.query(entries, '', 'bpmAsc')), ['c', 'a', 'b']);
+  assert.deepEqual(ids(HistoryStore.query(entries, '', 'bpmDesc')), ['a', 'c', 'b']);
+  assert.deepEqual(ids(HistoryStore.query(entries, '', 'key')), ['b', 'a', 'c']);
+  assert.deepEqual(ids(HistoryStore.query(entries, '', 'unknown')), ['a', 'c', 'b']);
+});
+
+test('compareNullable: nullは昇順でも降順でも後ろになる', () => {
+  assert.ok(HistoryStore.compareNullable(1, 2) < 0);
+  assert.equal(HistoryStore.compareNullable(null, null), 0);
+  assert.ok(HistoryStore.compareNullable(null, 1) > 0);
+  assert.ok(HistoryStore.compareNullable(1, null) < 0);
+  // 降順では引数を入れ替えて呼ぶ
+  assert.ok(HistoryStore.compareNullable(1, null, true) > 0);
+  assert.ok(HistoryStore.compareNullable(null, 1, true) < 0);
+});
+
+test('camelotOrder: 1A, 1B, 2A, ... 12Bの順に並び、不明なキーは末尾になる', () => {
+  const order = ['12B', '1A', '2A', '1B', '--', '12A'].sort((a, b) => HistoryStore.camelotOrder(a) - HistoryStore.camelotOrder(b));
+  assert.deepEqual(order, ['1A', '1B', '2A', '12A', '12B', '--']);
+});
+
+test('add/update/remove: 同時に呼んでも書き込みが失われない', async () => {
+  const data = installStorage();
+
+  await Promise.all([
+    HistoryStore.add({ id: 'x', bpm: 120 }),
+    HistoryStore.add({ id: 'y', bpm: 121 }),
+    HistoryStore.add({ id: 'z', bpm: 122 })
+  ]);
+  assert.deepEqual(ids(data[HistoryStore.STORAGE_KEY]), ['x', 'y', 'z']);
+
+  const [updated] = await Promise.all([
+    HistoryStore.update('x', { bpm: 60 }),
+    HistoryStore.update('y', { bpm: 61 }),
+    HistoryStore.remove('z'),
+    HistoryStore.add({ id: 'w', bpm: 123 })
+  ]);
+  assert.deepEqual(updated, { id: 'x', bpm: 60, edited: true });
+  assert.deepEqual(data[HistoryStore.STORAGE_KEY].map(entry => entry.bpm), [60, 61, 123]);
+  assert.equal(await HistoryStore.update('missing', { bpm: 1 }), null);
+});
+
+test('add: 失敗した書き込みのあとも後続の書き込みを実行する', async () => {
+  const data = installStorage();
+  const { set } = chrome.storage.local;
+  chrome.storage.local.set = async () => { throw new Error('quota'); };
+  await assert.rejects(HistoryStore.add({ id: 'x' }), /quota/);
+
+  chrome.storage.local.set = set;
+  await HistoryStore.add({ id: 'y' });
+  assert.deepEqual(ids(data[HistoryStore.STORAGE_KEY]), ['y']);
+});
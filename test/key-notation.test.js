@@ -0,0 +1,54 @@
+/**
+ * KeyNotationのテスト
+ * @file test/key-notation.test.js
+ * @description 24キーの表記表の引き当てと、各表記法の解釈・整形を確認します
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const KeyNotation = require('../key-notation.js');
+
+test('KEYS: 24キーが重複なく定義されている', () => {
+  assert.equal(KeyNotation.KEYS.length, 24);
+  assert.equal(new Set(KeyNotation.KEYS.map(entry => entry.camelot)).size, 24);
+  assert.equal(new Set(KeyNotation.KEYS.map(entry => entry.openKey)).size, 24);
+  assert.equal(new Set(KeyNotation.KEYS.map(entry => `${entry.pitchClass} ${entry.mode}`)).size, 24);
+});
+
+test('parse: 24キーすべてがCamelot・Open Key・標準表記から同じキーに戻る', () => {
+  for (const entry of KeyNotation.KEYS) {
+    assert.equal(KeyNotation.parse(entry.camelot), entry);
+    assert.equal(KeyNotation.parse(entry.openKey), entry);
+    assert.equal(KeyNotation.parse(`${entry.name} ${entry.mode}`), entry);
+    assert.equal(KeyNotation.lookup(entry.pitchClass, entry.mode), entry);
+  }
+});
+
+test('parse: 異名同音・省略形・記号を受け付ける', () => {
+  assert.equal(KeyNotation.parse('D# minor').name, 'Eb');
+  assert.equal(KeyNotation.parse('Ebm').camelot, '2A');
+  assert.equal(KeyNotation.parse('E♭ min').camelot, '2A');
+  assert.equal(KeyNotation.parse('F♯').camelot, '2B');
+  assert.equal(KeyNotation.parse('a').camelot, '11B');
+  assert.equal(KeyNotation.parse('bbmaj').camelot, '6B');
+  assert.equal(KeyNotation.parse('8a').camelot, '8A');
+  assert.equal(KeyNotation.parse(' 1M ').camelot, '8A');
+});
+
+test('parse: 解釈できない表記はnullを返す', () => {
+  for (const text of ['', 'H major', '13A', '0B', 'C##', 'Cmajor7', null, undefined]) {
+    assert.equal(KeyNotation.parse(text), null, String(text));
+  }
+});
+
+test('lookup: ピッチクラスを12で折り返す', () => {
+  assert.equal(KeyNotation.lookup(12, 'major').camelot, '8B');
+  assert.equal(KeyNotation.lookup(-3, 'minor').camelot, '8A');
+});
+
+test('format: 表記法ごとに整形し、不明な表記法はCamelotにする', () => {
+  const keyInfo = { camelot: '5B', openKey: '10d', fullName: 'Eb major' };
+  assert.equal(KeyNotation.format(keyInfo, 'camelot'), '5B');
+  assert.equal(KeyNotation.format(keyInfo, 'openKey'), '10d');
+  assert.equal(KeyNotation.format(keyInfo, 'standard'), 'Eb major');
+  assert.equal(KeyNotation.format(keyInfo, 'unknown'), '5B');
+});
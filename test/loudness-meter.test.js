@@ -0,0 +1,39 @@
+/**
+ * LoudnessMeterのテスト
+ * @file test/loudness-meter.test.js
+ * @description ITU-R BS.1770の基準信号（997Hzのサイン波）でラウドネスとピークを確認します
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LoudnessMeter = require('../loudness-meter.js');
+const { sine } = require('./synth.js');
+
+/** @type {number} BS.1770の基準信号のサンプルレート */
+const SAMPLE_RATE = 48000;
+
+test('analyze: 0dBFSの997Hzのサイン波は片チャンネルで-3.01 LUFS、両チャンネルで0 LUFS', () => {
+  const tone = sine(997, 1, 10, SAMPLE_RATE);
+  const silence = new Float32Array(tone.length);
+  assert.ok(Math.abs(LoudnessMeter.analyze([tone, silence], SAMPLE_RATE).integrated + 3.01) < 0.1);
+  assert.ok(Math.abs(LoudnessMeter.analyze([tone, tone], SAMPLE_RATE).integrated) < 0.1);
+});
+
+test('analyze: レベルを20dB下げるとラウドネスも20LU下がる', () => {
+  const loud = LoudnessMeter.analyze([sine(997, 1, 10, SAMPLE_RATE)], SAMPLE_RATE);
+  const quiet = LoudnessMeter.analyze([sine(997, 0.1, 10, SAMPLE_RATE)], SAMPLE_RATE);
+  assert.ok(Math.abs(loud.integrated - quiet.integrated - 20) < 0.1);
+  assert.ok(Math.abs(quiet.samplePeak + 20) < 0.1);
+  assert.ok(quiet.truePeak >= quiet.samplePeak);
+});
+
+test('analyze: 無音はラウドネスを計測できない', () => {
+  const result = LoudnessMeter.analyze([new Float32Array(SAMPLE_RATE * 2)], SAMPLE_RATE);
+  assert.equal(result.integrated, null);
+});
+
+test('analyze: サンプルの間にあるピークをトゥルーピークとして検出する', () => {
+  // fs/4のサイン波を45°ずらすと、どのサンプルも振幅の1/√2になる
+  const result = LoudnessMeter.analyze([sine(SAMPLE_RATE / 4, 1, 1, SAMPLE_RATE, Math.PI / 4)], SAMPLE_RATE);
+  assert.ok(Math.abs(result.samplePeak + 3.01) < 0.05, `samplePeak ${result.samplePeak}`);
+  assert.ok(Math.abs(result.truePeak) < 0.3, `truePeak ${result.truePeak}`);
+});
@@ -0,0 +1,77 @@
+/**
+ * Settingsのテスト
+ * @file test/settings.test.js
+ * @description 設定の検証とプリセットの適用を確認します
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Settings = require('../settings.js');
+
+test('normalize: 未設定の値は既定値で補完する', () => {
+  assert.deepEqual(Settings.normalize({}), Settings.DEFAULTS);
+  assert.equal(Settings.normalize({ keyNotation: 'openKey' }).keyNotation, 'openKey');
+});
+
+test('normalize: 範囲外の数値を丸め、数値でない値は既定値に戻す', () => {
+  const normalized = Settings.normalize({ analysisSeconds: 100, chromaMinNote: 0, smoothingTimeConstant: 'smooth', minBPM: '90' });
+  assert.equal(normalized.analysisSeconds, Settings.RANGES.analysisSeconds.max);
+  assert.equal(normalized.chromaMinNote, Settings.RANGES.chromaMinNote.min);
+  assert.equal(normalized.smoothingTimeConstant, Settings.DEFAULTS.smoothingTimeConstant);
+  assert.equal(normalized.minBPM, 90);
+});
+
+test('normalize: 不正なFFTサイズとキープロファイルは既定値に戻す', () => {
+  assert.equal(Settings.normalize({ fftSize: 3000 }).fftSize, Settings.DEFAULTS.fftSize);
+  assert.equal(Settings.normalize({ fftSize: '16384' }).fftSize, 16384);
+  assert.equal(Settings.normalize({ keyProfile: 'unknown' }).keyProfile, Settings.DEFAULTS.keyProfile);
+});
+
+test('normalize: テンポの範囲と再推定間隔の矛盾を直す', () => {
+  const bpm = Settings.normalize({ minBPM: 140, maxBPM: 120 });
+  assert.equal(bpm.maxBPM, 210);
+  assert.equal(Settings.normalize({ minBPM: 240, maxBPM: 200 }).maxBPM, Settings.RANGES.maxBPM.max);
+
+  const live = Settings.normalize({ liveWindowSeconds: 8, liveIntervalSeconds: 12 });
+  assert.equal(live.liveIntervalSeconds, 8);
+});
+
+test('applyPreset: プリセットの値で上書きし、不明なプリセットはカスタムにする', () => {
+  const house = Settings.applyPreset(Settings.DEFAULTS, 'house');
+  assert.equal(house.preset, 'house');
+  assert.equal(house.minBPM, 118);
+  assert.equal(house.maxBPM, 130);
+  assert.equal(house.keyProfile, 'edm');
+
+  const custom = Settings.applyPreset(house, 'unknown');
+  assert.equal(custom.preset, 'custom');
+  assert.equal(custom.minBPM, 118);
+});
+
+test('parseSites: URLやワイルドカードからホスト名を取り出す', () => {
+  assert.deepEqual(
+    Settings.parseSites('https://soundcloud.com/discover\n*.Bandcamp.com, music.example.com:8080 soundcloud.com'),
+    ['soundcloud.com', 'bandcamp.com', 'music.example.com']
+  );
+  assert.deepEqual(Settings.parseSites(['YouTube.com ', '']), ['youtube.com']);
+  assert.deepEqual(Settings.parseSites(undefined), []);
+});
+
+test('isAutoAnalyzeSite: 許可したサイトとそのサブドメインだけを自動分析する', () => {
+  const settings = Settings.normalize({ autoAnalyze: true, autoAnalyzeSites: 'soundcloud.com' });
+  assert.equal(Settings.isAutoAnalyzeSite(settings, 'https://soundcloud.com/artist/track'), true);
+  assert.equal(Settings.isAutoAnalyzeSite(settings, 'https://m.soundcloud.com/'), true);
+  // 末尾が一致するだけの別のドメインは許可しない
+  assert.equal(Settings.isAutoAnalyzeSite(settings, 'https://notsoundcloud.com/'), false);
+  assert.equal(Settings.isAutoAnalyzeSite(settings, 'https://soundcloud.com.example.net/'), false);
+  assert.equal(Settings.isAutoAnalyzeSite(settings, 'chrome://extensions/'), false);
+  assert.equal(Settings.isAutoAnalyzeSite(settings, undefined), false);
+
+  assert.equal(Settings.isAutoAnalyzeSite({ ...settings, autoAnalyze: false }, 'https://soundcloud.com/'), false);
+  assert.equal(Settings.isAutoAnalyzeSite(Settings.normalize({ autoAnalyze: true }), 'https://soundcloud.com/'), false);
+});
+
+test('getAnalysisSettings: 分析パラメーターだけを取り出す', () => {
+  const analysis = Settings.getAnalysisSettings({ keyNotation: 'openKey', maxBPM: 500 });
+  assert.deepEqual(Object.keys(analysis), Settings.ANALYSIS_KEYS);
+  assert.equal(analysis.maxBPM, Settings.RANGES.maxBPM.max);
+});
@@ -0,0 +1,121 @@
+/**
+ * テスト用の合成音声
+ * @file test/synth.js
+ * @description 既知のテンポのクリック音やキーのわかっているサイン波の和音など、正解のわかっている音声を生成します
+ */
+
+/** @type {number} 合成するサンプルレート（AudioAnalyzer.OFFLINE_SAMPLE_RATEと同じ） */
+const SAMPLE_RATE = 22050;
+
+/**
+ * MIDIノート番号を周波数に変換する
+ * @function noteToFrequency
+ * @param {number} note - MIDIノート番号（69がA4）
+ * @returns {number} 周波数（Hz）
+ */
+function noteToFrequency(note) {
+  return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+/**
+ * シード付きの乱数生成器を作成する
+ * @function createRandom
+ * @param {number} [seed=1] - シード
+ * @returns {Function} 0〜1の乱数を返す関数（毎回同じ系列になるため、テストの結果が安定する）
+ */
+function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 減衰するクリック音を加算する
+ * @function addClick
+ * @param {Float32Array} pcm - 加算先のPCM
+ * @param {number} time - クリックの時刻（秒）
+ * @param {number} gain - 振幅
+ * @param {number} [sampleRate=SAMPLE_RATE] - サンプルレート（Hz）
+ */
+function addClick(pcm, time, gain, sampleRate = SAMPLE_RATE) {
+  const start = Math.round(time * sampleRate);
+  const end = Math.min(pcm.length, start + Math.round(0.1 * sampleRate));
+  for (let i = start; i < end; i++) {
+    const t = (i - start) / sampleRate;
+    pcm[i] += gain * Math.sin(2 * Math.PI * 1000 * t) * Math.exp(-t * 60);
+  }
+}
+
+/**
+ * クリックトラックを合成する
+ * @function clickTrack
+ * @param {number} bpm - テンポ
+ * @param {number} seconds - 長さ（秒）
+ * @param {{beatsPerBar?: number, offset?: number, accent?: number[]}} [options={}] - 1小節の拍数、最初のクリックの時刻（秒）、
+ * 拍ごとの振幅（省略時は1拍目だけ1、ほかは0.5）
+ * @returns {Float32Array} モノラルのPCM
+ */
+function clickTrack(bpm, seconds, options = {}) {
+  const { beatsPerBar = 4, offset = 0.25 } = options;
+  const accent = options.accent || Array.from({ length: beatsPerBar }, (_, beat) => beat === 0 ? 1 : 0.5);
+  const pcm = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  const period = 60 / bpm;
+  for (let beat = 0; offset + beat * period < seconds; beat++) {
+    addClick(pcm, offset + beat * period, accent[beat % beatsPerBar]);
+  }
+  return pcm;
+}
+
+/**
+ * サイン波の和音を加算する
+ * @function addChord
+ * @param {Float32Array} pcm - 加算先のPCM
+ * @param {number[]} notes - MIDIノート番号
+ * @param {number} start - 開始時刻（秒）
+ * @param {number} end - 終了時刻（秒）
+ * @param {number} [gain=0.1] - 1音あたりの振幅
+ */
+function addChord(pcm, notes, start, end, gain = 0.1) {
+  const first = Math.round(start * SAMPLE_RATE);
+  const last = Math.min(pcm.length, Math.round(end * SAMPLE_RATE));
+  for (const note of notes) {
+    const frequency = noteToFrequency(note);
+    for (let i = first; i < last; i++) {
+      pcm[i] += gain * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE);
+    }
+  }
+}
+
+/**
+ * サイン波の和音の進行を合成する
+ * @function chordProgression
+ * @param {number[][]} chords - 和音ごとのMIDIノート番号
+ * @param {number} secondsPerChord - 1つの和音の長さ（秒）
+ * @returns {Float32Array} モノラルのPCM
+ */
+function chordProgression(chords, secondsPerChord) {
+  const pcm = new Float32Array(Math.round(chords.length * secondsPerChord * SAMPLE_RATE));
+  chords.forEach((notes, index) => addChord(pcm, notes, index * secondsPerChord, (index + 1) * secondsPerChord));
+  return pcm;
+}
+
+/**
+ * サイン波を合成する
+ * @function sine
+ * @param {number} frequency - 周波数（Hz）
+ * @param {number} amplitude - 振幅
+ * @param {number} seconds - 長さ（秒）
+ * @param {number} [sampleRate=SAMPLE_RATE] - サンプルレート（Hz）
+ * @param {number} [phase=0] - 初期位相（ラジアン）
+ * @returns {Float32Array} モノラルのPCM
+ */
+function sine(frequency, amplitude, seconds, sampleRate = SAMPLE_RATE, phase = 0) {
+  return Float32Array.from({ length: Math.round(seconds * sampleRate) }, (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate + phase));
+}
+
+module.exports = { SAMPLE_RATE, noteToFrequency, createRandom, addClick, clickTrack, addChord, chordProgression, sine };
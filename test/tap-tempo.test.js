@@ -0,0 +1,70 @@
+/**
+ * TapTempoのテスト
+ * @file test/tap-tempo.test.js
+ * @description タップの間隔からのBPMの計算、外れ値の除外、数え直しと、検出したBPMとの比較を確認します
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TapTempo = require('../tap-tempo.js');
+
+/**
+ * 指定した時刻にタップする
+ * @function tapAll
+ * @param {number[]} times - タップする時刻（ミリ秒）
+ * @returns {{tapTempo: TapTempo, tempo: Object|null}} タップしたTapTempoと最後のタップ後のテンポ
+ */
+function tapAll(times) {
+  const tapTempo = new TapTempo();
+  let tempo = null;
+  times.forEach(time => {
+    tempo = tapTempo.tap(time);
+  });
+  return { tapTempo, tempo };
+}
+
+test('getTempo: タップが3回未満の場合はnullを返す', () => {
+  assert.equal(tapAll([0]).tempo, null);
+  assert.equal(tapAll([0, 500]).tempo, null);
+  assert.deepEqual(tapAll([0, 500, 1000]).tempo, { bpm: 120, taps: 3, rejected: 0, anchor: 1000 });
+});
+
+test('getTempo: 叩き損ねや二度打ちの間隔を外れ値として除く', () => {
+  // 500ms間隔（120 BPM）の途中で、1拍抜け（1000ms）と二度打ち（250ms+250ms）がある
+  const { tempo } = tapAll([0, 500, 1000, 2000, 2500, 2750, 3000, 3500, 4000]);
+  assert.equal(tempo.bpm, 120);
+  assert.equal(tempo.taps, 9);
+  assert.equal(tempo.rejected, 3);
+  assert.equal(tempo.anchor, 4000);
+});
+
+test('getTempo: 許容範囲内のばらつきは平均する', () => {
+  const { tempo } = tapAll([0, 480, 1000, 1490, 2000]);
+  assert.equal(tempo.rejected, 0);
+  assert.equal(tempo.bpm, 120);
+});
+
+test('tap: 間隔が空いた場合と時刻が戻った場合は数え直す', () => {
+  const { tapTempo, tempo } = tapAll([0, 500, 1000, 1000 + TapTempo.RESET_MS + 1]);
+  assert.equal(tempo, null);
+  assert.deepEqual(tapTempo.taps, [1000 + TapTempo.RESET_MS + 1]);
+
+  assert.deepEqual(tapAll([0, 500, 1000, 900]).tapTempo.taps, [900]);
+});
+
+test('tap: 直近のMAX_TAPS回だけを使う', () => {
+  const times = Array.from({ length: TapTempo.MAX_TAPS + 4 }, (_, i) => i * 400);
+  const { tapTempo, tempo } = tapAll(times);
+  assert.equal(tapTempo.taps.length, TapTempo.MAX_TAPS);
+  assert.equal(tempo.bpm, 150);
+});
+
+test('compare: 倍/半分のテンポの誤りを見分ける', () => {
+  assert.deepEqual(TapTempo.compare(120, 120), { multiplier: 1, percent: 0, matches: true });
+  assert.equal(TapTempo.compare(174, 87).multiplier, 2);
+  assert.equal(TapTempo.compare(174, 87).matches, true);
+  assert.equal(TapTempo.compare(70, 140).multiplier, 0.5);
+  const off = TapTempo.compare(126, 120);
+  assert.equal(off.multiplier, 1);
+  assert.ok(Math.abs(off.percent - 5) < 1e-9);
+  assert.equal(off.matches, false);
+});
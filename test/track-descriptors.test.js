@@ -0,0 +1,66 @@
+/**
+ * TrackDescriptorsのテスト
+ * @file test/track-descriptors.test.js
+ * @description 持続音だけのパッドと、ドラムのループでエネルギーと曲調の指標を比べます
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AnalysisCore = require('../analysis-core.js');
+const LoudnessMeter = require('../loudness-meter.js');
+const TrackDescriptors = require('../track-descriptors.js');
+const { SAMPLE_RATE, createRandom, addChord } = require('./synth.js');
+
+/**
+ * PCMの指標を計算する
+ * @function describe
+ * @param {Float32Array} pcm - モノラルのPCM
+ * @returns {Object} TrackDescriptors.analyzeの戻り値
+ */
+function describe(pcm) {
+  const onset = AnalysisCore.computeOnsetEnvelope(pcm, SAMPLE_RATE);
+  return TrackDescriptors.analyze(pcm, SAMPLE_RATE, onset, AnalysisCore.analyzeTempo(onset), LoudnessMeter.analyze([pcm], SAMPLE_RATE));
+}
+
+/**
+ * 128BPMのキックとオフビートのハイハットのループを合成する
+ * @function drumLoop
+ * @param {number} seconds - 長さ（秒）
+ * @returns {Float32Array} モノラルのPCM
+ */
+function drumLoop(seconds) {
+  const random = createRandom();
+  const period = 60 / 128;
+  const pcm = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  for (let i = 0; i < pcm.length; i++) {
+    const t = i / SAMPLE_RATE;
+    const beat = t % period;
+    const half = t % (period / 2);
+    pcm[i] = 0.9 * Math.sin(2 * Math.PI * 55 * beat) * Math.exp(-beat * 20) + 0.3 * (random() * 2 - 1) * Math.exp(-half * 40);
+  }
+  addChord(pcm, [69], 0, seconds);
+  return pcm;
+}
+
+test('analyze: 持続音だけのパッドはエネルギー・ダンサビリティ・打楽器らしさが低い', () => {
+  const pad = new Float32Array(SAMPLE_RATE * 10);
+  addChord(pad, [57, 61, 64], 0, 10, 0.05);
+  const descriptors = describe(pad);
+  assert.ok(descriptors.energy <= 3, `energy ${descriptors.energy}`);
+  assert.equal(descriptors.percussiveness, 0);
+  assert.equal(descriptors.danceability, 0);
+  assert.ok(descriptors.spectralCentroid < 400);
+});
+
+test('analyze: ドラムのループはパッドよりエネルギー・ダンサビリティ・明るさが高い', () => {
+  const descriptors = describe(drumLoop(10));
+  assert.ok(descriptors.energy >= 5, `energy ${descriptors.energy}`);
+  assert.ok(descriptors.danceability >= 0.6, `danceability ${descriptors.danceability}`);
+  assert.ok(descriptors.brightness >= 0.8, `brightness ${descriptors.brightness}`);
+  assert.ok(descriptors.onsetRate >= 3 && descriptors.onsetRate <= 5, `onsetRate ${descriptors.onsetRate}`);
+});
+
+test('calculateTempoSuitability: ハーフタイムのテンポは少し低く評価する', () => {
+  assert.equal(TrackDescriptors.calculateTempoSuitability(124), 1);
+  assert.equal(TrackDescriptors.calculateTempoSuitability(180), 0.8);
+  assert.equal(TrackDescriptors.calculateTempoSuitability(30), 0);
+});
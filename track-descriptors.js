@@ -0,0 +1,283 @@
+/**
+ * エネルギーと曲調の指標
+ * @file track-descriptors.js
+ * @description テンポ・キーと同じ録音から、DJツールのような1〜10のエネルギーと、ダンサビリティ・明るさ・打楽器らしさを計算します。
+ * セットをエネルギーの順に組み立てる目安にするための指標で、それぞれの値は音量・スペクトル・オンセットから求めた近似値です。
+ * DOMに依存しないため、Node.jsからも読み込めます
+ */
+
+// Node.jsではFFTを行う分析コアを読み込む（ブラウザではscriptタグで先に読み込まれている）
+if (typeof module !== 'undefined' && module.exports && typeof AnalysisCore === 'undefined') {
+  globalThis.AnalysisCore = require('./analysis-core.js');
+}
+
+class TrackDescriptors {
+  /**
+   * スペクトル重心を求めるFFTサイズ
+   * @static
+   * @type {number}
+   */
+  static SPECTRUM_FFT_SIZE = 2048;
+
+  /**
+   * スペクトル重心を求めるフレームの間隔（秒）
+   * @static
+   * @type {number}
+   * @description トラック全体でも計算量が増えすぎないよう、オンセットの検出より粗い間隔にしています
+   */
+  static SPECTRUM_HOP_SECONDS = 0.1;
+
+  /**
+   * オンセットとみなすエンベロープの最小値
+   * @static
+   * @type {number}
+   * @description エンベロープは周波数ビンごとの対数振幅の増加の合計です。持続音だけの曲のわずかな揺らぎを
+   * オンセットとして数えないよう、相対的な閾値とは別に下限を設けます
+   */
+  static MIN_ONSET_STRENGTH = 10;
+
+  /**
+   * 明るさを0〜1に割り当てるスペクトル重心の範囲（Hz、対数軸）
+   * @static
+   * @type {number[]}
+   */
+  static BRIGHTNESS_RANGE = [400, 4000];
+
+  /**
+   * 打楽器らしさを0〜1に割り当てる1秒あたりのオンセット数の範囲
+   * @static
+   * @type {number[]}
+   */
+  static ONSET_RATE_RANGE = [0.5, 8];
+
+  /**
+   * エネルギーの計算で0〜1に割り当てるインテグレーテッドラウドネスの範囲（LUFS）
+   * @static
+   * @type {number[]}
+   */
+  static LOUDNESS_RANGE = [-30, -6];
+
+  /**
+   * エネルギーの計算で0〜1に割り当てるテンポの範囲（BPM）
+   * @static
+   * @type {number[]}
+   */
+  static TEMPO_RANGE = [70, 175];
+
+  /**
+   * 踊りやすいテンポの範囲（BPM）
+   * @static
+   * @type {number[]}
+   * @description 範囲外のテンポは、半分または倍のテンポが範囲に入る場合（ドラムンベースのハーフタイム等）に少し低く評価します
+   */
+  static DANCE_TEMPO_RANGE = [90, 135];
+
+  /**
+   * エネルギーの各要素の重み
+   * @static
+   * @type {{loudness: number, percussiveness: number, brightness: number, tempo: number}}
+   */
+  static ENERGY_WEIGHTS = {
+    loudness: 0.35,
+    percussiveness: 0.3,
+    brightness: 0.2,
+    tempo: 0.15
+  };
+
+  /**
+   * ダンサビリティの各要素の重み
+   * @static
+   * @type {{pulseClarity: number, tempo: number, confidence: number}}
+   */
+  static DANCEABILITY_WEIGHTS = {
+    pulseClarity: 0.45,
+    tempo: 0.3,
+    confidence: 0.25
+  };
+
+  /**
+   * エネルギーと曲調の指標を計算する
+   * @static
+   * @param {Float32Array} pcm - モノラルのPCMデータ
+   * @param {number} sampleRate - サンプルレート（Hz）
+   * @param {{envelope: Float32Array, frameRate: number, timeOffset: number}} onset - AnalysisCore.computeOnsetEnvelopeの戻り値
+   * @param {{bpm: number, confidence: number, beatOffset: number}|null} tempo - AnalysisCore.analyzeTempoの戻り値
+   * @param {{integrated: number}|null} loudness - LoudnessMeter.analyzeの戻り値
+   * @returns {{energy: number, danceability: number, brightness: number, spectralCentroid: number,
+   * percussiveness: number, onsetRate: number}}
+   * エネルギー（1〜10の整数）、ダンサビリティ・明るさ・打楽器らしさ（0〜1）、スペクトル重心（Hz）、1秒あたりのオンセット数
+   * @description エネルギーは音量・打楽器らしさ・明るさ・テンポの重み付き平均、
+   * ダンサビリティはビートの明瞭さ・テンポの踊りやすさ・テンポの信頼度の重み付き平均です。
+   * ビートが不明瞭な曲はテンポが踊りやすくてもダンサビリティが低くなるよう、テンポの2つの要素にはビートの明瞭さを掛けます
+   */
+  static analyze(pcm, sampleRate, onset, tempo, loudness) {
+    const duration = pcm.length / sampleRate;
+    const envelope = onset.envelope.map(value => value >= TrackDescriptors.MIN_ONSET_STRENGTH ? value : 0);
+    const strongOnset = { ...onset, envelope };
+    const spectralCentroid = TrackDescriptors.calculateSpectralCentroid(pcm, sampleRate);
+    const onsetRate = duration > 0 ? TrackDescriptors.countOnsets(strongOnset) / duration : 0;
+
+    const brightness = TrackDescriptors.scale(spectralCentroid, TrackDescriptors.BRIGHTNESS_RANGE, true);
+    const percussiveness = TrackDescriptors.scale(onsetRate, TrackDescriptors.ONSET_RATE_RANGE);
+    const loudnessLevel = loudness && Number.isFinite(loudness.integrated)
+      ? TrackDescriptors.scale(loudness.integrated, TrackDescriptors.LOUDNESS_RANGE)
+      : 0;
+
+    const energyWeights = TrackDescriptors.ENERGY_WEIGHTS;
+    const energyLevel = energyWeights.loudness * loudnessLevel +
+      energyWeights.percussiveness * percussiveness +
+      energyWeights.brightness * brightness +
+      energyWeights.tempo * (tempo ? TrackDescriptors.scale(tempo.bpm, TrackDescriptors.TEMPO_RANGE) : 0);
+
+    const danceWeights = TrackDescriptors.DANCEABILITY_WEIGHTS;
+    const pulseClarity = tempo ? TrackDescriptors.calculatePulseClarity(strongOnset, tempo) : 0;
+    const danceability = tempo
+      ? danceWeights.pulseClarity * pulseClarity +
+        pulseClarity * (danceWeights.tempo * TrackDescriptors.calculateTempoSuitability(tempo.bpm) + danceWeights.confidence * tempo.confidence)
+      : 0;
+
+    const round = value => Math.round(value * 100) / 100;
+    return {
+      energy: 1 + Math.round(9 * energyLevel),
+      danceability: round(danceability),
+      brightness: round(brightness),
+      spectralCentroid: Math.round(spectralCentroid),
+      percussiveness: round(percussiveness),
+      onsetRate: round(onsetRate)
+    };
+  }
+
+  /**
+   * スペクトル重心の平均を計算する
+   * @static
+   * @param {Float32Array} pcm - モノラルのPCMデータ
+   * @param {number} sampleRate - サンプルレート（Hz）
+   * @returns {number} フレームの振幅の合計で重み付けしたスペクトル重心の平均（Hz）。無音の場合は0
+   * @description 静かなフレーム（曲間やフェード）の重心に結果が左右されないよう、振幅で重み付けします
+   */
+  static calculateSpectralCentroid(pcm, sampleRate) {
+    const fftSize = TrackDescriptors.SPECTRUM_FFT_SIZE;
+    const hopSize = Math.max(1, Math.round(sampleRate * TrackDescriptors.SPECTRUM_HOP_SECONDS));
+    const binWidth = sampleRate / fftSize;
+    let weightedSum = 0;
+    let totalWeight = 0;
+
+    for (let start = 0; start + fftSize <= pcm.length; start += hopSize) {
+      const spectrum = AnalysisCore.computeSpectrum(pcm, start, fftSize);
+      let magnitudeSum = 0;
+      let frequencySum = 0;
+      // 直流成分は除く
+      for (let bin = 1; bin < spectrum.length; bin++) {
+        const magnitude = Math.pow(10, spectrum[bin] / 20);
+        magnitudeSum += magnitude;
+        frequencySum += magnitude * bin * binWidth;
+      }
+      if (magnitudeSum > 0) {
+        weightedSum += frequencySum;
+        totalWeight += magnitudeSum;
+      }
+    }
+
+    return totalWeight > 0 ? weightedSum / totalWeight : 0;
+  }
+
+  /**
+   * オンセットの数を数える
+   * @static
+   * @param {{envelope: Float32Array, frameRate: number}} onset - MIN_ONSET_STRENGTH未満を0にしたオンセット強度エンベロープ
+   * @returns {number} 平均＋標準偏差の半分を超える極大の数（50ミリ秒以内の極大は1つとみなす）
+   */
+  static countOnsets(onset) {
+    const { envelope, frameRate } = onset;
+    if (envelope.length < 3) {
+      return 0;
+    }
+
+    let sum = 0;
+    let sumSquares = 0;
+    envelope.forEach(value => {
+      sum += value;
+      sumSquares += value * value;
+    });
+    const mean = sum / envelope.length;
+    const threshold = mean + 0.5 * Math.sqrt(Math.max(0, sumSquares / envelope.length - mean * mean));
+    const minGap = Math.max(1, Math.round(frameRate * 0.05));
+
+    let count = 0;
+    let lastPeak = -Infinity;
+    for (let i = 1; i < envelope.length - 1; i++) {
+      const isPeak = envelope[i] > threshold && envelope[i] >= envelope[i - 1] && envelope[i] > envelope[i + 1];
+      if (isPeak && i - lastPeak >= minGap) {
+        count++;
+        lastPeak = i;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * ビートの明瞭さを計算する
+   * @static
+   * @param {{envelope: Float32Array, frameRate: number, timeOffset: number}} onset - MIN_ONSET_STRENGTH未満を0にしたオンセット強度エンベロープ
+   * @param {{bpm: number, beatOffset: number}} tempo - テンポ情報
+   * @returns {number} ビートの位置のオンセットの強さが平均の何倍かを0〜1に割り当てた値（1倍で0、4倍以上で1）
+   */
+  static calculatePulseClarity(onset, tempo) {
+    const { envelope, frameRate, timeOffset } = onset;
+    const mean = envelope.reduce((sum, value) => sum + value, 0) / envelope.length;
+    if (!(mean > 0)) {
+      return 0;
+    }
+
+    const period = 60 / tempo.bpm;
+    const radius = Math.max(1, Math.round(period * 0.1 * frameRate));
+    let beatSum = 0;
+    let beatCount = 0;
+    for (let time = tempo.beatOffset; (time - timeOffset) * frameRate < envelope.length; time += period) {
+      const center = Math.round((time - timeOffset) * frameRate);
+      let strength = 0;
+      for (let i = Math.max(0, center - radius); i <= Math.min(envelope.length - 1, center + radius); i++) {
+        strength = Math.max(strength, envelope[i]);
+      }
+      beatSum += strength;
+      beatCount++;
+    }
+
+    return beatCount > 0 ? TrackDescriptors.scale(beatSum / beatCount / mean, [1, 4]) : 0;
+  }
+
+  /**
+   * テンポの踊りやすさを計算する
+   * @static
+   * @param {number} bpm - テンポ
+   * @returns {number} DANCE_TEMPO_RANGEの範囲内で1、範囲から30BPM離れると0になる値。
+   * 半分・倍のテンポが範囲に近い場合はその8割の値
+   */
+  static calculateTempoSuitability(bpm) {
+    const [min, max] = TrackDescriptors.DANCE_TEMPO_RANGE;
+    const suitability = value => Math.max(0, 1 - Math.max(0, min - value, value - max) / 30);
+    return Math.max(suitability(bpm), 0.8 * suitability(bpm / 2), 0.8 * suitability(bpm * 2));
+  }
+
+  /**
+   * 値を範囲に対する0〜1の位置に変換する
+   * @static
+   * @param {number} value - 値
+   * @param {number[]} range - 0と1に割り当てる値
+   * @param {boolean} [logarithmic=false] - 対数軸で変換する場合はtrue
+   * @returns {number} 0〜1に収めた位置
+   */
+  static scale(value, [min, max], logarithmic = false) {
+    const position = logarithmic
+      ? (Math.log(Math.max(value, Number.MIN_VALUE)) - Math.log(min)) / (Math.log(max) - Math.log(min))
+      : (value - min) / (max - min);
+    return Math.max(0, Math.min(1, position));
+  }
+}
+
+// ブラウザではグローバルに、Node.jsではモジュールとして公開する
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TrackDescriptors;
+} else {
+  globalThis.TrackDescriptors = TrackDescriptors;
+}